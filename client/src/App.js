@@ -24,32 +24,16 @@ import {
 } from "lucide-react";
 import io from "socket.io-client";
 
+// Backend origin for the REST API and the socket. REACT_APP_API_URL may
+// include the /api prefix, which the requests add themselves.
+const API_BASE_URL = (
+  process.env.REACT_APP_API_URL || "https://forex-backend-69px.onrender.com"
+).replace(/\/api\/?$/, "");
+
 const ForexAssessmentApp = () => {
   const [activeTab, setActiveTab] = useState("dashboard");
-  const [marketData, setMarketData] = useState({
-    "EUR/USD": {
-      price: 1.0855,
-      spread: 1.1,
-      atr: 0.0085,
-      vwapSlope: 0.0003,
-      rsi: 52,
-      adx: 28,
-      regime: "trending",
-      correlation: 0.82,
-      lastUpdate: new Date(),
-    },
-    "GBP/USD": {
-      price: 1.2645,
-      spread: 1.5,
-      atr: 0.0112,
-      vwapSlope: -0.0001,
-      rsi: 48,
-      adx: 22,
-      regime: "ranging",
-      correlation: 0.82,
-      lastUpdate: new Date(),
-    },
-  });
+  // Watched pairs, filled in by the server
+  const [marketData, setMarketData] = useState({});
 
   const [opportunities, setOpportunities] = useState([]);
   const [accountSettings, setAccountSettings] = useState({
@@ -57,9 +41,65 @@ const ForexAssessmentApp = () => {
     riskPerTrade: 1,
     dailyLossLimit: 2.5,
     maxTrades: 3,
-    currentPnL: 0,
-    tradesCount: 0,
+    accountCurrency: "USD",
+    margin: { leverage: 30, marginCallLevel: 100, stopOutLevel: 50 },
+    tradingDay: { rolloverTime: "17:00", timeZone: "America/New_York" },
+  });
+  const [riskAnalysis, setRiskAnalysis] = useState(null);
+  // Position size calculator inputs (blank entry uses the live price) and result
+  const [sizeCalculator, setSizeCalculator] = useState({
+    pair: "EUR/USD",
+    entry: "",
+    stopLoss: "",
+    riskPerTrade: "",
+  });
+  const [sizeResult, setSizeResult] = useState(null);
+  // Ticks every second while the risk gate counts down to the rollover
+  const [now, setNow] = useState(Date.now());
+
+  const [dataProvider, setDataProvider] = useState({
+    provider: "simulated",
+    file: "",
   });
+  const [dataProviderStatus, setDataProviderStatus] = useState(null);
+  const [strategies, setStrategies] = useState([]);
+  const [positions, setPositions] = useState({
+    open: [],
+    closed: [],
+    orders: [],
+    account: null,
+  });
+  // Order ticket of the opportunity being paper traded
+  const [orderTicket, setOrderTicket] = useState(null);
+  const [expandedPositionId, setExpandedPositionId] = useState(null);
+  const [journal, setJournal] = useState({ entries: [], tags: [] });
+  const [journalFilters, setJournalFilters] = useState({
+    pair: "",
+    status: "",
+    tag: "",
+  });
+  // Bumped whenever the server reports a journal change
+  const [journalVersion, setJournalVersion] = useState(0);
+  // Annotations being edited: { id, notes, tags, disciplineGrade }
+  const [journalDraft, setJournalDraft] = useState(null);
+
+  const [analysisPair, setAnalysisPair] = useState("EUR/USD");
+  const [analysisTimeframe, setAnalysisTimeframe] = useState("1h");
+  const [indicatorSeries, setIndicatorSeries] = useState([]);
+  const [correlations, setCorrelations] = useState(null);
+  // Window shown in the heatmap; null shows the primary window
+  const [correlationWindow, setCorrelationWindow] = useState(null);
+  // Hourly spread profile and spread history of the analysis pair
+  const [spreadProfile, setSpreadProfile] = useState(null);
+  // Regime periods of the analysis pair, reloaded on every regime change
+  const [regimeTimeline, setRegimeTimeline] = useState(null);
+  const [regimeVersion, setRegimeVersion] = useState(0);
+
+  // Instrument registry for the Settings tab and the instrument to add
+  const [instruments, setInstruments] = useState([]);
+  const [newInstrument, setNewInstrument] = useState("");
+  // Bumped whenever a pair is watched or unwatched
+  const [instrumentsVersion, setInstrumentsVersion] = useState(0);
 
   const [alerts, setAlerts] = useState([]);
   const [connectionStatus, setConnectionStatus] = useState("disconnected");
@@ -89,7 +129,7 @@ const ForexAssessmentApp = () => {
   // WebSocket connection
   useEffect(() => {
     // Connect to backend on port 5001
-    socketRef.current = io("https://forex-backend-69px.onrender.com");
+    socketRef.current = io(API_BASE_URL);
 
     socketRef.current.on("connect", () => {
       console.log("Connected to backend server");
@@ -111,10 +151,33 @@ const ForexAssessmentApp = () => {
       setOpportunities(data);
     });
 
+    socketRef.current.on("dataProviderStatus", (status) => {
+      setDataProviderStatus(status);
+    });
+
+    socketRef.current.on("positions", (data) => {
+      setPositions(data);
+    });
+
+    socketRef.current.on("journalSummary", () => {
+      setJournalVersion((prev) => prev + 1);
+    });
+
+    socketRef.current.on("risk", (analysis) => {
+      setRiskAnalysis(analysis);
+    });
+
     socketRef.current.on("alert", (alert) => {
       addAlert(alert.message, alert.type);
     });
 
+    socketRef.current.on("regimeChange", (change) => {
+      if (change.from) {
+        addAlert(`${change.pair} regime: ${change.from} → ${change.to}`, "info");
+      }
+      setRegimeVersion((prev) => prev + 1);
+    });
+
     // Cleanup on unmount
     return () => {
       if (socketRef.current) {
@@ -123,12 +186,180 @@ const ForexAssessmentApp = () => {
     };
   }, []);
 
+  // Load indicator series for the Analysis tab charts
+  useEffect(() => {
+    if (activeTab !== "analysis") return;
+
+    const loadIndicators = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/api/indicators/${encodeURIComponent(
+            analysisPair
+          )}?timeframe=${analysisTimeframe}&indicators=vwap,rsi&limit=60`
+        );
+        const result = await response.json();
+        if (result.success) {
+          setIndicatorSeries(result.data.series);
+        }
+      } catch (error) {
+        console.error("Failed to load indicators:", error);
+      }
+    };
+
+    loadIndicators();
+    const interval = setInterval(loadIndicators, 30000);
+    return () => clearInterval(interval);
+  }, [activeTab, analysisPair, analysisTimeframe]);
+
+  // Load the spread profile and history for the Analysis tab
+  useEffect(() => {
+    if (activeTab !== "analysis") return;
+
+    const loadSpreads = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/api/spreads/${encodeURIComponent(analysisPair)}`
+        );
+        const result = await response.json();
+        if (result.success) {
+          setSpreadProfile(result.data);
+        }
+      } catch (error) {
+        console.error("Failed to load spreads:", error);
+      }
+    };
+
+    loadSpreads();
+    const interval = setInterval(loadSpreads, 30000);
+    return () => clearInterval(interval);
+  }, [activeTab, analysisPair]);
+
+  // Load the regime timeline for the Analysis tab
+  useEffect(() => {
+    if (activeTab !== "analysis") return;
+
+    const loadRegimes = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/api/regimes/${encodeURIComponent(analysisPair)}`
+        );
+        const result = await response.json();
+        if (result.success) {
+          setRegimeTimeline(result.data);
+        }
+      } catch (error) {
+        console.error("Failed to load regimes:", error);
+      }
+    };
+
+    loadRegimes();
+  }, [activeTab, analysisPair, regimeVersion]);
+
+  // Load the correlation matrix for the Analysis tab heatmap
+  useEffect(() => {
+    if (activeTab !== "analysis") return;
+
+    const loadCorrelations = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/correlations`);
+        const result = await response.json();
+        if (result.success) {
+          setCorrelations(result.data);
+        }
+      } catch (error) {
+        console.error("Failed to load correlations:", error);
+      }
+    };
+
+    loadCorrelations();
+    const interval = setInterval(loadCorrelations, 60000);
+    return () => clearInterval(interval);
+  }, [activeTab]);
+
+  const riskGateBlocked = Boolean(riskAnalysis && riskAnalysis.gate.blocked);
+  useEffect(() => {
+    if (!riskGateBlocked) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [riskGateBlocked]);
+
+  // Load journal entries for the Journal tab
+  useEffect(() => {
+    if (activeTab !== "journal") return;
+
+    const loadJournal = async () => {
+      try {
+        const query = new URLSearchParams(
+          Object.entries(journalFilters).filter(([, value]) => value !== "")
+        );
+        const response = await fetch(`${API_BASE_URL}/api/journal?${query}`);
+        const result = await response.json();
+        if (result.success) {
+          setJournal({ entries: result.data, tags: result.tags });
+        }
+      } catch (error) {
+        console.error("Failed to load journal:", error);
+      }
+    };
+
+    loadJournal();
+  }, [activeTab, journalFilters, journalVersion]);
+
+  // Load the strategy registry for the Settings tab
+  useEffect(() => {
+    if (activeTab !== "settings") return;
+
+    const loadStrategies = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/strategies`);
+        const result = await response.json();
+        if (result.success) {
+          setStrategies(result.data);
+        }
+      } catch (error) {
+        console.error("Failed to load strategies:", error);
+      }
+    };
+
+    loadStrategies();
+  }, [activeTab, instrumentsVersion]);
+
+  // Load the instrument registry for the Settings tab
+  useEffect(() => {
+    if (activeTab !== "settings") return;
+
+    const loadInstruments = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/instruments`);
+        const result = await response.json();
+        if (result.success) {
+          setInstruments(result.data.instruments);
+        }
+      } catch (error) {
+        console.error("Failed to load instruments:", error);
+      }
+    };
+
+    loadInstruments();
+  }, [activeTab, instrumentsVersion]);
+
+  // Keep the pair pickers on a watched pair when one is removed
+  const watchedPairs = Object.keys(marketData).join(",");
+  useEffect(() => {
+    if (!watchedPairs) return;
+
+    const pairs = watchedPairs.split(",");
+    setAnalysisPair((prev) => (pairs.includes(prev) ? prev : pairs[0]));
+    setSizeCalculator((prev) =>
+      pairs.includes(prev.pair) ? prev : { ...prev, pair: pairs[0] }
+    );
+  }, [watchedPairs]);
+
   // Test API connection
   const testApiConnection = async () => {
     try {
-      const response = await fetch(
-        "https://forex-backend-69px.onrender.com/api/market-data"
-      );
+      const response = await fetch(`${API_BASE_URL}/api/market-data`);
       if (response.ok) {
         addAlert("API connection successful", "success");
         return true;
@@ -140,6 +371,323 @@ const ForexAssessmentApp = () => {
     }
   };
 
+  // Post the account settings along with any extra settings to the server
+  const saveSettings = async (updates) => {
+    const response = await fetch(`${API_BASE_URL}/api/settings`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        balance: accountSettings.balance,
+        riskPerTrade: accountSettings.riskPerTrade,
+        dailyLossLimit: accountSettings.dailyLossLimit,
+        maxTrades: accountSettings.maxTrades,
+        accountCurrency: accountSettings.accountCurrency,
+        margin: accountSettings.margin,
+        tradingDay: accountSettings.tradingDay,
+        ...updates,
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error((result.details || [result.error]).join(", "));
+    }
+    return result.data;
+  };
+
+  const saveAccountSettings = async () => {
+    try {
+      await saveSettings({});
+      addAlert("Account settings saved", "success");
+    } catch (error) {
+      console.error("Failed to save account settings:", error);
+      addAlert(`Failed to save account settings: ${error.message}`, "error");
+    }
+  };
+
+  // Units and lots for a stop, sized from the paper account balance
+  const calculatePositionSize = async () => {
+    const body = {
+      pair: sizeCalculator.pair,
+      entry:
+        parseFloat(sizeCalculator.entry) ||
+        (marketData[sizeCalculator.pair] || {}).price,
+      stopLoss: parseFloat(sizeCalculator.stopLoss),
+    };
+    if (sizeCalculator.riskPerTrade) {
+      body.riskPerTrade = parseFloat(sizeCalculator.riskPerTrade);
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/position-size`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          [].concat(result.details || result.error).join(", ")
+        );
+      }
+      setSizeResult(result.data);
+    } catch (error) {
+      console.error("Failed to calculate position size:", error);
+      setSizeResult(null);
+      addAlert(`Failed to calculate position size: ${error.message}`, "error");
+    }
+  };
+
+  // Switch the server's market data provider
+  const applyDataProvider = async () => {
+    try {
+      const settings = await saveSettings({
+        dataProvider: {
+          provider: dataProvider.provider,
+          options:
+            dataProvider.provider === "file" ? { file: dataProvider.file } : {},
+        },
+      });
+      setDataProviderStatus(settings.dataProvider.status);
+      addAlert(`Data provider set to ${dataProvider.provider}`, "success");
+    } catch (error) {
+      console.error("Failed to change data provider:", error);
+      addAlert(`Failed to change data provider: ${error.message}`, "error");
+    }
+  };
+
+  // Start or stop trading a pair from the instrument registry
+  const watchInstrument = async (symbol) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/instruments`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ symbol }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          [].concat(result.details || result.error).join(", ")
+        );
+      }
+      setNewInstrument("");
+      setInstrumentsVersion((prev) => prev + 1);
+      addAlert(`Now watching ${symbol}`, "success");
+    } catch (error) {
+      console.error("Failed to add instrument:", error);
+      addAlert(`Failed to add ${symbol}: ${error.message}`, "error");
+    }
+  };
+
+  const unwatchInstrument = async (symbol) => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/instruments/${encodeURIComponent(symbol)}`,
+        { method: "DELETE" }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error);
+      }
+      setInstrumentsVersion((prev) => prev + 1);
+      addAlert(`Stopped watching ${symbol}`, "success");
+    } catch (error) {
+      console.error("Failed to remove instrument:", error);
+      addAlert(`Failed to remove ${symbol}: ${error.message}`, "error");
+    }
+  };
+
+  // Enable or disable a strategy for one pair
+  const toggleStrategy = async (strategyId, pair, enabled) => {
+    try {
+      await saveSettings({ strategies: { [pair]: { [strategyId]: enabled } } });
+      setStrategies((prev) =>
+        prev.map((strategy) =>
+          strategy.id === strategyId
+            ? { ...strategy, enabled: { ...strategy.enabled, [pair]: enabled } }
+            : strategy
+        )
+      );
+    } catch (error) {
+      console.error("Failed to update strategy:", error);
+      addAlert(`Failed to update strategy: ${error.message}`, "error");
+    }
+  };
+
+  const openOrderTicket = (opp) => {
+    setOrderTicket({
+      opportunityId: opp.id,
+      type: "market",
+      price: formatPrice(opp.entry, opp.pair),
+      expiresInMinutes: "",
+      trailingType: "none",
+      trailingDistance: "",
+      breakevenAtR: "",
+      partialAtR: "",
+      partialPercent: "",
+    });
+  };
+
+  const updateOrderTicket = (updates) => {
+    setOrderTicket((prev) => ({ ...prev, ...updates }));
+  };
+
+  // Stop management and scaling out from the filled-in ticket fields
+  const buildManagement = (ticket) => {
+    const management = {};
+    if (ticket.trailingType !== "none" && ticket.trailingDistance) {
+      management.trailingStop = {
+        type: ticket.trailingType,
+        distance: parseFloat(ticket.trailingDistance),
+      };
+    }
+    if (ticket.breakevenAtR) {
+      management.breakevenAtR = parseFloat(ticket.breakevenAtR);
+    }
+    if (ticket.partialAtR && ticket.partialPercent) {
+      management.partialTakeProfits = [
+        {
+          atR: parseFloat(ticket.partialAtR),
+          percent: parseFloat(ticket.partialPercent),
+        },
+      ];
+    }
+    return management;
+  };
+
+  // Open a paper position at market or place a limit/stop entry order
+  const submitPaperTrade = async (opp) => {
+    const ticket = orderTicket;
+    const market = ticket.type === "market";
+    const body = {
+      opportunityId: opp.id,
+      management: buildManagement(ticket),
+    };
+    if (!market) {
+      body.type = ticket.type;
+      body.price = parseFloat(ticket.price);
+      if (ticket.expiresInMinutes) {
+        body.expiresInMinutes = parseInt(ticket.expiresInMinutes, 10);
+      }
+    }
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/${market ? "positions" : "orders"}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(
+          [].concat(result.details || result.error).join(", ")
+        );
+      }
+      addAlert(
+        market
+          ? `Paper ${result.data.direction} opened on ${opp.pair} (${result.data.units} units)`
+          : `Paper ${result.data.direction} ${result.data.type} order placed on ${opp.pair} at ${result.data.price}`,
+        "success"
+      );
+      setOrderTicket(null);
+    } catch (error) {
+      console.error("Failed to paper trade:", error);
+      addAlert(`Failed to paper trade: ${error.message}`, "error");
+    }
+  };
+
+  const cancelPaperOrder = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/orders/${id}/cancel`, {
+        method: "POST",
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error("Failed to cancel order:", error);
+      addAlert(`Failed to cancel order: ${error.message}`, "error");
+    }
+  };
+
+  const closePaperPosition = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/positions/${id}/close`, {
+        method: "POST",
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error("Failed to close position:", error);
+      addAlert(`Failed to close position: ${error.message}`, "error");
+    }
+  };
+
+  const editJournalEntry = (entry) => {
+    setJournalDraft({
+      id: entry.id,
+      notes: entry.notes,
+      tags: entry.tags.join(", "),
+      disciplineGrade: entry.disciplineGrade || "",
+    });
+  };
+
+  const saveJournalEntry = async () => {
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/journal/${journalDraft.id}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            notes: journalDraft.notes,
+            tags: [
+              ...new Set(
+                journalDraft.tags
+                  .split(",")
+                  .map((tag) => tag.trim())
+                  .filter(Boolean)
+              ),
+            ],
+            disciplineGrade: journalDraft.disciplineGrade
+              ? parseInt(journalDraft.disciplineGrade, 10)
+              : null,
+          }),
+        }
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.details || result.error);
+      }
+      setJournalDraft(null);
+      setJournalVersion((prev) => prev + 1);
+    } catch (error) {
+      console.error("Failed to save journal entry:", error);
+      addAlert(`Failed to save journal entry: ${error.message}`, "error");
+    }
+  };
+
+  const deleteJournalEntry = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/journal/${id}`, {
+        method: "DELETE",
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error);
+      }
+      setJournalVersion((prev) => prev + 1);
+    } catch (error) {
+      console.error("Failed to delete journal entry:", error);
+      addAlert(`Failed to delete journal entry: ${error.message}`, "error");
+    }
+  };
+
   // Manual opportunity assessment
   const assessOpportunities = () => {
     if (socketRef.current && connectionStatus === "connected") {
@@ -163,9 +711,88 @@ const ForexAssessmentApp = () => {
     }, 5000);
   };
 
-  const formatPrice = (price) => {
-    if (typeof price !== "number") return "0.00000";
-    return price.toFixed(5);
+  // Opportunities that already have a paper position or pending order
+  const tradedOpportunityIds = new Set(
+    [...positions.open, ...positions.closed, ...positions.orders].map(
+      (position) => position.opportunityId
+    )
+  );
+
+  // Why an opportunity cannot be traded now: the risk gate, or correlated
+  // risk it would stack onto the open positions
+  const tradeBlockReason = (opp) => {
+    if (opp.blockedByRisk) {
+      return `Blocked by risk: ${opp.blockedByRisk}`;
+    }
+    if (opp.suggestedSize && !opp.suggestedSize.correlation.allowed) {
+      return `Blocked by correlation: ${opp.suggestedSize.correlation.reason}`;
+    }
+    return null;
+  };
+
+  const toggleEvents = (id) => {
+    setExpandedPositionId((prev) => (prev === id ? null : id));
+  };
+
+  // One line per order or position event, skipping the bookkeeping fields
+  const describeEvent = (event) =>
+    Object.entries(event)
+      .filter(([key]) => !["type", "timestamp"].includes(key))
+      .map(([key, value]) =>
+        `${key} ${typeof value === "number" ? parseFloat(value.toFixed(5)) : value}`
+      )
+      .join(", ");
+
+  const renderEvents = (position, columns) => (
+    <tr>
+      <td colSpan={columns} className="pb-3">
+        <ul className="bg-gray-900 rounded p-3 space-y-1 text-xs">
+          {position.events.map((event, index) => (
+            <li key={index} className="flex space-x-3">
+              <span className="text-gray-500">{formatTime(event.timestamp)}</span>
+              <span className="font-semibold">{event.type}</span>
+              <span className="text-gray-400">{describeEvent(event)}</span>
+            </li>
+          ))}
+        </ul>
+      </td>
+    </tr>
+  );
+
+  const formatCountdown = (ms) => {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}h ${String(minutes).padStart(2, "0")}m ${String(
+      seconds
+    ).padStart(2, "0")}s`;
+  };
+
+  const analysisPipSize = marketData[analysisPair]
+    ? marketData[analysisPair].pipSize
+    : 0.0001;
+
+  // Regime periods with their share of the timeline, the current one
+  // lasting until now
+  const regimeSegments = (history) => {
+    const end = Date.now();
+    const start = new Date(history[0].from).getTime();
+    return history.map((period) => {
+      const from = new Date(period.from).getTime();
+      const to = period.to ? new Date(period.to).getTime() : end;
+      return {
+        ...period,
+        share: (Math.max(0, to - from) / Math.max(1, end - start)) * 100,
+      };
+    });
+  };
+
+  // Prices are shown with the pair's quoted decimals
+  const formatPrice = (price, pair) => {
+    const digits = marketData[pair] ? marketData[pair].digits : 5;
+    if (typeof price !== "number") return (0).toFixed(digits);
+    return price.toFixed(digits);
   };
 
   const formatTime = (date) => {
@@ -189,7 +816,8 @@ const ForexAssessmentApp = () => {
               Forex Trading Assessment Dashboard
             </h1>
             <p className="text-gray-400">
-              Real-time opportunity analysis for EUR/USD and GBP/USD
+              Real-time opportunity analysis for{" "}
+              {Object.keys(marketData).join(", ") || "the watched pairs"}
             </p>
           </div>
           <div className="flex items-center space-x-4">
@@ -234,6 +862,24 @@ const ForexAssessmentApp = () => {
         </div>
       )}
 
+      {/* Risk Lockout */}
+      {riskGateBlocked && (
+        <div className="mb-4 p-4 bg-yellow-700 rounded-lg">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center">
+              <Shield size={20} className="mr-2" />
+              <span>
+                Trading locked: {riskAnalysis.gate.reason}. New paper trades
+                are blocked until the trading day rolls over.
+              </span>
+            </div>
+            <span className="font-mono font-semibold">
+              {formatCountdown(new Date(riskAnalysis.gate.resetsAt) - now)}
+            </span>
+          </div>
+        </div>
+      )}
+
       {/* Alerts */}
       <div className="fixed top-4 right-4 z-50 space-y-2">
         {alerts.map((alert) => (
@@ -265,7 +911,14 @@ const ForexAssessmentApp = () => {
 
       {/* Navigation */}
       <div className="flex space-x-4 mb-6 border-b border-gray-700">
-        {["dashboard", "opportunities", "analysis", "settings"].map((tab) => (
+        {[
+          "dashboard",
+          "opportunities",
+          "positions",
+          "journal",
+          "analysis",
+          "settings",
+        ].map((tab) => (
           <button
             key={tab}
             onClick={() => setActiveTab(tab)}
@@ -293,7 +946,7 @@ const ForexAssessmentApp = () => {
                       {pair}
                     </h3>
                     <p className="text-2xl font-bold">
-                      {formatPrice(data.price)}
+                      {formatPrice(data.price, pair)}
                     </p>
                   </div>
                   <div className="text-right">
@@ -324,12 +977,21 @@ const ForexAssessmentApp = () => {
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                   <div className="bg-gray-700 p-3 rounded">
                     <p className="text-xs text-gray-400">Spread</p>
-                    <p className="text-lg font-semibold">{data.spread} pips</p>
+                    <p
+                      className={`text-lg font-semibold ${
+                        data.spreadAnomaly ? "text-red-400" : ""
+                      }`}
+                    >
+                      {data.spread} pips
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      usual {data.spreadBaseline}
+                    </p>
                   </div>
                   <div className="bg-gray-700 p-3 rounded">
                     <p className="text-xs text-gray-400">ATR</p>
                     <p className="text-lg font-semibold">
-                      {(data.atr * 10000).toFixed(1)}
+                      {(data.atr / data.pipSize).toFixed(1)}
                     </p>
                   </div>
                   <div className="bg-gray-700 p-3 rounded">
@@ -359,21 +1021,25 @@ const ForexAssessmentApp = () => {
                     <span className="text-sm text-gray-400">VWAP Slope:</span>
                     <span
                       className={`text-sm font-semibold ${
-                        data.vwapSlope > 0.0001
+                        data.vwapSlope > data.pipSize
                           ? "text-green-400"
-                          : data.vwapSlope < -0.0001
+                          : data.vwapSlope < -data.pipSize
                           ? "text-red-400"
                           : "text-yellow-400"
                       }`}
                     >
                       {data.vwapSlope > 0 ? "+" : ""}
-                      {(data.vwapSlope * 10000).toFixed(1)}
+                      {(data.vwapSlope / data.pipSize).toFixed(1)}
                     </span>
                   </div>
                   <div className="flex items-center space-x-2">
                     <span className="text-sm text-gray-400">Correlation:</span>
                     <span className="text-sm font-semibold">
-                      {(data.correlation * 100).toFixed(0)}%
+                      {data.correlation === null
+                        ? "-"
+                        : `${(data.correlation * 100).toFixed(0)}% ${
+                            data.correlatedWith
+                          }`}
                     </span>
                   </div>
                 </div>
@@ -396,56 +1062,266 @@ const ForexAssessmentApp = () => {
                     ${accountSettings.balance.toLocaleString()}
                   </span>
                 </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Daily P&L</span>
-                  <span
-                    className={`font-semibold ${
-                      accountSettings.currentPnL >= 0
-                        ? "text-green-400"
-                        : "text-red-400"
-                    }`}
-                  >
-                    ${accountSettings.currentPnL.toFixed(2)}
-                  </span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-400">Trades Today</span>
-                  <span className="font-semibold">
-                    {accountSettings.tradesCount}/{accountSettings.maxTrades}
-                  </span>
-                </div>
-                <div className="w-full bg-gray-700 rounded-full h-2">
-                  <div
-                    className={`h-2 rounded-full transition-all duration-300 ${
-                      (Math.abs(accountSettings.currentPnL) /
-                        accountSettings.balance) *
-                        100 >
-                      2
-                        ? "bg-red-500"
-                        : "bg-green-500"
-                    }`}
-                    style={{
-                      width: `${Math.min(
-                        100,
-                        (Math.abs(accountSettings.currentPnL) /
-                          (accountSettings.balance * 0.025)) *
-                          100
-                      )}%`,
-                    }}
-                  ></div>
-                </div>
-                <p className="text-xs text-gray-400">
-                  Risk used:{" "}
-                  {(
-                    (Math.abs(accountSettings.currentPnL) /
-                      accountSettings.balance) *
-                    100
-                  ).toFixed(1)}
-                  % / 2.5%
-                </p>
+                {riskAnalysis && (
+                  <>
+                    <div className="flex justify-between">
+                      <span className="text-gray-400">Daily P&L</span>
+                      <span
+                        className={`font-semibold ${
+                          riskAnalysis.accountHealth.dailyPnL >= 0
+                            ? "text-green-400"
+                            : "text-red-400"
+                        }`}
+                      >
+                        ${riskAnalysis.accountHealth.dailyPnL.toFixed(2)}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-400">Trades Today</span>
+                      <span className="font-semibold">
+                        {riskAnalysis.tradeHistory.tradesToday}/
+                        {accountSettings.maxTrades}
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-700 rounded-full h-2">
+                      <div
+                        className={`h-2 rounded-full transition-all duration-300 ${
+                          riskAnalysis.accountHealth.status === "critical"
+                            ? "bg-red-500"
+                            : riskAnalysis.accountHealth.status === "warning"
+                            ? "bg-yellow-500"
+                            : "bg-green-500"
+                        }`}
+                        style={{
+                          width: `${Math.min(
+                            100,
+                            riskAnalysis.accountHealth.riskUtilization
+                          )}%`,
+                        }}
+                      ></div>
+                    </div>
+                    <p className="text-xs text-gray-400">
+                      Risk used:{" "}
+                      {riskAnalysis.accountHealth.riskUtilization.toFixed(1)}%
+                      of ${riskAnalysis.riskLimits.dailyLossLimit.toFixed(2)}{" "}
+                      daily limit
+                    </p>
+                    <div className="grid grid-cols-2 gap-2 text-sm pt-2 border-t border-gray-700">
+                      {[
+                        [
+                          "Win Rate",
+                          `${riskAnalysis.tradeHistory.winRate.toFixed(1)}%`,
+                        ],
+                        [
+                          "Profit Factor",
+                          riskAnalysis.tradeHistory.profitFactor === null
+                            ? "-"
+                            : riskAnalysis.tradeHistory.profitFactor.toFixed(2),
+                        ],
+                        [
+                          "Loss Streak",
+                          riskAnalysis.accountHealth.consecutiveLosses,
+                        ],
+                        [
+                          "Max Drawdown",
+                          `${riskAnalysis.accountHealth.maxDrawdown.toFixed(2)}%`,
+                        ],
+                        [
+                          "Open Risk",
+                          `$${riskAnalysis.positionRisk.openRisk.toFixed(2)}`,
+                        ],
+                        [
+                          "Correlation",
+                          riskAnalysis.positionRisk.correlationRisk,
+                        ],
+                        [
+                          "Free Margin",
+                          `$${riskAnalysis.positionRisk.freeMargin.toFixed(2)}`,
+                        ],
+                        [
+                          "Margin Level",
+                          riskAnalysis.positionRisk.marginLevel === null
+                            ? "-"
+                            : `${riskAnalysis.positionRisk.marginLevel.toFixed(1)}%`,
+                        ],
+                      ].map(([label, value]) => (
+                        <div key={label}>
+                          <p className="text-xs text-gray-400">{label}</p>
+                          <p className="font-semibold capitalize">{value}</p>
+                        </div>
+                      ))}
+                    </div>
+                    {riskAnalysis.positionRisk.currencyExposure.length > 0 && (
+                      <div className="pt-2 border-t border-gray-700 text-sm">
+                        <p className="text-xs text-gray-400 mb-1">
+                          Net Currency Exposure
+                        </p>
+                        {riskAnalysis.positionRisk.currencyExposure.map(
+                          (exposure) => (
+                            <div
+                              key={exposure.currency}
+                              className="flex justify-between"
+                            >
+                              <span>
+                                {exposure.currency}{" "}
+                                <span
+                                  className={
+                                    exposure.direction === "long"
+                                      ? "text-green-400"
+                                      : "text-red-400"
+                                  }
+                                >
+                                  {exposure.direction} x{Math.abs(exposure.legs)}
+                                </span>
+                              </span>
+                              <span className="font-semibold">
+                                {exposure.value === null
+                                  ? Math.abs(exposure.amount).toLocaleString()
+                                  : `$${Math.abs(exposure.value).toLocaleString()}`}
+                              </span>
+                            </div>
+                          )
+                        )}
+                      </div>
+                    )}
+                    <div className="pt-2 border-t border-gray-700 text-sm">
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Risk Per Trade</span>
+                        <span
+                          className={`font-semibold ${
+                            riskAnalysis.riskScaling.multiplier < 1
+                              ? "text-yellow-400"
+                              : ""
+                          }`}
+                        >
+                          {riskAnalysis.riskScaling.riskPerTrade}%
+                          {riskAnalysis.riskScaling.multiplier < 1 &&
+                            ` of ${riskAnalysis.riskScaling.baseRiskPerTrade}%`}
+                        </span>
+                      </div>
+                      {riskAnalysis.riskScaling.reductions.map((reduction) => (
+                        <p
+                          key={reduction.rule}
+                          className="text-xs text-yellow-400 mt-1"
+                        >
+                          {reduction.reason}
+                        </p>
+                      ))}
+                    </div>
+                    {riskAnalysis.alerts
+                      .filter((alert) => alert.type !== "info")
+                      .map((alert) => (
+                        <p
+                          key={alert.message}
+                          className={`text-xs ${
+                            alert.type === "error"
+                              ? "text-red-400"
+                              : "text-yellow-400"
+                          }`}
+                        >
+                          {alert.message}
+                        </p>
+                      ))}
+                  </>
+                )}
               </div>
             </div>
 
+            {/* Position Size Calculator */}
+            <div className="bg-gray-800 rounded-lg p-6">
+              <h3 className="text-lg font-semibold mb-4 flex items-center">
+                <Target size={20} className="mr-2 text-blue-400" />
+                Position Size
+              </h3>
+              <div className="grid grid-cols-2 gap-2 text-sm">
+                <select
+                  value={sizeCalculator.pair}
+                  onChange={(e) =>
+                    setSizeCalculator((prev) => ({
+                      ...prev,
+                      pair: e.target.value,
+                    }))
+                  }
+                  className="col-span-2 bg-gray-700 border border-gray-600 rounded px-2 py-1"
+                >
+                  {Object.keys(marketData).map((pair) => (
+                    <option key={pair} value={pair}>
+                      {pair}
+                    </option>
+                  ))}
+                </select>
+                {[
+                  [
+                    "entry",
+                    "Entry",
+                    (marketData[sizeCalculator.pair] || {}).price,
+                  ],
+                  ["stopLoss", "Stop Loss", ""],
+                  [
+                    "riskPerTrade",
+                    "Risk %",
+                    riskAnalysis
+                      ? riskAnalysis.riskScaling.riskPerTrade
+                      : accountSettings.riskPerTrade,
+                  ],
+                ].map(([field, label, placeholder]) => (
+                  <label key={field} className="text-xs text-gray-400">
+                    {label}
+                    <input
+                      type="number"
+                      step="any"
+                      value={sizeCalculator[field]}
+                      placeholder={placeholder}
+                      onChange={(e) =>
+                        setSizeCalculator((prev) => ({
+                          ...prev,
+                          [field]: e.target.value,
+                        }))
+                      }
+                      className="w-full mt-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+                    />
+                  </label>
+                ))}
+                <button
+                  onClick={calculatePositionSize}
+                  disabled={!sizeCalculator.stopLoss}
+                  className="self-end bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-1 rounded transition-colors"
+                >
+                  Calculate
+                </button>
+              </div>
+              {sizeResult && (
+                <div className="mt-4 pt-3 border-t border-gray-700 space-y-1 text-sm">
+                  {[
+                    ["Units", sizeResult.units.toLocaleString()],
+                    [
+                      "Lots",
+                      `${sizeResult.lots.standard} std / ${sizeResult.lots.mini} mini / ${sizeResult.lots.micro} micro`,
+                    ],
+                    [
+                      "Risk",
+                      `${sizeResult.riskAmount.toFixed(2)} ${sizeResult.accountCurrency} (${sizeResult.riskPercent}%)`,
+                    ],
+                    ["Stop", `${sizeResult.stopDistance} pips`],
+                    [
+                      "Pip Value",
+                      `${sizeResult.pipValue} ${sizeResult.accountCurrency} / lot`,
+                    ],
+                  ].map(([label, value]) => (
+                    <div key={label} className="flex justify-between">
+                      <span className="text-gray-400">{label}</span>
+                      <span className="font-semibold">{value}</span>
+                    </div>
+                  ))}
+                  {sizeResult.warnings.map((warning) => (
+                    <p key={warning} className="text-xs text-yellow-400">
+                      {warning}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+
             {/* News Events */}
             <div className="bg-gray-800 rounded-lg p-6">
               <h3 className="text-lg font-semibold mb-4 flex items-center">
@@ -524,7 +1400,15 @@ const ForexAssessmentApp = () => {
                       <h3 className="text-xl font-semibold text-blue-400">
                         {opp.pair}
                       </h3>
-                      <p className="text-gray-400">{opp.setup}</p>
+                      <p className="text-gray-400">
+                        {opp.setup}
+                        {opp.strategy && (
+                          <span className="text-xs text-gray-500">
+                            {" "}
+                            v{opp.strategy.version}
+                          </span>
+                        )}
+                      </p>
                     </div>
                     <div className="text-right">
                       <div
@@ -548,19 +1432,19 @@ const ForexAssessmentApp = () => {
                     <div className="bg-gray-700 p-3 rounded">
                       <p className="text-xs text-gray-400">Entry</p>
                       <p className="text-lg font-semibold text-blue-400">
-                        {formatPrice(opp.entry)}
+                        {formatPrice(opp.entry, opp.pair)}
                       </p>
                     </div>
                     <div className="bg-gray-700 p-3 rounded">
                       <p className="text-xs text-gray-400">Stop Loss</p>
                       <p className="text-lg font-semibold text-red-400">
-                        {formatPrice(opp.stopLoss)}
+                        {formatPrice(opp.stopLoss, opp.pair)}
                       </p>
                     </div>
                     <div className="bg-gray-700 p-3 rounded">
                       <p className="text-xs text-gray-400">Take Profit</p>
                       <p className="text-lg font-semibold text-green-400">
-                        {formatPrice(opp.takeProfit)}
+                        {formatPrice(opp.takeProfit, opp.pair)}
                       </p>
                     </div>
                     <div className="bg-gray-700 p-3 rounded">
@@ -577,6 +1461,27 @@ const ForexAssessmentApp = () => {
                     </div>
                   </div>
 
+                  {opp.suggestedSize && (
+                    <p className="mt-3 text-sm text-gray-400">
+                      Suggested size:{" "}
+                      <span className="text-white font-semibold">
+                        {opp.suggestedSize.units.toLocaleString()} units
+                      </span>{" "}
+                      risking ${opp.suggestedSize.riskAmount.toFixed(2)} (
+                      {opp.suggestedSize.riskPerTrade}%
+                      {opp.suggestedSize.riskMultiplier < 1 &&
+                        `, scaled x${opp.suggestedSize.riskMultiplier}`}
+                      )
+                    </p>
+                  )}
+                  {opp.suggestedSize &&
+                    opp.suggestedSize.correlation.flagged &&
+                    opp.suggestedSize.correlation.allowed && (
+                      <p className="mt-1 text-sm text-yellow-400">
+                        Correlated: {opp.suggestedSize.correlation.reason}
+                      </p>
+                    )}
+
                   <div className="mt-4 p-3 bg-gray-700 rounded">
                     <p className="text-sm">
                       <span className="text-gray-400">Analysis:</span>{" "}
@@ -584,6 +1489,705 @@ const ForexAssessmentApp = () => {
                         `${opp.setup} setup detected in ${opp.regime} market conditions with ${opp.confidence} confidence.`}
                     </p>
                   </div>
+
+                  {opp.scoreBreakdown && (
+                    <div className="mt-4 grid grid-cols-1 md:grid-cols-5 gap-2">
+                      {[
+                        ["vwapSlope", "VWAP Slope"],
+                        ["rsi", "RSI"],
+                        ["adx", "ADX"],
+                        ["spread", "Spread"],
+                        ["structure", "Structure"],
+                      ].map(([key, label]) => {
+                        const factor = opp.scoreBreakdown.factors[key];
+                        return (
+                          <div key={key} className="bg-gray-700 p-2 rounded">
+                            <div className="flex justify-between text-xs">
+                              <span className="text-gray-400">{label}</span>
+                              <span
+                                className={`font-semibold ${
+                                  factor.points > 0
+                                    ? "text-green-400"
+                                    : factor.points < 0
+                                    ? "text-red-400"
+                                    : "text-gray-400"
+                                }`}
+                              >
+                                {factor.points > 0 ? "+" : ""}
+                                {factor.points.toFixed(1)}
+                              </span>
+                            </div>
+                            <p className="text-xs text-gray-500 mt-1">
+                              {factor.detail}
+                            </p>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  {orderTicket && orderTicket.opportunityId === opp.id && (
+                    <div className="mt-4 bg-gray-700 rounded-lg p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                      <label className="flex flex-col">
+                        <span className="text-gray-400 mb-1">Order</span>
+                        <select
+                          value={orderTicket.type}
+                          onChange={(e) =>
+                            updateOrderTicket({ type: e.target.value })
+                          }
+                          className="bg-gray-800 rounded px-2 py-1"
+                        >
+                          <option value="market">Market</option>
+                          <option value="limit">Limit</option>
+                          <option value="stop">Stop</option>
+                        </select>
+                      </label>
+                      {orderTicket.type !== "market" && (
+                        <>
+                          <label className="flex flex-col">
+                            <span className="text-gray-400 mb-1">Price</span>
+                            <input
+                              type="number"
+                              step="0.00001"
+                              value={orderTicket.price}
+                              onChange={(e) =>
+                                updateOrderTicket({ price: e.target.value })
+                              }
+                              className="bg-gray-800 rounded px-2 py-1"
+                            />
+                          </label>
+                          <label className="flex flex-col">
+                            <span className="text-gray-400 mb-1">
+                              Expires (min)
+                            </span>
+                            <input
+                              type="number"
+                              min="1"
+                              value={orderTicket.expiresInMinutes}
+                              onChange={(e) =>
+                                updateOrderTicket({
+                                  expiresInMinutes: e.target.value,
+                                })
+                              }
+                              placeholder="Never"
+                              className="bg-gray-800 rounded px-2 py-1"
+                            />
+                          </label>
+                        </>
+                      )}
+                      <label className="flex flex-col">
+                        <span className="text-gray-400 mb-1">Trailing Stop</span>
+                        <div className="flex space-x-1">
+                          <select
+                            value={orderTicket.trailingType}
+                            onChange={(e) =>
+                              updateOrderTicket({ trailingType: e.target.value })
+                            }
+                            className="bg-gray-800 rounded px-2 py-1"
+                          >
+                            <option value="none">None</option>
+                            <option value="pips">Pips</option>
+                            <option value="atr">ATR</option>
+                          </select>
+                          {orderTicket.trailingType !== "none" && (
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.1"
+                              value={orderTicket.trailingDistance}
+                              onChange={(e) =>
+                                updateOrderTicket({
+                                  trailingDistance: e.target.value,
+                                })
+                              }
+                              className="bg-gray-800 rounded px-2 py-1 w-20"
+                            />
+                          )}
+                        </div>
+                      </label>
+                      <label className="flex flex-col">
+                        <span className="text-gray-400 mb-1">Breakeven at R</span>
+                        <input
+                          type="number"
+                          min="0.1"
+                          step="0.1"
+                          value={orderTicket.breakevenAtR}
+                          onChange={(e) =>
+                            updateOrderTicket({ breakevenAtR: e.target.value })
+                          }
+                          placeholder="Off"
+                          className="bg-gray-800 rounded px-2 py-1"
+                        />
+                      </label>
+                      <label className="flex flex-col">
+                        <span className="text-gray-400 mb-1">
+                          Partial TP (R / %)
+                        </span>
+                        <div className="flex space-x-1">
+                          <input
+                            type="number"
+                            min="0.1"
+                            step="0.1"
+                            value={orderTicket.partialAtR}
+                            onChange={(e) =>
+                              updateOrderTicket({ partialAtR: e.target.value })
+                            }
+                            placeholder="R"
+                            className="bg-gray-800 rounded px-2 py-1 w-16"
+                          />
+                          <input
+                            type="number"
+                            min="1"
+                            max="100"
+                            value={orderTicket.partialPercent}
+                            onChange={(e) =>
+                              updateOrderTicket({
+                                partialPercent: e.target.value,
+                              })
+                            }
+                            placeholder="%"
+                            className="bg-gray-800 rounded px-2 py-1 w-16"
+                          />
+                        </div>
+                      </label>
+                      <div className="flex items-end space-x-2">
+                        <button
+                          onClick={() => submitPaperTrade(opp)}
+                          className="bg-green-600 hover:bg-green-700 px-3 py-1 rounded transition-colors"
+                        >
+                          Submit
+                        </button>
+                        <button
+                          onClick={() => setOrderTicket(null)}
+                          className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  <div className="mt-4 flex justify-end items-center space-x-3">
+                    {tradeBlockReason(opp) && !tradedOpportunityIds.has(opp.id) && (
+                      <span className="text-sm text-yellow-400 flex items-center">
+                        <Shield size={14} className="mr-1" />
+                        {tradeBlockReason(opp)}
+                      </span>
+                    )}
+                    <button
+                      onClick={() => openOrderTicket(opp)}
+                      disabled={
+                        tradedOpportunityIds.has(opp.id) ||
+                        Boolean(tradeBlockReason(opp))
+                      }
+                      className={`px-4 py-2 rounded-lg transition-colors ${
+                        tradedOpportunityIds.has(opp.id) || tradeBlockReason(opp)
+                          ? "bg-gray-600 cursor-not-allowed"
+                          : "bg-green-600 hover:bg-green-700"
+                      }`}
+                    >
+                      {tradedOpportunityIds.has(opp.id)
+                        ? "Paper Traded"
+                        : "Paper Trade"}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Positions Tab */}
+      {activeTab === "positions" && (
+        <div className="space-y-6">
+          <h2 className="text-2xl font-bold">Paper Positions</h2>
+
+          {positions.account && (
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              {[
+                ["Balance", positions.account.balance],
+                ["Equity", positions.account.equity],
+                ["Realized P&L", positions.account.realizedPnL],
+                ["Unrealized P&L", positions.account.unrealizedPnL],
+                ["Used Margin", positions.account.usedMargin],
+                ["Free Margin", positions.account.freeMargin],
+              ].map(([label, value]) => (
+                <div key={label} className="bg-gray-800 rounded-lg p-4">
+                  <p className="text-sm text-gray-400">{label}</p>
+                  <p className="text-xl font-semibold">${value.toFixed(2)}</p>
+                </div>
+              ))}
+              <div className="bg-gray-800 rounded-lg p-4">
+                <p className="text-sm text-gray-400">Margin Level</p>
+                <p
+                  className={`text-xl font-semibold ${
+                    positions.account.marginLevel !== null &&
+                    positions.account.marginLevel <=
+                      accountSettings.margin.marginCallLevel
+                      ? "text-red-400"
+                      : ""
+                  }`}
+                >
+                  {positions.account.marginLevel === null
+                    ? "-"
+                    : `${positions.account.marginLevel.toFixed(1)}%`}
+                </p>
+              </div>
+              <div className="bg-gray-800 rounded-lg p-4">
+                <p className="text-sm text-gray-400">Leverage</p>
+                <p className="text-xl font-semibold">
+                  {positions.account.leverage}:1
+                </p>
+              </div>
+            </div>
+          )}
+
+          <div className="bg-gray-800 rounded-lg p-6">
+            <h3 className="text-lg font-semibold mb-4">Pending Orders</h3>
+            {positions.orders.length === 0 ? (
+              <p className="text-gray-400">No pending orders.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-2">Pair</th>
+                    <th>Side</th>
+                    <th>Type</th>
+                    <th>Price</th>
+                    <th>Stop</th>
+                    <th>Target</th>
+                    <th>Expires</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {positions.orders.map((order) => (
+                    <tr key={order.id} className="border-t border-gray-700">
+                      <td className="py-2">{order.pair}</td>
+                      <td className="capitalize">{order.direction}</td>
+                      <td className="capitalize">{order.type}</td>
+                      <td>{formatPrice(order.price, order.pair)}</td>
+                      <td className="text-red-400">
+                        {formatPrice(order.stopLoss, order.pair)}
+                      </td>
+                      <td className="text-green-400">
+                        {formatPrice(order.takeProfit, order.pair)}
+                      </td>
+                      <td>
+                        {order.expiresAt ? formatTime(order.expiresAt) : "Never"}
+                      </td>
+                      <td className="text-right">
+                        <button
+                          onClick={() => cancelPaperOrder(order.id)}
+                          className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="bg-gray-800 rounded-lg p-6">
+            <h3 className="text-lg font-semibold mb-4">Open Positions</h3>
+            {positions.open.length === 0 ? (
+              <p className="text-gray-400">No open positions.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-2">Pair</th>
+                    <th>Side</th>
+                    <th>Units</th>
+                    <th>Entry</th>
+                    <th>Current</th>
+                    <th>Stop</th>
+                    <th>Target</th>
+                    <th>Pips</th>
+                    <th>P&L</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {positions.open.map((position) => (
+                    <React.Fragment key={position.id}>
+                      <tr className="border-t border-gray-700">
+                        <td className="py-2">
+                          {position.pair}
+                          {position.correlationWarning && (
+                            <span
+                              title={position.correlationWarning}
+                              className="ml-1 text-yellow-400"
+                            >
+                              <AlertTriangle size={12} className="inline" />
+                            </span>
+                          )}
+                        </td>
+                        <td className="capitalize">{position.direction}</td>
+                        <td>{position.units.toLocaleString()}</td>
+                        <td>{formatPrice(position.entry, position.pair)}</td>
+                        <td>{formatPrice(position.currentPrice, position.pair)}</td>
+                        <td className="text-red-400">
+                          {formatPrice(position.stopLoss, position.pair)}
+                        </td>
+                        <td className="text-green-400">
+                          {formatPrice(position.takeProfit, position.pair)}
+                        </td>
+                        <td>{position.unrealizedPips.toFixed(1)}</td>
+                        <td
+                          className={
+                            position.unrealizedPnL >= 0
+                              ? "text-green-400"
+                              : "text-red-400"
+                          }
+                        >
+                          {position.unrealizedPnL.toFixed(2)}
+                        </td>
+                        <td className="text-right space-x-2">
+                          <button
+                            onClick={() => toggleEvents(position.id)}
+                            className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded transition-colors"
+                          >
+                            History
+                          </button>
+                          <button
+                            onClick={() => closePaperPosition(position.id)}
+                            className="bg-red-600 hover:bg-red-700 px-3 py-1 rounded transition-colors"
+                          >
+                            Close
+                          </button>
+                        </td>
+                      </tr>
+                      {expandedPositionId === position.id &&
+                        renderEvents(position, 10)}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="bg-gray-800 rounded-lg p-6">
+            <h3 className="text-lg font-semibold mb-4">Closed Positions</h3>
+            {positions.closed.length === 0 ? (
+              <p className="text-gray-400">No closed positions yet.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-left">
+                    <th className="py-2">Closed</th>
+                    <th>Pair</th>
+                    <th>Side</th>
+                    <th>Entry</th>
+                    <th>Exit</th>
+                    <th>Reason</th>
+                    <th>Pips</th>
+                    <th>R</th>
+                    <th>P&L</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {positions.closed.map((position) => (
+                    <React.Fragment key={position.id}>
+                      <tr className="border-t border-gray-700">
+                        <td className="py-2">{formatTime(position.closedAt)}</td>
+                        <td>{position.pair}</td>
+                        <td className="capitalize">{position.direction}</td>
+                        <td>{formatPrice(position.entry, position.pair)}</td>
+                        <td>{formatPrice(position.exit, position.pair)}</td>
+                        <td>{position.closeReason}</td>
+                        <td>{position.pips.toFixed(1)}</td>
+                        <td>{position.rMultiple.toFixed(2)}</td>
+                        <td
+                          className={
+                            position.realizedPnL >= 0
+                              ? "text-green-400"
+                              : "text-red-400"
+                          }
+                        >
+                          {position.realizedPnL.toFixed(2)}
+                        </td>
+                        <td className="text-right">
+                          <button
+                            onClick={() => toggleEvents(position.id)}
+                            className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded transition-colors"
+                          >
+                            History
+                          </button>
+                        </td>
+                      </tr>
+                      {expandedPositionId === position.id &&
+                        renderEvents(position, 10)}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Journal Tab */}
+      {activeTab === "journal" && (
+        <div className="space-y-6">
+          <div className="flex justify-between items-center">
+            <h2 className="text-2xl font-bold">Trade Journal</h2>
+            <div className="flex space-x-2">
+              <select
+                value={journalFilters.pair}
+                onChange={(e) =>
+                  setJournalFilters((prev) => ({
+                    ...prev,
+                    pair: e.target.value,
+                  }))
+                }
+                className="bg-gray-700 rounded px-3 py-1"
+              >
+                <option value="">All pairs</option>
+                {Object.keys(marketData).map((pair) => (
+                  <option key={pair} value={pair}>
+                    {pair}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={journalFilters.status}
+                onChange={(e) =>
+                  setJournalFilters((prev) => ({
+                    ...prev,
+                    status: e.target.value,
+                  }))
+                }
+                className="bg-gray-700 rounded px-3 py-1"
+              >
+                <option value="">All statuses</option>
+                {["open", "closed", "pending", "cancelled", "expired"].map(
+                  (status) => (
+                    <option key={status} value={status}>
+                      {status}
+                    </option>
+                  )
+                )}
+              </select>
+              <select
+                value={journalFilters.tag}
+                onChange={(e) =>
+                  setJournalFilters((prev) => ({
+                    ...prev,
+                    tag: e.target.value,
+                  }))
+                }
+                className="bg-gray-700 rounded px-3 py-1"
+              >
+                <option value="">All tags</option>
+                {journal.tags.map((tag) => (
+                  <option key={tag} value={tag}>
+                    {tag}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {journal.entries.length === 0 ? (
+            <div className="bg-gray-800 rounded-lg p-6 text-gray-400">
+              No journal entries match these filters.
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {journal.entries.map((entry) => (
+                <div key={entry.id} className="bg-gray-800 rounded-lg p-6">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="text-lg font-semibold">
+                        {entry.pair}{" "}
+                        <span className="capitalize text-gray-400">
+                          {entry.direction}
+                        </span>
+                      </h3>
+                      <p className="text-sm text-gray-400">
+                        {entry.setup || "Manual entry"}
+                        {entry.strategy && ` v${entry.strategy.version}`} ·{" "}
+                        {new Date(
+                          entry.openedAt || entry.createdAt
+                        ).toLocaleString()}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <span className="capitalize text-sm bg-gray-700 px-2 py-1 rounded">
+                        {entry.status}
+                        {entry.exitReason && entry.status === "closed"
+                          ? ` · ${entry.exitReason}`
+                          : ""}
+                      </span>
+                      {typeof entry.realizedPnL === "number" && (
+                        <p
+                          className={`text-xl font-bold mt-2 ${
+                            entry.realizedPnL >= 0
+                              ? "text-green-400"
+                              : "text-red-400"
+                          }`}
+                        >
+                          {entry.realizedPnL >= 0 ? "+" : ""}
+                          {entry.realizedPnL.toFixed(2)}
+                          {typeof entry.rMultiple === "number" &&
+                            ` (${entry.rMultiple.toFixed(2)}R)`}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-4 text-sm">
+                    <div>
+                      <p className="text-gray-400">Entry</p>
+                      <p>{formatPrice(entry.entry, entry.pair)}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Stop</p>
+                      <p className="text-red-400">
+                        {formatPrice(entry.stopLoss, entry.pair)}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Target</p>
+                      <p className="text-green-400">
+                        {formatPrice(entry.takeProfit, entry.pair)}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Exit</p>
+                      <p>{entry.exit ? formatPrice(entry.exit, entry.pair) : "-"}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Score at Entry</p>
+                      <p>
+                        {entry.scoreBreakdown
+                          ? entry.scoreBreakdown.total.toFixed(1)
+                          : "-"}
+                      </p>
+                    </div>
+                  </div>
+
+                  {entry.fills.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-3">
+                      Fills:{" "}
+                      {entry.fills
+                        .map(
+                          (fill) =>
+                            `${fill.type} ${fill.units} @ ${formatPrice(
+                              fill.price,
+                              entry.pair
+                            )}`
+                        )
+                        .join(" · ")}
+                    </p>
+                  )}
+
+                  {journalDraft && journalDraft.id === entry.id ? (
+                    <div className="mt-4 space-y-3">
+                      <textarea
+                        value={journalDraft.notes}
+                        onChange={(e) =>
+                          setJournalDraft((prev) => ({
+                            ...prev,
+                            notes: e.target.value,
+                          }))
+                        }
+                        rows={3}
+                        placeholder="Notes"
+                        className="w-full bg-gray-700 rounded px-3 py-2 text-sm"
+                      />
+                      <div className="flex space-x-2">
+                        <input
+                          type="text"
+                          value={journalDraft.tags}
+                          onChange={(e) =>
+                            setJournalDraft((prev) => ({
+                              ...prev,
+                              tags: e.target.value,
+                            }))
+                          }
+                          placeholder="Tags, comma separated"
+                          className="flex-1 bg-gray-700 rounded px-3 py-1 text-sm"
+                        />
+                        <select
+                          value={journalDraft.disciplineGrade}
+                          onChange={(e) =>
+                            setJournalDraft((prev) => ({
+                              ...prev,
+                              disciplineGrade: e.target.value,
+                            }))
+                          }
+                          className="bg-gray-700 rounded px-3 py-1 text-sm"
+                        >
+                          <option value="">Discipline grade</option>
+                          {[1, 2, 3, 4, 5].map((grade) => (
+                            <option key={grade} value={grade}>
+                              {grade}/5
+                            </option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={saveJournalEntry}
+                          className="bg-blue-600 hover:bg-blue-700 px-3 py-1 rounded transition-colors"
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setJournalDraft(null)}
+                          className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded transition-colors"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="mt-4 flex justify-between items-end">
+                      <div className="text-sm">
+                        {entry.notes && (
+                          <p className="text-gray-300 whitespace-pre-line">
+                            {entry.notes}
+                          </p>
+                        )}
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {entry.tags.map((tag) => (
+                            <span
+                              key={tag}
+                              className="bg-blue-900 text-blue-300 px-2 py-0.5 rounded text-xs"
+                            >
+                              {tag}
+                            </span>
+                          ))}
+                          {entry.disciplineGrade && (
+                            <span className="bg-gray-700 px-2 py-0.5 rounded text-xs">
+                              Discipline {entry.disciplineGrade}/5
+                            </span>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => editJournalEntry(entry)}
+                          className="bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded transition-colors"
+                        >
+                          Annotate
+                        </button>
+                        {entry.source === 'manual' && (
+                          <button
+                            onClick={() => deleteJournalEntry(entry.id)}
+                            className="bg-red-600 hover:bg-red-700 px-3 py-1 rounded transition-colors"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -599,24 +2203,51 @@ const ForexAssessmentApp = () => {
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* Price Chart */}
             <div className="bg-gray-800 rounded-lg p-6">
-              <h3 className="text-lg font-semibold mb-4">
-                EUR/USD Price Movement
-              </h3>
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">
+                  {analysisPair} Price Movement
+                </h3>
+                <div className="flex space-x-2">
+                  <select
+                    value={analysisPair}
+                    onChange={(e) => setAnalysisPair(e.target.value)}
+                    className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+                  >
+                    {Object.keys(marketData).map((pair) => (
+                      <option key={pair} value={pair}>
+                        {pair}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={analysisTimeframe}
+                    onChange={(e) => setAnalysisTimeframe(e.target.value)}
+                    className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+                  >
+                    {["1m", "5m", "15m", "1h", "4h", "1D"].map((timeframe) => (
+                      <option key={timeframe} value={timeframe}>
+                        {timeframe}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               <ResponsiveContainer width="100%" height={300}>
                 <LineChart
-                  data={[
-                    { time: "09:00", price: 1.084 },
-                    { time: "10:00", price: 1.0845 },
-                    { time: "11:00", price: 1.085 },
-                    { time: "12:00", price: 1.0855 },
-                    { time: "13:00", price: 1.0852 },
-                    { time: "14:00", price: 1.0855 },
-                  ]}
+                  data={indicatorSeries.map((row) => ({
+                    time: formatTime(row.timestamp),
+                    price: row.close,
+                    vwap: row.vwap,
+                  }))}
                 >
                   <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                   <XAxis dataKey="time" stroke="#9CA3AF" />
                   <YAxis
-                    domain={["dataMin - 0.001", "dataMax + 0.001"]}
+                    domain={[
+                      (dataMin) => dataMin - 10 * analysisPipSize,
+                      (dataMax) => dataMax + 10 * analysisPipSize,
+                    ]}
+                    tickFormatter={(value) => formatPrice(value, analysisPair)}
                     stroke="#9CA3AF"
                   />
                   <Tooltip
@@ -626,13 +2257,51 @@ const ForexAssessmentApp = () => {
                       borderRadius: "8px",
                     }}
                     labelStyle={{ color: "#9CA3AF" }}
+                    formatter={(value) => formatPrice(value, analysisPair)}
                   />
                   <Line
                     type="monotone"
                     dataKey="price"
                     stroke="#60A5FA"
                     strokeWidth={2}
-                    dot={{ fill: "#60A5FA" }}
+                    dot={false}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="vwap"
+                    stroke="#FBBF24"
+                    strokeWidth={1}
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+              <ResponsiveContainer width="100%" height={120}>
+                <LineChart
+                  data={indicatorSeries.map((row) => ({
+                    time: formatTime(row.timestamp),
+                    rsi: row.rsi,
+                  }))}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="time" hide />
+                  <YAxis domain={[0, 100]} ticks={[30, 70]} stroke="#9CA3AF" />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: "#1F2937",
+                      border: "none",
+                      borderRadius: "8px",
+                    }}
+                    labelStyle={{ color: "#9CA3AF" }}
+                    formatter={(value) =>
+                      typeof value === "number" ? value.toFixed(1) : "N/A"
+                    }
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="rsi"
+                    stroke="#A78BFA"
+                    strokeWidth={1}
+                    dot={false}
                   />
                 </LineChart>
               </ResponsiveContainer>
@@ -656,6 +2325,24 @@ const ForexAssessmentApp = () => {
                       : "Disconnected"}
                   </span>
                 </div>
+                <div className="flex justify-between items-center">
+                  <span>Data Provider</span>
+                  <span
+                    className={`px-2 py-1 rounded text-sm ${
+                      dataProviderStatus && dataProviderStatus.connected
+                        ? "bg-green-600"
+                        : "bg-red-600"
+                    }`}
+                  >
+                    {dataProviderStatus
+                      ? `${dataProviderStatus.provider} (${
+                          dataProviderStatus.connected
+                            ? "connected"
+                            : "disconnected"
+                        })`
+                      : "Unknown"}
+                  </span>
+                </div>
                 <div className="flex justify-between items-center">
                   <span>Server Port</span>
                   <span className="font-mono text-blue-400">5001</span>
@@ -663,19 +2350,254 @@ const ForexAssessmentApp = () => {
                 <div className="flex justify-between items-center">
                   <span>WebSocket URL</span>
                   <span className="font-mono text-sm text-blue-400">
-                    {process.env.REACT_APP_WS_URL || "http://localhost:5001"}
+                    {API_BASE_URL}
                   </span>
                 </div>
                 <div className="flex justify-between items-center">
                   <span>API URL</span>
                   <span className="font-mono text-sm text-blue-400">
-                    {process.env.REACT_APP_API_URL ||
-                      "http://localhost:5001/api"}
+                    {`${API_BASE_URL}/api`}
                   </span>
                 </div>
               </div>
             </div>
           </div>
+
+          {/* Spread History */}
+          {spreadProfile && spreadProfile.pair === analysisPair && (
+            <div className="bg-gray-800 rounded-lg p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">
+                  {analysisPair} Spread
+                </h3>
+                <span
+                  className={`text-sm ${
+                    spreadProfile.anomaly ? "text-red-400" : "text-gray-400"
+                  }`}
+                >
+                  {spreadProfile.anomaly
+                    ? `Abnormal since ${formatTime(
+                        spreadProfile.anomaly.startedAt
+                      )}, peak ${spreadProfile.anomaly.peak} pips`
+                    : `Usual at ${spreadProfile.baseline.hour}:00 UTC: ${
+                        spreadProfile.baseline.mean
+                      } pips (${spreadProfile.baseline.source})`}
+                </span>
+              </div>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <ResponsiveContainer width="100%" height={200}>
+                  <LineChart
+                    data={spreadProfile.history.map((point) => ({
+                      time: formatTime(point.timestamp),
+                      spread: point.spread,
+                      max: point.max,
+                      baseline: point.baseline,
+                    }))}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis dataKey="time" stroke="#9CA3AF" />
+                    <YAxis stroke="#9CA3AF" />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: "#1F2937",
+                        border: "none",
+                        borderRadius: "8px",
+                      }}
+                      labelStyle={{ color: "#9CA3AF" }}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="spread"
+                      stroke="#60A5FA"
+                      strokeWidth={2}
+                      dot={false}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="max"
+                      stroke="#F87171"
+                      strokeWidth={1}
+                      dot={false}
+                    />
+                    <Line
+                      type="stepAfter"
+                      dataKey="baseline"
+                      stroke="#9CA3AF"
+                      strokeDasharray="4 4"
+                      dot={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+                <ResponsiveContainer width="100%" height={200}>
+                  <BarChart
+                    data={spreadProfile.profile.map((hour) => ({
+                      hour: `${hour.hour}:00`,
+                      usual: hour.mean,
+                      sessions: hour.sessions.join(", ") || "closed",
+                    }))}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis dataKey="hour" stroke="#9CA3AF" />
+                    <YAxis stroke="#9CA3AF" />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: "#1F2937",
+                        border: "none",
+                        borderRadius: "8px",
+                      }}
+                      labelStyle={{ color: "#9CA3AF" }}
+                      formatter={(value, name, item) => [
+                        typeof value === "number" ? `${value} pips` : "N/A",
+                        item.payload.sessions,
+                      ]}
+                    />
+                    <Bar dataKey="usual" fill="#34D399" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Left: average (blue) and widest (red) spread per minute
+                against the usual spread. Right: usual spread by UTC hour,
+                learned from live ticks.
+              </p>
+            </div>
+          )}
+
+          {/* Regime Timeline */}
+          {regimeTimeline &&
+            regimeTimeline.pair === analysisPair &&
+            regimeTimeline.history.length > 0 && (
+              <div className="bg-gray-800 rounded-lg p-6">
+                <h3 className="text-lg font-semibold mb-4">
+                  {analysisPair} Regime Timeline
+                </h3>
+                <div className="flex h-6 rounded overflow-hidden">
+                  {regimeSegments(regimeTimeline.history).map((period) => (
+                    <div
+                      key={period.from}
+                      title={`${period.regime} from ${formatTime(period.from)}`}
+                      style={{ width: `${period.share.toFixed(2)}%` }}
+                      className={
+                        period.regime === "trending"
+                          ? "bg-green-600"
+                          : period.regime === "ranging"
+                          ? "bg-yellow-600"
+                          : "bg-red-600"
+                      }
+                    />
+                  ))}
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>{formatTime(regimeTimeline.history[0].from)}</span>
+                  <span>now</span>
+                </div>
+                <table className="w-full text-sm mt-4">
+                  <thead>
+                    <tr className="text-left text-gray-400">
+                      <th className="pb-2">Regime</th>
+                      <th className="pb-2">From</th>
+                      <th className="pb-2">To</th>
+                      <th className="pb-2">ADX</th>
+                      <th className="pb-2">Slope (ATR)</th>
+                      <th className="pb-2">ATR Percentile</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...regimeTimeline.history]
+                      .reverse()
+                      .slice(0, 10)
+                      .map((period) => (
+                        <tr
+                          key={period.from}
+                          className="border-t border-gray-700"
+                        >
+                          <td className="py-2 capitalize">{period.regime}</td>
+                          <td>{formatTime(period.from)}</td>
+                          <td>{period.to ? formatTime(period.to) : "now"}</td>
+                          <td>{period.metrics.adx}</td>
+                          <td>{period.metrics.slope}</td>
+                          <td>
+                            {period.metrics.atrPercentile === null
+                              ? "-"
+                              : `${period.metrics.atrPercentile}%`}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+          {/* Correlation Heatmap */}
+          {correlations && (
+            <div className="bg-gray-800 rounded-lg p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">
+                  Return Correlations ({correlations.timeframe})
+                </h3>
+                <select
+                  value={correlationWindow || correlations.primaryWindow}
+                  onChange={(e) => setCorrelationWindow(Number(e.target.value))}
+                  className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-sm text-white"
+                >
+                  {correlations.windows.map((window) => (
+                    <option key={window} value={window}>
+                      {window} candles
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <table className="text-sm">
+                <thead>
+                  <tr>
+                    <th></th>
+                    {correlations.pairs.map((pair) => (
+                      <th key={pair} className="px-3 py-2 text-gray-400">
+                        {pair}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {correlations.pairs.map((rowPair) => (
+                    <tr key={rowPair}>
+                      <th className="px-3 py-2 text-left text-gray-400">
+                        {rowPair}
+                      </th>
+                      {correlations.pairs.map((columnPair) => {
+                        const value =
+                          correlations.matrix[
+                            correlationWindow || correlations.primaryWindow
+                          ][rowPair][columnPair];
+                        return (
+                          <td
+                            key={columnPair}
+                            title={`${correlations.samples[rowPair][columnPair]} returns available`}
+                            className="px-3 py-2 text-center font-mono"
+                            style={{
+                              backgroundColor:
+                                value === null
+                                  ? "rgb(55, 65, 81)"
+                                  : value >= 0
+                                  ? `rgba(34, 197, 94, ${Math.abs(value)})`
+                                  : `rgba(239, 68, 68, ${Math.abs(value)})`,
+                            }}
+                          >
+                            {value === null ? "-" : value.toFixed(2)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-400 mt-2">
+                Pearson correlation of log returns over the last{" "}
+                {correlationWindow || correlations.primaryWindow} closed
+                candles; "-" until enough candles have closed.
+              </p>
+            </div>
+          )}
         </div>
       )}
 
@@ -755,6 +2677,102 @@ const ForexAssessmentApp = () => {
                     className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-1">
+                    Account Currency
+                  </label>
+                  <select
+                    value={accountSettings.accountCurrency}
+                    onChange={(e) =>
+                      setAccountSettings((prev) => ({
+                        ...prev,
+                        accountCurrency: e.target.value,
+                      }))
+                    }
+                    className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                  >
+                    {["USD", "EUR", "GBP", "JPY", "AUD", "CAD", "CHF"].map(
+                      (currency) => (
+                        <option key={currency} value={currency}>
+                          {currency}
+                        </option>
+                      )
+                    )}
+                  </select>
+                </div>
+                <div className="grid grid-cols-3 gap-4">
+                  {[
+                    ["leverage", "Leverage (x:1)"],
+                    ["marginCallLevel", "Margin Call %"],
+                    ["stopOutLevel", "Stop-Out %"],
+                  ].map(([field, label]) => (
+                    <div key={field}>
+                      <label className="block text-sm font-medium text-gray-400 mb-1">
+                        {label}
+                      </label>
+                      <input
+                        type="number"
+                        value={accountSettings.margin[field]}
+                        onChange={(e) =>
+                          setAccountSettings((prev) => ({
+                            ...prev,
+                            margin: {
+                              ...prev.margin,
+                              [field]: Number(e.target.value),
+                            },
+                          }))
+                        }
+                        className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-1">
+                      Trading Day Rollover
+                    </label>
+                    <input
+                      type="time"
+                      value={accountSettings.tradingDay.rolloverTime}
+                      onChange={(e) =>
+                        setAccountSettings((prev) => ({
+                          ...prev,
+                          tradingDay: {
+                            ...prev.tradingDay,
+                            rolloverTime: e.target.value,
+                          },
+                        }))
+                      }
+                      className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-1">
+                      Time Zone
+                    </label>
+                    <input
+                      type="text"
+                      value={accountSettings.tradingDay.timeZone}
+                      onChange={(e) =>
+                        setAccountSettings((prev) => ({
+                          ...prev,
+                          tradingDay: {
+                            ...prev.tradingDay,
+                            timeZone: e.target.value,
+                          },
+                        }))
+                      }
+                      className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                    />
+                  </div>
+                </div>
+                <button
+                  onClick={saveAccountSettings}
+                  className="w-full bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg transition-colors"
+                >
+                  Save Account Settings
+                </button>
               </div>
             </div>
 
@@ -770,9 +2788,7 @@ const ForexAssessmentApp = () => {
                   </label>
                   <input
                     type="text"
-                    value={
-                      process.env.REACT_APP_WS_URL || "http://localhost:5001"
-                    }
+                    value={API_BASE_URL}
                     readOnly
                     className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white opacity-50"
                   />
@@ -786,14 +2802,63 @@ const ForexAssessmentApp = () => {
                   </label>
                   <input
                     type="text"
-                    value={
-                      process.env.REACT_APP_API_URL ||
-                      "http://localhost:5001/api"
-                    }
+                    value={`${API_BASE_URL}/api`}
                     readOnly
                     className="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white opacity-50"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-1">
+                    Data Provider
+                  </label>
+                  <div className="flex space-x-2">
+                    <select
+                      value={dataProvider.provider}
+                      onChange={(e) =>
+                        setDataProvider((prev) => ({
+                          ...prev,
+                          provider: e.target.value,
+                        }))
+                      }
+                      className="flex-1 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                    >
+                      <option value="simulated">Simulated</option>
+                      <option value="file">File Replay (CSV/NDJSON)</option>
+                    </select>
+                    <button
+                      onClick={applyDataProvider}
+                      className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg transition-colors"
+                    >
+                      Apply
+                    </button>
+                  </div>
+                  {dataProvider.provider === "file" && (
+                    <input
+                      type="text"
+                      placeholder="Replay file name, e.g. eurusd-ticks.csv"
+                      value={dataProvider.file}
+                      onChange={(e) =>
+                        setDataProvider((prev) => ({
+                          ...prev,
+                          file: e.target.value,
+                        }))
+                      }
+                      className="w-full mt-2 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                    />
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Status:{" "}
+                    {dataProviderStatus
+                      ? dataProviderStatus.connected
+                        ? `connected to ${dataProviderStatus.provider}`
+                        : `disconnected${
+                            dataProviderStatus.error
+                              ? ` (${dataProviderStatus.error})`
+                              : ""
+                          }`
+                      : "unknown"}
+                  </p>
+                </div>
                 <div className="mt-4 flex space-x-4">
                   <button
                     onClick={testApiConnection}
@@ -810,6 +2875,146 @@ const ForexAssessmentApp = () => {
                 </div>
               </div>
             </div>
+
+            {/* Instruments */}
+            <div className="bg-gray-800 rounded-lg p-6 lg:col-span-2">
+              <h3 className="text-lg font-semibold mb-4">Instruments</h3>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-400">
+                      <th className="pb-2">Pair</th>
+                      <th className="pb-2">Pip</th>
+                      <th className="pb-2">Digits</th>
+                      <th className="pb-2">Typical Spread</th>
+                      <th className="pb-2">Contract</th>
+                      <th className="pb-2">Sessions</th>
+                      <th className="pb-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {instruments
+                      .filter((instrument) => instrument.watched)
+                      .map((instrument) => (
+                        <tr
+                          key={instrument.symbol}
+                          className="border-t border-gray-700"
+                        >
+                          <td className="py-2 font-medium">
+                            {instrument.symbol}
+                          </td>
+                          <td>{instrument.pipSize}</td>
+                          <td>{instrument.digits}</td>
+                          <td>{instrument.typicalSpread} pips</td>
+                          <td>{instrument.contractSize.toLocaleString()}</td>
+                          <td>
+                            {instrument.sessions.map((session) => (
+                              <span
+                                key={session}
+                                className={`mr-2 ${
+                                  instrument.openSessions.includes(session)
+                                    ? "text-green-400"
+                                    : "text-gray-500"
+                                }`}
+                              >
+                                {session}
+                              </span>
+                            ))}
+                          </td>
+                          <td className="text-right">
+                            <button
+                              onClick={() =>
+                                unwatchInstrument(instrument.symbol)
+                              }
+                              className="text-red-400 hover:text-red-300"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="flex space-x-2 mt-4">
+                <select
+                  value={newInstrument}
+                  onChange={(e) => setNewInstrument(e.target.value)}
+                  className="flex-1 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white"
+                >
+                  <option value="">Add a pair...</option>
+                  {instruments
+                    .filter((instrument) => !instrument.watched)
+                    .map((instrument) => (
+                      <option key={instrument.symbol} value={instrument.symbol}>
+                        {instrument.symbol}
+                      </option>
+                    ))}
+                </select>
+                <button
+                  onClick={() => watchInstrument(newInstrument)}
+                  disabled={!newInstrument}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-4 py-2 rounded-lg transition-colors"
+                >
+                  Add
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Sessions open now are shown in green. Pairs with open
+                positions or pending orders cannot be removed.
+              </p>
+            </div>
+
+            {/* Strategies */}
+            <div className="bg-gray-800 rounded-lg p-6 lg:col-span-2">
+              <h3 className="text-lg font-semibold mb-4">Strategies</h3>
+              <div className="space-y-4">
+                {strategies.map((strategy) => (
+                  <div
+                    key={strategy.id}
+                    className="flex items-center justify-between border-b border-gray-700 pb-4"
+                  >
+                    <div>
+                      <p className="font-medium">
+                        {strategy.name}{" "}
+                        <span className="text-xs text-gray-500">
+                          v{strategy.version}
+                        </span>
+                      </p>
+                      <p className="text-sm text-gray-400">
+                        {strategy.description}
+                      </p>
+                    </div>
+                    <div className="flex space-x-4">
+                      {Object.entries(strategy.enabled).map(
+                        ([pair, enabled]) => (
+                          <label
+                            key={pair}
+                            className="flex items-center space-x-2 text-sm"
+                          >
+                            <input
+                              type="checkbox"
+                              checked={enabled}
+                              onChange={(e) =>
+                                toggleStrategy(
+                                  strategy.id,
+                                  pair,
+                                  e.target.checked
+                                )
+                              }
+                            />
+                            <span>{pair}</span>
+                          </label>
+                        )
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {strategies.length === 0 && (
+                  <p className="text-sm text-gray-400">No strategies loaded</p>
+                )}
+              </div>
+            </div>
           </div>
         </div>
       )}
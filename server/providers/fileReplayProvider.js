@@ -0,0 +1,49 @@
+const fs = require("fs").promises;
+const path = require("path");
+const ReplayProvider = require("./replayProvider");
+const { DATA_DIR } = require("../utils/paths");
+const { parseRecords } = require("../utils/recordFiles");
+
+// Directory that replay files are resolved against
+const REPLAY_DATA_DIR =
+  process.env.REPLAY_DATA_DIR || path.join(DATA_DIR, "replay");
+
+// Replays ticks recorded in a CSV (header row required) or NDJSON file.
+// Each record needs timestamp, pair and either bid/ask or price.
+class FileReplayProvider extends ReplayProvider {
+  constructor(options = {}) {
+    super(options, "file");
+  }
+
+  resolveFile() {
+    const { file } = this.options;
+    if (!file) {
+      throw new Error("A replay file is required");
+    }
+
+    const resolved = path.resolve(REPLAY_DATA_DIR, file);
+    if (!resolved.startsWith(path.resolve(REPLAY_DATA_DIR) + path.sep)) {
+      throw new Error("Replay file must be inside the replay data directory");
+    }
+
+    return resolved;
+  }
+
+  async loadTicks() {
+    const file = this.resolveFile();
+    const content = await fs.readFile(file, "utf8");
+
+    return parseRecords(content, file, this.options.format);
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      file: this.options.file || null,
+    };
+  }
+}
+
+FileReplayProvider.REPLAY_DATA_DIR = REPLAY_DATA_DIR;
+
+module.exports = FileReplayProvider;
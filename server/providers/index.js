@@ -0,0 +1,25 @@
+const SimulatedProvider = require("./simulatedProvider");
+const ReplayProvider = require("./replayProvider");
+const FileReplayProvider = require("./fileReplayProvider");
+
+// Provider name (as used in settings) -> implementation
+const PROVIDERS = {
+  simulated: SimulatedProvider,
+  replay: ReplayProvider,
+  file: FileReplayProvider,
+};
+
+const listProviders = () => Object.keys(PROVIDERS);
+
+const createProvider = (name, options = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown data provider: ${name}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  listProviders,
+  createProvider,
+};
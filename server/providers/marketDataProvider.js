@@ -0,0 +1,87 @@
+const EventEmitter = require("events");
+
+// Base class for market data providers.
+//
+// Providers emit:
+//   "tick"   - { pair, bid, ask, price, spread, volume, timestamp }
+//   "status" - the object returned by getStatus()
+//   "error"  - an Error raised by the underlying feed
+//
+// Subclasses implement onConnect/onDisconnect and may override
+// getCandleHistory when the feed can supply past candles.
+class MarketDataProvider extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = options;
+    this.connected = false;
+    this.subscriptions = new Set();
+    this.lastTickAt = null;
+    this.lastError = null;
+  }
+
+  async connect() {
+    if (this.connected) return;
+
+    try {
+      await this.onConnect();
+      this.connected = true;
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    } finally {
+      this.emit("status", this.getStatus());
+    }
+  }
+
+  async disconnect() {
+    if (!this.connected) return;
+
+    await this.onDisconnect();
+    this.connected = false;
+    this.emit("status", this.getStatus());
+  }
+
+  subscribe(pairs) {
+    pairs.forEach((pair) => this.subscriptions.add(pair));
+  }
+
+  unsubscribe(pairs) {
+    pairs.forEach((pair) => this.subscriptions.delete(pair));
+  }
+
+  isSubscribed(pair) {
+    return this.subscriptions.has(pair);
+  }
+
+  // Returns OHLCV candles ({ timestamp, open, high, low, close, volume }),
+  // oldest first. Providers without history return an empty list.
+  async getCandleHistory(pair, timeframe, limit) {
+    return [];
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      connected: this.connected,
+      subscriptions: Array.from(this.subscriptions),
+      lastTickAt: this.lastTickAt,
+      error: this.lastError,
+    };
+  }
+
+  // Emit a tick for a subscribed pair
+  publishTick(tick) {
+    if (!this.isSubscribed(tick.pair)) return;
+
+    this.lastTickAt = tick.timestamp;
+    this.emit("tick", tick);
+  }
+
+  async onConnect() {}
+
+  async onDisconnect() {}
+}
+
+module.exports = MarketDataProvider;
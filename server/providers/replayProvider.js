@@ -0,0 +1,146 @@
+const MarketDataProvider = require("./marketDataProvider");
+const InstrumentService = require("../services/instrumentService");
+
+// Price distance of one pip for pairs missing from the instrument registry
+const FALLBACK_PIP_SIZE = 0.0001;
+
+const DEFAULT_OPTIONS = {
+  ticks: [], // recorded ticks, see normalizeTick for accepted fields
+  speed: 1, // playback speed multiplier
+  loop: false, // restart from the first tick when the recording ends
+  rebaseTimestamps: true, // shift recorded times so playback starts "now"
+};
+
+// Accepts "EURUSD", "eur/usd" or "EUR/USD"
+const normalizePair = (pair) => {
+  const symbol = String(pair).toUpperCase().replace(/[^A-Z]/g, "");
+  return symbol.length === 6
+    ? `${symbol.slice(0, 3)}/${symbol.slice(3)}`
+    : String(pair).toUpperCase();
+};
+
+// Convert a recorded tick into the provider tick shape. Either bid/ask or a
+// single price is required; spread is in pips.
+const normalizeTick = (raw) => {
+  const timestamp = new Date(
+    /^\d+$/.test(String(raw.timestamp)) ? Number(raw.timestamp) : raw.timestamp
+  );
+  let bid = raw.bid !== undefined ? Number(raw.bid) : undefined;
+  let ask = raw.ask !== undefined ? Number(raw.ask) : undefined;
+  let price = raw.price !== undefined ? Number(raw.price) : undefined;
+  let spread = raw.spread !== undefined ? Number(raw.spread) : undefined;
+
+  const pair = normalizePair(raw.pair);
+  const instrument = InstrumentService.getInstrument(pair);
+  const pipSize = instrument ? instrument.pipSize : FALLBACK_PIP_SIZE;
+
+  if (bid !== undefined && ask !== undefined) {
+    price = (bid + ask) / 2;
+    spread = spread !== undefined ? spread : (ask - bid) / pipSize;
+  } else if (price !== undefined) {
+    spread = spread !== undefined ? spread : 0;
+    bid = price - (spread * pipSize) / 2;
+    ask = price + (spread * pipSize) / 2;
+  }
+
+  if (!raw.pair || isNaN(timestamp.getTime()) || !Number.isFinite(price)) {
+    throw new Error(`Invalid tick: ${JSON.stringify(raw)}`);
+  }
+
+  return {
+    pair,
+    bid,
+    ask,
+    price,
+    spread: parseFloat(spread.toFixed(1)),
+    volume: raw.volume !== undefined ? Number(raw.volume) : 1,
+    timestamp,
+  };
+};
+
+// Plays back a list of recorded ticks, preserving their relative timing
+class ReplayProvider extends MarketDataProvider {
+  constructor(options = {}, name = "replay") {
+    super(name, { ...DEFAULT_OPTIONS, ...options });
+    if (!(this.options.speed > 0)) {
+      throw new Error("Replay speed must be a positive number");
+    }
+    this.ticks = [];
+    this.position = 0;
+    this.offset = 0;
+    this.timer = null;
+    this.finished = false;
+  }
+
+  // Ticks to replay, oldest first. Subclasses override to load from elsewhere.
+  async loadTicks() {
+    return this.options.ticks;
+  }
+
+  async onConnect() {
+    const ticks = await this.loadTicks();
+    this.ticks = ticks
+      .map(normalizeTick)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (this.ticks.length === 0) {
+      throw new Error("No ticks to replay");
+    }
+
+    this.startPass();
+  }
+
+  async onDisconnect() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  startPass() {
+    this.position = 0;
+    this.finished = false;
+    this.offset = this.options.rebaseTimestamps
+      ? Date.now() - this.ticks[0].timestamp.getTime()
+      : 0;
+    this.scheduleNext(0);
+  }
+
+  scheduleNext(delay) {
+    this.timer = setTimeout(() => this.playNext(), delay);
+  }
+
+  playNext() {
+    const tick = this.ticks[this.position];
+    this.publishTick({
+      ...tick,
+      timestamp: new Date(tick.timestamp.getTime() + this.offset),
+    });
+    this.position++;
+
+    if (this.position < this.ticks.length) {
+      const gap = this.ticks[this.position].timestamp - tick.timestamp;
+      this.scheduleNext(Math.max(0, gap / this.options.speed));
+    } else if (this.options.loop) {
+      this.timer = setTimeout(() => this.startPass(), 0);
+    } else {
+      this.finished = true;
+      this.emit("status", this.getStatus());
+    }
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      replay: {
+        position: this.position,
+        total: this.ticks.length,
+        speed: this.options.speed,
+        finished: this.finished,
+      },
+    };
+  }
+}
+
+ReplayProvider.normalizeTick = normalizeTick;
+ReplayProvider.normalizePair = normalizePair;
+
+module.exports = ReplayProvider;
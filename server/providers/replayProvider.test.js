@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+
+const ReplayProvider = require("./replayProvider");
+const FileReplayProvider = require("./fileReplayProvider");
+
+// Connect, collect every tick and resolve once the recording has played
+const play = (provider, pairs = ["EUR/USD", "GBP/USD"]) =>
+  new Promise((resolve, reject) => {
+    const ticks = [];
+    provider.on("tick", (tick) => ticks.push(tick));
+    provider.on("status", (status) => {
+      if (status.replay && status.replay.finished) {
+        provider.disconnect().then(() => resolve(ticks));
+      }
+    });
+    provider.subscribe(pairs);
+    provider.connect().catch(reject);
+  });
+
+test("recorded ticks are normalized from bid/ask or a price and spread", () => {
+  const fromQuote = ReplayProvider.normalizeTick({
+    pair: "usdjpy",
+    bid: "150.19",
+    ask: "150.21",
+    timestamp: "1704067200000",
+  });
+  assert.strictEqual(fromQuote.pair, "USD/JPY");
+  assert.strictEqual(fromQuote.spread, 2);
+  assert.strictEqual(fromQuote.volume, 1);
+  assert.deepStrictEqual(fromQuote.timestamp, new Date(1704067200000));
+
+  const fromPrice = ReplayProvider.normalizeTick({
+    pair: "EUR/USD",
+    price: 1.1,
+    spread: 2,
+    timestamp: "2024-01-01T00:00:00Z",
+  });
+  assert.strictEqual(fromPrice.bid.toFixed(5), "1.09990");
+  assert.strictEqual(fromPrice.ask.toFixed(5), "1.10010");
+
+  assert.throws(() => ReplayProvider.normalizeTick({ pair: "EUR/USD", timestamp: "soon" }), /Invalid tick/);
+});
+
+test("playback speed must be positive", () => {
+  assert.throws(() => new ReplayProvider({ speed: 0 }), /speed must be a positive number/);
+  assert.throws(() => new ReplayProvider({ speed: "fast" }), /speed must be a positive number/);
+});
+
+test("ticks replay in time order, only for subscribed pairs", async () => {
+  const at = (second) => new Date(Date.UTC(2024, 0, 1) + second * 1000).toISOString();
+  const provider = new ReplayProvider({
+    speed: 1000,
+    rebaseTimestamps: false,
+    ticks: [
+      { pair: "EUR/USD", price: 1.1002, timestamp: at(2) },
+      { pair: "GBP/USD", price: 1.27, timestamp: at(1) },
+      { pair: "EUR/USD", price: 1.1, timestamp: at(0) },
+      { pair: "USD/JPY", price: 150.2, timestamp: at(3) },
+    ],
+  });
+
+  const ticks = await play(provider);
+
+  assert.deepStrictEqual(
+    ticks.map((tick) => [tick.pair, tick.timestamp.toISOString()]),
+    [
+      ["EUR/USD", at(0)],
+      ["GBP/USD", at(1)],
+      ["EUR/USD", at(2)],
+    ]
+  );
+  assert.deepStrictEqual(provider.getStatus().replay, {
+    position: 4,
+    total: 4,
+    speed: 1000,
+    finished: true,
+  });
+});
+
+test("rebased playback keeps the recorded spacing", async () => {
+  const provider = new ReplayProvider({
+    speed: 100,
+    ticks: [
+      { pair: "EUR/USD", price: 1.1, timestamp: "2024-01-01T00:00:00Z" },
+      { pair: "EUR/USD", price: 1.1001, timestamp: "2024-01-01T00:00:05Z" },
+    ],
+  });
+  const startedAt = Date.now();
+
+  const [first, second] = await play(provider);
+
+  assert.ok(first.timestamp.getTime() >= startedAt);
+  assert.strictEqual(second.timestamp - first.timestamp, 5000);
+});
+
+test("file replays read ticks from the replay data directory", async () => {
+  fs.mkdirSync(FileReplayProvider.REPLAY_DATA_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(FileReplayProvider.REPLAY_DATA_DIR, "ticks.csv"),
+    [
+      "timestamp,pair,bid,ask",
+      "2024-01-01T00:00:01Z,EURUSD,1.1001,1.1003",
+      "2024-01-01T00:00:00Z,EURUSD,1.0999,1.1001",
+    ].join("\n")
+  );
+
+  const ticks = await play(
+    new FileReplayProvider({ file: "ticks.csv", speed: 1000, rebaseTimestamps: false })
+  );
+
+  assert.deepStrictEqual(
+    ticks.map((tick) => tick.price),
+    [1.1, 1.1002]
+  );
+  await assert.rejects(new FileReplayProvider({ file: "../secrets.csv" }).connect(), /inside the replay data directory/);
+  await assert.rejects(new FileReplayProvider({}).connect(), /replay file is required/);
+});
@@ -0,0 +1,110 @@
+const MarketDataProvider = require("./marketDataProvider");
+const { getTimeframeMs, alignTimestamp } = require("../utils/timeframes");
+const InstrumentService = require("../services/instrumentService");
+
+const DEFAULT_OPTIONS = {
+  interval: 1000, // ms between ticks
+  volatility: 0.5, // max price change per tick, in pips
+  initialPrices: {}, // { [pair]: { price, spread } }, else the instrument's
+};
+
+// Random-walk price feed used for demos and development
+class SimulatedProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super("simulated", { ...DEFAULT_OPTIONS, ...options });
+    this.state = {};
+    this.timer = null;
+  }
+
+  subscribe(pairs) {
+    super.subscribe(pairs);
+    pairs.forEach((pair) => {
+      if (!this.state[pair]) {
+        const instrument = InstrumentService.requireInstrument(pair);
+        const initial = this.options.initialPrices[pair] || {};
+        this.state[pair] = {
+          pipSize: instrument.pipSize,
+          price: initial.price || instrument.basePrice,
+          baseSpread: initial.spread || instrument.typicalSpread,
+        };
+      }
+    });
+  }
+
+  async onConnect() {
+    this.timer = setInterval(() => this.generateTicks(), this.options.interval);
+  }
+
+  async onDisconnect() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  generateTicks() {
+    const timestamp = new Date();
+
+    this.subscriptions.forEach((pair) => {
+      const state = this.state[pair];
+
+      // Simulate price movement
+      const change = (Math.random() - 0.5) * 2 * this.options.volatility * state.pipSize;
+      state.price = Math.max(state.pipSize, state.price + change);
+
+      // Spread fluctuates around its base value
+      const spread = Math.max(
+        0.1,
+        state.baseSpread * (0.8 + Math.random() * 0.4)
+      );
+      const halfSpread = (spread * state.pipSize) / 2;
+
+      this.publishTick({
+        pair,
+        bid: state.price - halfSpread,
+        ask: state.price + halfSpread,
+        price: state.price,
+        spread: parseFloat(spread.toFixed(1)),
+        volume: Math.floor(Math.random() * 10) + 1,
+        timestamp,
+      });
+    });
+  }
+
+  // Synthesize a random walk that ends at the current simulated price
+  async getCandleHistory(pair, timeframe, limit = 100) {
+    const state = this.state[pair];
+    if (!state) return [];
+
+    const timeframeMs = getTimeframeMs(timeframe);
+    const ticksPerCandle = timeframeMs / this.options.interval;
+    const candleVolatility =
+      this.options.volatility * state.pipSize * Math.sqrt(Math.max(1, ticksPerCandle));
+    const currentStart = alignTimestamp(Date.now(), timeframe);
+
+    const candles = [];
+    let close = state.price;
+
+    for (let i = 1; i <= limit; i++) {
+      const open = Math.max(
+        state.pipSize,
+        close + (Math.random() - 0.5) * candleVolatility
+      );
+      const wick = Math.random() * candleVolatility * 0.5;
+
+      candles.push({
+        timestamp: new Date(currentStart - i * timeframeMs),
+        open,
+        high: Math.max(open, close) + wick,
+        low: Math.max(state.pipSize, Math.min(open, close) - wick),
+        close,
+        // Roughly what the live feed would produce over the same period
+        volume: Math.floor(ticksPerCandle * (3 + Math.random() * 5)),
+      });
+
+      close = open;
+    }
+
+    return candles.reverse();
+  }
+}
+
+module.exports = SimulatedProvider;
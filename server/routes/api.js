@@ -1,33 +1,414 @@
 const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
-const OpportunityService = require('../services/opportunityService');
+const { TIMEFRAMES } = require('../utils/timeframes');
+const { isValidTimeZone } = require('../utils/tradingDay');
+const MarketStateService = require('../services/marketStateService');
+const SettingsService = require('../services/settingsService');
+const DataProviderService = require('../services/dataProviderService');
+const CandleService = require('../services/candleService');
 const IndicatorService = require('../services/indicatorService');
 const RiskManagementService = require('../services/riskManagementService');
+const BacktestService = require('../services/backtestService');
+const OptimizerService = require('../services/optimizerService');
+const PresetService = require('../services/presetService');
+const PaperTradingService = require('../services/paperTradingService');
+const JournalService = require('../services/journalService');
+const CorrelationService = require('../services/correlationService');
+const InstrumentService = require('../services/instrumentService');
+const SpreadService = require('../services/spreadService');
+const RegimeService = require('../services/regimeService');
+const Strategies = require('../strategies');
+
+// Pairs are checked against the instrument registry when the request is
+// validated, so instruments added at runtime are accepted
+const knownPair = () => Joi.string().custom((value, helpers) =>
+  InstrumentService.getInstrument(value) ? value : helpers.error('any.invalid')
+);
+
+const watchedPair = () => Joi.string().custom((value, helpers) =>
+  InstrumentService.isWatched(value) ? value : helpers.error('any.invalid')
+);
 
 // Validation schemas
+// Options each data provider accepts, see the provider DEFAULT_OPTIONS
+const simulatedOptionsSchema = Joi.object({
+  interval: Joi.number().integer().min(50).max(60000),
+  volatility: Joi.number().positive().max(100),
+  initialPrices: Joi.object().pattern(
+    knownPair(),
+    Joi.object({
+      price: Joi.number().positive(),
+      spread: Joi.number().min(0)
+    })
+  )
+});
+
+const replayOptionsSchema = Joi.object({
+  speed: Joi.number().positive().max(10000),
+  loop: Joi.boolean(),
+  rebaseTimestamps: Joi.boolean()
+});
+
 const settingsSchema = Joi.object({
   balance: Joi.number().min(100).max(1000000).required(),
   riskPerTrade: Joi.number().min(0.1).max(5).required(),
   dailyLossLimit: Joi.number().min(1).max(10).required(),
-  maxTrades: Joi.number().min(1).max(20).required()
+  maxTrades: Joi.number().min(1).max(20).required(),
+  accountCurrency: Joi.string().pattern(/^[A-Z]{3}$/),
+  // Broker lot constraints, in standard lots
+  lotSizing: Joi.object({
+    step: Joi.number().min(0.001).max(1),
+    min: Joi.number().min(0.001).max(100),
+    max: Joi.number().min(0.01).max(1000)
+  }),
+  margin: Joi.object({
+    leverage: Joi.number().min(1).max(1000),
+    // Margin in percent of notional per pair; null drops a requirement
+    requirements: Joi.object().pattern(
+      Joi.string().pattern(/^[A-Z]{3}\/[A-Z]{3}$/),
+      Joi.number().min(0.1).max(100).allow(null)
+    ),
+    marginCallLevel: Joi.number().min(0).max(1000),
+    stopOutLevel: Joi.number().min(0).max(1000)
+  }),
+  correlation: Joi.object({
+    timeframe: Joi.string().valid(...Object.keys(TIMEFRAMES)),
+    windows: Joi.array().items(Joi.number().integer().min(2).max(500)).min(1).max(5).unique(),
+    // Primary window for the exposure checks, one of the windows
+    window: Joi.number().integer().min(2).max(500)
+  }),
+  regime: Joi.object({
+    adxEnter: Joi.number().min(0).max(100),
+    adxExit: Joi.number().min(0).max(100),
+    slopeEnter: Joi.number().min(0).max(10),
+    slopeExit: Joi.number().min(0).max(10),
+    atrPercentileEnter: Joi.number().min(0).max(100),
+    atrPercentileExit: Joi.number().min(0).max(100),
+    atrLookback: Joi.number().integer().min(10).max(500),
+    minDwellMinutes: Joi.number().min(0).max(1440)
+  }),
+  spread: Joi.object({
+    minSamples: Joi.number().integer().min(1).max(100000),
+    anomalyRatio: Joi.number().min(1.1).max(20),
+    anomalyZScore: Joi.number().min(0).max(20)
+  }),
+  exposure: Joi.object({
+    correlationLimit: Joi.number().min(0).max(1),
+    maxCorrelatedRisk: Joi.number().min(0.1).max(20),
+    action: Joi.string().valid('block', 'warn')
+  }),
+  strategyParams: Joi.object({
+    minOpportunityScore: Joi.number().min(50).max(100),
+    timeframe: Joi.string().valid(...Object.keys(TIMEFRAMES)),
+    atrPeriod: Joi.number().integer().min(2).max(100),
+    rsiPeriod: Joi.number().integer().min(2).max(100),
+    newsBuffer: Joi.number().min(0).max(240)
+  }),
+  dataProvider: Joi.object({
+    provider: Joi.string().valid(...DataProviderService.listProviders()).required(),
+    options: Joi.when('provider', {
+      switch: [
+        { is: 'simulated', then: simulatedOptionsSchema },
+        { is: 'replay', then: replayOptionsSchema.keys({ ticks: Joi.array().items(Joi.object()).max(100000) }) },
+        { is: 'file', then: replayOptionsSchema.keys({ file: Joi.string().max(255), format: Joi.string().valid('csv', 'ndjson') }) }
+      ]
+    }).default({})
+  }),
+  // Per-pair strategy switches: { pair: { strategyId: enabled } }
+  strategies: Joi.object().pattern(
+    knownPair(),
+    Joi.object().pattern(
+      Joi.string().valid(...Strategies.listStrategies().map((strategy) => strategy.id)),
+      Joi.boolean()
+    )
+  ),
+  strategyPreset: Joi.string().allow(null),
+  // Risk per trade cuts after losing streaks and drawdowns
+  riskScaling: Joi.object({
+    enabled: Joi.boolean(),
+    lossStreak: Joi.object({
+      losses: Joi.number().integer().min(1).max(10),
+      multiplier: Joi.number().min(0.1).max(1),
+      maxSteps: Joi.number().integer().min(0).max(5),
+      recoveryWins: Joi.number().integer().min(1).max(10)
+    }),
+    drawdownTiers: Joi.array().items(
+      Joi.object({
+        drawdown: Joi.number().min(0.5).max(50).required(),
+        multiplier: Joi.number().min(0.05).max(1).required()
+      })
+    ).max(5),
+    minMultiplier: Joi.number().min(0.05).max(1)
+  }),
+  // Daily limits reset at this local time, e.g. 17:00 America/New_York
+  tradingDay: Joi.object({
+    rolloverTime: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/),
+    timeZone: Joi.string().custom((value, helpers) =>
+      isValidTimeZone(value) ? value : helpers.error('any.invalid')
+    )
+  })
 });
 
 const assessmentParamsSchema = Joi.object({
-  pairs: Joi.array().items(Joi.string().valid('EUR/USD', 'GBP/USD')).default(['EUR/USD', 'GBP/USD']),
+  pairs: Joi.array().items(watchedPair()).default(() => InstrumentService.getWatched()),
   minScore: Joi.number().min(50).max(100).default(70)
 });
 
+const candleSchema = Joi.object({
+  timestamp: Joi.date().required(),
+  open: Joi.number().required(),
+  high: Joi.number().required(),
+  low: Joi.number().required(),
+  close: Joi.number().required(),
+  volume: Joi.number().min(0).default(0)
+});
+
+// Overrides for OpportunityService.resolveParams
+const strategyParamsSchema = Joi.object({
+  minScore: Joi.number().min(0).max(100),
+  minRiskReward: Joi.number().min(0.5).max(10),
+  strategies: Joi.object(
+    Object.fromEntries(
+      Strategies.listStrategies().map((strategy) => [
+        strategy.id,
+        Joi.object(
+          Object.fromEntries(
+            Object.keys(strategy.defaultParams).map((key) => [key, Joi.number().min(0)])
+          )
+        )
+      ])
+    )
+  )
+});
+
+// Fields shared by backtests and optimizations
+const backtestFields = {
+  pairs: Joi.array().items(knownPair()).min(1),
+  timeframe: Joi.string().valid(...Object.keys(TIMEFRAMES)),
+  from: Joi.date(),
+  to: Joi.date().min(Joi.ref('from')),
+  initialBalance: Joi.number().min(100).max(1000000),
+  riskPerTrade: Joi.number().min(0.1).max(5),
+  // Pips per fill, for every pair or per pair
+  spread: Joi.alternatives().try(
+    Joi.number().min(0),
+    Joi.object().pattern(Joi.string(), Joi.number().min(0))
+  ),
+  strategies: Joi.array().items(
+    Joi.string().valid(...Strategies.listStrategies().map((strategy) => strategy.id))
+  ).min(1),
+  // Imported candles per pair, used instead of the recorded history
+  candles: Joi.object().pattern(
+    knownPair(),
+    Joi.array().items(candleSchema).min(1)
+  )
+};
+
+const backtestSchema = Joi.object({
+  ...backtestFields,
+  params: strategyParamsSchema,
+  preset: Joi.string()
+});
+
+const optimizationSchema = Joi.object({
+  ...backtestFields,
+  method: Joi.string().valid('grid', 'random').default('random'),
+  samples: Joi.number().integer().min(1).max(200).default(30),
+  seed: Joi.number().integer().min(1).default(1),
+  windows: Joi.number().integer().min(1).max(10).default(3),
+  inSampleRatio: Joi.number().min(0.5).max(0.9).default(0.7),
+  objective: Joi.string().valid(...OptimizerService.getObjectives()).default('averageR'),
+  minTrades: Joi.number().integer().min(0).max(1000).default(5),
+  // Values to search per parameter, replacing the default values
+  space: Joi.object().pattern(
+    Joi.string().valid(...Object.keys(OptimizerService.getDefaultSpace())),
+    Joi.array().items(Joi.number()).unique().min(1).max(20)
+  )
+});
+
+// A preset is saved from explicit params or from a robust optimization result
+const presetSchema = Joi.object({
+  name: Joi.string().trim().pattern(/^[\w -]+$/).max(50).required(),
+  description: Joi.string().allow('').max(500).default(''),
+  params: strategyParamsSchema,
+  optimizationId: Joi.string(),
+  rank: Joi.number().integer().min(0).default(0)
+}).xor('params', 'optimizationId');
+
+// Instrument definitions; a new symbol needs at least pipSize and basePrice
+const instrumentSchema = Joi.object({
+  symbol: Joi.string().pattern(/^[A-Z]{3}\/[A-Z]{3}$/).required(),
+  pipSize: Joi.number().positive().max(100),
+  digits: Joi.number().integer().min(0).max(8),
+  // Pips
+  typicalSpread: Joi.number().min(0).max(1000),
+  // Units per standard lot
+  contractSize: Joi.number().integer().min(1),
+  sessions: Joi.array().items(
+    Joi.string().valid(...Object.keys(InstrumentService.getSessions()))
+  ).min(1).unique(),
+  basePrice: Joi.number().positive(),
+  watch: Joi.boolean().default(true)
+});
+
+// Stop management and scaling out, applied by the paper trading engine
+const managementSchema = Joi.object({
+  trailingStop: Joi.object({
+    type: Joi.string().valid('atr', 'pips').required(),
+    distance: Joi.number().positive().required()
+  }),
+  breakevenAtR: Joi.number().min(0.1).max(10),
+  partialTakeProfits: Joi.array().items(
+    Joi.object({
+      atR: Joi.number().min(0.1).max(10).required(),
+      percent: Joi.number().min(1).max(100).required()
+    })
+  ).max(5)
+}).default({});
+
+// Balance and risk default to the paper account and its scaled risk
+const positionSizeSchema = Joi.object({
+  pair: knownPair().required(),
+  entry: Joi.number().positive().required(),
+  stopLoss: Joi.number().positive().invalid(Joi.ref('entry')).required(),
+  balance: Joi.number().positive(),
+  riskPerTrade: Joi.number().min(0.01).max(10),
+  accountCurrency: Joi.string().pattern(/^[A-Z]{3}$/),
+  // Extra conversion rates, e.g. { 'USD/JPY': 150.2 }
+  rates: Joi.object().pattern(Joi.string().pattern(/^[A-Z]{3}\/[A-Z]{3}$/), Joi.number().positive())
+});
+
+const openPositionSchema = Joi.object({
+  opportunityId: Joi.string().required(),
+  management: managementSchema
+});
+
+const orderSchema = Joi.object({
+  opportunityId: Joi.string().required(),
+  type: Joi.string().valid('limit', 'stop').required(),
+  price: Joi.number().positive(),
+  expiresInMinutes: Joi.number().integer().min(1).max(7 * 24 * 60),
+  management: managementSchema
+});
+
+// Notes, setup tags and discipline grade any journal entry can carry
+const journalAnnotationFields = {
+  notes: Joi.string().allow('').max(5000),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(30)).max(20).unique(),
+  disciplineGrade: Joi.number().integer().min(1).max(5).allow(null)
+};
+
+// Trade details of entries added by hand
+const journalTradeFields = {
+  pair: knownPair(),
+  direction: Joi.string().valid('long', 'short'),
+  setup: Joi.string().allow('').max(100),
+  status: Joi.string().valid('open', 'closed'),
+  entry: Joi.number().positive(),
+  stopLoss: Joi.number().positive().allow(null),
+  takeProfit: Joi.number().positive().allow(null),
+  units: Joi.number().integer().positive().allow(null),
+  exit: Joi.number().positive().allow(null),
+  exitReason: Joi.string().allow('', null).max(50),
+  realizedPnL: Joi.number().allow(null),
+  rMultiple: Joi.number().allow(null),
+  pips: Joi.number().allow(null),
+  openedAt: Joi.date(),
+  closedAt: Joi.date().min(Joi.ref('openedAt')).allow(null)
+};
+
+const journalEntrySchema = Joi.object({
+  ...journalTradeFields,
+  ...journalAnnotationFields,
+  pair: journalTradeFields.pair.required(),
+  direction: journalTradeFields.direction.required(),
+  entry: journalTradeFields.entry.required(),
+  status: journalTradeFields.status.default('closed'),
+  openedAt: journalTradeFields.openedAt.required()
+});
+
+const journalUpdateSchema = Joi.object({
+  ...journalTradeFields,
+  ...journalAnnotationFields
+}).min(1);
+
+const journalQuerySchema = Joi.object({
+  pair: Joi.string(),
+  status: Joi.string().valid('pending', 'open', 'closed', 'cancelled', 'expired', 'rejected'),
+  strategy: Joi.string(),
+  tag: Joi.string(),
+  grade: Joi.number().integer().min(1).max(5),
+  from: Joi.date(),
+  to: Joi.date()
+});
+
+const candleQuerySchema = Joi.object({
+  timeframe: Joi.string().valid(...Object.keys(TIMEFRAMES)).default('1h'),
+  from: Joi.date(),
+  to: Joi.date().min(Joi.ref('from')),
+  limit: Joi.number().integer().min(1).max(5000).default(500)
+});
+
+// Windows as a comma separated list of candle counts, e.g. 20,50,100
+const correlationQuerySchema = Joi.object({
+  timeframe: Joi.string().valid(...Object.keys(TIMEFRAMES)),
+  windows: Joi.string().pattern(/^\d{1,3}(,\d{1,3}){0,4}$/)
+});
+
+// Minutes of spread history
+const spreadQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1440).default(240)
+});
+
+const indicatorQuerySchema = Joi.object({
+  timeframe: Joi.string().valid(...Object.keys(TIMEFRAMES)).default('1h'),
+  indicators: Joi.string().pattern(/^[A-Za-z]+(,[A-Za-z]+)*$/),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  rsiPeriod: Joi.number().integer().min(2).max(100),
+  atrPeriod: Joi.number().integer().min(2).max(100),
+  adxPeriod: Joi.number().integer().min(2).max(100),
+  smaPeriod: Joi.number().integer().min(2).max(200),
+  emaPeriod: Joi.number().integer().min(2).max(200),
+  macdFast: Joi.number().integer().min(2).max(100),
+  macdSlow: Joi.number().integer().min(2).max(200),
+  macdSignal: Joi.number().integer().min(2).max(100),
+  bollingerPeriod: Joi.number().integer().min(2).max(200),
+  bollingerStdDev: Joi.number().min(0.5).max(5),
+  stochasticK: Joi.number().integer().min(2).max(100),
+  stochasticD: Joi.number().integer().min(1).max(20),
+  keltnerPeriod: Joi.number().integer().min(2).max(200),
+  keltnerAtrPeriod: Joi.number().integer().min(2).max(100),
+  keltnerMultiplier: Joi.number().min(0.5).max(5)
+});
+
 // Middleware for request validation
 const validateRequest = (schema) => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body);
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.details[0].message
+      });
+    }
+    // Continue with the validated body so schema defaults are applied
+    req.body = value;
+    next();
+  };
+};
+
+// Middleware for query string validation
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query);
     if (error) {
       return res.status(400).json({
         error: 'Validation error',
         details: error.details[0].message
       });
     }
+    req.query = value;
     next();
   };
 };
@@ -35,36 +416,9 @@ const validateRequest = (schema) => {
 // GET /api/market-data
 router.get('/market-data', (req, res) => {
   try {
-    // This would come from the global market data state in server.js
-    // For now, we'll return mock data
-    const marketData = {
-      'EUR/USD': {
-        price: 1.0855,
-        spread: 1.1,
-        atr: 0.0085,
-        vwapSlope: 0.0003,
-        rsi: 52,
-        adx: 28,
-        regime: 'trending',
-        correlation: 0.82,
-        lastUpdate: new Date()
-      },
-      'GBP/USD': {
-        price: 1.2645,
-        spread: 1.5,
-        atr: 0.0112,
-        vwapSlope: -0.0001,
-        rsi: 48,
-        adx: 22,
-        regime: 'ranging',
-        correlation: 0.82,
-        lastUpdate: new Date()
-      }
-    };
-
     res.json({
       success: true,
-      data: marketData,
+      data: MarketStateService.getMarketData(),
       timestamp: new Date()
     });
   } catch (error) {
@@ -81,44 +435,16 @@ router.get('/market-data/:pair', (req, res) => {
   try {
     const { pair } = req.params;
     
-    if (!['EUR/USD', 'GBP/USD'].includes(pair)) {
+    if (!MarketStateService.hasPair(pair)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid currency pair'
       });
     }
 
-    // Mock data for specific pair
-    const pairData = {
-      'EUR/USD': {
-        price: 1.0855,
-        spread: 1.1,
-        atr: 0.0085,
-        vwapSlope: 0.0003,
-        rsi: 52,
-        adx: 28,
-        regime: 'trending',
-        correlation: 0.82,
-        lastUpdate: new Date(),
-        historicalData: []
-      },
-      'GBP/USD': {
-        price: 1.2645,
-        spread: 1.5,
-        atr: 0.0112,
-        vwapSlope: -0.0001,
-        rsi: 48,
-        adx: 22,
-        regime: 'ranging',
-        correlation: 0.82,
-        lastUpdate: new Date(),
-        historicalData: []
-      }
-    };
-
     res.json({
       success: true,
-      data: pairData[pair],
+      data: MarketStateService.getPairData(pair),
       timestamp: new Date()
     });
   } catch (error) {
@@ -130,41 +456,109 @@ router.get('/market-data/:pair', (req, res) => {
   }
 });
 
+// GET /api/candles/:pair
+router.get('/candles/:pair', validateQuery(candleQuerySchema), async (req, res) => {
+  try {
+    const { pair } = req.params;
+    const { timeframe, from, to, limit } = req.query;
+
+    if (!MarketStateService.hasPair(pair)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency pair'
+      });
+    }
+
+    const candles = await CandleService.queryCandles(pair, timeframe, { from, to, limit });
+
+    res.json({
+      success: true,
+      data: candles,
+      pair,
+      timeframe,
+      count: candles.length,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error(`Error fetching candles for ${req.params.pair}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch candles'
+    });
+  }
+});
+
+// GET /api/indicators/:pair
+router.get('/indicators/:pair', validateQuery(indicatorQuerySchema), async (req, res) => {
+  try {
+    const { pair } = req.params;
+    const { timeframe, limit } = req.query;
+
+    if (!MarketStateService.hasPair(pair)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency pair'
+      });
+    }
+
+    const available = IndicatorService.getAvailableIndicators();
+    const indicators = req.query.indicators ? req.query.indicators.split(',') : available;
+    const unknown = indicators.filter(name => !available.includes(name));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown indicators',
+        details: unknown
+      });
+    }
+
+    // RSI and ATR periods default to the strategy settings
+    const { strategyParams } = SettingsService.getSettings();
+    const periods = {
+      ...IndicatorService.getDefaultParams(),
+      rsiPeriod: strategyParams.rsiPeriod,
+      atrPeriod: strategyParams.atrPeriod
+    };
+    Object.keys(periods).forEach(key => {
+      if (req.query[key] !== undefined) {
+        periods[key] = req.query[key];
+      }
+    });
+
+    // Fetch extra candles so indicators are warmed up for every returned row
+    const warmup = Math.max(...Object.values(periods)) * 3;
+    const candles = await CandleService.queryCandles(pair, timeframe, { limit: limit + warmup });
+    const series = IndicatorService.calculateAlignedSeries(candles, indicators, periods).slice(-limit);
+
+    res.json({
+      success: true,
+      data: {
+        pair,
+        timeframe,
+        periods,
+        series,
+        pivotPoints: indicators.includes('pivotPoints') ? IndicatorService.calculatePivotPoints(candles) : undefined
+      },
+      count: series.length,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error(`Error calculating indicators for ${req.params.pair}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate indicators'
+    });
+  }
+});
+
 // POST /api/assess-opportunities
 router.post('/assess-opportunities', validateRequest(assessmentParamsSchema), async (req, res) => {
   try {
     const { pairs, minScore } = req.body;
     
-    // Mock market data - in production this would come from real data providers
-    const marketData = {
-      'EUR/USD': {
-        price: 1.0855,
-        spread: 1.1,
-        atr: 0.0085,
-        vwapSlope: 0.0003,
-        rsi: 52,
-        adx: 28,
-        regime: 'trending',
-        correlation: 0.82,
-        lastUpdate: new Date()
-      },
-      'GBP/USD': {
-        price: 1.2645,
-        spread: 1.5,
-        atr: 0.0112,
-        vwapSlope: -0.0001,
-        rsi: 48,
-        adx: 22,
-        regime: 'ranging',
-        correlation: 0.82,
-        lastUpdate: new Date()
-      }
-    };
-
-    const opportunities = await OpportunityService.assessAllPairs(marketData);
-    const filteredOpportunities = opportunities.filter(opp => 
-      pairs.includes(opp.pair) && opp.score >= minScore
-    );
+    // New opportunities are recorded in the shared state and pushed to socket clients
+    const opportunities = await MarketStateService.assessOpportunities(pairs);
+    const filteredOpportunities = opportunities.filter(opp => opp.score >= minScore);
 
     res.json({
       success: true,
@@ -186,47 +580,11 @@ router.get('/opportunities', (req, res) => {
   try {
     const { limit = 10, pair, minScore } = req.query;
     
-    // Mock opportunities data
-    let opportunities = [
-      {
-        id: '1',
-        pair: 'EUR/USD',
-        setup: 'Trend Continuation',
-        score: 85,
-        entry: 1.0855,
-        stopLoss: 1.0825,
-        takeProfit: 1.0915,
-        riskReward: 2.0,
-        confidence: 'high',
-        timestamp: new Date(),
-        regime: 'trending'
-      },
-      {
-        id: '2',
-        pair: 'GBP/USD',
-        setup: 'Liquidity Reversal',
-        score: 73,
-        entry: 1.2645,
-        stopLoss: 1.2675,
-        takeProfit: 1.2600,
-        riskReward: 1.5,
-        confidence: 'medium',
-        timestamp: new Date(),
-        regime: 'ranging'
-      }
-    ];
-
-    // Apply filters
-    if (pair) {
-      opportunities = opportunities.filter(opp => opp.pair === pair);
-    }
-    
-    if (minScore) {
-      opportunities = opportunities.filter(opp => opp.score >= parseInt(minScore));
-    }
-
-    // Apply limit
-    opportunities = opportunities.slice(0, parseInt(limit));
+    const opportunities = MarketStateService.getOpportunities({
+      pair,
+      minScore: minScore ? parseInt(minScore) : undefined,
+      limit: parseInt(limit)
+    });
 
     res.json({
       success: true,
@@ -243,71 +601,965 @@ router.get('/opportunities', (req, res) => {
   }
 });
 
-// POST /api/settings
-router.post('/settings', validateRequest(settingsSchema), (req, res) => {
+// GET /api/positions
+router.get('/positions', (req, res) => {
   try {
-    const settings = req.body;
-    
-    // Validate risk management rules
-    const validation = RiskManagementService.validateSettings(settings);
-    if (!validation.isValid) {
+    res.json({
+      success: true,
+      data: PaperTradingService.getSnapshot(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching positions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch positions'
+    });
+  }
+});
+
+// POST /api/positions - open a paper position from an opportunity
+router.post('/positions', validateRequest(openPositionSchema), (req, res) => {
+  try {
+    const opportunity = MarketStateService.getOpportunity(req.body.opportunityId);
+    if (!opportunity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found'
+      });
+    }
+
+    let position;
+    try {
+      position = PaperTradingService.openPosition(opportunity, req.body.management);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid settings',
-        details: validation.errors
+        error: 'Failed to open position',
+        details: [error.message]
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: position,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error opening position:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open position'
+    });
+  }
+});
+
+// GET /api/positions/:id - a position with its event history
+router.get('/positions/:id', (req, res) => {
+  try {
+    const position = PaperTradingService.getPosition(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Position not found'
       });
     }
 
-    // In production, save to database
-    console.log('Settings updated:', settings);
+    res.json({
+      success: true,
+      data: position,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching position:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch position'
+    });
+  }
+});
+
+// POST /api/positions/:id/close
+router.post('/positions/:id/close', (req, res) => {
+  try {
+    const position = PaperTradingService.closePosition(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        error: 'Open position not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Settings updated successfully',
-      data: settings,
+      data: position,
       timestamp: new Date()
     });
   } catch (error) {
-    console.error('Error updating settings:', error);
+    console.error('Error closing position:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update settings'
+      error: 'Failed to close position'
     });
   }
 });
 
-// GET /api/settings
-router.get('/settings', (req, res) => {
+// GET /api/orders - pending entry orders and recently finished ones
+router.get('/orders', (req, res) => {
   try {
-    // Mock settings - in production, fetch from database
-    const settings = {
-      balance: 10000,
-      riskPerTrade: 1,
-      dailyLossLimit: 2.5,
-      maxTrades: 3,
-      strategyParams: {
-        minOpportunityScore: 70,
-        atrPeriod: 14,
-        rsiPeriod: 14,
-        newsBuffer: 30
+    res.json({
+      success: true,
+      data: {
+        pending: PaperTradingService.getPendingOrders(),
+        history: PaperTradingService.getOrderHistory()
       },
-      dataProvider: {
-        provider: 'MetaTrader 5',
-        apiKey: '***hidden***',
-        connected: false
-      }
-    };
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch orders'
+    });
+  }
+});
+
+// POST /api/orders - place a limit or stop entry order for an opportunity
+router.post('/orders', validateRequest(orderSchema), (req, res) => {
+  try {
+    const { opportunityId, expiresInMinutes, ...options } = req.body;
+    const opportunity = MarketStateService.getOpportunity(opportunityId);
+    if (!opportunity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Opportunity not found'
+      });
+    }
+
+    let order;
+    try {
+      order = PaperTradingService.placeOrder(opportunity, {
+        ...options,
+        expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60 * 1000) : null
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Failed to place order',
+        details: [error.message]
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: order,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error placing order:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to place order'
+    });
+  }
+});
+
+// POST /api/orders/:id/cancel
+router.post('/orders/:id/cancel', (req, res) => {
+  try {
+    const order = PaperTradingService.cancelOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending order not found'
+      });
+    }
 
     res.json({
       success: true,
-      data: settings,
+      data: order,
       timestamp: new Date()
     });
   } catch (error) {
-    console.error('Error fetching settings:', error);
+    console.error('Error cancelling order:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch settings'
+      error: 'Failed to cancel order'
+    });
+  }
+});
+
+// GET /api/risk - account risk from the paper positions and journal
+router.get('/risk', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: RiskManagementService.getCurrentRiskAnalysis(PaperTradingService.getSnapshot()),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error calculating risk analysis:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate risk analysis'
+    });
+  }
+});
+
+// GET /api/correlations - rolling correlations of the pairs' log returns
+// per window, for the configured or given timeframe and windows
+router.get('/correlations', validateQuery(correlationQuerySchema), (req, res) => {
+  try {
+    const { timeframe, windows } = req.query;
+    const selectedWindows = windows ? windows.split(',').map(Number) : null;
+    if (selectedWindows && selectedWindows.some((window) => window < 2)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid windows',
+        details: ['Each window must span at least 2 returns']
+      });
+    }
+
+    res.json({
+      success: true,
+      data:
+        timeframe || selectedWindows
+          ? CorrelationService.getMatrix({ timeframe, windows: selectedWindows })
+          : CorrelationService.getLatest(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error calculating correlations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate correlations'
+    });
+  }
+});
+
+// GET /api/spreads - each watched pair's spread against its usual spread
+// for the hour
+router.get('/spreads', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: MarketStateService.getPairs().map((pair) => SpreadService.getStatus(pair)),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching spreads:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch spreads'
+    });
+  }
+});
+
+// GET /api/spreads/:pair - the pair's hourly spread profile and its recent
+// spread history, one point per minute
+router.get('/spreads/:pair', validateQuery(spreadQuerySchema), (req, res) => {
+  try {
+    const { pair } = req.params;
+
+    if (!MarketStateService.hasPair(pair)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency pair'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...SpreadService.getStatus(pair),
+        profile: SpreadService.getProfile(pair),
+        history: SpreadService.getHistory(pair, req.query.limit)
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching spread profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch spread profile'
+    });
+  }
+});
+
+// GET /api/regimes/:pair - the pair's regime periods, oldest first, for
+// the regime timeline
+router.get('/regimes/:pair', (req, res) => {
+  try {
+    const { pair } = req.params;
+
+    if (!MarketStateService.hasPair(pair)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid currency pair'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        pair,
+        regime: RegimeService.getRegime(pair),
+        history: RegimeService.getHistory(pair)
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching regime history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch regime history'
+    });
+  }
+});
+
+// POST /api/position-size - units and lots that risk the given share of
+// the balance, with pip values in the account currency
+router.post('/position-size', validateRequest(positionSizeSchema), (req, res) => {
+  try {
+    const { pair, entry, stopLoss, accountCurrency, rates } = req.body;
+    const scaling = RiskManagementService.getRiskScaling();
+    const balance = req.body.balance || PaperTradingService.getAccount().balance;
+    const riskPerTrade = req.body.riskPerTrade || scaling.riskPerTrade;
+
+    // Rates given in the request take precedence over live prices
+    const knownRates = { ...rates };
+    Object.entries(MarketStateService.getMarketData()).forEach(([marketPair, data]) => {
+      if (!knownRates[marketPair]) {
+        knownRates[marketPair] = data.price;
+      }
+    });
+
+    const size = RiskManagementService.calculatePositionSize(balance, riskPerTrade, entry, stopLoss, pair, {
+      accountCurrency,
+      rates: knownRates
+    });
+    if (!size) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot size the position',
+        details: ['No rate converts the quote currency into the account currency']
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...size, balance, riskPerTrade },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error calculating position size:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate position size'
+    });
+  }
+});
+
+// GET /api/journal - journal entries, most recent first, with filters
+router.get('/journal', validateQuery(journalQuerySchema), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: JournalService.listEntries(req.query),
+      tags: JournalService.getTags(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching journal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch journal'
+    });
+  }
+});
+
+// GET /api/journal/summary - trades and realized P&L today
+router.get('/journal/summary', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: JournalService.getDailySummary(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching journal summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch journal summary'
+    });
+  }
+});
+
+// GET /api/journal/:id
+router.get('/journal/:id', (req, res) => {
+  try {
+    const entry = JournalService.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Journal entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching journal entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch journal entry'
+    });
+  }
+});
+
+// POST /api/journal - record a trade taken outside paper trading
+router.post('/journal', validateRequest(journalEntrySchema), async (req, res) => {
+  try {
+    const entry = await JournalService.createEntry(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error creating journal entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create journal entry'
+    });
+  }
+});
+
+// PUT /api/journal/:id - notes, tags and grade; trade details of manual
+// entries only
+router.put('/journal/:id', validateRequest(journalUpdateSchema), async (req, res) => {
+  try {
+    const entry = await JournalService.updateEntry(req.params.id, req.body);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Journal entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error updating journal entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update journal entry'
+    });
+  }
+});
+
+// DELETE /api/journal/:id - manual entries only; paper trades feed the
+// daily risk limits
+router.delete('/journal/:id', async (req, res) => {
+  try {
+    const entry = JournalService.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Journal entry not found'
+      });
+    }
+    if (entry.source !== 'manual') {
+      return res.status(409).json({
+        success: false,
+        error: 'Paper trades count towards the daily risk limits and cannot be deleted'
+      });
+    }
+
+    await JournalService.deleteEntry(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Journal entry deleted',
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error deleting journal entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete journal entry'
+    });
+  }
+});
+
+// POST /api/backtests
+router.post('/backtests', validateRequest(backtestSchema), (req, res) => {
+  try {
+    if (req.body.preset && !PresetService.getPreset(req.body.preset)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown strategy preset: ${req.body.preset}`
+      });
+    }
+
+    const { result, ...backtest } = BacktestService.startBacktest(req.body);
+
+    res.status(202).json({
+      success: true,
+      data: backtest,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error starting backtest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start backtest'
+    });
+  }
+});
+
+// GET /api/backtests
+router.get('/backtests', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: BacktestService.listBacktests(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching backtests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch backtests'
+    });
+  }
+});
+
+// GET /api/backtests/:id
+router.get('/backtests/:id', (req, res) => {
+  try {
+    const backtest = BacktestService.getBacktest(req.params.id);
+
+    if (!backtest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Backtest not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: backtest,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching backtest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch backtest'
+    });
+  }
+});
+
+// POST /api/optimizations
+router.post('/optimizations', validateRequest(optimizationSchema), (req, res) => {
+  try {
+    const { result, ...optimization } = OptimizerService.startOptimization(req.body);
+
+    res.status(202).json({
+      success: true,
+      data: optimization,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error starting optimization:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start optimization'
+    });
+  }
+});
+
+// GET /api/optimizations
+router.get('/optimizations', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: OptimizerService.listOptimizations(),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching optimizations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch optimizations'
+    });
+  }
+});
+
+// GET /api/optimizations/:id
+router.get('/optimizations/:id', (req, res) => {
+  try {
+    const optimization = OptimizerService.getOptimization(req.params.id);
+
+    if (!optimization) {
+      return res.status(404).json({
+        success: false,
+        error: 'Optimization not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: optimization,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching optimization:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch optimization'
+    });
+  }
+});
+
+// GET /api/presets
+router.get('/presets', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: PresetService.listPresets(),
+      active: SettingsService.getSettings().strategyPreset,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching presets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch presets'
+    });
+  }
+});
+
+// POST /api/presets
+router.post('/presets', validateRequest(presetSchema), async (req, res) => {
+  try {
+    const { name, description, params, optimizationId, rank } = req.body;
+    let preset = { name, description, params };
+
+    if (optimizationId) {
+      const optimization = OptimizerService.getOptimization(optimizationId);
+      const candidate =
+        optimization && optimization.result ? optimization.result.robust[rank] : null;
+
+      if (!candidate) {
+        return res.status(404).json({
+          success: false,
+          error: 'No robust parameter set with that rank in the optimization'
+        });
+      }
+
+      preset = {
+        name,
+        description,
+        params: candidate.params,
+        source: { optimizationId, rank, outOfSample: candidate.outOfSample }
+      };
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await PresetService.savePreset(preset),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error saving preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save preset'
+    });
+  }
+});
+
+// DELETE /api/presets/:name
+router.delete('/presets/:name', async (req, res) => {
+  try {
+    if (SettingsService.getSettings().strategyPreset === req.params.name) {
+      return res.status(409).json({
+        success: false,
+        error: 'Preset is in use; select another preset first'
+      });
+    }
+
+    if (!(await PresetService.deletePreset(req.params.name))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Preset deleted',
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error deleting preset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete preset'
+    });
+  }
+});
+
+// Settings as returned to clients, with the live data provider state
+const describeSettings = (settings) => {
+  const { options, ...dataProvider } = settings.dataProvider;
+  const status = DataProviderService.getStatus();
+
+  return {
+    ...settings,
+    dataProvider: {
+      ...dataProvider,
+      // Recorded ticks can be large, so only report how many were supplied
+      options: options.ticks ? { ...options, ticks: options.ticks.length } : options,
+      connected: status.provider === dataProvider.provider && status.connected,
+      status
+    }
+  };
+};
+
+// POST /api/settings
+router.post('/settings', validateRequest(settingsSchema), async (req, res) => {
+  try {
+    const settings = req.body;
+    
+    // Validate risk management rules
+    const validation = RiskManagementService.validateSettings(settings);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid settings',
+        details: validation.errors
+      });
+    }
+
+    if (settings.strategyPreset && !PresetService.getPreset(settings.strategyPreset)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid settings',
+        details: [`Unknown strategy preset: ${settings.strategyPreset}`]
+      });
+    }
+
+    // Switch data provider before saving so a failed connection is reported
+    if (settings.dataProvider) {
+      try {
+        await DataProviderService.useProvider(settings.dataProvider);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Failed to connect data provider',
+          details: [error.message]
+        });
+      }
+    }
+
+    const updated = SettingsService.updateSettings(settings);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: describeSettings(updated),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update settings'
+    });
+  }
+});
+
+// GET /api/settings
+router.get('/settings', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: describeSettings(SettingsService.getSettings()),
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settings'
+    });
+  }
+});
+
+// GET /api/data-providers
+router.get('/data-providers', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        available: DataProviderService.listProviders(),
+        active: DataProviderService.getStatus()
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching data providers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch data providers'
+    });
+  }
+});
+
+// GET /api/instruments - every known instrument, which are watched and the
+// sessions open right now
+router.get('/instruments', (req, res) => {
+  try {
+    const now = new Date();
+    res.json({
+      success: true,
+      data: {
+        instruments: InstrumentService.listInstruments().map((instrument) => ({
+          ...instrument,
+          watched: InstrumentService.isWatched(instrument.symbol),
+          openSessions: InstrumentService.getOpenSessions(instrument.symbol, now)
+        })),
+        watched: InstrumentService.getWatched(),
+        sessions: InstrumentService.getSessions()
+      },
+      timestamp: now
+    });
+  } catch (error) {
+    console.error('Error fetching instruments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch instruments'
+    });
+  }
+});
+
+// POST /api/instruments - define or change an instrument and, unless watch
+// is false, start trading it
+router.post('/instruments', validateRequest(instrumentSchema), async (req, res) => {
+  try {
+    const { watch, ...definition } = req.body;
+    const known = InstrumentService.getInstrument(definition.symbol);
+
+    if (!known && !(definition.pipSize && definition.basePrice)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown instrument',
+        details: ['A new instrument needs at least a pip size and a base price']
+      });
+    }
+
+    // A bare symbol just watches a known instrument
+    const instrument = Object.keys(definition).length > 1
+      ? await InstrumentService.defineInstrument(definition)
+      : known;
+    if (watch) {
+      await InstrumentService.watch(instrument.symbol);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...instrument, watched: InstrumentService.isWatched(instrument.symbol) },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error saving instrument:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save instrument'
+    });
+  }
+});
+
+// DELETE /api/instruments/:symbol - stop watching a pair. Refused while the
+// paper account holds positions or orders on it.
+router.delete('/instruments/:symbol', async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    if (!InstrumentService.isWatched(symbol)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Instrument is not watched'
+      });
+    }
+
+    const inUse = [
+      ...PaperTradingService.getOpenPositions(),
+      ...PaperTradingService.getPendingOrders()
+    ].some((trade) => trade.pair === symbol);
+    if (inUse) {
+      return res.status(409).json({
+        success: false,
+        error: 'Instrument has open positions or pending orders; close them first'
+      });
+    }
+
+    if (InstrumentService.getWatched().length === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'At least one instrument must stay watched'
+      });
+    }
+
+    await InstrumentService.unwatch(symbol);
+
+    res.json({
+      success: true,
+      message: 'Instrument removed',
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error removing instrument:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove instrument'
+    });
+  }
+});
+
+// GET /api/strategies
+router.get('/strategies', (req, res) => {
+  try {
+    const pairs = MarketStateService.getPairs();
+    const strategies = Strategies.listStrategies().map((strategy) => ({
+      id: strategy.id,
+      name: strategy.name,
+      version: strategy.version,
+      description: strategy.description,
+      enabled: Object.fromEntries(
+        pairs.map((pair) => [pair, Strategies.isStrategyEnabled(strategy.id, pair)])
+      )
+    }));
+
+    res.json({
+      success: true,
+      data: strategies,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('Error fetching strategies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch strategies'
     });
   }
 });
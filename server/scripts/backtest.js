@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// Run a backtest from the command line.
+//
+//   npm run backtest -- --pairs EUR/USD,GBP/USD --timeframe 15m --from 2024-01-01
+//   npm run backtest -- --pairs EUR/USD --file eurusd-15m.csv --out report.json
+//   npm run backtest -- --preset tuned-majors
+//
+// Without --file the recorded candle history in DATA_DIR is replayed. A
+// --file (CSV with a header row, or NDJSON) needs timestamp, open, high,
+// low, close and optionally volume and pair columns. Pairs default to the
+// file's pairs or the watched pairs, and must be known instruments,
+// including those added at runtime.
+
+const fs = require("fs").promises;
+const path = require("path");
+const BacktestService = require("../services/backtestService");
+const InstrumentService = require("../services/instrumentService");
+const PresetService = require("../services/presetService");
+const { parseRecords } = require("../utils/recordFiles");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next && !next.startsWith("--") ? argv[++i] : true;
+  }
+  return args;
+};
+
+const list = (value) => (value ? String(value).split(",").map((item) => item.trim()) : undefined);
+
+const number = (value) => (value === undefined ? undefined : Number(value));
+
+// Group imported candles by their pair column, falling back to the only
+// requested pair
+const loadCandleFile = async (file, pairs) => {
+  const records = parseRecords(await fs.readFile(file, "utf8"), file);
+  const candles = {};
+
+  records.forEach((record) => {
+    const pair = record.pair || (pairs && pairs.length === 1 ? pairs[0] : null);
+    if (!pair) {
+      throw new Error("Candle file has no pair column; pass a single --pairs value");
+    }
+    (candles[pair] = candles[pair] || []).push(record);
+  });
+
+  return candles;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const pairs = list(args.pairs);
+
+  const options = {
+    pairs,
+    timeframe: args.timeframe,
+    from: args.from,
+    to: args.to,
+    initialBalance: number(args.balance),
+    riskPerTrade: number(args.risk),
+    spread: number(args.spread),
+    strategies: list(args.strategies),
+    preset: args.preset,
+  };
+
+  // Pip sizes and digits come from the same registry the server uses
+  await InstrumentService.load();
+  await PresetService.load();
+
+  if (args.file) {
+    options.candles = await loadCandleFile(path.resolve(args.file), pairs);
+  }
+
+  options.pairs = pairs || (options.candles ? Object.keys(options.candles) : InstrumentService.getWatched());
+  const unknown = options.pairs.filter((pair) => !InstrumentService.getInstrument(pair));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown instrument: ${unknown.join(", ")}`);
+  }
+
+  Object.keys(options).forEach((key) => options[key] === undefined && delete options[key]);
+
+  const report = await BacktestService.run(options);
+  const { summary } = report;
+
+  console.log(`Backtest ${report.pairs.join(", ")} ${report.timeframe}`);
+  console.log(`  Period:        ${new Date(report.from).toISOString()} - ${new Date(report.to).toISOString()}`);
+  console.log(`  Trades:        ${summary.totalTrades} (${summary.wins} won, ${summary.losses} lost)`);
+  console.log(`  Win rate:      ${summary.winRate}%`);
+  console.log(`  Profit factor: ${summary.profitFactor === null ? "n/a" : summary.profitFactor}`);
+  console.log(`  Net profit:    ${summary.netProfit} (${summary.returnPercent}%)`);
+  console.log(`  Max drawdown:  ${summary.maxDrawdown} (${summary.maxDrawdownPercent}%)`);
+  console.log(`  Average R:     ${summary.averageR}`);
+
+  if (args.out) {
+    await fs.writeFile(path.resolve(args.out), JSON.stringify(report, null, 2));
+    console.log(`Full report written to ${args.out}`);
+  }
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Backtest failed:", error.message);
+    process.exit(1);
+  });
@@ -18,7 +18,19 @@ const io = socketIo(server, {
 });
 
 // Import services
-const OpportunityService = require("./services/opportunityService");
+const MarketStateService = require("./services/marketStateService");
+const DataProviderService = require("./services/dataProviderService");
+const SettingsService = require("./services/settingsService");
+const CandleService = require("./services/candleService");
+const LiveIndicatorService = require("./services/liveIndicatorService");
+const PresetService = require("./services/presetService");
+const PaperTradingService = require("./services/paperTradingService");
+const JournalService = require("./services/journalService");
+const RiskManagementService = require("./services/riskManagementService");
+const CorrelationService = require("./services/correlationService");
+const InstrumentService = require("./services/instrumentService");
+const SpreadService = require("./services/spreadService");
+const RegimeService = require("./services/regimeService");
 
 // Import routes
 const apiRoutes = require("./routes/api");
@@ -55,36 +67,160 @@ app.get("/health", (req, res) => {
   });
 });
 
-// Global state for market data and opportunities
-let marketData = {
-  "EUR/USD": {
-    price: 1.0855,
-    spread: 1.1,
-    atr: 0.0085,
-    vwapSlope: 0.0003,
-    rsi: 52,
-    adx: 28,
-    regime: "trending",
-    correlation: 0.82,
-    lastUpdate: new Date(),
-    historicalData: [],
-  },
-  "GBP/USD": {
-    price: 1.2645,
-    spread: 1.5,
-    atr: 0.0112,
-    vwapSlope: -0.0001,
-    rsi: 48,
-    adx: 22,
-    regime: "ranging",
-    correlation: 0.82,
-    lastUpdate: new Date(),
-    historicalData: [],
-  },
+let connectedClients = 0;
+
+// Push shared state changes to every connected client
+MarketStateService.on("marketData", (marketData) => {
+  io.emit("marketData", marketData);
+});
+
+MarketStateService.on("opportunities", (opportunities) => {
+  io.emit("opportunities", opportunities);
+});
+
+// Feed provider ticks into the shared market state and candle history
+DataProviderService.on("tick", (tick) => {
+  MarketStateService.applyTick(tick);
+  SpreadService.recordTick(tick);
+  CandleService.ingestTick(tick);
+  PaperTradingService.handleTick(tick);
+});
+
+DataProviderService.on("connected", async (provider) => {
+  await CandleService.loadHistory(provider, MarketStateService.getPairs());
+  // Rebuild live indicators from the reloaded history
+  LiveIndicatorService.reset();
+});
+
+// Pairs watched or unwatched at runtime join or leave the market state,
+// the data feed and the candle history
+InstrumentService.on("watch", async (instrument) => {
+  MarketStateService.addPair(instrument);
+  DataProviderService.subscribe([instrument.symbol]);
+
+  const provider = DataProviderService.getProvider();
+  if (provider) {
+    await CandleService.loadPairHistory(provider, instrument.symbol);
+    LiveIndicatorService.reset();
+  }
+  MarketStateService.publishMarketData();
+});
+
+InstrumentService.on("unwatch", (symbol) => {
+  DataProviderService.unsubscribe([symbol]);
+  MarketStateService.removePair(symbol);
+  RegimeService.remove(symbol);
+  MarketStateService.publishMarketData();
+});
+
+CandleService.on("candleClose", (event) => {
+  io.emit("candleClose", event);
+});
+
+DataProviderService.on("status", (status) => {
+  io.emit("dataProviderStatus", status);
+});
+
+PaperTradingService.on("positions", (positions) => {
+  io.emit("positions", positions);
+});
+
+PaperTradingService.on("positionClosed", (position) => {
+  const outcome = position.realizedPnL >= 0 ? "success" : "warning";
+  io.emit("alert", {
+    type: outcome,
+    message: `${position.pair} ${position.direction} closed (${position.closeReason}): ${
+      position.realizedPnL >= 0 ? "+" : ""
+    }${position.realizedPnL.toFixed(2)}`,
+    timestamp: new Date(),
+  });
+});
+
+RegimeService.on("regimeChange", (change) => {
+  io.emit("regimeChange", change);
+});
+
+SpreadService.on("anomaly", (anomaly) => {
+  io.emit("spreadAnomaly", anomaly);
+  io.emit("alert", {
+    type: "warning",
+    message: `${anomaly.pair} spread widened to ${anomaly.spread} pips, ${anomaly.ratio}x the usual ${anomaly.baseline}`,
+    timestamp: new Date(),
+  });
+});
+
+SpreadService.on("normalized", (anomaly) => {
+  io.emit("spreadAnomaly", { ...anomaly, resolved: true });
+  io.emit("alert", {
+    type: "info",
+    message: `${anomaly.pair} spread back to normal at ${anomaly.spread} pips (peaked at ${anomaly.peak})`,
+    timestamp: new Date(),
+  });
+});
+
+PaperTradingService.on("marginCall", (account) => {
+  io.emit("alert", {
+    type: "error",
+    message: `Margin call: margin level ${account.marginLevel}%, free margin ${account.freeMargin.toFixed(2)}`,
+    timestamp: new Date(),
+  });
+});
+
+// Journal every paper trade, with the opportunity as it was when taken
+const logJournalError = (error) => {
+  console.error("Failed to update trade journal:", error);
 };
 
-let opportunities = [];
-let connectedClients = 0;
+PaperTradingService.on("orderPlaced", (order) => {
+  JournalService.recordOrder(
+    order,
+    MarketStateService.getOpportunity(order.opportunityId)
+  ).catch(logJournalError);
+});
+
+PaperTradingService.on("orderClosed", (order) => {
+  JournalService.recordOrderClosed(order).catch(logJournalError);
+});
+
+PaperTradingService.on("positionOpened", (position) => {
+  JournalService.recordPosition(
+    position,
+    MarketStateService.getOpportunity(position.opportunityId)
+  ).catch(logJournalError);
+});
+
+PaperTradingService.on("positionClosed", (position) => {
+  JournalService.recordPosition(position).catch(logJournalError);
+});
+
+const getRiskAnalysis = () =>
+  RiskManagementService.getCurrentRiskAnalysis(PaperTradingService.getSnapshot());
+
+// Also marks opportunities blocked while the risk gate is closed and
+// resizes them for the current (scaled) risk per trade
+const publishRisk = () => {
+  const analysis = getRiskAnalysis();
+  MarketStateService.applyRisk({
+    blockedReason: analysis.gate.blocked ? analysis.gate.reason : null,
+    sizer: (opportunity) => PaperTradingService.suggestPositionSize(opportunity),
+  });
+  io.emit("risk", analysis);
+};
+
+JournalService.on("summary", (summary) => {
+  io.emit("journalSummary", summary);
+  publishRisk();
+});
+
+const announceOpportunities = (newOpportunities) => {
+  if (newOpportunities.length > 0) {
+    io.emit("alert", {
+      type: "success",
+      message: `${newOpportunities.length} new trading opportunity detected!`,
+      timestamp: new Date(),
+    });
+  }
+};
 
 // WebSocket connection handling
 io.on("connection", (socket) => {
@@ -92,33 +228,34 @@ io.on("connection", (socket) => {
   console.log(`Client connected. Total clients: ${connectedClients}`);
 
   // Send initial data
-  socket.emit("marketData", marketData);
-  socket.emit("opportunities", opportunities);
+  socket.emit("marketData", MarketStateService.getMarketData());
+  socket.emit("opportunities", MarketStateService.getOpportunities());
+  socket.emit("dataProviderStatus", DataProviderService.getStatus());
+  socket.emit("positions", PaperTradingService.getSnapshot());
+  socket.emit("journalSummary", JournalService.getDailySummary());
+  socket.emit("risk", getRiskAnalysis());
 
   // Handle client requests
   socket.on("requestMarketData", () => {
-    socket.emit("marketData", marketData);
+    socket.emit("marketData", MarketStateService.getMarketData());
   });
 
   socket.on("requestOpportunities", () => {
-    socket.emit("opportunities", opportunities);
+    socket.emit("opportunities", MarketStateService.getOpportunities());
+  });
+
+  socket.on("requestPositions", () => {
+    socket.emit("positions", PaperTradingService.getSnapshot());
+  });
+
+  socket.on("requestRisk", () => {
+    socket.emit("risk", getRiskAnalysis());
   });
 
   socket.on("assessOpportunities", async () => {
     try {
-      const newOpportunities = await OpportunityService.assessAllPairs(
-        marketData
-      );
-      opportunities = [...newOpportunities, ...opportunities.slice(0, 20)];
-      io.emit("opportunities", opportunities);
-
-      if (newOpportunities.length > 0) {
-        io.emit("alert", {
-          type: "success",
-          message: `${newOpportunities.length} new trading opportunity detected!`,
-          timestamp: new Date(),
-        });
-      }
+      const newOpportunities = await MarketStateService.assessOpportunities();
+      announceOpportunities(newOpportunities);
     } catch (error) {
       console.error("Error assessing opportunities:", error);
       socket.emit("alert", {
@@ -135,38 +272,31 @@ io.on("connection", (socket) => {
   });
 });
 
-// Simulate real-time market data updates
+// Refresh derived market data from the latest provider prices
 const updateMarketData = async () => {
   try {
-    // In production, replace this with real data provider calls
+    const marketData = MarketStateService.getMarketData();
+
+    // Roll the correlations forward once new candles have closed
+    CorrelationService.refresh();
+
     Object.keys(marketData).forEach((pair) => {
       const data = marketData[pair];
 
-      // Simulate price movement
-      const change = (Math.random() - 0.5) * 0.001;
-      data.price = Math.max(0, data.price + change);
-
-      // Update indicators
-      data.rsi = Math.max(
-        0,
-        Math.min(100, data.rsi + (Math.random() - 0.5) * 2)
-      );
-      data.adx = Math.max(
-        0,
-        Math.min(100, data.adx + (Math.random() - 0.5) * 1)
+      // Update indicators from the strategy timeframe candles
+      MarketStateService.applyIndicators(
+        pair,
+        LiveIndicatorService.getSnapshot(pair)
       );
-      data.vwapSlope = data.vwapSlope + (Math.random() - 0.5) * 0.0002;
-
-      // Update regime based on indicators
-      if (data.adx > 25 && Math.abs(data.vwapSlope) > 0.0001) {
-        data.regime = "trending";
-      } else if (data.adx < 20) {
-        data.regime = "ranging";
-      } else {
-        data.regime = "volatile";
-      }
 
-      data.lastUpdate = new Date();
+      // Update the regime from the indicators; it only changes once the
+      // classifier's thresholds and dwell time allow
+      data.regime = RegimeService.update(pair, data).regime;
+
+      // Compare the spread with the usual one for this hour
+      const spread = SpreadService.getStatus(pair);
+      data.spreadBaseline = spread.baseline.mean;
+      data.spreadAnomaly = Boolean(spread.anomaly);
 
       // Store historical data
       data.historicalData.push({
@@ -183,22 +313,14 @@ const updateMarketData = async () => {
     });
 
     // Broadcast updated data to all clients
-    io.emit("marketData", marketData);
+    MarketStateService.publishMarketData();
+    // Floating P&L of open positions moves the risk picture too
+    publishRisk();
 
     // Randomly assess opportunities
     if (Math.random() > 0.7) {
-      const newOpportunities = await OpportunityService.assessAllPairs(
-        marketData
-      );
-      if (newOpportunities.length > 0) {
-        opportunities = [...newOpportunities, ...opportunities.slice(0, 20)];
-        io.emit("opportunities", opportunities);
-        io.emit("alert", {
-          type: "success",
-          message: `${newOpportunities.length} new trading opportunity detected!`,
-          timestamp: new Date(),
-        });
-      }
+      const newOpportunities = await MarketStateService.assessOpportunities();
+      announceOpportunities(newOpportunities);
     }
   } catch (error) {
     console.error("Error updating market data:", error);
@@ -206,18 +328,26 @@ const updateMarketData = async () => {
 };
 
 // Schedule market data updates every 3 seconds
-cron.schedule("*/15 * * * *", updateMarketData);
+cron.schedule("*/3 * * * * *", updateMarketData);
+
+// Persist the learned spread profiles every minute
+cron.schedule("0 * * * * *", () => {
+  SpreadService.save().catch((error) => {
+    console.error("Failed to save spread profiles:", error);
+  });
+});
+
+// Close candles whose period has ended and expire pending paper orders
+// every second
+cron.schedule("* * * * * *", () => {
+  CandleService.closeExpiredCandles();
+  PaperTradingService.expireOrders();
+});
 
 // Schedule opportunity assessment every 30 seconds
 cron.schedule("*/30 * * * * *", async () => {
   try {
-    const newOpportunities = await OpportunityService.assessAllPairs(
-      marketData
-    );
-    if (newOpportunities.length > 0) {
-      opportunities = [...newOpportunities, ...opportunities.slice(0, 20)];
-      io.emit("opportunities", opportunities);
-    }
+    await MarketStateService.assessOpportunities();
   } catch (error) {
     console.error("Error in scheduled opportunity assessment:", error);
   }
@@ -242,6 +372,31 @@ app.use("*", (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
+PresetService.load().catch((error) => {
+  console.error("Failed to load strategy presets:", error);
+});
+
+JournalService.load().catch((error) => {
+  console.error("Failed to load trade journal:", error);
+});
+
+SpreadService.load().catch((error) => {
+  console.error("Failed to load spread profiles:", error);
+});
+
+// The provider subscribes to the watched pairs, so restore them first
+InstrumentService.load()
+  .catch((error) => {
+    console.error("Failed to load instruments:", error);
+  })
+  .then(() => DataProviderService.useProvider(SettingsService.getSettings().dataProvider))
+  .then((status) => {
+    console.log(`📡 Data provider: ${status.provider}`);
+  })
+  .catch((error) => {
+    console.error("Failed to start data provider:", error);
+  });
+
 server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Market data updates every 3 seconds`);
@@ -254,6 +409,10 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received, shutting down gracefully");
+  const provider = DataProviderService.getProvider();
+  if (provider) {
+    provider.disconnect();
+  }
   server.close(() => {
     console.log("Process terminated");
   });
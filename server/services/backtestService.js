@@ -0,0 +1,415 @@
+const { v4: uuidv4 } = require("uuid");
+const CandleService = require("./candleService");
+const SettingsService = require("./settingsService");
+const LiveIndicatorService = require("./liveIndicatorService");
+const MarketStateService = require("./marketStateService");
+const OpportunityService = require("./opportunityService");
+const InstrumentService = require("./instrumentService");
+const RegimeService = require("./regimeService");
+const RiskManagementService = require("./riskManagementService");
+const SpreadService = require("./spreadService");
+const Strategies = require("../strategies");
+
+// Closed candles handed to the opportunity pipeline for structure analysis
+const STRUCTURE_LOOKBACK = 100;
+
+// Finished runs kept for the results endpoint
+const BACKTEST_HISTORY_LIMIT = 20;
+
+// Bars processed before yielding to the event loop, so a long run does not
+// stall live updates
+const YIELD_EVERY = 500;
+
+// id -> backtest record, most recent last
+const backtests = new Map();
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+const normalizeCandle = (candle) => ({
+  timestamp: new Date(candle.timestamp),
+  open: Number(candle.open),
+  high: Number(candle.high),
+  low: Number(candle.low),
+  close: Number(candle.close),
+  volume: Number(candle.volume) || 0,
+});
+
+// Spread in pips charged on every fill: the run's override, otherwise the
+// instrument's typical spread
+const getSpread = (pair, spread) => {
+  if (typeof spread === "number") return spread;
+  if (spread && spread[pair] !== undefined) return spread[pair];
+  return InstrumentService.requireInstrument(pair).typicalSpread;
+};
+
+// Exit price if the candle reaches the stop or target. Longs exit on the bid
+// and shorts on the ask; when both levels are inside one candle the stop is
+// assumed to fill first, and a gap through a level fills at the open.
+const findExit = (position, candle, halfSpread) => {
+  const { direction, stopLoss, takeProfit } = position;
+
+  if (direction === "long") {
+    const open = candle.open - halfSpread;
+    if (open <= stopLoss) return { price: open, reason: "stopLoss" };
+    if (open >= takeProfit) return { price: open, reason: "takeProfit" };
+    if (candle.low - halfSpread <= stopLoss) return { price: stopLoss, reason: "stopLoss" };
+    if (candle.high - halfSpread >= takeProfit) return { price: takeProfit, reason: "takeProfit" };
+    return null;
+  }
+
+  const open = candle.open + halfSpread;
+  if (open >= stopLoss) return { price: open, reason: "stopLoss" };
+  if (open <= takeProfit) return { price: open, reason: "takeProfit" };
+  if (candle.high + halfSpread >= stopLoss) return { price: stopLoss, reason: "stopLoss" };
+  if (candle.low + halfSpread <= takeProfit) return { price: takeProfit, reason: "takeProfit" };
+  return null;
+};
+
+const summarize = (trades, initialBalance, equityCurve) => {
+  const wins = trades.filter((trade) => trade.pnl > 0);
+  const losses = trades.filter((trade) => trade.pnl <= 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+  const finalBalance = equityCurve[equityCurve.length - 1].equity;
+
+  let peak = initialBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  equityCurve.forEach(({ equity }) => {
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - equity) / peak) * 100);
+  });
+
+  return {
+    initialBalance,
+    finalBalance: round(finalBalance),
+    netProfit: round(finalBalance - initialBalance),
+    returnPercent: round(((finalBalance - initialBalance) / initialBalance) * 100),
+    totalTrades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? round((wins.length / trades.length) * 100) : 0,
+    grossProfit: round(grossProfit),
+    grossLoss: round(grossLoss),
+    // null when there were no losing trades to divide by
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+    averageR:
+      trades.length > 0
+        ? round(trades.reduce((sum, trade) => sum + trade.rMultiple, 0) / trades.length)
+        : 0,
+    maxDrawdown: round(maxDrawdown),
+    maxDrawdownPercent: round(maxDrawdownPercent),
+  };
+};
+
+// Replays closed candles through the live indicator calculators and the
+// opportunity pipeline, trading each opportunity at the next candle's open
+// and holding it until its stop loss or take profit is hit. One position
+// per pair at a time; all pairs share one balance.
+class BacktestService {
+  // Candles supplied in options.candles[pair] take precedence over the
+  // recorded candle history
+  static async loadCandles(pairs, timeframe, { candles = {}, from, to } = {}) {
+    const result = {};
+
+    for (const pair of pairs) {
+      if (candles[pair]) {
+        result[pair] = candles[pair]
+          .map(normalizeCandle)
+          .sort((a, b) => a.timestamp - b.timestamp);
+        continue;
+      }
+
+      // The forming candle is not final yet
+      const forming = CandleService.getFormingCandle(pair, timeframe);
+      result[pair] = (await CandleService.queryCandles(pair, timeframe, { from, to })).filter(
+        (candle) => !forming || candle.timestamp.getTime() !== forming.timestamp.getTime()
+      );
+    }
+
+    return result;
+  }
+
+  // The pairs with imported candles, else every live pair
+  static getDefaultPairs({ candles = {} } = {}) {
+    return Object.keys(candles).length > 0 ? Object.keys(candles) : MarketStateService.getPairs();
+  }
+
+  static async run(options = {}) {
+    const settings = SettingsService.getSettings();
+    const {
+      pairs = this.getDefaultPairs(options),
+      timeframe = settings.strategyParams.timeframe,
+      initialBalance = settings.balance,
+      riskPerTrade = settings.riskPerTrade,
+      spread,
+      strategies,
+      tradeFrom,
+    } = options;
+
+    // Explicit parameters win over a named preset, which wins over the
+    // preset selected in settings
+    let params = OpportunityService.getActiveParams();
+    if (options.params) {
+      params = OpportunityService.resolveParams(options.params);
+    } else if (options.preset) {
+      params = OpportunityService.getPresetParams(options.preset);
+    }
+    const tradeFromTime = tradeFrom ? new Date(tradeFrom).getTime() : -Infinity;
+
+    const candlesByPair = await this.loadCandles(pairs, timeframe, options);
+    const empty = pairs.filter((pair) => candlesByPair[pair].length === 0);
+    if (empty.length > 0) {
+      throw new Error(`No ${timeframe} candles found for ${empty.join(", ")}`);
+    }
+
+    const states = {};
+    pairs.forEach((pair) => {
+      const pairSpread = getSpread(pair, spread);
+      const pipSize = InstrumentService.getPipSize(pair);
+      states[pair] = {
+        candles: candlesByPair[pair],
+        calculators: LiveIndicatorService.createCalculators(settings.strategyParams),
+        pipSize,
+        spread: pairSpread,
+        halfSpread: (pairSpread * pipSize) / 2,
+        regime: RegimeService.createClassifier(),
+        // ATR of earlier candles, for the regime's ATR percentile
+        atrHistory: [],
+        strategies: strategies
+          ? strategies.map((id) => Strategies.getStrategy(id)).filter(Boolean)
+          : Strategies.getEnabledStrategies(pair, settings),
+        pending: null,
+        position: null,
+      };
+    });
+
+    // Every candle of every pair in time order
+    const timeline = pairs
+      .flatMap((pair) => states[pair].candles.map((candle, index) => ({ pair, index, candle })))
+      .sort((a, b) => a.candle.timestamp - b.candle.timestamp || a.pair.localeCompare(b.pair));
+
+    const trades = [];
+    let balance = initialBalance;
+    const equityCurve = [{ timestamp: timeline[0].candle.timestamp, equity: balance }];
+
+    // Conversion rates as of the candle being processed: the latest close
+    // of every backtested pair, the registry's base prices for the others
+    const rates = {};
+    InstrumentService.listInstruments().forEach((instrument) => {
+      rates[instrument.symbol] = instrument.basePrice;
+    });
+
+    // An amount in the pair's quote currency in the account currency, with
+    // the pair itself at price
+    const toAccountCurrency = (pair, amount, price) =>
+      amount *
+      RiskManagementService.getConversionRate(pair.split("/")[1], settings.accountCurrency, {
+        ...rates,
+        [pair]: price,
+      });
+
+    const closePosition = (state, pair, exit, timestamp) => {
+      const { position } = state;
+      const sign = position.direction === "long" ? 1 : -1;
+      const pnl = toAccountCurrency(pair, (exit.price - position.entry) * sign * position.units, exit.price);
+
+      balance += pnl;
+      trades.push({
+        id: uuidv4(),
+        pair,
+        strategy: position.strategy,
+        setup: position.setup,
+        direction: position.direction,
+        score: position.score,
+        units: Math.round(position.units),
+        entryTime: position.entryTime,
+        entry: round(position.entry, 5),
+        stopLoss: position.stopLoss,
+        takeProfit: position.takeProfit,
+        exitTime: timestamp,
+        exit: round(exit.price, 5),
+        exitReason: exit.reason,
+        pips: round(((exit.price - position.entry) * sign) / state.pipSize, 1),
+        rMultiple: round(pnl / position.risk),
+        spreadCost: round(toAccountCurrency(pair, position.units * state.spread * state.pipSize, position.entry)),
+        pnl: round(pnl),
+        balance: round(balance),
+      });
+      equityCurve.push({ timestamp, equity: round(balance) });
+      state.position = null;
+    };
+
+    for (let step = 0; step < timeline.length; step++) {
+      const { pair, index, candle } = timeline[step];
+      const state = states[pair];
+      rates[pair] = candle.open;
+
+      // Fill the previous candle's opportunity at this candle's open
+      if (state.pending) {
+        const { opportunity } = state.pending;
+        const long = opportunity.direction === "long";
+        const entry = long ? candle.open + state.halfSpread : candle.open - state.halfSpread;
+        const stopOnWrongSide = long ? opportunity.stopLoss >= entry : opportunity.stopLoss <= entry;
+        // Sized like paper trades, in lot steps within the lot limits
+        const size = stopOnWrongSide
+          ? null
+          : RiskManagementService.calculatePositionSize(
+              balance,
+              riskPerTrade,
+              entry,
+              opportunity.stopLoss,
+              pair,
+              { rates: { ...rates } }
+            );
+
+        if (size && size.units > 0) {
+          state.position = {
+            strategy: opportunity.strategy,
+            setup: opportunity.setup,
+            direction: opportunity.direction,
+            score: opportunity.score,
+            entry,
+            entryTime: candle.timestamp,
+            stopLoss: opportunity.stopLoss,
+            takeProfit: opportunity.takeProfit,
+            units: size.units,
+            risk: size.riskAmount,
+          };
+        }
+        state.pending = null;
+      }
+
+      if (state.position) {
+        const exit = findExit(state.position, candle, state.halfSpread);
+        if (exit) {
+          closePosition(state, pair, exit, candle.timestamp);
+        }
+      }
+
+      rates[pair] = candle.close;
+      Object.values(state.calculators).forEach((calculator) => calculator.update(candle));
+
+      // The regime follows every candle, with the same hysteresis as live
+      const snapshot = LiveIndicatorService.readSnapshot(state.calculators);
+      const ready = Object.values(snapshot).every((value) => value !== null);
+      if (ready) {
+        state.regime.update(RegimeService.measure(snapshot, state.atrHistory), candle.timestamp);
+        state.atrHistory.push(snapshot.atr);
+        if (state.atrHistory.length > settings.regime.atrLookback) {
+          state.atrHistory.shift();
+        }
+      }
+
+      // Candles before tradeFrom only warm up the indicators
+      if (ready && !state.position && candle.timestamp.getTime() >= tradeFromTime) {
+        const data = {
+          ...snapshot,
+          price: candle.close,
+          spread: state.spread,
+          lastUpdate: candle.timestamp,
+          regime: state.regime.getRegime(),
+        };
+
+        const opportunity = await OpportunityService.assessSinglePair(
+          pair,
+          data,
+          { [pair]: data },
+          state.candles.slice(Math.max(0, index + 1 - STRUCTURE_LOOKBACK), index + 1),
+          state.strategies,
+          params,
+          // Fixed, so results do not change as the server learns spreads
+          SpreadService.getTypicalBaseline(pair, candle.timestamp)
+        );
+
+        if (opportunity) {
+          state.pending = { opportunity };
+        }
+      }
+
+      if (step % YIELD_EVERY === YIELD_EVERY - 1) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+
+    // Close whatever is still open at the last close
+    pairs.forEach((pair) => {
+      const state = states[pair];
+      if (!state.position) return;
+
+      const last = state.candles[state.candles.length - 1];
+      const price =
+        state.position.direction === "long"
+          ? last.close - state.halfSpread
+          : last.close + state.halfSpread;
+      closePosition(state, pair, { price, reason: "endOfData" }, last.timestamp);
+    });
+
+    trades.sort((a, b) => a.exitTime - b.exitTime);
+
+    return {
+      pairs,
+      timeframe,
+      from: timeline[0].candle.timestamp,
+      to: timeline[timeline.length - 1].candle.timestamp,
+      candles: Object.fromEntries(pairs.map((pair) => [pair, states[pair].candles.length])),
+      spreads: Object.fromEntries(pairs.map((pair) => [pair, states[pair].spread])),
+      params,
+      summary: summarize(trades, initialBalance, equityCurve),
+      trades,
+      equityCurve,
+    };
+  }
+
+  // Start a run in the background; poll getBacktest(id) for the result
+  static startBacktest(options = {}) {
+    const { candles, ...rest } = options;
+    const backtest = {
+      id: uuidv4(),
+      status: "running",
+      options: rest,
+      createdAt: new Date(),
+      completedAt: null,
+      error: null,
+      result: null,
+    };
+
+    backtests.set(backtest.id, backtest);
+    while (backtests.size > BACKTEST_HISTORY_LIMIT) {
+      backtests.delete(backtests.keys().next().value);
+    }
+
+    this.run(options)
+      .then((result) => {
+        backtest.status = "completed";
+        backtest.result = result;
+      })
+      .catch((error) => {
+        console.error("Backtest failed:", error);
+        backtest.status = "failed";
+        backtest.error = error.message;
+      })
+      .finally(() => {
+        backtest.completedAt = new Date();
+      });
+
+    return backtest;
+  }
+
+  static getBacktest(id) {
+    return backtests.get(id) || null;
+  }
+
+  // Most recent first, without trades or equity curves
+  static listBacktests() {
+    return Array.from(backtests.values())
+      .reverse()
+      .map(({ result, ...backtest }) => ({
+        ...backtest,
+        summary: result ? result.summary : null,
+      }));
+  }
+}
+
+module.exports = BacktestService;
@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const BacktestService = require("./backtestService");
+const SpreadService = require("./spreadService");
+const Strategies = require("../strategies");
+
+// Goes long on every closed candle: 10 pip stop, 20 pip target
+Strategies.registerStrategy({
+  id: "test-always-long",
+  name: "Always Long",
+  version: "0.0.1",
+  defaultParams: {},
+  isEligible: () => true,
+  score: () => ({ base: 50, factors: {}, total: 80 }),
+  calculateLevels: ({ data }) => ({
+    direction: "long",
+    entry: data.price,
+    stopLoss: data.price - 0.001,
+    takeProfit: data.price + 0.002,
+  }),
+  generateAnalysis: () => "test",
+});
+
+// The same on a yen pair: 10 pip stop, 20 pip target
+Strategies.registerStrategy({
+  id: "test-always-long-yen",
+  name: "Always Long Yen",
+  version: "0.0.1",
+  defaultParams: {},
+  isEligible: () => true,
+  score: () => ({ base: 50, factors: {}, total: 80 }),
+  calculateLevels: ({ data }) => ({
+    direction: "long",
+    entry: data.price,
+    stopLoss: data.price - 0.1,
+    takeProfit: data.price + 0.2,
+  }),
+  generateAnalysis: () => "test",
+});
+
+// Records the spread baselines it is scored against
+const baselinesSeen = [];
+Strategies.registerStrategy({
+  id: "test-spread-probe",
+  name: "Spread Probe",
+  version: "0.0.1",
+  defaultParams: {},
+  isEligible: ({ spreadBaseline }) => {
+    baselinesSeen.push(spreadBaseline);
+    return false;
+  },
+  score: () => ({ base: 50, factors: {}, total: 0 }),
+  calculateLevels: () => null,
+  generateAnalysis: () => "test",
+});
+
+// 40 rising candles then 30 falling ones, 5 pips per candle
+const candles = Array.from({ length: 70 }, (_, i) => {
+  const step = i < 40 ? i : 80 - i;
+  const open = 1.1 + (i < 40 ? step - 1 : step + 1) * 0.0005;
+  const close = 1.1 + step * 0.0005;
+  return {
+    timestamp: new Date(Date.UTC(2024, 0, 1) + i * 900000),
+    open,
+    high: Math.max(open, close) + 0.0002,
+    low: Math.min(open, close) - 0.0002,
+    close,
+    volume: 100,
+  };
+});
+
+const run = () =>
+  BacktestService.run({
+    candles: { "EUR/USD": candles },
+    timeframe: "15m",
+    initialBalance: 10000,
+    riskPerTrade: 1,
+    spread: 1,
+    strategies: ["test-always-long"],
+  });
+
+test("fills at the next open plus half the spread", async () => {
+  const { trades } = await run();
+  const [first] = trades;
+  const fillCandle = candles.find((candle) => candle.timestamp.getTime() === first.entryTime.getTime());
+
+  assert.ok(trades.length > 0);
+  assert.strictEqual(first.entry, parseFloat((fillCandle.open + 0.00005).toFixed(5)));
+});
+
+test("exits at the stop loss or take profit", async () => {
+  const { trades } = await run();
+
+  trades.forEach((trade) => {
+    if (trade.exitReason === "takeProfit") {
+      assert.ok(trade.pnl > 0);
+      assert.strictEqual(trade.exit, trade.takeProfit);
+    } else if (trade.exitReason === "stopLoss") {
+      assert.ok(trade.pnl < 0);
+      assert.ok(Math.abs(trade.rMultiple + 1) < 0.2, "a stop loses about 1R");
+    }
+  });
+  assert.ok(trades.some((trade) => trade.exitReason === "takeProfit"));
+  assert.ok(trades.some((trade) => trade.exitReason === "stopLoss"));
+});
+
+test("the report summarises the trades and equity curve", async () => {
+  const { trades, equityCurve, summary } = await run();
+  const net = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+
+  assert.strictEqual(summary.totalTrades, trades.length);
+  assert.strictEqual(equityCurve.length, trades.length + 1);
+  assert.ok(Math.abs(summary.netProfit - net) < 0.05);
+  assert.strictEqual(summary.winRate, parseFloat(((summary.wins / trades.length) * 100).toFixed(2)));
+  assert.strictEqual(
+    summary.profitFactor,
+    parseFloat((summary.grossProfit / summary.grossLoss).toFixed(2))
+  );
+  assert.ok(summary.maxDrawdown > 0, "the falling leg draws the account down");
+});
+
+test("spreads are judged against a fixed baseline, not the live profile", async () => {
+  // A live profile that has learned 2 pip spreads at midnight
+  Array.from({ length: 200 }, (_, i) =>
+    SpreadService.recordTick({
+      pair: "EUR/USD",
+      spread: 2,
+      timestamp: new Date(Date.UTC(2023, 11, 31) + i * 1000),
+    })
+  );
+  assert.strictEqual(SpreadService.getBaseline("EUR/USD", Date.UTC(2024, 0, 1)).source, "learned");
+
+  try {
+    baselinesSeen.length = 0;
+    await BacktestService.run({
+      candles: { "EUR/USD": candles },
+      timeframe: "15m",
+      strategies: ["test-spread-probe"],
+    });
+
+    assert.ok(baselinesSeen.length > 0);
+    baselinesSeen.forEach((baseline) => {
+      assert.strictEqual(baseline.source, "typical");
+      assert.strictEqual(baseline.mean, 1.2);
+    });
+  } finally {
+    SpreadService.reset();
+  }
+});
+
+test("yen pairs are sized in lots and report P&L in the account currency", async () => {
+  const yen = candles.map((candle) => ({
+    ...candle,
+    open: candle.open * 136.5,
+    high: candle.high * 136.5,
+    low: candle.low * 136.5,
+    close: candle.close * 136.5,
+  }));
+  const { trades } = await BacktestService.run({
+    candles: { "USD/JPY": yen },
+    timeframe: "15m",
+    initialBalance: 10000,
+    riskPerTrade: 1,
+    spread: 1,
+    strategies: ["test-always-long-yen"],
+  });
+
+  assert.ok(trades.length > 0);
+  trades.forEach((trade) => {
+    // About $100 over a stop of 10 pips or more at 150 JPY per USD, in
+    // 0.01 lot steps
+    assert.strictEqual(trade.units % 1000, 0);
+    assert.ok(trade.units > 50000 && trade.units < 170000, `${trade.units} units`);
+  });
+  const stopped = trades.filter((trade) => trade.exitReason === "stopLoss");
+  assert.ok(stopped.length > 0);
+  stopped.forEach((trade) => {
+    assert.ok(Math.abs(trade.rMultiple + 1) < 0.2, "a stop loses about 1R");
+    assert.ok(trade.pnl < -80 && trade.pnl > -120, `lost ${trade.pnl}`);
+  });
+});
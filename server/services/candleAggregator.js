@@ -0,0 +1,163 @@
+const EventEmitter = require("events");
+const { TIMEFRAMES, alignTimestamp } = require("../utils/timeframes");
+
+// Closed candles kept in memory per pair and timeframe
+const DEFAULT_RETENTION = {
+  "1m": 1440, // 1 day
+  "5m": 864, // 3 days
+  "15m": 672, // 1 week
+  "1h": 720, // 30 days
+  "4h": 540, // 90 days
+  "1D": 365, // 1 year
+};
+
+const createCandle = (start, tick) => ({
+  timestamp: new Date(start),
+  open: tick.price,
+  high: tick.price,
+  low: tick.price,
+  close: tick.price,
+  volume: tick.volume || 0,
+  tickCount: 1,
+});
+
+// Builds OHLCV candles from ticks for several timeframes at once.
+//
+// Emits "candleClose" with { pair, timeframe, candle } whenever a candle is
+// completed, either by a tick from a later period or by closeExpired().
+class CandleAggregator extends EventEmitter {
+  constructor({
+    timeframes = Object.keys(TIMEFRAMES),
+    retention = {},
+  } = {}) {
+    super();
+    this.timeframes = timeframes;
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+    this.series = {};
+  }
+
+  getSeries(pair, timeframe) {
+    if (!this.series[pair]) {
+      this.series[pair] = {};
+    }
+    if (!this.series[pair][timeframe]) {
+      // lastClosed: start of the latest closed candle, whose period
+      // late ticks must not reopen
+      this.series[pair][timeframe] = { candles: [], current: null, lastClosed: -Infinity };
+    }
+    return this.series[pair][timeframe];
+  }
+
+  addTick(tick) {
+    const time = new Date(tick.timestamp).getTime();
+
+    this.timeframes.forEach((timeframe) => {
+      const series = this.getSeries(tick.pair, timeframe);
+      const start = alignTimestamp(time, timeframe);
+      const current = series.current;
+
+      if (current && current.timestamp.getTime() === start) {
+        current.high = Math.max(current.high, tick.price);
+        current.low = Math.min(current.low, tick.price);
+        current.close = tick.price;
+        current.volume += tick.volume || 0;
+        current.tickCount++;
+        return;
+      }
+
+      // Ticks older than the forming candle, or for a period already
+      // closed, arrive too late to be used
+      if ((current && current.timestamp.getTime() > start) || start <= series.lastClosed) {
+        return;
+      }
+
+      if (current) {
+        this.closeCandle(tick.pair, timeframe);
+      }
+      series.current = createCandle(start, tick);
+    });
+  }
+
+  closeCandle(pair, timeframe) {
+    const series = this.getSeries(pair, timeframe);
+    const candle = series.current;
+    if (!candle) return;
+
+    series.candles.push(candle);
+    series.current = null;
+    series.lastClosed = candle.timestamp.getTime();
+
+    const limit = this.retention[timeframe];
+    if (series.candles.length > limit) {
+      series.candles.splice(0, series.candles.length - limit);
+    }
+
+    this.emit("candleClose", { pair, timeframe, candle });
+  }
+
+  // Close forming candles whose period has ended, so quiet markets still
+  // produce candle-close events on time
+  closeExpired(now = Date.now()) {
+    Object.keys(this.series).forEach((pair) => {
+      this.timeframes.forEach((timeframe) => {
+        const { current } = this.getSeries(pair, timeframe);
+        if (current && alignTimestamp(now, timeframe) > current.timestamp.getTime()) {
+          this.closeCandle(pair, timeframe);
+        }
+      });
+    });
+  }
+
+  // Merge closed candles into the history. Candles already held take
+  // precedence, and nothing at or after the forming candle is accepted.
+  seed(pair, timeframe, candles) {
+    const series = this.getSeries(pair, timeframe);
+    const formingStart = series.current
+      ? series.current.timestamp.getTime()
+      : Infinity;
+    const merged = new Map();
+
+    candles.forEach((candle) => {
+      const timestamp = new Date(candle.timestamp);
+      if (timestamp.getTime() < formingStart) {
+        merged.set(timestamp.getTime(), { ...candle, timestamp });
+      }
+    });
+    series.candles.forEach((candle) => {
+      merged.set(candle.timestamp.getTime(), candle);
+    });
+
+    series.candles = Array.from(merged.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-this.retention[timeframe]);
+
+    const last = series.candles[series.candles.length - 1];
+    if (last) {
+      series.lastClosed = Math.max(series.lastClosed, last.timestamp.getTime());
+    }
+  }
+
+  // Candles oldest first; the forming candle is included unless disabled
+  getCandles(pair, timeframe, { limit, includeCurrent = true } = {}) {
+    const series = this.getSeries(pair, timeframe);
+    const candles =
+      includeCurrent && series.current
+        ? [...series.candles, { ...series.current }]
+        : series.candles.slice();
+
+    return limit ? candles.slice(-limit) : candles;
+  }
+
+  getFormingCandle(pair, timeframe) {
+    const { current } = this.getSeries(pair, timeframe);
+    return current ? { ...current } : null;
+  }
+
+  reset() {
+    this.series = {};
+  }
+}
+
+CandleAggregator.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+module.exports = CandleAggregator;
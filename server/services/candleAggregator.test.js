@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const CandleAggregator = require("./candleAggregator");
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+const tick = (offset, price, volume = 1) => ({
+  pair: "EUR/USD",
+  price,
+  volume,
+  timestamp: new Date(START + offset),
+});
+
+// Aggregates the ticks and returns the closed candles announced
+const aggregate = (aggregator, ticks) => {
+  const closed = [];
+  aggregator.on("candleClose", (event) => closed.push(event));
+  ticks.forEach((item) => aggregator.addTick(item));
+  return closed;
+};
+
+test("ticks fold into OHLCV candles aligned to the period start", () => {
+  const aggregator = new CandleAggregator({ timeframes: ["1m", "5m"] });
+  const closed = aggregate(aggregator, [
+    tick(0, 1.1, 2),
+    tick(20 * 1000, 1.1004),
+    tick(40 * 1000, 1.0998),
+    tick(59999, 1.1001, 3),
+    // The first tick of the next minute closes the candle
+    tick(MINUTE, 1.1002),
+  ]);
+
+  assert.deepStrictEqual(
+    closed.map(({ timeframe, candle }) => [timeframe, candle]),
+    [
+      [
+        "1m",
+        {
+          timestamp: new Date(START),
+          open: 1.1,
+          high: 1.1004,
+          low: 1.0998,
+          close: 1.1001,
+          volume: 7,
+          tickCount: 4,
+        },
+      ],
+    ]
+  );
+
+  const forming = aggregator.getFormingCandle("EUR/USD", "5m");
+  assert.deepStrictEqual(forming.timestamp, new Date(START));
+  assert.strictEqual(forming.tickCount, 5);
+  assert.strictEqual(forming.close, 1.1002);
+});
+
+test("gaps leave no candles for the empty periods", () => {
+  const aggregator = new CandleAggregator({ timeframes: ["1m"] });
+  aggregate(aggregator, [tick(0, 1.1), tick(3 * MINUTE + 5000, 1.101), tick(4 * MINUTE, 1.102)]);
+
+  assert.deepStrictEqual(
+    aggregator.getCandles("EUR/USD", "1m").map((candle) => [candle.timestamp.getTime() - START, candle.open]),
+    [
+      [0, 1.1],
+      [3 * MINUTE, 1.101],
+      [4 * MINUTE, 1.102],
+    ]
+  );
+  assert.strictEqual(aggregator.getCandles("EUR/USD", "1m", { includeCurrent: false }).length, 2);
+});
+
+test("late ticks are dropped and quiet periods close on time", () => {
+  const aggregator = new CandleAggregator({ timeframes: ["1m"] });
+  const closed = aggregate(aggregator, [tick(MINUTE, 1.1), tick(30 * 1000, 1.2)]);
+
+  assert.strictEqual(closed.length, 0);
+  assert.strictEqual(aggregator.getFormingCandle("EUR/USD", "1m").high, 1.1);
+
+  aggregator.closeExpired(START + MINUTE + 59999);
+  assert.strictEqual(closed.length, 0);
+  aggregator.closeExpired(START + 2 * MINUTE);
+  assert.strictEqual(closed.length, 1);
+  assert.strictEqual(aggregator.getFormingCandle("EUR/USD", "1m"), null);
+});
+
+test("a late tick after closeExpired does not reopen the closed period", () => {
+  const aggregator = new CandleAggregator({ timeframes: ["1m"] });
+  const closed = aggregate(aggregator, [tick(0, 1), tick(30 * 1000, 1.5)]);
+
+  aggregator.closeExpired(START + MINUTE);
+  aggregate(aggregator, [tick(50 * 1000, 0.9)]);
+  aggregator.closeExpired(START + 2 * MINUTE);
+
+  assert.strictEqual(closed.length, 1);
+  assert.strictEqual(closed[0].candle.high, 1.5);
+  assert.strictEqual(aggregator.getFormingCandle("EUR/USD", "1m"), null);
+  assert.strictEqual(aggregator.getCandles("EUR/USD", "1m").length, 1);
+});
+
+test("seeded history merges under the candles already held and is trimmed", () => {
+  const aggregator = new CandleAggregator({ timeframes: ["1m"], retention: { "1m": 3 } });
+  aggregate(aggregator, [tick(2 * MINUTE, 1.2), tick(3 * MINUTE, 1.3)]);
+
+  const candle = (minute, close) => ({
+    timestamp: new Date(START + minute * MINUTE).toISOString(),
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: 1,
+  });
+  // Minute 2 is already held and minute 3 is still forming
+  aggregator.seed("EUR/USD", "1m", [candle(0, 1), candle(1, 1.1), candle(2, 9), candle(3, 9)]);
+
+  assert.deepStrictEqual(
+    aggregator.getCandles("EUR/USD", "1m").map((item) => item.close),
+    [1, 1.1, 1.2, 1.3]
+  );
+
+  // Ticks for seeded periods are late too
+  aggregate(aggregator, [tick(MINUTE, 1.15)]);
+  assert.strictEqual(aggregator.getFormingCandle("EUR/USD", "1m").close, 1.3);
+
+  aggregate(aggregator, [tick(4 * MINUTE, 1.4)]);
+  assert.deepStrictEqual(
+    aggregator.getCandles("EUR/USD", "1m", { includeCurrent: false }).map((item) => item.close),
+    [1.1, 1.2, 1.3]
+  );
+});
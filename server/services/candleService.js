@@ -0,0 +1,112 @@
+const path = require("path");
+const CandleAggregator = require("./candleAggregator");
+const CandleStore = require("./candleStore");
+const { TIMEFRAMES } = require("../utils/timeframes");
+const { DATA_DIR } = require("../utils/paths");
+
+// Candles requested from the data provider per timeframe on startup
+const HISTORY_LIMIT = 200;
+
+const aggregator = new CandleAggregator();
+const store = new CandleStore(path.join(DATA_DIR, "candles"));
+
+// Persist every completed candle so history survives restarts
+aggregator.on("candleClose", ({ pair, timeframe, candle }) => {
+  store.append(pair, timeframe, candle).catch((error) => {
+    console.error(`Error storing ${timeframe} candle for ${pair}:`, error);
+  });
+});
+
+// Shared candle history for all pairs, built from live provider ticks
+class CandleService {
+  static on(event, listener) {
+    aggregator.on(event, listener);
+  }
+
+  static off(event, listener) {
+    aggregator.off(event, listener);
+  }
+
+  static getTimeframes() {
+    return Object.keys(TIMEFRAMES);
+  }
+
+  static ingestTick(tick) {
+    aggregator.addTick(tick);
+  }
+
+  static closeExpiredCandles(now) {
+    aggregator.closeExpired(now);
+  }
+
+  // Recent candles held in memory, oldest first
+  static getCandles(pair, timeframe, limit, options = {}) {
+    return aggregator.getCandles(pair, timeframe, { limit, ...options });
+  }
+
+  // The candle still being built from ticks, or null between candles
+  static getFormingCandle(pair, timeframe) {
+    return aggregator.getFormingCandle(pair, timeframe);
+  }
+
+  // Candles from the persistent store combined with those in memory, oldest
+  // first. With a limit, the most recent candles in the range are returned.
+  static async queryCandles(pair, timeframe, { from, to, limit } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const merged = new Map();
+    const stored = await store.query(pair, timeframe, { from, to, limit });
+    stored.forEach((candle) => {
+      merged.set(candle.timestamp.getTime(), candle);
+    });
+
+    aggregator.getCandles(pair, timeframe).forEach((candle) => {
+      const time = candle.timestamp.getTime();
+      if (time >= fromTime && time <= toTime) {
+        merged.set(time, candle);
+      }
+    });
+
+    const candles = Array.from(merged.values()).sort(
+      (a, b) => a.timestamp - b.timestamp
+    );
+    return limit ? candles.slice(-limit) : candles;
+  }
+
+  // Rebuild in-memory candles from the store, filling any gaps with history
+  // from the given data provider
+  static async loadHistory(provider, pairs) {
+    aggregator.reset();
+
+    for (const pair of pairs) {
+      await this.loadPairHistory(provider, pair);
+    }
+  }
+
+  // Seed one pair's candles, e.g. for a pair watched while running
+  static async loadPairHistory(provider, pair) {
+    for (const timeframe of this.getTimeframes()) {
+      try {
+        const stored = await store.query(pair, timeframe, {
+          limit: aggregator.retention[timeframe],
+        });
+        aggregator.seed(pair, timeframe, stored);
+
+        const history = await provider.getCandleHistory(
+          pair,
+          timeframe,
+          HISTORY_LIMIT
+        );
+        aggregator.seed(pair, timeframe, history);
+      } catch (error) {
+        console.error(
+          `Error loading ${timeframe} history for ${pair}:`,
+          error
+        );
+      }
+    }
+  }
+}
+
+module.exports = CandleService;
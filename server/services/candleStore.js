@@ -0,0 +1,194 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { isValidTimeframe } = require("../utils/timeframes");
+
+// How candle files are split on disk, per timeframe
+const PARTITIONS = {
+  "1m": "day",
+  "5m": "day",
+  "15m": "day",
+  "1h": "month",
+  "4h": "month",
+  "1D": "year",
+};
+
+const partitionKey = (time, timeframe) => {
+  const iso = new Date(time).toISOString();
+  switch (PARTITIONS[timeframe]) {
+    case "day":
+      return iso.slice(0, 10);
+    case "month":
+      return iso.slice(0, 7);
+    default:
+      return iso.slice(0, 4);
+  }
+};
+
+const serialize = (candle) =>
+  JSON.stringify({
+    timestamp: new Date(candle.timestamp).toISOString(),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume,
+  }) + "\n";
+
+// Append-only candle storage: one NDJSON file per pair, timeframe and
+// partition (day, month or year), e.g. candles/EURUSD/1m/2024-01-15.ndjson.
+// Candles are appended in time order: one at or before the last candle
+// written for the series is refused, so a stray duplicate can never replace
+// a complete candle when read back.
+class CandleStore {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+    this.writes = new Map();
+    // Series directory -> time of the last candle written
+    this.lastWritten = new Map();
+    // Files checked for a partial last line since start
+    this.checked = new Set();
+  }
+
+  // A crash mid-write can leave a partial last line. End it before the
+  // first append, so the next candle gets a line of its own.
+  async terminateLastLine(file) {
+    if (this.checked.has(file)) return;
+
+    let last = "\n";
+    try {
+      const handle = await fs.open(file, "r");
+      try {
+        const { size } = await handle.stat();
+        if (size > 0) {
+          const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+          last = buffer.toString();
+        }
+      } finally {
+        await handle.close();
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+
+    if (last !== "\n") {
+      await fs.appendFile(file, "\n");
+    }
+    this.checked.add(file);
+  }
+
+  directory(pair, timeframe) {
+    if (!isValidTimeframe(timeframe)) {
+      throw new Error(`Unsupported timeframe: ${timeframe}`);
+    }
+    return path.join(this.baseDir, pair.replace(/[^A-Za-z0-9]/g, ""), timeframe);
+  }
+
+  // Time of the last candle written for the series, from disk after a
+  // restart
+  async getLastWritten(pair, timeframe) {
+    const dir = this.directory(pair, timeframe);
+    if (!this.lastWritten.has(dir)) {
+      const [last] = await this.query(pair, timeframe, { limit: 1 });
+      this.lastWritten.set(dir, last ? last.timestamp.getTime() : -Infinity);
+    }
+    return this.lastWritten.get(dir);
+  }
+
+  // Writes to the same series are chained so lines are never interleaved
+  // and the order check sees every earlier write. Resolves to false when
+  // the candle is refused for being out of order.
+  append(pair, timeframe, candle) {
+    const dir = this.directory(pair, timeframe);
+    const file = path.join(
+      dir,
+      `${partitionKey(candle.timestamp, timeframe)}.ndjson`
+    );
+    const time = new Date(candle.timestamp).getTime();
+
+    // A failed write must not stop the ones queued behind it
+    const previous = (this.writes.get(dir) || Promise.resolve()).catch(() => {});
+    const write = previous
+      .then(() => this.getLastWritten(pair, timeframe))
+      .then(async (last) => {
+        if (time <= last) return false;
+
+        await fs.mkdir(dir, { recursive: true });
+        await this.terminateLastLine(file);
+        await fs.appendFile(file, serialize(candle));
+        this.lastWritten.set(dir, time);
+        return true;
+      })
+      .finally(() => {
+        if (this.writes.get(dir) === write) {
+          this.writes.delete(dir);
+        }
+      });
+
+    this.writes.set(dir, write);
+    return write;
+  }
+
+  async listPartitions(pair, timeframe) {
+    try {
+      const files = await fs.readdir(this.directory(pair, timeframe));
+      return files
+        .filter((file) => file.endsWith(".ndjson"))
+        .map((file) => file.replace(/\.ndjson$/, ""))
+        .sort();
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async readPartition(pair, timeframe, key) {
+    const file = path.join(this.directory(pair, timeframe), `${key}.ndjson`);
+    const content = await fs.readFile(file, "utf8");
+    const candles = new Map();
+
+    content.split("\n").forEach((line) => {
+      if (line.trim() === "") return;
+      try {
+        const candle = JSON.parse(line);
+        candle.timestamp = new Date(candle.timestamp);
+        candles.set(candle.timestamp.getTime(), candle);
+      } catch (error) {
+        // A crash mid-write can leave a partial last line; skip it
+      }
+    });
+
+    return Array.from(candles.values()).sort(
+      (a, b) => a.timestamp - b.timestamp
+    );
+  }
+
+  // Candles oldest first within [from, to]. With a limit, the most recent
+  // candles in the range are returned.
+  async query(pair, timeframe, { from, to, limit } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const fromKey = from ? partitionKey(fromTime, timeframe) : null;
+    const toKey = to ? partitionKey(toTime, timeframe) : null;
+
+    const keys = (await this.listPartitions(pair, timeframe)).filter(
+      (key) => (!fromKey || key >= fromKey) && (!toKey || key <= toKey)
+    );
+
+    let result = [];
+    for (const key of keys.reverse()) {
+      const candles = (await this.readPartition(pair, timeframe, key)).filter(
+        (candle) => {
+          const time = candle.timestamp.getTime();
+          return time >= fromTime && time <= toTime;
+        }
+      );
+      result = [...candles, ...result];
+
+      if (limit && result.length >= limit) break;
+    }
+
+    return limit ? result.slice(-limit) : result;
+  }
+}
+
+module.exports = CandleStore;
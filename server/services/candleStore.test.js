@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CandleStore = require("./candleStore");
+
+const HOUR = 60 * 60 * 1000;
+
+const candle = (time, close) => ({
+  timestamp: new Date(time),
+  open: close,
+  high: close + 0.0005,
+  low: close - 0.0005,
+  close,
+  volume: 10,
+});
+
+const directories = [];
+const createStore = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "candles-"));
+  directories.push(dir);
+  return new CandleStore(dir);
+};
+
+test.after(() => {
+  directories.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test("candles round-trip through daily partitions", async () => {
+  const store = createStore();
+  const start = Date.UTC(2024, 0, 1, 22);
+  const candles = [0, 1, 2, 3].map((i) => candle(start + i * HOUR, 1.1 + i / 1000));
+
+  await Promise.all(candles.map((item) => store.append("EUR/USD", "15m", item)));
+
+  assert.deepStrictEqual(await store.listPartitions("EUR/USD", "15m"), ["2024-01-01", "2024-01-02"]);
+  assert.deepStrictEqual(await store.query("EUR/USD", "15m"), candles);
+  assert.deepStrictEqual(
+    await store.query("EUR/USD", "15m", { from: new Date(start + HOUR), to: new Date(start + 2 * HOUR) }),
+    candles.slice(1, 3)
+  );
+  assert.deepStrictEqual(await store.query("EUR/USD", "15m", { limit: 3 }), candles.slice(1));
+  assert.deepStrictEqual(await store.query("GBP/USD", "15m"), []);
+});
+
+test("candles at or before the last one written are refused", async () => {
+  const store = createStore();
+  const time = Date.UTC(2024, 0, 1);
+
+  assert.strictEqual(await store.append("EUR/USD", "1m", candle(time + 60000, 1.1)), true);
+  assert.strictEqual(await store.append("EUR/USD", "1m", candle(time + 60000, 0.9)), false);
+  assert.strictEqual(await store.append("EUR/USD", "1m", candle(time, 0.9)), false);
+
+  // Also after a restart, from what is on disk
+  const restarted = new CandleStore(store.baseDir);
+  assert.strictEqual(await restarted.append("EUR/USD", "1m", candle(time + 60000, 0.9)), false);
+  assert.deepStrictEqual(await restarted.query("EUR/USD", "1m"), [candle(time + 60000, 1.1)]);
+});
+
+test("a truncated last line is skipped and appends continue after it", async () => {
+  const store = createStore();
+  const time = Date.UTC(2024, 0, 1);
+  await store.append("EUR/USD", "1m", candle(time, 1.1));
+
+  // A crash part way through writing the next candle
+  const file = path.join(store.directory("EUR/USD", "1m"), "2024-01-01.ndjson");
+  fs.appendFileSync(file, '{"timestamp":"2024-01-01T00:01:00.000Z","open":1.1');
+
+  assert.deepStrictEqual(await store.query("EUR/USD", "1m"), [candle(time, 1.1)]);
+
+  // After a restart the next candle starts on a line of its own
+  const restarted = new CandleStore(store.baseDir);
+  await restarted.append("EUR/USD", "1m", candle(time + 120000, 1.3));
+  assert.deepStrictEqual(await restarted.query("EUR/USD", "1m"), [candle(time, 1.1), candle(time + 120000, 1.3)]);
+});
+
+test("unknown timeframes are rejected", () => {
+  assert.throws(() => createStore().directory("EUR/USD", "2m"), /Unsupported timeframe/);
+});
@@ -0,0 +1,174 @@
+const CandleService = require("./candleService");
+const MarketStateService = require("./marketStateService");
+const SettingsService = require("./settingsService");
+
+// Latest matrix for the configured timeframe and windows, and the closed
+// candles it was computed from
+let latest = null;
+let latestKey = null;
+
+const round = (value) => parseFloat(value.toFixed(4));
+
+// Pearson correlation coefficient of two equally long series; null when
+// either does not vary
+const pearson = (a, b) => {
+  const n = a.length;
+  const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+};
+
+// Log returns of two pairs over the candles both have, oldest first
+const alignedReturns = (candlesA, candlesB) => {
+  const closesB = new Map(candlesB.map((candle) => [new Date(candle.timestamp).getTime(), candle.close]));
+  const aligned = candlesA
+    .map((candle) => [candle.close, closesB.get(new Date(candle.timestamp).getTime())])
+    .filter(([, closeB]) => closeB !== undefined);
+
+  const a = [];
+  const b = [];
+  for (let i = 1; i < aligned.length; i++) {
+    a.push(Math.log(aligned[i][0] / aligned[i - 1][0]));
+    b.push(Math.log(aligned[i][1] / aligned[i - 1][1]));
+  }
+  return { a, b };
+};
+
+// Rolling correlations between the returns of every two watched pairs,
+// from closed candles over several windows (20, 50 and 100 candles by
+// default). The primary window feeds the correlation-aware risk checks and
+// each pair's correlation with the pair it moves most closely with.
+class CorrelationService {
+  // Correlation matrices, per window, of the given candles per pair:
+  // matrix[window][a][b] is the correlation of a's and b's log returns over
+  // their last `window` aligned candles, or null with too few of them.
+  // samples[a][b] is the number of aligned returns available.
+  static computeMatrix(candlesByPair, windows) {
+    const pairs = Object.keys(candlesByPair);
+    const matrix = {};
+    const samples = {};
+    windows.forEach((window) => {
+      matrix[window] = {};
+    });
+
+    pairs.forEach((a) => {
+      samples[a] = {};
+      windows.forEach((window) => {
+        matrix[window][a] = {};
+      });
+    });
+
+    pairs.forEach((a, index) => {
+      samples[a][a] = Math.max(0, candlesByPair[a].length - 1);
+      windows.forEach((window) => {
+        matrix[window][a][a] = 1;
+      });
+
+      pairs.slice(index + 1).forEach((b) => {
+        const returns = alignedReturns(candlesByPair[a], candlesByPair[b]);
+        samples[a][b] = returns.a.length;
+        samples[b][a] = returns.a.length;
+
+        windows.forEach((window) => {
+          let correlation = null;
+          if (returns.a.length >= window) {
+            correlation = pearson(returns.a.slice(-window), returns.b.slice(-window));
+          }
+          matrix[window][a][b] = correlation === null ? null : round(correlation);
+          matrix[window][b][a] = matrix[window][a][b];
+        });
+      });
+    });
+
+    return { pairs, windows, matrix, samples };
+  }
+
+  // Matrix of the watched pairs' closed candles; timeframe and windows
+  // default to the correlation settings
+  static getMatrix({ timeframe, windows } = {}) {
+    const settings = SettingsService.getSettings().correlation;
+    const selectedTimeframe = timeframe || settings.timeframe;
+    const selectedWindows = windows || settings.windows;
+    const longest = Math.max(...selectedWindows);
+
+    const candlesByPair = {};
+    MarketStateService.getPairs().forEach((pair) => {
+      candlesByPair[pair] = CandleService.getCandles(pair, selectedTimeframe, longest + 1, {
+        includeCurrent: false,
+      });
+    });
+
+    return {
+      timeframe: selectedTimeframe,
+      primaryWindow: settings.window,
+      ...this.computeMatrix(candlesByPair, selectedWindows),
+      updatedAt: new Date(),
+    };
+  }
+
+  // The latest matrix for the configured settings, recomputed only when a
+  // candle has closed since
+  static getLatest() {
+    const settings = SettingsService.getSettings().correlation;
+    const key = JSON.stringify([
+      settings,
+      MarketStateService.getPairs().map((pair) => {
+        const [last] = CandleService.getCandles(pair, settings.timeframe, 1, { includeCurrent: false });
+        return last ? new Date(last.timestamp).getTime() : null;
+      }),
+    ]);
+
+    if (key !== latestKey) {
+      latest = this.getMatrix();
+      latestKey = key;
+    }
+    return latest;
+  }
+
+  // Hand the primary window's correlations to the market state, and give
+  // each pair the correlation with the pair it moves most closely with.
+  // Returns whether anything changed.
+  static refresh() {
+    const previous = latest;
+    const { pairs, primaryWindow, matrix } = this.getLatest();
+    if (latest === previous) {
+      return false;
+    }
+
+    const primary = matrix[primaryWindow] || {};
+    MarketStateService.setCorrelations(primary);
+
+    pairs.forEach((pair) => {
+      let closest = null;
+      pairs
+        .filter((other) => other !== pair && primary[pair] && primary[pair][other] !== null)
+        .forEach((other) => {
+          if (!closest || Math.abs(primary[pair][other]) > Math.abs(closest.correlation)) {
+            closest = { pair: other, correlation: primary[pair][other] };
+          }
+        });
+
+      MarketStateService.applyCorrelation(pair, closest);
+    });
+
+    return true;
+  }
+
+  // Forget the latest matrix so the next refresh recomputes it
+  static reset() {
+    latest = null;
+    latestKey = null;
+  }
+}
+
+module.exports = CorrelationService;
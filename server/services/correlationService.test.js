@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "correlation-"));
+
+const CorrelationService = require("./correlationService");
+const CandleService = require("./candleService");
+const MarketStateService = require("./marketStateService");
+const SettingsService = require("./settingsService");
+
+const HOUR = 60 * 60 * 1000;
+
+// Candles from a list of closes, one per hour
+const candlesOf = (closes, offset = 0) =>
+  closes.map((close, i) => ({
+    timestamp: new Date((i + offset) * HOUR),
+    open: close,
+    high: close,
+    low: close,
+    close,
+    volume: 0,
+  }));
+
+const walk = [1.1, 1.102, 1.101, 1.104, 1.103, 1.107, 1.105, 1.106, 1.104, 1.108, 1.11];
+
+test("log returns moving together, apart or not at all", () => {
+  const { matrix, samples } = CorrelationService.computeMatrix(
+    {
+      A: candlesOf(walk),
+      // Twice the price, so the same returns
+      B: candlesOf(walk.map((close) => close * 2)),
+      // The inverse rate mirrors every return
+      C: candlesOf(walk.map((close) => 1 / close)),
+    },
+    [5, 10, 20]
+  );
+
+  assert.strictEqual(matrix[5].A.B, 1);
+  assert.strictEqual(matrix[10].A.C, -1);
+  assert.strictEqual(matrix[10].C.A, -1);
+  assert.strictEqual(matrix[10].A.A, 1);
+  // Only 10 returns are available
+  assert.strictEqual(matrix[20].A.B, null);
+  assert.strictEqual(samples.A.B, 10);
+});
+
+test("only candles both pairs have are compared", () => {
+  const { matrix, samples } = CorrelationService.computeMatrix(
+    {
+      A: candlesOf(walk),
+      // Starts three hours later
+      B: candlesOf(walk.slice(3), 3),
+    },
+    [5]
+  );
+
+  assert.strictEqual(samples.A.B, 7);
+  assert.strictEqual(matrix[5].A.B, 1);
+});
+
+test("refreshing feeds the primary window into the market state", () => {
+  SettingsService.updateSettings({ correlation: { timeframe: "1h", windows: [5, 8], window: 5 } });
+
+  // GBP/USD mirrors the EUR/USD returns
+  [...walk, 1.109].forEach((price, i) => {
+    const timestamp = new Date(Date.UTC(2024, 0, 1) + i * HOUR);
+    CandleService.ingestTick({ pair: "EUR/USD", price, timestamp });
+    CandleService.ingestTick({ pair: "GBP/USD", price: 1 / price, timestamp });
+  });
+
+  assert.strictEqual(CorrelationService.refresh(), true);
+  assert.strictEqual(MarketStateService.getCorrelation("EUR/USD", "GBP/USD"), -1);
+  assert.strictEqual(MarketStateService.getPairData("EUR/USD").correlation, -1);
+  assert.strictEqual(MarketStateService.getPairData("EUR/USD").correlatedWith, "GBP/USD");
+
+  // Nothing new has closed since
+  assert.strictEqual(CorrelationService.refresh(), false);
+  assert.deepStrictEqual(CorrelationService.getLatest().windows, [5, 8]);
+});
@@ -0,0 +1,113 @@
+const EventEmitter = require("events");
+const { createProvider, listProviders } = require("../providers");
+const MarketStateService = require("./marketStateService");
+
+let provider = null;
+
+const emitter = new EventEmitter();
+
+// Owns the active market data provider and relays its events, so the rest
+// of the application does not care which feed is in use.
+class DataProviderService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static off(event, listener) {
+    emitter.off(event, listener);
+  }
+
+  static listProviders() {
+    return listProviders();
+  }
+
+  static getProvider() {
+    return provider;
+  }
+
+  static getStatus() {
+    if (!provider) {
+      return { provider: null, connected: false };
+    }
+    return provider.getStatus();
+  }
+
+  static buildOptions(name, options) {
+    if (name !== "simulated") return options;
+
+    // Start the simulation from the prices currently on the dashboard
+    const initialPrices = {};
+    MarketStateService.getPairs().forEach((pair) => {
+      const { price, spread } = MarketStateService.getPairData(pair);
+      initialPrices[pair] = { price, spread };
+    });
+
+    return { initialPrices, ...options };
+  }
+
+  // Connect a provider and, once connected, make it the active one. A
+  // provider that fails to connect is never relayed or returned.
+  static async activate(next) {
+    next.subscribe(MarketStateService.getPairs());
+    await next.connect();
+
+    next.on("tick", (tick) => emitter.emit("tick", tick));
+    next.on("status", (status) => emitter.emit("status", status));
+    next.on("error", (error) => {
+      console.error(`Data provider ${next.name} error:`, error);
+      emitter.emit("status", next.getStatus());
+    });
+    provider = next;
+    emitter.emit("status", next.getStatus());
+  }
+
+  // Replace the active provider with a new one subscribed to every pair in
+  // the market state. If the new provider cannot connect, the previous one
+  // is restored and the error is rethrown.
+  static async useProvider({ provider: name, options = {} }) {
+    const next = createProvider(name, this.buildOptions(name, options));
+    const previous = provider;
+
+    if (previous) {
+      await previous.disconnect();
+      previous.removeAllListeners();
+      provider = null;
+    }
+
+    try {
+      await this.activate(next);
+    } catch (error) {
+      next.removeAllListeners();
+      if (previous) {
+        await this.activate(previous);
+      }
+      throw error;
+    }
+
+    emitter.emit("connected", provider);
+
+    return provider.getStatus();
+  }
+
+  // Follow pairs watched or unwatched while the provider is running
+  static subscribe(pairs) {
+    if (provider) {
+      provider.subscribe(pairs);
+      emitter.emit("status", provider.getStatus());
+    }
+  }
+
+  static unsubscribe(pairs) {
+    if (provider) {
+      provider.unsubscribe(pairs);
+      emitter.emit("status", provider.getStatus());
+    }
+  }
+
+  static async getCandleHistory(pair, timeframe, limit) {
+    if (!provider) return [];
+    return provider.getCandleHistory(pair, timeframe, limit);
+  }
+}
+
+module.exports = DataProviderService;
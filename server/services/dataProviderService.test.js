@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const DataProviderService = require("./dataProviderService");
+
+const replay = {
+  provider: "replay",
+  options: { ticks: [{ pair: "EUR/USD", price: 1.1, timestamp: "2024-01-01T00:00:00Z" }] },
+};
+
+test("a provider that fails to connect never becomes the active one", async () => {
+  const statuses = [];
+  const record = (status) => statuses.push(status.provider);
+  DataProviderService.on("status", record);
+
+  await assert.rejects(DataProviderService.useProvider({ provider: "file" }), /replay file is required/);
+  assert.strictEqual(DataProviderService.getProvider(), null);
+  assert.deepStrictEqual(DataProviderService.getStatus(), { provider: null, connected: false });
+
+  await DataProviderService.useProvider(replay);
+  const previous = DataProviderService.getProvider();
+
+  await assert.rejects(DataProviderService.useProvider({ provider: "file" }), /replay file is required/);
+  assert.strictEqual(DataProviderService.getProvider(), previous);
+  assert.strictEqual(previous.getStatus().connected, true);
+  assert.ok(!statuses.includes("file"));
+
+  DataProviderService.off("status", record);
+  await previous.disconnect();
+});
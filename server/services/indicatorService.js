@@ -1,17 +1,46 @@
+const CandleService = require('./candleService');
+
+// Indicators that produce one value per candle
+const SERIES_INDICATORS = ['vwap', 'rsi', 'atr', 'adx', 'sma', 'ema', 'macd', 'bollinger', 'stochastic', 'keltner'];
+
+// Default parameters for calculateAlignedSeries
+const DEFAULT_PARAMS = {
+  rsiPeriod: 14,
+  atrPeriod: 14,
+  adxPeriod: 14,
+  smaPeriod: 20,
+  emaPeriod: 20,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  bollingerPeriod: 20,
+  bollingerStdDev: 2,
+  stochasticK: 14,
+  stochasticD: 3,
+  keltnerPeriod: 20,
+  keltnerAtrPeriod: 10,
+  keltnerMultiplier: 2
+};
+
 class IndicatorService {
-  static async calculateIndicators(pair, period = '1h', limit = 50) {
+  static getAvailableIndicators() {
+    return [...SERIES_INDICATORS, 'pivotPoints'];
+  }
+
+  static getDefaultParams() {
+    return { ...DEFAULT_PARAMS };
+  }
+
+  static async calculateIndicators(pair, period = '1h', limit = 50, { rsiPeriod = 14, atrPeriod = 14, adxPeriod = 14 } = {}) {
     try {
-      // In production, this would fetch real price data and calculate indicators
-      // For demo purposes, we'll generate mock indicator data
-      
-      const mockData = this.generateMockPriceData(pair, limit);
+      const candles = CandleService.getCandles(pair, period, limit);
       
       return {
-        vwap: this.calculateVWAP(mockData),
-        rsi: this.calculateRSI(mockData),
-        atr: this.calculateATR(mockData),
-        adx: this.calculateADX(mockData),
-        pivotPoints: this.calculatePivotPoints(mockData)
+        vwap: this.calculateVWAP(candles),
+        rsi: this.calculateRSI(candles, rsiPeriod),
+        atr: this.calculateATR(candles, atrPeriod),
+        adx: this.calculateADX(candles, adxPeriod),
+        pivotPoints: this.calculatePivotPoints(candles)
       };
     } catch (error) {
       console.error('Error calculating indicators:', error);
@@ -19,30 +48,72 @@ class IndicatorService {
     }
   }
 
-  static generateMockPriceData(pair, periods) {
-    const basePrice = pair === 'EUR/USD' ? 1.0855 : 1.2645;
-    const data = [];
-    let currentPrice = basePrice;
-    
-    for (let i = periods; i > 0; i--) {
-      const change = (Math.random() - 0.5) * 0.002;
-      currentPrice = Math.max(0, currentPrice + change);
-      
-      const high = currentPrice + Math.random() * 0.001;
-      const low = currentPrice - Math.random() * 0.001;
-      const volume = Math.floor(Math.random() * 1000) + 500;
-      
-      data.push({
-        timestamp: new Date(Date.now() - i * 3600000), // Hour intervals
-        open: currentPrice,
-        high,
-        low,
-        close: currentPrice,
-        volume
+  // Latest indicator values for a candle series, or null where there is not
+  // yet enough data
+  static calculateSnapshot(candles, { rsiPeriod = 14, atrPeriod = 14, adxPeriod = 14 } = {}) {
+    const last = (series) => (series.length > 0 ? series[series.length - 1] : null);
+
+    const vwap = last(this.calculateVWAP(candles));
+    const rsi = last(this.calculateRSI(candles, rsiPeriod));
+    const atr = last(this.calculateATR(candles, atrPeriod));
+    const adx = last(this.calculateADX(candles, adxPeriod));
+
+    return {
+      vwapSlope: vwap ? vwap.slope : null,
+      rsi: rsi ? rsi.value : null,
+      atr: atr ? atr.value : null,
+      adx: adx ? adx.value : null
+    };
+  }
+
+  // One row per candle with the requested indicator values, for charting.
+  // Extra fields of an indicator point are flattened with the indicator name
+  // as prefix (e.g. vwap slope -> vwapSlope). Values are null until the
+  // indicator has enough data.
+  static calculateAlignedSeries(candles, indicators = SERIES_INDICATORS, params = {}) {
+    const p = { ...DEFAULT_PARAMS, ...params };
+    const calculators = {
+      vwap: () => this.calculateVWAP(candles),
+      rsi: () => this.calculateRSI(candles, p.rsiPeriod),
+      atr: () => this.calculateATR(candles, p.atrPeriod),
+      adx: () => this.calculateADX(candles, p.adxPeriod),
+      sma: () => this.calculateSMA(candles, p.smaPeriod),
+      ema: () => this.calculateEMA(candles, p.emaPeriod),
+      macd: () => this.calculateMACD(candles, p.macdFast, p.macdSlow, p.macdSignal),
+      bollinger: () => this.calculateBollingerBands(candles, p.bollingerPeriod, p.bollingerStdDev),
+      stochastic: () => this.calculateStochastic(candles, p.stochasticK, p.stochasticD),
+      keltner: () => this.calculateKeltnerChannels(candles, p.keltnerPeriod, p.keltnerAtrPeriod, p.keltnerMultiplier)
+    };
+
+    const rows = candles.map(candle => ({
+      timestamp: candle.timestamp,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    }));
+    const rowIndex = new Map(rows.map((row, i) => [new Date(row.timestamp).getTime(), i]));
+
+    indicators.filter(name => calculators[name]).forEach(name => {
+      const points = calculators[name]();
+      const fields = points.length > 0 ? Object.keys(points[0]).filter(key => key !== 'timestamp') : ['value'];
+      const columns = fields.map(field =>
+        field === 'value' ? name : name + field.charAt(0).toUpperCase() + field.slice(1)
+      );
+
+      rows.forEach(row => {
+        columns.forEach(column => { row[column] = null; });
       });
-    }
-    
-    return data.reverse();
+
+      points.forEach(point => {
+        const i = rowIndex.get(new Date(point.timestamp).getTime());
+        if (i === undefined) return;
+        fields.forEach((field, f) => { rows[i][columns[f]] = point[field]; });
+      });
+    });
+
+    return rows;
   }
 
   static calculateVWAP(data) {
@@ -154,6 +225,7 @@ class IndicatorService {
     return atrData;
   }
 
+  // Wilder's ADX with the +DI/-DI lines it is derived from
   static calculateADX(data, period = 14) {
     if (data.length < period * 2) return [];
     
@@ -176,25 +248,198 @@ class IndicatorService {
       trueRanges.push(Math.max(tr1, tr2, tr3));
     }
     
-    // Calculate smoothed values and ADX
-    for (let i = period - 1; i < dmPlus.length; i++) {
-      const smoothedDMPlus = dmPlus.slice(i - period + 1, i + 1).reduce((a, b) => a + b) / period;
-      const smoothedDMMinus = dmMinus.slice(i - period + 1, i + 1).reduce((a, b) => a + b) / period;
-      const smoothedTR = trueRanges.slice(i - period + 1, i + 1).reduce((a, b) => a + b) / period;
+    // Wilder smoothing starts from the sum of the first period
+    let smoothedDMPlus = 0;
+    let smoothedDMMinus = 0;
+    let smoothedTR = 0;
+    for (let i = 0; i < period; i++) {
+      smoothedDMPlus += dmPlus[i];
+      smoothedDMMinus += dmMinus[i];
+      smoothedTR += trueRanges[i];
+    }
+    
+    let dxSum = 0;
+    let adx = null;
+    
+    for (let i = period - 1; i < trueRanges.length; i++) {
+      if (i >= period) {
+        smoothedDMPlus = smoothedDMPlus - smoothedDMPlus / period + dmPlus[i];
+        smoothedDMMinus = smoothedDMMinus - smoothedDMMinus / period + dmMinus[i];
+        smoothedTR = smoothedTR - smoothedTR / period + trueRanges[i];
+      }
       
-      const diPlus = (smoothedDMPlus / smoothedTR) * 100;
-      const diMinus = (smoothedDMMinus / smoothedTR) * 100;
-      const dx = Math.abs(diPlus - diMinus) / (diPlus + diMinus) * 100;
+      const diPlus = smoothedTR > 0 ? (smoothedDMPlus / smoothedTR) * 100 : 0;
+      const diMinus = smoothedTR > 0 ? (smoothedDMMinus / smoothedTR) * 100 : 0;
+      const diSum = diPlus + diMinus;
+      const dx = diSum > 0 ? Math.abs(diPlus - diMinus) / diSum * 100 : 0;
+      
+      // ADX starts as the average of the first period DX values
+      const dxCount = i - period + 2;
+      if (dxCount < period) {
+        dxSum += dx;
+        continue;
+      }
+      
+      adx = adx === null ? (dxSum + dx) / period : (adx * (period - 1) + dx) / period;
       
       adxData.push({
         timestamp: data[i + 1].timestamp,
-        value: dx
+        value: adx,
+        plusDI: diPlus,
+        minusDI: diMinus
       });
     }
     
     return adxData;
   }
 
+  static calculateSMA(data, period = 20) {
+    if (data.length < period) return [];
+    
+    const smaData = [];
+    let sum = 0;
+    
+    for (let i = 0; i < data.length; i++) {
+      sum += data[i].close;
+      if (i >= period) {
+        sum -= data[i - period].close;
+      }
+      if (i >= period - 1) {
+        smaData.push({
+          timestamp: data[i].timestamp,
+          value: sum / period
+        });
+      }
+    }
+    
+    return smaData;
+  }
+
+  // EMA seeded with the SMA of the first period
+  static calculateEMA(data, period = 20) {
+    if (data.length < period) return [];
+    
+    const emaData = [];
+    const multiplier = 2 / (period + 1);
+    
+    let ema = 0;
+    for (let i = 0; i < period; i++) {
+      ema += data[i].close;
+    }
+    ema /= period;
+    emaData.push({
+      timestamp: data[period - 1].timestamp,
+      value: ema
+    });
+    
+    for (let i = period; i < data.length; i++) {
+      ema = (data[i].close - ema) * multiplier + ema;
+      emaData.push({
+        timestamp: data[i].timestamp,
+        value: ema
+      });
+    }
+    
+    return emaData;
+  }
+
+  static calculateMACD(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    if (fastPeriod >= slowPeriod || data.length < slowPeriod + signalPeriod - 1) return [];
+    
+    const fastEMA = this.calculateEMA(data, fastPeriod);
+    const slowEMA = this.calculateEMA(data, slowPeriod);
+    const offset = slowPeriod - fastPeriod;
+    
+    // MACD line as a candle-like series so the signal can reuse calculateEMA
+    const macdLine = slowEMA.map((slow, i) => ({
+      timestamp: slow.timestamp,
+      close: fastEMA[i + offset].value - slow.value
+    }));
+    
+    const signalLine = this.calculateEMA(macdLine, signalPeriod);
+    
+    return signalLine.map((signal, i) => {
+      const macd = macdLine[i + signalPeriod - 1].close;
+      return {
+        timestamp: signal.timestamp,
+        value: macd,
+        signal: signal.value,
+        histogram: macd - signal.value
+      };
+    });
+  }
+
+  // Bands use the population standard deviation of closes
+  static calculateBollingerBands(data, period = 20, stdDevMultiplier = 2) {
+    const smaData = this.calculateSMA(data, period);
+    
+    return smaData.map((sma, i) => {
+      let variance = 0;
+      for (let j = i; j < i + period; j++) {
+        variance += Math.pow(data[j].close - sma.value, 2);
+      }
+      const stdDev = Math.sqrt(variance / period);
+      const upper = sma.value + stdDevMultiplier * stdDev;
+      const lower = sma.value - stdDevMultiplier * stdDev;
+      
+      return {
+        timestamp: sma.timestamp,
+        value: sma.value,
+        upper,
+        lower,
+        bandwidth: sma.value > 0 ? (upper - lower) / sma.value : 0
+      };
+    });
+  }
+
+  // %K over kPeriod candles with %D as its dPeriod SMA
+  static calculateStochastic(data, kPeriod = 14, dPeriod = 3) {
+    if (data.length < kPeriod + dPeriod - 1) return [];
+    
+    const kValues = [];
+    for (let i = kPeriod - 1; i < data.length; i++) {
+      let highest = -Infinity;
+      let lowest = Infinity;
+      for (let j = i - kPeriod + 1; j <= i; j++) {
+        highest = Math.max(highest, data[j].high);
+        lowest = Math.min(lowest, data[j].low);
+      }
+      
+      // A flat range has no position within it, so report the midpoint
+      const range = highest - lowest;
+      kValues.push({
+        timestamp: data[i].timestamp,
+        close: range > 0 ? (data[i].close - lowest) / range * 100 : 50
+      });
+    }
+    
+    return this.calculateSMA(kValues, dPeriod).map((d, i) => ({
+      timestamp: d.timestamp,
+      value: kValues[i + dPeriod - 1].close,
+      d: d.value
+    }));
+  }
+
+  // EMA midline with bands at a multiple of ATR
+  static calculateKeltnerChannels(data, emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+    const emaData = this.calculateEMA(data, emaPeriod);
+    const atrByTime = new Map(
+      this.calculateATR(data, atrPeriod).map(atr => [new Date(atr.timestamp).getTime(), atr.value])
+    );
+    
+    return emaData
+      .filter(ema => atrByTime.has(new Date(ema.timestamp).getTime()))
+      .map(ema => {
+        const atr = atrByTime.get(new Date(ema.timestamp).getTime());
+        return {
+          timestamp: ema.timestamp,
+          value: ema.value,
+          upper: ema.value + multiplier * atr,
+          lower: ema.value - multiplier * atr
+        };
+      });
+  }
+
   static calculatePivotPoints(data) {
     if (data.length === 0) return {};
     
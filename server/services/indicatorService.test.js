@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IndicatorService = require('./indicatorService');
+
+// 40 one-minute candles; golden values were computed independently from the
+// textbook definitions of each indicator
+const candles = [
+  [1.1, 1.1002, 1.0982, 1.0983, 100], [1.0983, 1.0995, 1.0981, 1.099, 137], [1.099, 1.0993, 1.0978, 1.0981, 124],
+  [1.0981, 1.1006, 1.0977, 1.1, 111], [1.1, 1.1011, 1.0999, 1.1007, 148], [1.1007, 1.1009, 1.0992, 1.0994, 135],
+  [1.0994, 1.1014, 1.0991, 1.1009, 122], [1.1009, 1.1012, 1.1004, 1.1008, 109], [1.1008, 1.1014, 1.0994, 1.0995, 146],
+  [1.0995, 1.101, 1.0993, 1.1006, 133], [1.1006, 1.1008, 1.0998, 1.1001, 120], [1.1001, 1.1006, 1.0976, 1.098, 107],
+  [1.098, 1.0994, 1.0979, 1.0991, 144], [1.0991, 1.0997, 1.098, 1.0982, 131], [1.0982, 1.1005, 1.0979, 1.1001, 118],
+  [1.1001, 1.1006, 1.0997, 1.1004, 105], [1.1004, 1.1009, 1.0994, 1.0995, 142], [1.0995, 1.1013, 1.0993, 1.101, 129],
+  [1.101, 1.1016, 1.1006, 1.1009, 116], [1.1009, 1.1013, 1.0988, 1.0992, 103], [1.0992, 1.1009, 1.0991, 1.1007, 140],
+  [1.1007, 1.1012, 1.1, 1.1002, 127], [1.1002, 1.1005, 1.0978, 1.0981, 114], [1.0981, 1.0994, 1.0977, 1.0988, 101],
+  [1.0988, 1.0992, 1.0982, 1.0983, 138], [1.0983, 1.1004, 1.0981, 1.1002, 125], [1.1002, 1.101, 1.0999, 1.1005, 112],
+  [1.1005, 1.1008, 1.0988, 1.0992, 149], [1.0992, 1.1017, 1.0991, 1.1011, 136], [1.1011, 1.1015, 1.1008, 1.101, 123],
+  [1.101, 1.1012, 1.099, 1.0993, 110], [1.0993, 1.1009, 1.0989, 1.1004, 147], [1.1004, 1.1007, 1.1002, 1.1003, 134],
+  [1.1003, 1.1009, 1.098, 1.0982, 121], [1.0982, 1.0993, 1.0979, 1.0989, 108], [1.0989, 1.0991, 1.0976, 1.098, 145],
+  [1.098, 1.1008, 1.0979, 1.1003, 132], [1.1003, 1.1009, 1.1001, 1.1006, 119], [1.1006, 1.1012, 1.099, 1.0993, 106],
+  [1.0993, 1.1012, 1.0989, 1.1008, 143]
+].map(([open, high, low, close, volume], i) => ({
+  timestamp: new Date(i * 60000),
+  open,
+  high,
+  low,
+  close,
+  volume
+}));
+
+const assertClose = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)),
+    `expected ${actual} to be close to ${expected}`
+  );
+};
+
+// Check a series' length and the fields of its first and last points
+const assertSeries = (series, length, first, last) => {
+  assert.strictEqual(series.length, length);
+  [[series[0], first], [series[series.length - 1], last]].forEach(([point, [index, expected]]) => {
+    assert.strictEqual(point.timestamp.getTime(), index * 60000);
+    Object.entries(expected).forEach(([field, value]) => {
+      assertClose(point[field], value);
+    });
+  });
+};
+
+const closes = (values) => values.map((close, i) => ({ timestamp: new Date(i * 60000), close }));
+
+test('calculateSMA averages closes over the period', () => {
+  assert.deepStrictEqual(
+    IndicatorService.calculateSMA(closes([1, 2, 3, 4, 5]), 3).map(point => point.value),
+    [2, 3, 4]
+  );
+  assertSeries(IndicatorService.calculateSMA(candles, 5), 36, [4, { value: 1.09922 }], [39, { value: 1.0998 }]);
+});
+
+test('calculateEMA is seeded with the SMA of the first period', () => {
+  assert.deepStrictEqual(
+    IndicatorService.calculateEMA(closes([1, 2, 3, 4, 5]), 3).map(point => point.value),
+    [2, 3, 4]
+  );
+  assertSeries(IndicatorService.calculateEMA(candles, 5), 36, [4, { value: 1.09922 }], [39, { value: 1.10000861238 }]);
+});
+
+// Unlike the textbook series, the RSI of the seed averages (the first 14
+// changes, at candle 14) is not emitted: the first value is at candle 15,
+// after one step of Wilder smoothing
+test('calculateRSI uses Wilder smoothing and starts one candle after the seed', () => {
+  const rsi = IndicatorService.calculateRSI(candles, 14);
+
+  assert.strictEqual(rsi[0].timestamp, candles[15].timestamp);
+  assertSeries(rsi, 25, [15, { value: 56.5032987747 }], [39, { value: 54.1626307979 }]);
+});
+
+test('calculateATR uses Wilder smoothing of true ranges', () => {
+  assertSeries(IndicatorService.calculateATR(candles, 14), 26, [14, { value: 0.00180714285714 }], [39, { value: 0.00180728451993 }]);
+});
+
+test('calculateADX returns Wilder ADX with +DI/-DI', () => {
+  assert.deepStrictEqual(IndicatorService.calculateADX(candles.slice(0, 13), 7), []);
+  assertSeries(
+    IndicatorService.calculateADX(candles, 7),
+    27,
+    [13, { value: 24.497629233, plusDI: 9.82101603149, minusDI: 20.8166821497 }],
+    [39, { value: 30.8606332659, plusDI: 12.376528593, minusDI: 23.562123363 }]
+  );
+});
+
+test('calculateMACD returns the MACD line, signal and histogram', () => {
+  assertSeries(
+    IndicatorService.calculateMACD(candles, 5, 10, 4),
+    28,
+    [12, { value: -8.71110348455e-5, signal: 0.000157319187179, histogram: -0.000244430222024 }],
+    [39, { value: 0.000183793145017, signal: 4.93692918715e-5, histogram: 0.000134423853145 }]
+  );
+});
+
+test('calculateBollingerBands uses the population standard deviation', () => {
+  assertSeries(
+    IndicatorService.calculateBollingerBands(candles, 10, 2),
+    31,
+    [9, { value: 1.09973, upper: 1.10169784146, lower: 1.09776215854 }],
+    [39, { value: 1.09961, upper: 1.10153343443, lower: 1.09768656557 }]
+  );
+});
+
+test('calculateStochastic returns %K and its %D average', () => {
+  assertSeries(
+    IndicatorService.calculateStochastic(candles, 14, 3),
+    25,
+    [15, { value: 73.6842105263, d: 51.7543859649 }],
+    [39, { value: 78.0487804878, d: 64.2276422764 }]
+  );
+});
+
+test('calculateKeltnerChannels offsets the EMA by a multiple of ATR', () => {
+  assertSeries(
+    IndicatorService.calculateKeltnerChannels(candles, 10, 7, 2),
+    31,
+    [9, { value: 1.09973, upper: 1.10318247813, lower: 1.09627752187 }],
+    [39, { value: 1.09982481923, upper: 1.10355100476, lower: 1.0960986337 }]
+  );
+});
+
+test('calculateVWAP weights typical price by volume', () => {
+  assertSeries(IndicatorService.calculateVWAP(candles), 40, [0, { value: 1.0989 }], [39, { value: 1.09975053892 }]);
+});
@@ -0,0 +1,212 @@
+const EventEmitter = require("events");
+const path = require("path");
+const JsonFile = require("../utils/jsonFile");
+const { DATA_DIR } = require("../utils/paths");
+
+const file = new JsonFile(path.join(DATA_DIR, "instruments.json"), {
+  instruments: [],
+  watched: null,
+});
+
+// Main trading sessions, in UTC hours from open up to close
+const SESSIONS = {
+  sydney: { open: 21, close: 6 },
+  tokyo: { open: 0, close: 9 },
+  london: { open: 7, close: 16 },
+  newYork: { open: 12, close: 21 },
+};
+
+// Built-in instruments. pipSize is the price change of one pip, digits the
+// quoted decimals, typicalSpread is in pips, contractSize the units in one
+// standard lot and basePrice a starting price for simulated feeds.
+const BUILT_IN_INSTRUMENTS = [
+  ["EUR/USD", 0.0001, 5, 1.2, 100000, ["london", "newYork"], 1.0855],
+  ["GBP/USD", 0.0001, 5, 1.8, 100000, ["london", "newYork"], 1.2645],
+  ["USD/JPY", 0.01, 3, 1.3, 100000, ["tokyo", "london", "newYork"], 150.2],
+  ["AUD/USD", 0.0001, 5, 1.4, 100000, ["sydney", "tokyo", "london"], 0.655],
+  ["NZD/USD", 0.0001, 5, 1.9, 100000, ["sydney", "tokyo"], 0.605],
+  ["USD/CAD", 0.0001, 5, 1.8, 100000, ["newYork"], 1.365],
+  ["USD/CHF", 0.0001, 5, 1.7, 100000, ["london", "newYork"], 0.885],
+  ["EUR/GBP", 0.0001, 5, 1.5, 100000, ["london"], 0.858],
+  ["EUR/JPY", 0.01, 3, 2, 100000, ["tokyo", "london"], 163],
+  ["GBP/JPY", 0.01, 3, 2.8, 100000, ["tokyo", "london"], 190],
+  ["XAU/USD", 0.1, 2, 3, 100, ["london", "newYork"], 2350],
+].map(([symbol, pipSize, digits, typicalSpread, contractSize, sessions, basePrice]) => ({
+  symbol,
+  pipSize,
+  digits,
+  typicalSpread,
+  contractSize,
+  sessions,
+  basePrice,
+}));
+
+const DEFAULT_WATCHED = ["EUR/USD", "GBP/USD"];
+
+// symbol -> instrument, built-in and user defined
+const instruments = new Map();
+
+// Symbols the application trades, in the order they were added
+let watched = [...DEFAULT_WATCHED];
+
+const emitter = new EventEmitter();
+
+const reset = () => {
+  instruments.clear();
+  BUILT_IN_INSTRUMENTS.forEach((instrument) => instruments.set(instrument.symbol, { ...instrument }));
+  watched = [...DEFAULT_WATCHED];
+};
+
+reset();
+
+const inHours = ({ open, close }, hour) =>
+  open < close ? hour >= open && hour < close : hour >= open || hour < close;
+
+// Registry of tradable instruments (symbol, pip size, digits, typical
+// spread, trading sessions and contract size) and of the watched ones the
+// market state, data feed, strategies and paper account work with. Pairs
+// can be watched and unwatched at runtime; listeners hear "watch" with the
+// instrument and "unwatch" with the symbol. User definitions and the
+// watched list are written to DATA_DIR/instruments.json.
+class InstrumentService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static off(event, listener) {
+    emitter.off(event, listener);
+  }
+
+  static getSessions() {
+    return SESSIONS;
+  }
+
+  // Restore user definitions and the watched list. Listeners hear about
+  // the pairs watched and unwatched compared to the defaults.
+  static async load() {
+    const stored = await file.read();
+    const previous = watched;
+
+    stored.instruments.forEach((instrument) => instruments.set(instrument.symbol, instrument));
+    watched = (stored.watched || DEFAULT_WATCHED).filter((symbol) => instruments.has(symbol));
+
+    watched
+      .filter((symbol) => !previous.includes(symbol))
+      .forEach((symbol) => emitter.emit("watch", instruments.get(symbol)));
+    previous
+      .filter((symbol) => !watched.includes(symbol))
+      .forEach((symbol) => emitter.emit("unwatch", symbol));
+
+    return this.listInstruments();
+  }
+
+  static async save() {
+    const builtIn = new Map(BUILT_IN_INSTRUMENTS.map((instrument) => [instrument.symbol, instrument]));
+    await file.write({
+      // Only definitions that differ from the built-in ones
+      instruments: this.listInstruments().filter(
+        (instrument) => JSON.stringify(instrument) !== JSON.stringify(builtIn.get(instrument.symbol))
+      ),
+      watched,
+    });
+  }
+
+  static listInstruments() {
+    return Array.from(instruments.values());
+  }
+
+  static getInstrument(symbol) {
+    return instruments.get(symbol) || null;
+  }
+
+  static getWatched() {
+    return [...watched];
+  }
+
+  static isWatched(symbol) {
+    return watched.includes(symbol);
+  }
+
+  // Instrument details, throwing for unknown symbols
+  static requireInstrument(symbol) {
+    const instrument = this.getInstrument(symbol);
+    if (!instrument) {
+      throw new Error(`Unknown instrument: ${symbol}`);
+    }
+    return instrument;
+  }
+
+  static getPipSize(symbol) {
+    return this.requireInstrument(symbol).pipSize;
+  }
+
+  static getContractSize(symbol) {
+    return this.requireInstrument(symbol).contractSize;
+  }
+
+  // Sessions open at the given time
+  static getOpenSessions(symbol, now = new Date()) {
+    const hour = new Date(now).getUTCHours();
+    return this.requireInstrument(symbol).sessions.filter((session) => inHours(SESSIONS[session], hour));
+  }
+
+  static isInSession(symbol, now = new Date()) {
+    return this.getOpenSessions(symbol, now).length > 0;
+  }
+
+  // Define an instrument or change a definition; fields left out keep the
+  // current or built-in values
+  static async defineInstrument(definition) {
+    const current = this.getInstrument(definition.symbol);
+    if (!current && (!definition.pipSize || !definition.basePrice)) {
+      throw new Error(`A new instrument needs at least a pip size and a base price: ${definition.symbol}`);
+    }
+
+    const instrument = {
+      symbol: definition.symbol,
+      digits: 5,
+      typicalSpread: 1.5,
+      contractSize: 100000,
+      sessions: Object.keys(SESSIONS),
+      ...current,
+      ...definition,
+    };
+    instruments.set(instrument.symbol, instrument);
+    await this.save();
+
+    return instrument;
+  }
+
+  // Start trading a known instrument
+  static async watch(symbol) {
+    const instrument = this.requireInstrument(symbol);
+    if (!watched.includes(symbol)) {
+      watched = [...watched, symbol];
+      await this.save();
+      emitter.emit("watch", instrument);
+    }
+    return instrument;
+  }
+
+  // Stop trading an instrument; returns false if it was not watched
+  static async unwatch(symbol) {
+    if (!watched.includes(symbol)) {
+      return false;
+    }
+    if (watched.length === 1) {
+      throw new Error("At least one instrument must stay watched");
+    }
+
+    watched = watched.filter((watchedSymbol) => watchedSymbol !== symbol);
+    await this.save();
+    emitter.emit("unwatch", symbol);
+    return true;
+  }
+
+  // Back to the built-in instruments and watched pairs, in memory only
+  static reset() {
+    reset();
+  }
+}
+
+module.exports = InstrumentService;
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "instruments-"));
+
+const InstrumentService = require("./instrumentService");
+
+test.beforeEach(() => {
+  InstrumentService.reset();
+});
+
+test("built-in instruments carry their own pip and contract sizes", () => {
+  assert.strictEqual(InstrumentService.getPipSize("EUR/USD"), 0.0001);
+  assert.strictEqual(InstrumentService.getPipSize("USD/JPY"), 0.01);
+  assert.strictEqual(InstrumentService.getPipSize("XAU/USD"), 0.1);
+  assert.strictEqual(InstrumentService.getContractSize("XAU/USD"), 100);
+  assert.deepStrictEqual(InstrumentService.getWatched(), ["EUR/USD", "GBP/USD"]);
+  assert.throws(() => InstrumentService.getPipSize("ABC/XYZ"), /Unknown instrument/);
+});
+
+test("sessions spanning midnight count as open on both sides of it", () => {
+  const at = (hour) => new Date(Date.UTC(2024, 0, 2, hour));
+
+  assert.deepStrictEqual(InstrumentService.getOpenSessions("AUD/USD", at(22)), ["sydney"]);
+  assert.deepStrictEqual(InstrumentService.getOpenSessions("AUD/USD", at(3)), ["sydney", "tokyo"]);
+  assert.deepStrictEqual(InstrumentService.getOpenSessions("EUR/USD", at(13)), ["london", "newYork"]);
+  assert.strictEqual(InstrumentService.isInSession("EUR/GBP", at(18)), false);
+});
+
+test("pairs watched at runtime are announced and survive a reload", async () => {
+  const watched = [];
+  const unwatched = [];
+  const onWatch = (instrument) => watched.push(instrument.symbol);
+  const onUnwatch = (symbol) => unwatched.push(symbol);
+  InstrumentService.on("watch", onWatch);
+  InstrumentService.on("unwatch", onUnwatch);
+
+  try {
+    await InstrumentService.defineInstrument({ symbol: "EUR/CHF", pipSize: 0.0001, basePrice: 0.95 });
+    await InstrumentService.watch("EUR/CHF");
+    await InstrumentService.watch("USD/JPY");
+    await InstrumentService.unwatch("GBP/USD");
+
+    assert.deepStrictEqual(watched, ["EUR/CHF", "USD/JPY"]);
+    assert.deepStrictEqual(unwatched, ["GBP/USD"]);
+    assert.strictEqual(InstrumentService.getInstrument("EUR/CHF").contractSize, 100000);
+
+    // A restart starts from the defaults and restores the saved state
+    InstrumentService.reset();
+    watched.length = 0;
+    unwatched.length = 0;
+    await InstrumentService.load();
+
+    assert.deepStrictEqual(InstrumentService.getWatched(), ["EUR/USD", "EUR/CHF", "USD/JPY"]);
+    assert.deepStrictEqual(watched, ["EUR/CHF", "USD/JPY"]);
+    assert.deepStrictEqual(unwatched, ["GBP/USD"]);
+  } finally {
+    InstrumentService.off("watch", onWatch);
+    InstrumentService.off("unwatch", onUnwatch);
+  }
+});
+
+test("new instruments need a pip size and the last watched pair stays", async () => {
+  await assert.rejects(() => InstrumentService.defineInstrument({ symbol: "USD/SEK" }), /pip size/);
+
+  await InstrumentService.unwatch("GBP/USD");
+  await assert.rejects(() => InstrumentService.unwatch("EUR/USD"), /At least one/);
+  assert.strictEqual(await InstrumentService.unwatch("USD/JPY"), false);
+});
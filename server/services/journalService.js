@@ -0,0 +1,282 @@
+const EventEmitter = require("events");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const _ = require("lodash");
+const SettingsService = require("./settingsService");
+const JsonFile = require("../utils/jsonFile");
+const { DATA_DIR } = require("../utils/paths");
+const { getTradingDay } = require("../utils/tradingDay");
+
+const file = new JsonFile(path.join(DATA_DIR, "journal.json"), []);
+
+// id -> journal entry
+const entries = new Map();
+
+const emitter = new EventEmitter();
+
+// Trader annotations, the only fields of a recorded trade that can be edited
+const ANNOTATION_FIELDS = ["notes", "tags", "disciplineGrade"];
+
+// Order outcomes that end a trade before it was ever filled
+const UNFILLED_STATUSES = ["cancelled", "expired", "rejected"];
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Entry, partial and exit fills from a position's event history
+const fillsFrom = (events) =>
+  events
+    .filter((event) => ["opened", "partialClose", "closed"].includes(event.type))
+    .map((event) => ({
+      type: { opened: "entry", partialClose: "partial", closed: "exit" }[event.type],
+      price: event.price,
+      units: event.units,
+      pnl: event.type === "opened" ? null : event.pnl,
+      timestamp: event.timestamp,
+    }));
+
+// The opportunity as it stood when the trade was taken
+const snapshotOf = (opportunity) =>
+  opportunity
+    ? _.pick(opportunity, [
+        "id",
+        "timestamp",
+        "pair",
+        "setup",
+        "strategy",
+        "direction",
+        "score",
+        "confidence",
+        "entry",
+        "stopLoss",
+        "takeProfit",
+        "riskReward",
+        "analysis",
+        "marketConditions",
+      ])
+    : null;
+
+// Persistent record of every paper trade: the opportunity and score
+// breakdown at entry, the fills, the exit and the P&L, plus the trader's
+// notes, setup tags and a 1-5 discipline grade. Trades taken elsewhere can
+// be added by hand. Entries are kept in memory and written to
+// DATA_DIR/journal.json.
+class JournalService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static off(event, listener) {
+    emitter.off(event, listener);
+  }
+
+  static async load() {
+    const stored = await file.read();
+    entries.clear();
+    stored.forEach((entry) => entries.set(entry.id, entry));
+    return this.listEntries();
+  }
+
+  // Most recent first; filters by pair, status, strategy id, tag,
+  // discipline grade and opening date range
+  static listEntries(filters = {}) {
+    const { pair, status, strategy, tag, grade, from, to } = filters;
+
+    return _.orderBy(Array.from(entries.values()), [(entry) => new Date(entry.createdAt)], ["desc"])
+      .filter((entry) => !pair || entry.pair === pair)
+      .filter((entry) => !status || entry.status === status)
+      .filter((entry) => !strategy || (entry.strategy && entry.strategy.id === strategy))
+      .filter((entry) => !tag || entry.tags.includes(tag))
+      .filter((entry) => !grade || entry.disciplineGrade === grade)
+      .filter((entry) => !from || new Date(entry.openedAt || entry.createdAt) >= new Date(from))
+      .filter((entry) => !to || new Date(entry.openedAt || entry.createdAt) <= new Date(to));
+  }
+
+  static getEntry(id) {
+    return entries.get(id) || null;
+  }
+
+  static findByOpportunity(opportunityId) {
+    return Array.from(entries.values()).find((entry) => entry.opportunityId === opportunityId) || null;
+  }
+
+  // Every tag in use, for filtering
+  static getTags() {
+    return _.uniq(Array.from(entries.values()).flatMap((entry) => entry.tags)).sort();
+  }
+
+  // Trades opened and P&L realized in the current trading day, which rolls
+  // over at the configured time (17:00 New York by default)
+  static getDailySummary(now = new Date()) {
+    const { start, end } = getTradingDay(now, SettingsService.getSettings().tradingDay);
+    const within = (time) => time && new Date(time) >= start && new Date(time) < end;
+    const opened = Array.from(entries.values()).filter((entry) => within(entry.openedAt));
+    const closed = Array.from(entries.values()).filter((entry) => within(entry.closedAt));
+
+    return {
+      since: start,
+      until: end,
+      trades: opened.length,
+      closedTrades: closed.length,
+      realizedPnL: round(closed.reduce((sum, entry) => sum + (entry.realizedPnL || 0), 0)),
+    };
+  }
+
+  static async save(entry) {
+    entry.updatedAt = new Date();
+    entries.set(entry.id, entry);
+    await file.write(Array.from(entries.values()));
+
+    emitter.emit("entry", entry);
+    emitter.emit("summary", this.getDailySummary());
+    return entry;
+  }
+
+  static newEntry(fields) {
+    const now = new Date();
+    return {
+      id: uuidv4(),
+      source: "manual",
+      opportunityId: null,
+      orderId: null,
+      positionId: null,
+      pair: null,
+      direction: null,
+      setup: null,
+      strategy: null,
+      status: "closed",
+      opportunity: null,
+      scoreBreakdown: null,
+      entry: null,
+      stopLoss: null,
+      takeProfit: null,
+      units: null,
+      fills: [],
+      events: [],
+      exit: null,
+      exitReason: null,
+      realizedPnL: null,
+      rMultiple: null,
+      pips: null,
+      openedAt: null,
+      closedAt: null,
+      notes: "",
+      tags: [],
+      disciplineGrade: null,
+      createdAt: now,
+      ...fields,
+    };
+  }
+
+  // A trade taken outside the paper trading engine
+  static async createEntry(fields) {
+    return this.save(this.newEntry({ ...fields, source: "manual" }));
+  }
+
+  // Only the annotations of recorded trades can change; manual entries can
+  // be corrected entirely
+  static async updateEntry(id, updates) {
+    const entry = entries.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    const allowed = entry.source === "manual" ? updates : _.pick(updates, ANNOTATION_FIELDS);
+    return this.save({ ...entry, ...allowed });
+  }
+
+  // Returns false if there is no such entry. Paper trades cannot be
+  // deleted: the daily loss limit and trade count are read from them.
+  static async deleteEntry(id) {
+    const entry = entries.get(id);
+    if (!entry) {
+      return false;
+    }
+    if (entry.source !== "manual") {
+      throw new Error("Only manually recorded trades can be deleted");
+    }
+
+    entries.delete(id);
+
+    await file.write(Array.from(entries.values()));
+    emitter.emit("summary", this.getDailySummary());
+    return true;
+  }
+
+  // A paper order or position for an opportunity; the first record of a
+  // trade creates its entry with the opportunity snapshot
+  static entryFor(record, opportunity) {
+    const existing = this.findByOpportunity(record.opportunityId);
+    if (existing) {
+      return existing;
+    }
+
+    return this.newEntry({
+      source: "paper",
+      opportunityId: record.opportunityId,
+      pair: record.pair,
+      direction: record.direction,
+      setup: record.setup,
+      strategy: record.strategy,
+      status: "pending",
+      opportunity: snapshotOf(opportunity),
+      scoreBreakdown: opportunity ? opportunity.scoreBreakdown || null : null,
+      stopLoss: record.stopLoss,
+      takeProfit: record.takeProfit,
+    });
+  }
+
+  static async recordOrder(order, opportunity) {
+    return this.save({
+      ...this.entryFor(order, opportunity),
+      orderId: order.id,
+      events: [...order.events],
+    });
+  }
+
+  // A pending order that ended without a fill ends its trade
+  static async recordOrderClosed(order) {
+    const entry = this.findByOpportunity(order.opportunityId);
+    if (!entry || !UNFILLED_STATUSES.includes(order.status)) {
+      return entry;
+    }
+
+    return this.save({
+      ...entry,
+      status: order.status,
+      exitReason: order.status,
+      closedAt: order.closedAt,
+      events: [...order.events],
+    });
+  }
+
+  static async recordPosition(position, opportunity) {
+    const entry = this.entryFor(position, opportunity);
+    const closed = position.status === "closed";
+
+    return this.save({
+      ...entry,
+      status: position.status,
+      positionId: position.id,
+      entry: position.entry,
+      stopLoss: position.initialStopLoss,
+      takeProfit: position.takeProfit,
+      units: position.initialUnits,
+      fills: fillsFrom(position.events),
+      events: [...position.events],
+      openedAt: position.openedAt,
+      exit: closed ? position.exit : null,
+      exitReason: closed ? position.closeReason : null,
+      realizedPnL: closed ? position.realizedPnL : null,
+      rMultiple: closed ? position.rMultiple : null,
+      pips: closed ? position.pips : null,
+      closedAt: closed ? position.closedAt : null,
+    });
+  }
+
+  // Forget all entries in memory (the journal file is left alone)
+  static reset() {
+    entries.clear();
+  }
+}
+
+module.exports = JournalService;
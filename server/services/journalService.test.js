@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+
+const JournalService = require("./journalService");
+
+const opportunity = {
+  id: "opportunity-1",
+  pair: "EUR/USD",
+  setup: "Liquidity Reversal",
+  strategy: { id: "liquidity-reversal", version: "1.0.0", preset: null },
+  score: 85,
+  entry: 1.1,
+  stopLoss: 1.098,
+  takeProfit: 1.103,
+  scoreBreakdown: { base: 50, factors: {}, total: 85 },
+};
+
+const position = (fields = {}) => ({
+  id: "position-1",
+  opportunityId: opportunity.id,
+  pair: "EUR/USD",
+  setup: opportunity.setup,
+  strategy: opportunity.strategy,
+  direction: "long",
+  status: "open",
+  entry: 1.1001,
+  initialStopLoss: 1.098,
+  stopLoss: 1.098,
+  takeProfit: 1.103,
+  initialUnits: 23810,
+  openedAt: new Date(),
+  events: [{ type: "opened", price: 1.1001, units: 23810, timestamp: new Date() }],
+  ...fields,
+});
+
+test.beforeEach(() => {
+  JournalService.reset();
+});
+
+test("paper trades are journalled from entry to exit", async () => {
+  const opened = await JournalService.recordPosition(position(), opportunity);
+
+  assert.strictEqual(opened.status, "open");
+  assert.strictEqual(opened.opportunity.score, 85);
+  assert.deepStrictEqual(opened.scoreBreakdown, opportunity.scoreBreakdown);
+
+  const closed = await JournalService.recordPosition(
+    position({
+      status: "closed",
+      exit: 1.103,
+      closeReason: "takeProfit",
+      realizedPnL: 69.05,
+      rMultiple: 1.38,
+      pips: 29,
+      closedAt: new Date(),
+      events: [
+        ...position().events,
+        { type: "closed", reason: "takeProfit", price: 1.103, units: 23810, pnl: 69.05 },
+      ],
+    })
+  );
+
+  assert.strictEqual(closed.id, opened.id);
+  assert.strictEqual(closed.exitReason, "takeProfit");
+  assert.deepStrictEqual(
+    closed.fills.map((fill) => fill.type),
+    ["entry", "exit"]
+  );
+  // The snapshot taken at entry is kept
+  assert.strictEqual(closed.opportunity.score, 85);
+  assert.strictEqual(JournalService.getDailySummary().trades, 1);
+  assert.strictEqual(JournalService.getDailySummary().realizedPnL, 69.05);
+});
+
+test("orders that never fill end their entry", async () => {
+  const order = {
+    id: "order-1",
+    opportunityId: opportunity.id,
+    pair: "EUR/USD",
+    direction: "long",
+    status: "pending",
+    events: [{ type: "orderPlaced" }],
+  };
+  await JournalService.recordOrder(order, opportunity);
+
+  const entry = await JournalService.recordOrderClosed({
+    ...order,
+    status: "expired",
+    closedAt: new Date(),
+  });
+
+  assert.strictEqual(entry.status, "expired");
+  assert.strictEqual(entry.orderId, "order-1");
+  assert.strictEqual(JournalService.getDailySummary().trades, 0);
+});
+
+test("recorded trades only take annotations and the journal persists", async () => {
+  const recorded = await JournalService.recordPosition(position(), opportunity);
+  const updated = await JournalService.updateEntry(recorded.id, {
+    notes: "Waited for the sweep",
+    tags: ["london-open"],
+    disciplineGrade: 4,
+    entry: 1.2,
+  });
+
+  assert.strictEqual(updated.entry, 1.1001);
+  assert.strictEqual(updated.disciplineGrade, 4);
+
+  const manual = await JournalService.createEntry({
+    pair: "GBP/USD",
+    direction: "short",
+    entry: 1.27,
+    tags: ["news"],
+  });
+  assert.strictEqual((await JournalService.updateEntry(manual.id, { entry: 1.271 })).entry, 1.271);
+
+  await JournalService.load();
+  assert.deepStrictEqual(
+    JournalService.listEntries({ tag: "london-open" }).map((entry) => entry.id),
+    [recorded.id]
+  );
+  assert.deepStrictEqual(JournalService.getTags(), ["london-open", "news"]);
+  await assert.rejects(JournalService.deleteEntry(recorded.id), /Only manually recorded/);
+  assert.strictEqual(await JournalService.deleteEntry(manual.id), true);
+  assert.strictEqual(JournalService.listEntries({ pair: "GBP/USD" }).length, 0);
+});
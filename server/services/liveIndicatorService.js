@@ -0,0 +1,100 @@
+const CandleService = require("./candleService");
+const SettingsService = require("./settingsService");
+const {
+  RSICalculator,
+  ATRCalculator,
+  ADXCalculator,
+  VWAPCalculator,
+} = require("./streamingIndicators");
+
+const ADX_PERIOD = 14;
+
+// pair -> { timeframe, calculators }
+const engines = new Map();
+
+const createEngine = (pair) => {
+  const { timeframe, rsiPeriod, atrPeriod } =
+    SettingsService.getSettings().strategyParams;
+
+  const engine = {
+    timeframe,
+    calculators: LiveIndicatorService.createCalculators({ rsiPeriod, atrPeriod }),
+  };
+
+  CandleService.getCandles(pair, timeframe, undefined, {
+    includeCurrent: false,
+  }).forEach((candle) => {
+    Object.values(engine.calculators).forEach((calculator) =>
+      calculator.update(candle)
+    );
+  });
+
+  return engine;
+};
+
+// Live indicator values for the strategy timeframe. Closed candles are
+// folded into streaming calculators once; the forming candle is previewed
+// on demand, so each refresh costs O(1) per pair.
+class LiveIndicatorService {
+  // The calculators behind a snapshot; the backtester drives its own set
+  static createCalculators({ rsiPeriod = 14, atrPeriod = 14 } = {}) {
+    return {
+      rsi: new RSICalculator(rsiPeriod),
+      atr: new ATRCalculator(atrPeriod),
+      adx: new ADXCalculator(ADX_PERIOD),
+      vwap: new VWAPCalculator(),
+    };
+  }
+
+  // Snapshot values from the calculators, previewing the forming candle if
+  // there is one
+  static readSnapshot(calculators, forming = null) {
+    const latest = (calculator) =>
+      (forming ? calculator.preview(forming) : calculator.current) || null;
+
+    const vwap = latest(calculators.vwap);
+    const rsi = latest(calculators.rsi);
+    const atr = latest(calculators.atr);
+    const adx = latest(calculators.adx);
+
+    return {
+      vwapSlope: vwap ? vwap.slope : null,
+      rsi: rsi ? rsi.value : null,
+      atr: atr ? atr.value : null,
+      adx: adx ? adx.value : null,
+    };
+  }
+
+  // Drop all calculators; they are rebuilt from candle history when next used
+  static reset() {
+    engines.clear();
+  }
+
+  static handleCandleClose({ pair, timeframe, candle }) {
+    const engine = engines.get(pair);
+    if (!engine || engine.timeframe !== timeframe) return;
+
+    Object.values(engine.calculators).forEach((calculator) =>
+      calculator.update(candle)
+    );
+  }
+
+  // Latest values in the shape of IndicatorService.calculateSnapshot
+  static getSnapshot(pair) {
+    if (!engines.has(pair)) {
+      engines.set(pair, createEngine(pair));
+    }
+
+    const { timeframe, calculators } = engines.get(pair);
+    const forming = CandleService.getFormingCandle(pair, timeframe);
+
+    return this.readSnapshot(calculators, forming);
+  }
+}
+
+CandleService.on("candleClose", (event) => LiveIndicatorService.handleCandleClose(event));
+
+// Periods or timeframe may have changed
+SettingsService.on("change", () => LiveIndicatorService.reset());
+
+module.exports = LiveIndicatorService;
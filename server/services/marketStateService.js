@@ -0,0 +1,243 @@
+const EventEmitter = require("events");
+const _ = require("lodash");
+const OpportunityService = require("./opportunityService");
+const InstrumentService = require("./instrumentService");
+
+// Number of previous opportunities kept alongside each new batch
+const OPPORTUNITY_HISTORY_LIMIT = 20;
+
+// Market data for a newly watched instrument; indicator values are
+// neutral placeholders until the live indicators replace them
+const initialDataFor = (instrument) => ({
+  // Quoted decimals and pip size, for display
+  digits: instrument.digits,
+  pipSize: instrument.pipSize,
+  price: instrument.basePrice,
+  spread: instrument.typicalSpread,
+  // Usual spread at this hour and whether the spread is abnormally wide
+  spreadBaseline: instrument.typicalSpread,
+  spreadAnomaly: false,
+  atr: instrument.pipSize * 10,
+  vwapSlope: 0,
+  rsi: 50,
+  adx: 20,
+  regime: "ranging",
+  // Correlation with the pair it moves most closely with, once known
+  correlation: null,
+  correlatedWith: null,
+  lastUpdate: new Date(),
+  historicalData: [],
+});
+
+// Single source of truth for live market data and opportunities. The cron
+// jobs, socket handlers and REST routes all read and write through here.
+// Holds one entry per watched instrument.
+const marketData = {};
+InstrumentService.getWatched().forEach((symbol) => {
+  marketData[symbol] = initialDataFor(InstrumentService.getInstrument(symbol));
+});
+
+let opportunities = [];
+
+// Correlation of the returns of each two pairs, keyed by the pairs in
+// alphabetical order, e.g. "EUR/USD|GBP/USD"
+let correlations = {};
+
+const correlationKey = (a, b) => [a, b].sort().join("|");
+
+// Why the risk gate blocks new trades, or null while trading is allowed
+let riskBlock = null;
+
+// Suggested position size for an opportunity, supplied by the paper
+// trading account
+let positionSizer = () => null;
+
+const emitter = new EventEmitter();
+
+class MarketStateService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static off(event, listener) {
+    emitter.off(event, listener);
+  }
+
+  static getMarketData() {
+    return marketData;
+  }
+
+  static getPairs() {
+    return Object.keys(marketData);
+  }
+
+  static hasPair(pair) {
+    return Object.prototype.hasOwnProperty.call(marketData, pair);
+  }
+
+  static getPairData(pair) {
+    return this.hasPair(pair) ? marketData[pair] : null;
+  }
+
+  // Start tracking a watched instrument
+  static addPair(instrument) {
+    if (!this.hasPair(instrument.symbol)) {
+      marketData[instrument.symbol] = initialDataFor(instrument);
+    }
+    return marketData[instrument.symbol];
+  }
+
+  // Stop tracking a pair and drop its opportunities
+  static removePair(pair) {
+    if (!this.hasPair(pair)) {
+      return false;
+    }
+
+    delete marketData[pair];
+    opportunities = opportunities.filter((opp) => opp.pair !== pair);
+    emitter.emit("opportunities", opportunities);
+    return true;
+  }
+
+  // Correlation of two pairs' returns, 1 for the same pair and null while
+  // unknown
+  static getCorrelation(a, b) {
+    if (a === b) {
+      return 1;
+    }
+    const correlation = correlations[correlationKey(a, b)];
+    return correlation === undefined ? null : correlation;
+  }
+
+  // Replace the pair correlations with a matrix (matrix[a][b], null where
+  // unknown), e.g. from CorrelationService
+  static setCorrelations(matrix) {
+    correlations = {};
+    Object.entries(matrix).forEach(([a, row]) => {
+      Object.entries(row).forEach(([b, correlation]) => {
+        if (a !== b && correlation !== null) {
+          correlations[correlationKey(a, b)] = correlation;
+        }
+      });
+    });
+  }
+
+  // Record which pair a pair moves most closely with ({ pair, correlation }
+  // or null)
+  static applyCorrelation(pair, closest) {
+    const data = this.getPairData(pair);
+    if (!data) return;
+
+    data.correlation = closest ? closest.correlation : null;
+    data.correlatedWith = closest ? closest.pair : null;
+  }
+
+  // Record the latest quote from the data provider
+  static applyTick(tick) {
+    const data = this.getPairData(tick.pair);
+    if (!data) return;
+
+    data.price = tick.price;
+    data.bid = tick.bid;
+    data.ask = tick.ask;
+    data.spread = tick.spread;
+    data.lastUpdate = tick.timestamp;
+  }
+
+  // Update indicator fields, keeping previous values where the snapshot
+  // has insufficient data
+  static applyIndicators(pair, snapshot) {
+    const data = this.getPairData(pair);
+    if (!data) return;
+
+    Object.entries(snapshot).forEach(([key, value]) => {
+      if (value !== null && Number.isFinite(value)) {
+        data[key] = value;
+      }
+    });
+  }
+
+  // Notify listeners (e.g. the socket layer) that market data has changed
+  static publishMarketData() {
+    emitter.emit("marketData", marketData);
+  }
+
+  static getOpportunities({ pair, minScore, limit } = {}) {
+    let result = opportunities;
+
+    if (pair) {
+      result = result.filter((opp) => opp.pair === pair);
+    }
+
+    if (minScore !== undefined) {
+      result = result.filter((opp) => opp.score >= minScore);
+    }
+
+    if (limit !== undefined) {
+      result = result.slice(0, limit);
+    }
+
+    return result;
+  }
+
+  static getOpportunity(id) {
+    return opportunities.find((opp) => opp.id === id) || null;
+  }
+
+  static addOpportunities(newOpportunities) {
+    if (newOpportunities.length === 0) {
+      return opportunities;
+    }
+
+    newOpportunities.forEach((opp) => {
+      opp.blockedByRisk = riskBlock;
+      opp.suggestedSize = positionSizer(opp);
+    });
+
+    opportunities = [
+      ...newOpportunities,
+      ...opportunities.slice(0, OPPORTUNITY_HISTORY_LIMIT),
+    ];
+    emitter.emit("opportunities", opportunities);
+
+    return opportunities;
+  }
+
+  // Refresh the risk fields of every opportunity: blockedByRisk (the risk
+  // gate's reason, or null) and suggestedSize from the sizer. Listeners
+  // hear about it only when something changed.
+  static applyRisk({ blockedReason, sizer = positionSizer }) {
+    riskBlock = blockedReason;
+    positionSizer = sizer;
+
+    let changed = false;
+    opportunities.forEach((opp) => {
+      const suggestedSize = positionSizer(opp);
+      if (opp.blockedByRisk !== riskBlock || !_.isEqual(opp.suggestedSize, suggestedSize)) {
+        opp.blockedByRisk = riskBlock;
+        opp.suggestedSize = suggestedSize;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      emitter.emit("opportunities", opportunities);
+    }
+  }
+
+  // Assess the live market data (optionally restricted to some pairs) and
+  // record any new opportunities in the shared list
+  static async assessOpportunities(pairs = this.getPairs()) {
+    const selected = {};
+    pairs.filter((pair) => this.hasPair(pair)).forEach((pair) => {
+      selected[pair] = marketData[pair];
+    });
+
+    const newOpportunities = await OpportunityService.assessAllPairs(selected);
+    this.addOpportunities(newOpportunities);
+
+    return newOpportunities;
+  }
+}
+
+module.exports = MarketStateService;
@@ -0,0 +1,247 @@
+// Candles either side a swing high/low must exceed
+const DEFAULT_STRENGTH = 2;
+
+// A sweep or break this many candles old still counts as recent
+const DEFAULT_RECENT_CANDLES = 3;
+
+// Equal highs/lows lie within this fraction of the average candle range
+const EQUAL_LEVEL_TOLERANCE = 0.1;
+
+const averageRange = (candles) =>
+  candles.length === 0
+    ? 0
+    : candles.reduce((sum, candle) => sum + (candle.high - candle.low), 0) /
+      candles.length;
+
+// Price action structure over a candle series. Swings only become known
+// `strength` candles after they form, and every detector respects that, so
+// results never depend on candles that came later.
+class MarketStructureService {
+  // Swing highs/lows: a high (low) strictly above (below) the `strength`
+  // candles on each side. `confirmedAt` is the index where it became known.
+  static findSwingPoints(candles, strength = DEFAULT_STRENGTH) {
+    const swings = [];
+
+    for (let i = strength; i < candles.length - strength; i++) {
+      let isHigh = true;
+      let isLow = true;
+
+      for (let j = i - strength; j <= i + strength; j++) {
+        if (j === i) continue;
+        if (candles[j].high >= candles[i].high) isHigh = false;
+        if (candles[j].low <= candles[i].low) isLow = false;
+      }
+
+      if (isHigh) {
+        swings.push({
+          type: "high",
+          index: i,
+          confirmedAt: i + strength,
+          timestamp: candles[i].timestamp,
+          price: candles[i].high,
+        });
+      }
+      if (isLow) {
+        swings.push({
+          type: "low",
+          index: i,
+          confirmedAt: i + strength,
+          timestamp: candles[i].timestamp,
+          price: candles[i].low,
+        });
+      }
+    }
+
+    return swings;
+  }
+
+  // Label each swing against the previous one of the same type:
+  // HH/LH for highs, HL/LL for lows
+  static labelSwings(swings) {
+    let previousHigh = null;
+    let previousLow = null;
+
+    return swings.map((swing) => {
+      let label = null;
+
+      if (swing.type === "high") {
+        if (previousHigh) label = swing.price > previousHigh.price ? "HH" : "LH";
+        previousHigh = swing;
+      } else {
+        if (previousLow) label = swing.price > previousLow.price ? "HL" : "LL";
+        previousLow = swing;
+      }
+
+      return { ...swing, label };
+    });
+  }
+
+  // Bullish on higher highs and higher lows, bearish on lower highs and
+  // lower lows, otherwise neutral
+  static determineTrend(labelledSwings) {
+    const lastHigh = [...labelledSwings].reverse().find((s) => s.type === "high" && s.label);
+    const lastLow = [...labelledSwings].reverse().find((s) => s.type === "low" && s.label);
+
+    if (!lastHigh || !lastLow) return "neutral";
+    if (lastHigh.label === "HH" && lastLow.label === "HL") return "bullish";
+    if (lastHigh.label === "LH" && lastLow.label === "LL") return "bearish";
+    return "neutral";
+  }
+
+  // Closes beyond the most recent confirmed swing high (bullish) or swing
+  // low (bearish). Each swing can only be broken once.
+  static detectBreaksOfStructure(candles, swings) {
+    const breaks = [];
+    let swingIndex = 0;
+    let lastHigh = null;
+    let lastLow = null;
+
+    for (let i = 0; i < candles.length; i++) {
+      while (swingIndex < swings.length && swings[swingIndex].confirmedAt < i) {
+        const swing = swings[swingIndex++];
+        if (swing.type === "high") lastHigh = swing;
+        else lastLow = swing;
+      }
+
+      if (lastHigh && candles[i].close > lastHigh.price) {
+        breaks.push({
+          direction: "bullish",
+          level: lastHigh.price,
+          index: i,
+          timestamp: candles[i].timestamp,
+        });
+        lastHigh = null;
+      }
+      if (lastLow && candles[i].close < lastLow.price) {
+        breaks.push({
+          direction: "bearish",
+          level: lastLow.price,
+          index: i,
+          timestamp: candles[i].timestamp,
+        });
+        lastLow = null;
+      }
+    }
+
+    return breaks;
+  }
+
+  // Groups of two or more swings of one type within `tolerance` of each
+  // other, i.e. resting liquidity above equal highs or below equal lows
+  static findEqualLevels(swings, tolerance) {
+    const levels = [];
+
+    ["high", "low"].forEach((type) => {
+      const sorted = swings
+        .filter((swing) => swing.type === type)
+        .sort((a, b) => a.price - b.price);
+
+      let group = [];
+      const flush = () => {
+        if (group.length >= 2) {
+          levels.push({
+            type,
+            price: group.reduce((sum, s) => sum + s.price, 0) / group.length,
+            touches: group.length,
+            swings: group,
+          });
+        }
+      };
+
+      sorted.forEach((swing) => {
+        if (group.length > 0 && swing.price - group[0].price > tolerance) {
+          flush();
+          group = [];
+        }
+        group.push(swing);
+      });
+      flush();
+    });
+
+    return levels;
+  }
+
+  // Stop runs: a candle trades through a confirmed, unbroken swing level
+  // and closes back inside it. Running stops above highs is a bearish
+  // sweep; below lows is a bullish sweep.
+  static detectLiquiditySweeps(candles, swings) {
+    const sweeps = [];
+    const active = [];
+    let swingIndex = 0;
+
+    for (let i = 0; i < candles.length; i++) {
+      while (swingIndex < swings.length && swings[swingIndex].confirmedAt < i) {
+        active.push(swings[swingIndex++]);
+      }
+
+      const candle = candles[i];
+      for (let k = active.length - 1; k >= 0; k--) {
+        const swing = active[k];
+
+        if (swing.type === "high" && candle.high > swing.price) {
+          if (candle.close < swing.price) {
+            sweeps.push({
+              direction: "bearish",
+              level: swing.price,
+              extreme: candle.high,
+              index: i,
+              timestamp: candle.timestamp,
+            });
+          }
+          // Either swept or broken, the liquidity is gone
+          active.splice(k, 1);
+        } else if (swing.type === "low" && candle.low < swing.price) {
+          if (candle.close > swing.price) {
+            sweeps.push({
+              direction: "bullish",
+              level: swing.price,
+              extreme: candle.low,
+              index: i,
+              timestamp: candle.timestamp,
+            });
+          }
+          active.splice(k, 1);
+        }
+      }
+    }
+
+    return sweeps;
+  }
+
+  static analyze(
+    candles,
+    { strength = DEFAULT_STRENGTH, recentCandles = DEFAULT_RECENT_CANDLES } = {}
+  ) {
+    const swings = this.labelSwings(this.findSwingPoints(candles, strength));
+    const trend = this.determineTrend(swings);
+    const breaks = this.detectBreaksOfStructure(candles, swings);
+    const sweeps = this.detectLiquiditySweeps(candles, swings);
+    const equalLevels = this.findEqualLevels(
+      swings,
+      averageRange(candles) * EQUAL_LEVEL_TOLERANCE
+    );
+
+    const isRecent = (event) =>
+      event && event.index >= candles.length - recentCandles;
+    const lastBreak = breaks.length > 0 ? breaks[breaks.length - 1] : null;
+    const lastSweep = sweeps.length > 0 ? sweeps[sweeps.length - 1] : null;
+
+    return {
+      swings,
+      trend,
+      breaks,
+      lastBreak,
+      // A trend is confirmed once structure breaks in its direction
+      confirmedTrend:
+        trend !== "neutral" && lastBreak && lastBreak.direction === trend
+          ? trend
+          : null,
+      sweeps,
+      recentSweep: isRecent(lastSweep) ? lastSweep : null,
+      equalHighs: equalLevels.filter((level) => level.type === "high"),
+      equalLows: equalLevels.filter((level) => level.type === "low"),
+    };
+  }
+}
+
+module.exports = MarketStructureService;
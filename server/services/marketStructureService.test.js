@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const MarketStructureService = require("./marketStructureService");
+
+const fromHighLowClose = (rows) =>
+  rows.map(([high, low, close], i) => ({
+    timestamp: new Date(i * 60000),
+    open: close,
+    high,
+    low,
+    close,
+    volume: 100,
+  }));
+
+const fromCloses = (closes) =>
+  fromHighLowClose(closes.map((close) => [close + 0.0002, close - 0.0002, close]));
+
+// Two rising waves, then a close above the second peak
+const uptrend = fromCloses([
+  1.1, 1.1005, 1.101, 1.102, 1.1012, 1.1008, 1.1004, 1.101,
+  1.1016, 1.103, 1.1022, 1.1018, 1.1012, 1.102, 1.1026, 1.1036,
+]);
+
+// A swing low at index 3 is run by the last candle, which closes back above
+const sweepOfLows = fromHighLowClose([
+  [1.101, 1.1, 1.1005],
+  [1.1008, 1.0995, 1.1],
+  [1.1004, 1.099, 1.0995],
+  [1.1, 1.098, 1.0995],
+  [1.1006, 1.099, 1.1002],
+  [1.1012, 1.0996, 1.1008],
+  [1.1015, 1.1, 1.101],
+  [1.101, 1.0994, 1.0998],
+  [1.1005, 1.0988, 1.0992],
+  [1.1, 1.0975, 1.099],
+]);
+
+test("findSwingPoints only reports swings confirmed by later candles", () => {
+  const swings = MarketStructureService.findSwingPoints(sweepOfLows, 2);
+
+  assert.deepStrictEqual(
+    swings.map(({ type, index, confirmedAt, price }) => ({ type, index, confirmedAt, price })),
+    [
+      { type: "low", index: 3, confirmedAt: 5, price: 1.098 },
+      { type: "high", index: 6, confirmedAt: 8, price: 1.1015 },
+    ]
+  );
+});
+
+test("higher highs and higher lows with a break above form a confirmed uptrend", () => {
+  const structure = MarketStructureService.analyze(uptrend);
+  const labels = structure.swings.map((swing) => swing.label);
+
+  assert.deepStrictEqual(labels, [null, null, "HH", "HL"]);
+  assert.strictEqual(structure.trend, "bullish");
+  assert.strictEqual(structure.lastBreak.direction, "bullish");
+  assert.strictEqual(structure.lastBreak.index, 15);
+  assert.strictEqual(structure.confirmedTrend, "bullish");
+  assert.strictEqual(structure.recentSweep, null);
+});
+
+test("a wick through a swing low that closes back above is a bullish sweep", () => {
+  const structure = MarketStructureService.analyze(sweepOfLows);
+
+  assert.deepStrictEqual(
+    structure.sweeps.map(({ direction, level, extreme, index }) => ({ direction, level, extreme, index })),
+    [{ direction: "bullish", level: 1.098, extreme: 1.0975, index: 9 }]
+  );
+  assert.strictEqual(structure.recentSweep.index, 9);
+  assert.deepStrictEqual(structure.breaks, []);
+});
+
+test("a close through a swing level is a break, not a sweep", () => {
+  const broken = sweepOfLows.map((candle, i) =>
+    i === 9 ? { ...candle, close: 1.0978 } : candle
+  );
+  const structure = MarketStructureService.analyze(broken);
+
+  assert.deepStrictEqual(structure.sweeps, []);
+  assert.strictEqual(structure.lastBreak.direction, "bearish");
+});
+
+test("findEqualLevels groups swings within the tolerance", () => {
+  const swings = [
+    { type: "high", price: 1.1 },
+    { type: "high", price: 1.10005 },
+    { type: "high", price: 1.101 },
+    { type: "low", price: 1.09 },
+  ];
+  const levels = MarketStructureService.findEqualLevels(swings, 0.0001);
+
+  assert.strictEqual(levels.length, 1);
+  assert.strictEqual(levels[0].type, "high");
+  assert.strictEqual(levels[0].touches, 2);
+});
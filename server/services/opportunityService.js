@@ -1,12 +1,93 @@
 const { v4: uuidv4 } = require("uuid");
+const CandleService = require("./candleService");
+const SettingsService = require("./settingsService");
+const MarketStructureService = require("./marketStructureService");
+const PresetService = require("./presetService");
+const SpreadService = require("./spreadService");
+const InstrumentService = require("./instrumentService");
+const Strategies = require("../strategies");
+
+// Closed candles examined for market structure
+const STRUCTURE_LOOKBACK = 100;
+
+// Minimum score and risk-reward an opportunity must reach. Strategies bring
+// their own defaults for everything else.
+const DEFAULT_PARAMS = {
+  minScore: 70,
+  minRiskReward: 1.5,
+};
+
+// Usual spread of a live pair at the hour of its market data, from the
+// learned profile
+const getLiveSpreadBaseline = (pair, data) =>
+  SpreadService.getBaseline(pair, data.lastUpdate || new Date());
+
+// Recent closed candles of the strategy timeframe for a live pair
+const getLiveCandles = (pair) =>
+  CandleService.getCandles(
+    pair,
+    SettingsService.getSettings().strategyParams.timeframe,
+    STRUCTURE_LOOKBACK,
+    { includeCurrent: false }
+  );
 
 class OpportunityService {
-  static async assessAllPairs(marketData) {
+  // Parameters with defaults filled in:
+  // { minScore, minRiskReward, strategies: { [strategyId]: params } }
+  static resolveParams({ strategies: strategyOverrides = {}, ...thresholds } = {}) {
+    const strategies = {};
+    Strategies.listStrategies().forEach((strategy) => {
+      strategies[strategy.id] = {
+        ...strategy.defaultParams,
+        ...strategyOverrides[strategy.id],
+      };
+    });
+
+    return { ...DEFAULT_PARAMS, ...thresholds, strategies };
+  }
+
+  // Parameters of a saved preset, tagged with its name
+  static getPresetParams(name) {
+    const preset = PresetService.getPreset(name);
+    if (!preset) {
+      throw new Error(`Unknown strategy preset: ${name}`);
+    }
+
+    return { ...this.resolveParams(preset.params), preset: preset.name };
+  }
+
+  // The preset selected in settings, or the defaults
+  static getActiveParams() {
+    const { strategyPreset } = SettingsService.getSettings();
+
+    return strategyPreset && PresetService.getPreset(strategyPreset)
+      ? this.getPresetParams(strategyPreset)
+      : this.resolveParams();
+  }
+
+  // context.getCandles(pair) supplies candles for structure analysis,
+  // context.getStrategies(pair) the strategies to run, context.params
+  // their parameters and context.getSpreadBaseline(pair, data) the usual
+  // spread; they default to the live candle history, the strategies enabled
+  // in settings, the active preset and the learned spread profile
+  static async assessAllPairs(marketData, context = {}) {
     const opportunities = [];
+    const getCandles = context.getCandles || getLiveCandles;
+    const getStrategies = context.getStrategies || Strategies.getEnabledStrategies;
+    const params = context.params || this.getActiveParams();
+    const getSpreadBaseline = context.getSpreadBaseline || getLiveSpreadBaseline;
 
     for (const [pair, data] of Object.entries(marketData)) {
       try {
-        const opportunity = await this.assessSinglePair(pair, data, marketData);
+        const opportunity = await this.assessSinglePair(
+          pair,
+          data,
+          marketData,
+          getCandles(pair),
+          getStrategies(pair),
+          params,
+          getSpreadBaseline(pair, data)
+        );
         if (opportunity) {
           opportunities.push(opportunity);
         }
@@ -18,147 +99,95 @@ class OpportunityService {
     return opportunities;
   }
 
-  static async assessSinglePair(pair, data, allMarketData) {
-    // Calculate opportunity score
-    const score = this.calculateOpportunityScore(data, allMarketData);
+  // Run every enabled strategy that is eligible for the pair and keep the
+  // highest scoring setup that passes the score and risk-reward filters.
+  // Spreads are scored against spreadBaseline ({ mean } in pips); backtests
+  // pass their own so results do not depend on the live profile.
+  static async assessSinglePair(
+    pair,
+    data,
+    allMarketData,
+    candles = [],
+    strategies = Strategies.getEnabledStrategies(pair),
+    params = this.getActiveParams(),
+    spreadBaseline = getLiveSpreadBaseline(pair, data)
+  ) {
+    const structure = MarketStructureService.analyze(candles);
+    let best = null;
+
+    for (const strategy of strategies) {
+      const context = {
+        pair,
+        data,
+        candles,
+        structure,
+        spreadBaseline,
+        params: params.strategies[strategy.id] || strategy.defaultParams,
+      };
+
+      if (!strategy.isEligible(context)) {
+        continue;
+      }
 
-    // Only create opportunities for scores > 70
-    if (score < 70) {
-      return null;
-    }
+      const scoreBreakdown = strategy.score(context);
 
-    // Determine setup type based on market regime
-    const setup = this.determineSetupType(data);
+      // Only create opportunities that reach the minimum score
+      if (scoreBreakdown.total < params.minScore) {
+        continue;
+      }
+
+      const levels = strategy.calculateLevels(context);
+      const riskReward = this.calculateRiskReward(levels);
 
-    // Calculate entry, stop loss, and take profit
-    const levels = this.calculateTradingLevels(data, setup);
+      // Validate minimum risk-reward requirement
+      if (riskReward < params.minRiskReward) {
+        continue;
+      }
 
-    // Calculate risk-reward ratio
-    const riskReward = this.calculateRiskReward(levels);
+      if (!best || scoreBreakdown.total > best.scoreBreakdown.total) {
+        best = { strategy, context, scoreBreakdown, levels, riskReward };
+      }
+    }
 
-    // Validate minimum risk-reward requirement
-    if (riskReward < 1.5) {
+    if (!best) {
       return null;
     }
 
-    // Get confidence level
+    const { strategy, context, scoreBreakdown, levels, riskReward } = best;
+    const score = scoreBreakdown.total;
     const confidence = this.getConfidenceLevel(score);
+    // Levels are quoted to the instrument's precision
+    const { digits } = InstrumentService.requireInstrument(pair);
 
-    // Create opportunity object
     return {
       id: uuidv4(),
       pair,
-      setup,
+      setup: strategy.name,
+      strategy: {
+        id: strategy.id,
+        version: strategy.version,
+        preset: params.preset || null,
+      },
+      direction: levels.direction,
       score: Math.round(score),
-      entry: parseFloat(levels.entry.toFixed(5)),
-      stopLoss: parseFloat(levels.stopLoss.toFixed(5)),
-      takeProfit: parseFloat(levels.takeProfit.toFixed(5)),
+      entry: parseFloat(levels.entry.toFixed(digits)),
+      stopLoss: parseFloat(levels.stopLoss.toFixed(digits)),
+      takeProfit: parseFloat(levels.takeProfit.toFixed(digits)),
       riskReward: parseFloat(riskReward.toFixed(2)),
       confidence,
       timestamp: new Date(),
       regime: data.regime,
-      analysis: this.generateAnalysis(data, setup, confidence),
+      analysis: strategy.generateAnalysis(context, confidence),
+      scoreBreakdown,
+      structure: {
+        trend: structure.trend,
+        confirmedTrend: structure.confirmedTrend,
+        lastBreak: structure.lastBreak,
+        recentSweep: structure.recentSweep,
+      },
     };
   }
 
-  static calculateOpportunityScore(data, allMarketData) {
-    let score = 50; // Base score
-
-    // VWAP slope scoring based on regime
-    if (data.regime === "trending") {
-      if (Math.abs(data.vwapSlope) > 0.0001) {
-        score += 15;
-      }
-      if (Math.abs(data.vwapSlope) > 0.0003) {
-        score += 10; // Bonus for strong trend
-      }
-    }
-
-    // RSI scoring based on regime
-    if (data.regime === "trending") {
-      // For trending markets, look for RSI between 45-65
-      if (data.rsi >= 45 && data.rsi <= 65) {
-        score += 12;
-      } else if (data.rsi >= 40 && data.rsi <= 70) {
-        score += 6;
-      }
-    } else {
-      // For ranging/volatile markets, look for extreme RSI
-      if (data.rsi > 70 || data.rsi < 30) {
-        score += 15;
-      } else if (data.rsi > 65 || data.rsi < 35) {
-        score += 8;
-      }
-    }
-
-    // ADX scoring (trend strength)
-    if (data.adx > 30) {
-      score += 12;
-    } else if (data.adx > 25) {
-      score += 8;
-    } else if (data.adx < 20) {
-      score += 5; // Good for reversal strategies
-    }
-
-    // Spread scoring
-    const normalSpread = data.pair === "EUR/USD" ? 1.2 : 1.8;
-    if (data.spread <= normalSpread) {
-      score += 10;
-    } else if (data.spread <= normalSpread * 1.2) {
-      score += 5;
-    } else {
-      score -= 10; // Penalize high spreads
-    }
-
-    // Random market structure scoring (simulated)
-    score += Math.random() * 20;
-
-    return Math.max(0, Math.min(100, score));
-  }
-
-  static determineSetupType(data) {
-    return data.regime === "trending"
-      ? "Trend Continuation"
-      : "Liquidity Reversal";
-  }
-
-  static calculateTradingLevels(data, setup) {
-    const entry = data.price;
-    let stopLoss, takeProfit;
-
-    if (setup === "Trend Continuation") {
-      // Trend continuation setup
-      const stopMultiplier = 1.5;
-      const profitMultiplier = 2.0;
-
-      if (data.vwapSlope > 0) {
-        // Bullish trend
-        stopLoss = entry - data.atr * stopMultiplier;
-        takeProfit = entry + data.atr * profitMultiplier;
-      } else {
-        // Bearish trend
-        stopLoss = entry + data.atr * stopMultiplier;
-        takeProfit = entry - data.atr * profitMultiplier;
-      }
-    } else {
-      // Liquidity reversal setup
-      const stopMultiplier = 1.0;
-      const profitMultiplier = 1.5;
-
-      if (data.rsi > 70) {
-        // Bearish reversal
-        stopLoss = entry + data.atr * stopMultiplier;
-        takeProfit = entry - data.atr * profitMultiplier;
-      } else {
-        // Bullish reversal
-        stopLoss = entry - data.atr * stopMultiplier;
-        takeProfit = entry + data.atr * profitMultiplier;
-      }
-    }
-
-    return { entry, stopLoss, takeProfit };
-  }
-
   static calculateRiskReward(levels) {
     const risk = Math.abs(levels.entry - levels.stopLoss);
     const reward = Math.abs(levels.takeProfit - levels.entry);
@@ -170,27 +199,6 @@ class OpportunityService {
     if (score >= 75) return "medium";
     return "low";
   }
-
-  static generateAnalysis(data, setup, confidence) {
-    const regime = data.regime;
-    const trendDirection = data.vwapSlope > 0 ? "bullish" : "bearish";
-    const rsiCondition =
-      data.rsi > 70 ? "overbought" : data.rsi < 30 ? "oversold" : "neutral";
-
-    let analysis = `${setup} setup detected in ${regime} market conditions. `;
-
-    if (setup === "Trend Continuation") {
-      analysis += `VWAP slope indicates ${trendDirection} momentum with ADX at ${data.adx.toFixed(
-        1
-      )} confirming trend strength. `;
-    } else {
-      analysis += `RSI shows ${rsiCondition} conditions suggesting potential reversal. `;
-    }
-
-    analysis += `Entry at current market price with ${confidence} confidence based on technical confluence and risk management criteria.`;
-
-    return analysis;
-  }
 }
 
 module.exports = OpportunityService;
@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const OpportunityService = require("./opportunityService");
+const MarketStructureService = require("./marketStructureService");
+const Strategies = require("../strategies");
+
+// A swing low at index 3 is run by the last candle, which closes back above
+const candles = [
+  [1.101, 1.1, 1.1005],
+  [1.1008, 1.0995, 1.1],
+  [1.1004, 1.099, 1.0995],
+  [1.1, 1.098, 1.0995],
+  [1.1006, 1.099, 1.1002],
+  [1.1012, 1.0996, 1.1008],
+  [1.1015, 1.1, 1.101],
+  [1.101, 1.0994, 1.0998],
+  [1.1005, 1.0988, 1.0992],
+  [1.1, 1.0975, 1.099],
+].map(([high, low, close], i) => ({
+  timestamp: new Date(i * 60000),
+  open: close,
+  high,
+  low,
+  close,
+  volume: 100,
+}));
+
+const ranging = {
+  price: 1.099,
+  spread: 1.1,
+  atr: 0.001,
+  vwapSlope: 0.00005,
+  rsi: 74,
+  adx: 18,
+  regime: "ranging",
+};
+
+const reversal = Strategies.getStrategy("liquidity-reversal");
+const context = (data) => ({
+  pair: "EUR/USD",
+  data,
+  candles,
+  structure: MarketStructureService.analyze(candles),
+  spreadBaseline: { mean: 1.2 },
+  params: reversal.defaultParams,
+});
+
+test("the same market state always produces the same score", () => {
+  const first = reversal.score(context(ranging));
+  const second = reversal.score(context(ranging));
+
+  assert.deepStrictEqual(first, second);
+});
+
+test("the score is the base plus every factor", () => {
+  const { base, factors, total } = reversal.score(context({ ...ranging, rsi: 50 }));
+  const points = Object.values(factors).reduce((sum, f) => sum + f.points, base);
+
+  assert.deepStrictEqual(Object.keys(factors), ["vwapSlope", "rsi", "adx", "spread", "structure"]);
+  assert.strictEqual(total, points);
+});
+
+test("spreads are scored against the pair's usual spread", () => {
+  const pointsFor = (spread, mean) =>
+    reversal.score({ ...context({ ...ranging, spread }), spreadBaseline: { mean } }).factors.spread
+      .points;
+
+  assert.strictEqual(pointsFor(1.1, 1.2), 10);
+  assert.strictEqual(pointsFor(1.4, 1.2), 5);
+  assert.strictEqual(pointsFor(1.8, 1.2), -10);
+  // Normal for a pair that usually trades at 3 pips
+  assert.strictEqual(pointsFor(2.5, 3), 10);
+});
+
+test("structure scores a recent liquidity sweep in ranges", () => {
+  const { factors } = reversal.score(context(ranging));
+
+  assert.strictEqual(factors.structure.points, 20);
+});
+
+test("no setup is taken without the structure behind it", async () => {
+  const quiet = candles.slice(0, 9);
+  const trending = { ...ranging, regime: "trending", vwapSlope: 0.0002 };
+
+  assert.deepStrictEqual(
+    await OpportunityService.assessAllPairs(
+      { "EUR/USD": ranging, "GBP/USD": trending },
+      { getCandles: () => quiet }
+    ),
+    []
+  );
+});
+
+test("opportunities carry their score breakdown", async () => {
+  const [opportunity] = await OpportunityService.assessAllPairs(
+    { "EUR/USD": ranging },
+    { getCandles: () => candles }
+  );
+
+  assert.strictEqual(opportunity.setup, "Liquidity Reversal");
+  assert.deepStrictEqual(opportunity.strategy, {
+    id: "liquidity-reversal",
+    version: "1.0.0",
+    preset: null,
+  });
+  assert.ok(opportunity.takeProfit > opportunity.entry, "sweep of lows trades long");
+  assert.strictEqual(opportunity.score, Math.round(opportunity.scoreBreakdown.total));
+  assert.strictEqual(opportunity.scoreBreakdown.factors.rsi.points, 15);
+});
+
+test("disabled strategies are not run for a pair", async () => {
+  const settings = { strategies: { "EUR/USD": { "liquidity-reversal": false } } };
+
+  assert.deepStrictEqual(
+    await OpportunityService.assessAllPairs(
+      { "EUR/USD": ranging },
+      {
+        getCandles: () => candles,
+        getStrategies: (pair) => Strategies.getEnabledStrategies(pair, settings),
+      }
+    ),
+    []
+  );
+  assert.ok(Strategies.isStrategyEnabled("liquidity-reversal", "GBP/USD", settings));
+});
+
+test("thresholds and strategy parameters come from the params", async () => {
+  const assess = (params) =>
+    OpportunityService.assessAllPairs(
+      { "EUR/USD": { ...ranging, rsi: 50 } },
+      { getCandles: () => candles, params: OpportunityService.resolveParams(params) }
+    );
+
+  // Scores 85 with a neutral RSI
+  assert.deepStrictEqual(await assess({ minScore: 90 }), []);
+  assert.deepStrictEqual(await assess({ minRiskReward: 2 }), []);
+
+  const [wide] = await assess({
+    minRiskReward: 2,
+    strategies: { "liquidity-reversal": { targetAtr: 2.5 } },
+  });
+  assert.strictEqual(wide.riskReward, 2.5);
+});
+
+test("trend VWAP slopes are scored in the pair's own pips", () => {
+  const trend = Strategies.getStrategy("trend-continuation");
+  const trending = { ...ranging, regime: "trending", rsi: 55, adx: 28 };
+  const slopePoints = (pair, vwapSlope) =>
+    trend.score({ ...context({ ...trending, vwapSlope }), pair, params: trend.defaultParams }).factors
+      .vwapSlope.points;
+
+  // Two pips a candle on both
+  assert.strictEqual(slopePoints("EUR/USD", 0.0002), 15);
+  assert.strictEqual(slopePoints("USD/JPY", 0.02), 15);
+  // A fraction of a yen pip is flat, however large in EUR/USD terms
+  assert.strictEqual(slopePoints("USD/JPY", 0.005), 0);
+  assert.strictEqual(slopePoints("USD/JPY", 0.05), 25);
+});
+
+test("levels are rounded to the instrument's digits", async () => {
+  const scale = (price) => price * 136.7;
+  const yenCandles = candles.map((candle) => ({
+    ...candle,
+    open: scale(candle.open),
+    high: scale(candle.high),
+    low: scale(candle.low),
+    close: scale(candle.close),
+  }));
+  const [opportunity] = await OpportunityService.assessAllPairs(
+    { "USD/JPY": { ...ranging, price: scale(ranging.price), atr: scale(ranging.atr), spread: 1.3 } },
+    { getCandles: () => yenCandles }
+  );
+
+  ["entry", "stopLoss", "takeProfit"].forEach((level) => {
+    assert.strictEqual(opportunity[level], parseFloat(opportunity[level].toFixed(3)));
+  });
+  assert.match(opportunity.analysis, /liquidity at \d+\.\d{3} was swept/);
+});
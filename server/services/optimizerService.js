@@ -0,0 +1,338 @@
+const { v4: uuidv4 } = require("uuid");
+const _ = require("lodash");
+const BacktestService = require("./backtestService");
+const SettingsService = require("./settingsService");
+const OpportunityService = require("./opportunityService");
+
+// Values searched for each parameter unless the request narrows them.
+// Keys are paths into the params object of OpportunityService.resolveParams.
+const DEFAULT_SPACE = {
+  minScore: [65, 70, 75, 80],
+  minRiskReward: [1.2, 1.5, 2.0],
+  "strategies.trend-continuation.stopAtr": [1.0, 1.5, 2.0],
+  "strategies.trend-continuation.targetAtr": [1.5, 2.0, 3.0],
+  "strategies.trend-continuation.rsiBandLow": [40, 45, 50],
+  "strategies.trend-continuation.rsiBandHigh": [60, 65, 70],
+  "strategies.liquidity-reversal.stopAtr": [0.75, 1.0, 1.5],
+  "strategies.liquidity-reversal.targetAtr": [1.5, 2.0, 2.5],
+  "strategies.liquidity-reversal.rsiOversold": [25, 30, 35],
+  "strategies.liquidity-reversal.rsiOverbought": [65, 70, 75],
+};
+
+const OBJECTIVES = ["averageR", "netProfit", "profitFactor"];
+
+// Grid searches larger than this must be narrowed or sampled randomly
+const MAX_GRID_SIZE = 500;
+
+// Candles before each window that only warm up the indicators
+const WARMUP_CANDLES = 100;
+
+// Finished runs kept for the results endpoint
+const OPTIMIZATION_HISTORY_LIMIT = 10;
+
+// id -> optimization record, most recent last
+const optimizations = new Map();
+
+// Seeded generator so random searches can be repeated
+const createRandom = (seed) => {
+  let state = seed >>> 0 || 1;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
+
+const toParams = (values) => {
+  const params = {};
+  Object.entries(values).forEach(([path, value]) => {
+    // Strategy ids contain dashes, so split the path by hand
+    const [head, id, key] = path.split(".");
+    if (head === "strategies") {
+      _.set(params, ["strategies", id, key], value);
+    } else {
+      params[head] = value;
+    }
+  });
+  return params;
+};
+
+const gridCandidates = (space) =>
+  Object.entries(space).reduce(
+    (combinations, [path, values]) =>
+      combinations.flatMap((combination) =>
+        values.map((value) => ({ ...combination, [path]: value }))
+      ),
+    [{}]
+  );
+
+// Distinct random combinations, at most one per point of the grid
+const randomCandidates = (space, samples, seed) => {
+  const random = createRandom(seed);
+  const gridSize = Object.values(space).reduce((size, values) => size * values.length, 1);
+  const seen = new Map();
+
+  while (seen.size < Math.min(samples, gridSize)) {
+    const combination = {};
+    Object.entries(space).forEach(([path, values]) => {
+      combination[path] = values[Math.floor(random() * values.length)];
+    });
+    seen.set(JSON.stringify(combination), combination);
+  }
+
+  return Array.from(seen.values());
+};
+
+// Rolling windows: each in-sample period is followed by an out-of-sample
+// period of (1 - inSampleRatio) / inSampleRatio its length, and the next
+// window starts one out-of-sample period later
+const buildWindows = (timestamps, windows, inSampleRatio) => {
+  const step = Math.floor(timestamps.length / (inSampleRatio / (1 - inSampleRatio) + windows));
+  const inSampleLength = timestamps.length - windows * step;
+
+  if (step < 1 || inSampleLength < 1) {
+    throw new Error("Not enough candles for the requested walk-forward windows");
+  }
+
+  return Array.from({ length: windows }, (_unused, index) => {
+    const start = index * step;
+    const split = start + inSampleLength;
+    const end = Math.min(split + step, timestamps.length);
+    return {
+      inSample: { from: timestamps[start], to: timestamps[split - 1] },
+      outOfSample: { from: timestamps[split], to: timestamps[end - 1] },
+    };
+  });
+};
+
+// The part of a backtest summary that ranks candidates
+const metrics = ({ summary }) => ({
+  trades: summary.totalTrades,
+  netProfit: summary.netProfit,
+  returnPercent: summary.returnPercent,
+  winRate: summary.winRate,
+  profitFactor: summary.profitFactor,
+  averageR: summary.averageR,
+  maxDrawdownPercent: summary.maxDrawdownPercent,
+});
+
+// Higher is better; too few trades ranks below anything that traded enough
+const objectiveValue = (result, objective, minTrades) => {
+  if (result.trades < minTrades) return -Infinity;
+  if (objective === "profitFactor" && result.profitFactor === null) {
+    return result.netProfit > 0 ? Number.MAX_VALUE : 0;
+  }
+  return result[objective];
+};
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+
+// Walk-forward optimization of the strategy parameters. Every candidate
+// parameter set is backtested on each in-sample window and the following
+// out-of-sample window. A candidate is robust when it stays profitable out
+// of sample in most windows, not just when it fits the in-sample data best.
+class OptimizerService {
+  static getDefaultSpace() {
+    return _.cloneDeep(DEFAULT_SPACE);
+  }
+
+  static getObjectives() {
+    return [...OBJECTIVES];
+  }
+
+  static async run(options = {}) {
+    const settings = SettingsService.getSettings();
+    const {
+      pairs = BacktestService.getDefaultPairs(options),
+      timeframe = settings.strategyParams.timeframe,
+      method = "random",
+      samples = 30,
+      seed = 1,
+      windows = 3,
+      inSampleRatio = 0.7,
+      objective = "averageR",
+      minTrades = 5,
+      space: spaceOverrides = {},
+      onProgress = () => {},
+      ...backtestOptions
+    } = options;
+
+    // Repeated values would count towards the grid size without adding
+    // combinations, so random sampling could never find enough of them
+    const space = _.mapValues({ ...DEFAULT_SPACE, ...spaceOverrides }, (values) => _.uniq(values));
+    const gridSize = Object.values(space).reduce((size, values) => size * values.length, 1);
+    if (method === "grid" && gridSize > MAX_GRID_SIZE) {
+      throw new Error(
+        `Grid of ${gridSize} combinations exceeds ${MAX_GRID_SIZE}; narrow the space or sample randomly`
+      );
+    }
+
+    const candidates = (method === "grid"
+      ? gridCandidates(space)
+      : randomCandidates(space, samples, seed)
+    ).map((values) => ({ values, params: toParams(values), windows: [] }));
+
+    // Load the candles once and hand every backtest the same copy
+    const candles = await BacktestService.loadCandles(pairs, timeframe, backtestOptions);
+    const timestamps = _.sortedUniq(
+      Object.values(candles)
+        .flat()
+        .map((candle) => candle.timestamp.getTime())
+        .sort((a, b) => a - b)
+    );
+    const walkForward = buildWindows(timestamps, windows, inSampleRatio);
+
+    // Backtest one period, with warmup candles ahead of it
+    const backtest = (params, { from, to }) => {
+      const warmupFrom = timestamps[Math.max(0, timestamps.indexOf(from) - WARMUP_CANDLES)];
+      const slice = {};
+      pairs.forEach((pair) => {
+        slice[pair] = candles[pair].filter((candle) => {
+          const time = candle.timestamp.getTime();
+          return time >= warmupFrom && time <= to;
+        });
+      });
+
+      return BacktestService.run({
+        ...backtestOptions,
+        pairs,
+        timeframe,
+        candles: slice,
+        tradeFrom: from,
+        params,
+      }).then(metrics);
+    };
+
+    const total = candidates.length * walkForward.length;
+    let completed = 0;
+
+    for (const window of walkForward) {
+      for (const candidate of candidates) {
+        candidate.windows.push({
+          inSample: await backtest(candidate.params, window.inSample),
+          outOfSample: await backtest(candidate.params, window.outOfSample),
+        });
+        completed += 1;
+        onProgress(completed / total);
+      }
+    }
+
+    const ranked = candidates.map(({ values, params, windows: results }) => {
+      const outOfSample = results.map((result) => result.outOfSample);
+      const inSample = results.map((result) => result.inSample);
+      return {
+        values,
+        params: OpportunityService.resolveParams(params),
+        consistency: outOfSample.filter((result) => result.netProfit > 0).length / results.length,
+        inSample: {
+          trades: _.sumBy(inSample, "trades"),
+          objective: mean(inSample.map((result) => objectiveValue(result, objective, 0))),
+        },
+        outOfSample: {
+          trades: _.sumBy(outOfSample, "trades"),
+          netProfit: parseFloat(_.sumBy(outOfSample, "netProfit").toFixed(2)),
+          objective: mean(outOfSample.map((result) => objectiveValue(result, objective, 0))),
+        },
+        windows: results,
+      };
+    });
+
+    // Best in-sample candidate of each window and how it held up afterwards
+    const windowResults = walkForward.map((window, index) => {
+      const best = _.maxBy(ranked, (candidate) =>
+        objectiveValue(candidate.windows[index].inSample, objective, minTrades)
+      );
+      const period = ({ from, to }) => ({ from: new Date(from), to: new Date(to) });
+      return {
+        inSample: period(window.inSample),
+        outOfSample: period(window.outOfSample),
+        best: {
+          values: best.values,
+          inSample: best.windows[index].inSample,
+          outOfSample: best.windows[index].outOfSample,
+        },
+      };
+    });
+
+    const robust = _.orderBy(
+      ranked.filter(
+        (candidate) =>
+          candidate.consistency >= 0.5 &&
+          candidate.outOfSample.trades >= minTrades &&
+          candidate.outOfSample.netProfit > 0
+      ),
+      ["consistency", (candidate) => candidate.outOfSample.objective],
+      ["desc", "desc"]
+    );
+
+    return {
+      pairs,
+      timeframe,
+      method,
+      objective,
+      minTrades,
+      space,
+      candidatesTested: candidates.length,
+      windows: windowResults,
+      robust,
+      candidates: _.orderBy(ranked, [(candidate) => candidate.outOfSample.objective], ["desc"]),
+    };
+  }
+
+  // Start a run in the background; poll getOptimization(id) for the result
+  static startOptimization(options = {}) {
+    const { candles, ...rest } = options;
+    const optimization = {
+      id: uuidv4(),
+      status: "running",
+      progress: 0,
+      options: rest,
+      createdAt: new Date(),
+      completedAt: null,
+      error: null,
+      result: null,
+    };
+
+    optimizations.set(optimization.id, optimization);
+    while (optimizations.size > OPTIMIZATION_HISTORY_LIMIT) {
+      optimizations.delete(optimizations.keys().next().value);
+    }
+
+    this.run({
+      ...options,
+      onProgress: (progress) => {
+        optimization.progress = parseFloat(progress.toFixed(3));
+      },
+    })
+      .then((result) => {
+        optimization.status = "completed";
+        optimization.result = result;
+      })
+      .catch((error) => {
+        console.error("Optimization failed:", error);
+        optimization.status = "failed";
+        optimization.error = error.message;
+      })
+      .finally(() => {
+        optimization.completedAt = new Date();
+      });
+
+    return optimization;
+  }
+
+  static getOptimization(id) {
+    return optimizations.get(id) || null;
+  }
+
+  // Most recent first, without the results
+  static listOptimizations() {
+    return Array.from(optimizations.values())
+      .reverse()
+      .map(({ result, ...optimization }) => ({
+        ...optimization,
+        robust: result ? result.robust.length : null,
+      }));
+  }
+}
+
+module.exports = OptimizerService;
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const OptimizerService = require("./optimizerService");
+
+// A slow sine wave with enough swings for both strategies to trade
+const candles = Array.from({ length: 600 }, (_, i) => {
+  const price = (n) => 1.1 + Math.sin(n / 12) * 0.004 + Math.sin(n / 3) * 0.0008;
+  const open = price(i - 1);
+  const close = price(i);
+  return {
+    timestamp: new Date(Date.UTC(2024, 0, 1) + i * 900000),
+    open,
+    high: Math.max(open, close) + 0.0003,
+    low: Math.min(open, close) - 0.0003,
+    close,
+    volume: 100,
+  };
+});
+
+const optimize = (options) =>
+  OptimizerService.run({
+    pairs: ["EUR/USD"],
+    timeframe: "15m",
+    candles: { "EUR/USD": candles },
+    ...options,
+  });
+
+test("out-of-sample windows follow their in-sample windows", async () => {
+  const { windows } = await optimize({ samples: 2, windows: 3 });
+
+  assert.strictEqual(windows.length, 3);
+  windows.forEach(({ inSample, outOfSample }, index) => {
+    assert.ok(inSample.to < outOfSample.from);
+    if (index > 0) {
+      assert.ok(windows[index - 1].outOfSample.to < outOfSample.from);
+    }
+  });
+});
+
+test("random sampling is repeatable with the same seed", async () => {
+  const first = await optimize({ samples: 3, windows: 1, seed: 7 });
+  const second = await optimize({ samples: 3, windows: 1, seed: 7 });
+
+  assert.deepStrictEqual(
+    first.candidates.map((candidate) => candidate.values),
+    second.candidates.map((candidate) => candidate.values)
+  );
+});
+
+test("a grid search covers every combination of the space", async () => {
+  const space = Object.fromEntries(
+    Object.entries(OptimizerService.getDefaultSpace()).map(([path, values]) => [path, [values[0]]])
+  );
+  space.minScore = [70, 80];
+  space.minRiskReward = [1.5, 2];
+
+  const { candidatesTested, robust } = await optimize({ method: "grid", space, windows: 2 });
+
+  assert.strictEqual(candidatesTested, 4);
+  robust.forEach((candidate) => {
+    assert.ok(candidate.consistency >= 0.5);
+    assert.ok(candidate.outOfSample.netProfit > 0);
+  });
+});
+
+test("oversized grids are rejected", async () => {
+  await assert.rejects(optimize({ method: "grid" }), /exceeds/);
+});
+
+test("repeated values in the space count once", async () => {
+  const space = Object.fromEntries(
+    Object.entries(OptimizerService.getDefaultSpace()).map(([path, values]) => [path, [values[0]]])
+  );
+  space.minScore = [70, 70];
+
+  // Asking for more samples than there are distinct combinations
+  const { candidatesTested } = await optimize({ space, samples: 2, windows: 1 });
+
+  assert.strictEqual(candidatesTested, 1);
+});
@@ -0,0 +1,697 @@
+const EventEmitter = require("events");
+const { v4: uuidv4 } = require("uuid");
+const _ = require("lodash");
+const MarketStateService = require("./marketStateService");
+const RiskManagementService = require("./riskManagementService");
+const SettingsService = require("./settingsService");
+const InstrumentService = require("./instrumentService");
+
+// Closed positions and finished orders kept in memory
+const CLOSED_HISTORY_LIMIT = 100;
+const ORDER_HISTORY_LIMIT = 100;
+
+// id -> open position
+const openPositions = new Map();
+
+// id -> pending entry order
+const pendingOrders = new Map();
+
+// Most recent first
+let closedPositions = [];
+let orderHistory = [];
+
+// Profit and loss of all closed positions and partial closes, in account
+// currency
+let realizedPnL = 0;
+
+// Whether the margin level is at or below the margin call level
+let marginCall = false;
+
+const emitter = new EventEmitter();
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// Current bid and ask, derived from the mid price and spread until the
+// first tick for the pair arrives
+const getQuote = (pair) => {
+  const data = MarketStateService.getPairData(pair);
+  if (!data) {
+    throw new Error(`No market data for ${pair}`);
+  }
+
+  if (Number.isFinite(data.bid) && Number.isFinite(data.ask)) {
+    return { bid: data.bid, ask: data.ask, timestamp: data.lastUpdate };
+  }
+
+  const halfSpread = (data.spread * InstrumentService.getPipSize(pair)) / 2;
+  return {
+    bid: data.price - halfSpread,
+    ask: data.price + halfSpread,
+    timestamp: data.lastUpdate,
+  };
+};
+
+// Longs buy on the ask and sell on the bid; shorts the other way round
+const entryPrice = (direction, quote) => (direction === "long" ? quote.ask : quote.bid);
+const exitPrice = (position, quote) =>
+  position.direction === "long" ? quote.bid : quote.ask;
+
+const sideOf = (position) => (position.direction === "long" ? 1 : -1);
+
+// An amount in the pair's quote currency in the account currency, with
+// the pair itself converting at price
+const toAccountCurrency = (pair, amount, price) => {
+  const [, quoteCurrency] = pair.split("/");
+  const rates = _.mapValues(MarketStateService.getMarketData(), "price");
+  const rate = RiskManagementService.getConversionRate(
+    quoteCurrency,
+    SettingsService.getSettings().accountCurrency,
+    { ...rates, [pair]: price }
+  );
+  return amount * rate;
+};
+
+// In the account currency, converted at the price
+const profitAt = (position, price, units = position.units) =>
+  toAccountCurrency(position.pair, (price - position.entry) * sideOf(position) * units, price);
+
+// Pips the position is ahead by at the price
+const pipsOf = (position, price) =>
+  ((price - position.entry) * sideOf(position)) / InstrumentService.getPipSize(position.pair);
+
+// Margin held by what is left of a position at the price
+const marginOf = (position, price) =>
+  round(RiskManagementService.calculateMargin(position.pair, position.units, { price }));
+
+const addEvent = (record, type, details = {}) => {
+  record.events.push({ type, timestamp: new Date(), ...details });
+};
+
+// A limit entry waits for a better price than the market, a stop entry for
+// a breakout beyond it
+const isTriggered = (order, quote) => {
+  const price = entryPrice(order.direction, quote);
+  const long = order.direction === "long";
+  const better = long ? price <= order.price : price >= order.price;
+  const worse = long ? price >= order.price : price <= order.price;
+  return order.type === "limit" ? better : worse;
+};
+
+// What an opportunity passes on to its order and position
+const fromOpportunity = (opportunity, management) => ({
+  opportunityId: opportunity.id,
+  pair: opportunity.pair,
+  setup: opportunity.setup,
+  strategy: opportunity.strategy,
+  direction: opportunity.takeProfit > opportunity.stopLoss ? "long" : "short",
+  stopLoss: opportunity.stopLoss,
+  takeProfit: opportunity.takeProfit,
+  management,
+});
+
+// Fields a triggered order hands on to its position
+const TEMPLATE_FIELDS = Object.keys(fromOpportunity({}, null));
+
+const ORDER_EVENTS = {
+  filled: "orderFilled",
+  cancelled: "orderCancelled",
+  expired: "orderExpired",
+  rejected: "orderRejected",
+};
+
+const validateManagement = (management = {}) => {
+  const partials = management.partialTakeProfits || [];
+  const total = partials.reduce((sum, partial) => sum + partial.percent, 0);
+  if (total > 100) {
+    throw new Error("Partial take profits cannot close more than 100% of the position");
+  }
+};
+
+// Simulated execution of opportunities against the live quotes. Entries
+// fill at the ask (long) or bid (short) so the spread is paid, either at
+// once or when a pending limit or stop order triggers. Open positions are
+// marked to market on every tick, where their stop is managed (breakeven,
+// trailing), partial take profits are scaled out and the stop loss, take
+// profit or a manual close ends them. Every position keeps an event history.
+//
+// Positions hold margin (see RiskManagementService.calculateMargin). Entries
+// that need more than the free margin are rejected, and once the margin
+// level falls to the stop-out level the biggest losers are liquidated.
+//
+// Management options:
+//   trailingStop       { type: "atr" | "pips", distance }
+//   breakevenAtR       move the stop to entry once price is this many R ahead
+//   partialTakeProfits [{ atR, percent }] close percent of the initial size
+//                      once price is atR ahead
+class PaperTradingService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static off(event, listener) {
+    emitter.off(event, listener);
+  }
+
+  static getOpenPositions() {
+    return Array.from(openPositions.values());
+  }
+
+  static getClosedPositions() {
+    return closedPositions;
+  }
+
+  static getPosition(id) {
+    return openPositions.get(id) || closedPositions.find((position) => position.id === id) || null;
+  }
+
+  static getPendingOrders() {
+    return Array.from(pendingOrders.values());
+  }
+
+  static getOrderHistory() {
+    return orderHistory;
+  }
+
+  static getOrder(id) {
+    return pendingOrders.get(id) || orderHistory.find((order) => order.id === id) || null;
+  }
+
+  static getAccount() {
+    const balance = SettingsService.getSettings().balance + realizedPnL;
+    const open = this.getOpenPositions();
+    const unrealizedPnL = open.reduce((sum, position) => sum + position.unrealizedPnL, 0);
+    const equity = balance + unrealizedPnL;
+    const { leverage, usedMargin, freeMargin, marginLevel } = RiskManagementService.getMarginStatus(
+      open,
+      equity
+    );
+
+    return {
+      balance: round(balance),
+      equity: round(equity),
+      realizedPnL: round(realizedPnL),
+      unrealizedPnL: round(unrealizedPnL),
+      leverage,
+      usedMargin,
+      freeMargin,
+      marginLevel,
+      openPositions: openPositions.size,
+      pendingOrders: pendingOrders.size,
+    };
+  }
+
+  static getSnapshot() {
+    return {
+      open: this.getOpenPositions(),
+      closed: closedPositions,
+      orders: this.getPendingOrders(),
+      account: this.getAccount(),
+    };
+  }
+
+  static publish() {
+    emitter.emit("positions", this.getSnapshot());
+  }
+
+  static assertNotTraded(opportunity) {
+    const traded = [
+      ...openPositions.values(),
+      ...closedPositions,
+      ...pendingOrders.values(),
+    ].some((record) => record.opportunityId === opportunity.id);
+
+    if (traded) {
+      throw new Error("A position has already been opened for this opportunity");
+    }
+  }
+
+  // New entries wait while the risk gate is closed. Pending orders count
+  // against the trades left for the day when placing another entry.
+  static assertRiskAllows(reservedTrades = 0) {
+    const gate = RiskManagementService.getRiskGate(this.getSnapshot());
+    if (gate.blocked) {
+      throw new Error(`Blocked by risk: ${gate.reason}`);
+    }
+    if (reservedTrades >= gate.tradesRemaining) {
+      throw new Error("Blocked by risk: pending orders already use the trades left for the trading day");
+    }
+  }
+
+  // Returns the margin units of the pair need at the price, if the account
+  // has that much free margin
+  static assertMarginAllows(pair, units, price) {
+    const margin = RiskManagementService.calculateMargin(pair, units, { price });
+    const { freeMargin } = this.getAccount();
+    if (margin > freeMargin) {
+      throw new Error(`Insufficient margin: ${round(margin)} required, ${freeMargin} free`);
+    }
+    return round(margin);
+  }
+
+  // Returns the correlation check of a trade (see
+  // RiskManagementService.getCorrelationCheck), if it is allowed
+  static assertCorrelationAllows(pair, direction, units, entry, riskAmount) {
+    const check = RiskManagementService.getCorrelationCheck(this.getSnapshot(), {
+      pair,
+      direction,
+      units,
+      entry,
+      riskAmount,
+    });
+    if (!check.allowed) {
+      throw new Error(`Blocked by correlation: ${check.reason}`);
+    }
+    return check;
+  }
+
+  // Open a position from an opportunity at the current market price
+  static openPosition(opportunity, management = {}) {
+    this.assertNotTraded(opportunity);
+    validateManagement(management);
+    this.assertRiskAllows(pendingOrders.size);
+
+    const position = this.fill(
+      { ...fromOpportunity(opportunity, management), orderType: "market", events: [] },
+      getQuote(opportunity.pair)
+    );
+
+    this.publish();
+    return position;
+  }
+
+  // Place a limit or stop entry order for an opportunity. The price
+  // defaults to the opportunity's entry; expiresAt is optional.
+  static placeOrder(opportunity, { type, price = opportunity.entry, expiresAt = null, management = {} }) {
+    this.assertNotTraded(opportunity);
+    validateManagement(management);
+    this.assertRiskAllows(pendingOrders.size);
+
+    const template = fromOpportunity(opportunity, management);
+    const long = template.direction === "long";
+    const market = entryPrice(template.direction, getQuote(opportunity.pair));
+
+    if (long ? price <= opportunity.stopLoss : price >= opportunity.stopLoss) {
+      throw new Error("Order price must be on the profit side of the stop loss");
+    }
+    if (long ? price >= opportunity.takeProfit : price <= opportunity.takeProfit) {
+      throw new Error("Order price must be inside the take profit");
+    }
+
+    const belowMarket = price < market;
+    if (type === "limit" && belowMarket !== long) {
+      throw new Error(`A ${long ? "buy" : "sell"} limit must be ${long ? "below" : "above"} the market`);
+    }
+    if (type === "stop" && belowMarket === long) {
+      throw new Error(`A ${long ? "buy" : "sell"} stop must be ${long ? "above" : "below"} the market`);
+    }
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      throw new Error("Order expiry must be in the future");
+    }
+
+    // Margin and correlation are checked again when the order fills
+    const size = this.sizePosition(opportunity.pair, price, opportunity.stopLoss);
+    if (size) {
+      this.assertMarginAllows(opportunity.pair, size.units, price);
+      this.assertCorrelationAllows(opportunity.pair, template.direction, size.units, price, size.riskAmount);
+    }
+
+    const order = {
+      id: uuidv4(),
+      ...template,
+      type,
+      price,
+      status: "pending",
+      createdAt: new Date(),
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      positionId: null,
+      events: [],
+    };
+    addEvent(order, "orderPlaced", { orderType: type, price, market });
+
+    pendingOrders.set(order.id, order);
+    emitter.emit("orderPlaced", order);
+    this.publish();
+
+    return order;
+  }
+
+  // Returns null if the order is not pending
+  static cancelOrder(id, reason = "cancelled") {
+    const order = pendingOrders.get(id);
+    if (!order) {
+      return null;
+    }
+
+    this.finishOrder(order, reason);
+    this.publish();
+
+    return order;
+  }
+
+  static finishOrder(order, status, details = {}) {
+    order.status = status;
+    order.closedAt = new Date();
+    addEvent(order, ORDER_EVENTS[status], details);
+
+    pendingOrders.delete(order.id);
+    orderHistory = [order, ...orderHistory].slice(0, ORDER_HISTORY_LIMIT);
+    emitter.emit("orderClosed", order);
+  }
+
+  // Expire pending orders whose time is up
+  static expireOrders(now = new Date()) {
+    const expired = this.getPendingOrders().filter(
+      (order) => order.expiresAt && order.expiresAt <= now
+    );
+    expired.forEach((order) => this.finishOrder(order, "expired"));
+
+    if (expired.length > 0) {
+      this.publish();
+    }
+    return expired;
+  }
+
+  // Size of a trade from entry to stopLoss that risks the scaled risk per
+  // trade of the current balance; null if it cannot be sized
+  static sizePosition(pair, entry, stopLoss) {
+    const { balance } = this.getAccount();
+    const { riskPerTrade, multiplier } = RiskManagementService.getRiskScaling();
+    const size = RiskManagementService.calculatePositionSize(balance, riskPerTrade, entry, stopLoss, pair);
+    if (!size || size.units === 0) {
+      return null;
+    }
+
+    return {
+      riskPerTrade,
+      riskMultiplier: multiplier,
+      riskAmount: size.riskAmount,
+      positionSize: size.positionSize,
+      units: size.units,
+      lots: size.lots.standard,
+    };
+  }
+
+  // Suggested size for trading an opportunity at its entry, with whether
+  // it would stack correlated risk onto the open positions
+  static suggestPositionSize(opportunity) {
+    const size = this.sizePosition(opportunity.pair, opportunity.entry, opportunity.stopLoss);
+    if (!size) {
+      return null;
+    }
+
+    const { direction } = fromOpportunity(opportunity);
+    const check = RiskManagementService.getCorrelationCheck(this.getSnapshot(), {
+      pair: opportunity.pair,
+      direction,
+      units: size.units,
+      entry: opportunity.entry,
+      riskAmount: size.riskAmount,
+    });
+    return { ...size, correlation: _.pick(check, ["allowed", "flagged", "reason"]) };
+  }
+
+  // Create a position at the quote, sized from the current balance
+  static fill(template, quote) {
+    const long = template.direction === "long";
+    const entry = entryPrice(template.direction, quote);
+
+    // The market may have moved past the levels since the opportunity
+    if (long ? entry <= template.stopLoss : entry >= template.stopLoss) {
+      throw new Error("Price is already beyond the stop loss");
+    }
+    if (long ? entry >= template.takeProfit : entry <= template.takeProfit) {
+      throw new Error("Price is already beyond the take profit");
+    }
+
+    const size = this.sizePosition(template.pair, entry, template.stopLoss);
+    if (!size) {
+      throw new Error("Could not size the position");
+    }
+
+    const { units } = size;
+    const margin = this.assertMarginAllows(template.pair, units, entry);
+    const correlation = this.assertCorrelationAllows(
+      template.pair,
+      template.direction,
+      units,
+      entry,
+      size.riskAmount
+    );
+    const position = {
+      ...template,
+      id: uuidv4(),
+      units,
+      initialUnits: units,
+      positionSize: size.positionSize,
+      riskPerTrade: size.riskPerTrade,
+      riskMultiplier: size.riskMultiplier,
+      margin,
+      // Why the trade was let through despite stacking correlated risk
+      correlationWarning: correlation.flagged ? correlation.reason : null,
+      entry,
+      initialStopLoss: template.stopLoss,
+      riskAmount: round(toAccountCurrency(template.pair, Math.abs(entry - template.stopLoss) * units, entry)),
+      spreadCost: round(toAccountCurrency(template.pair, (quote.ask - quote.bid) * units, entry)),
+      openedAt: new Date(),
+      status: "open",
+      currentPrice: exitPrice(template, quote),
+      unrealizedPnL: 0,
+      unrealizedPips: 0,
+      realizedPnL: 0,
+      // Which rule last moved the stop: initial, breakeven or trailingStop
+      stopType: "initial",
+      breakevenApplied: false,
+      partialsFilled: 0,
+      events: [...template.events],
+    };
+    addEvent(position, "opened", {
+      orderType: template.orderType,
+      orderId: template.orderId || null,
+      price: entry,
+      units,
+      margin,
+    });
+    this.markToMarket(position, quote);
+
+    openPositions.set(position.id, position);
+    emitter.emit("positionOpened", position);
+
+    return position;
+  }
+
+  static markToMarket(position, quote) {
+    const price = exitPrice(position, quote);
+
+    position.currentPrice = price;
+    position.unrealizedPnL = round(profitAt(position, price));
+    position.unrealizedPips = round(pipsOf(position, price), 1);
+    position.margin = marginOf(position, price);
+  }
+
+  // R the position is ahead by at the given exit price
+  static rMultipleAt(position, price) {
+    const initialRisk = Math.abs(position.entry - position.initialStopLoss);
+    return ((price - position.entry) * sideOf(position)) / initialRisk;
+  }
+
+  // Stop changes are only ever in the position's favour
+  static moveStop(position, stopLoss, type, details = {}) {
+    const improves =
+      position.direction === "long" ? stopLoss > position.stopLoss : stopLoss < position.stopLoss;
+    if (!improves) return;
+
+    addEvent(position, type, { from: position.stopLoss, to: stopLoss, ...details });
+    position.stopLoss = stopLoss;
+    position.stopType = type;
+  }
+
+  static manageStop(position) {
+    const { breakevenAtR, trailingStop } = position.management;
+    const price = position.currentPrice;
+    const reached = this.rMultipleAt(position, price);
+
+    if (breakevenAtR && !position.breakevenApplied && reached >= breakevenAtR) {
+      position.breakevenApplied = true;
+      this.moveStop(position, position.entry, "breakeven", { price, r: round(reached) });
+    }
+
+    if (trailingStop) {
+      const { pipSize, digits } = InstrumentService.requireInstrument(position.pair);
+      const distance =
+        trailingStop.type === "atr"
+          ? trailingStop.distance * MarketStateService.getPairData(position.pair).atr
+          : trailingStop.distance * pipSize;
+      if (!(distance > 0)) return;
+
+      // Whole pip steps keep the event history readable
+      const trail =
+        position.direction === "long"
+          ? Math.floor((price - distance) / pipSize) * pipSize
+          : Math.ceil((price + distance) / pipSize) * pipSize;
+      this.moveStop(position, round(trail, digits), "trailingStop", { price });
+    }
+  }
+
+  // Scale out at each partial take profit price reaches
+  static takePartials(position) {
+    const partials = position.management.partialTakeProfits || [];
+    const price = position.currentPrice;
+
+    while (position.partialsFilled < partials.length) {
+      const partial = partials[position.partialsFilled];
+      if (this.rMultipleAt(position, price) < partial.atR) break;
+
+      const units = Math.min(
+        position.units,
+        Math.round((position.initialUnits * partial.percent) / 100)
+      );
+      const pnl = profitAt(position, price, units);
+
+      position.units -= units;
+      position.realizedPnL = round(position.realizedPnL + pnl);
+      position.partialsFilled += 1;
+      realizedPnL += pnl;
+      addEvent(position, "partialClose", {
+        price,
+        units,
+        percent: partial.percent,
+        r: partial.atR,
+        pnl: round(pnl),
+      });
+
+      if (position.units === 0) {
+        return this.settle(position, "partialTakeProfit", null);
+      }
+    }
+
+    position.unrealizedPnL = round(profitAt(position, price));
+    position.margin = marginOf(position, price);
+    return null;
+  }
+
+  // Fill triggered orders, then mark the pair's positions to market and
+  // apply their management, stop loss and take profit. Exits fill at the
+  // tick price.
+  static handleTick(tick) {
+    const orders = this.getPendingOrders().filter((order) => order.pair === tick.pair);
+    const positions = this.getOpenPositions().filter((position) => position.pair === tick.pair);
+    if (orders.length === 0 && positions.length === 0) return;
+
+    orders.forEach((order) => {
+      if (order.expiresAt && order.expiresAt <= new Date(tick.timestamp)) {
+        this.finishOrder(order, "expired");
+      } else if (isTriggered(order, tick)) {
+        try {
+          this.assertRiskAllows();
+          const position = this.fill(
+            {
+              ..._.pick(order, TEMPLATE_FIELDS),
+              orderType: order.type,
+              orderId: order.id,
+              events: [...order.events],
+            },
+            tick
+          );
+          order.positionId = position.id;
+          this.finishOrder(order, "filled", { price: position.entry });
+        } catch (error) {
+          this.finishOrder(order, "rejected", { reason: error.message });
+        }
+      }
+    });
+
+    positions.forEach((position) => {
+      this.markToMarket(position, tick);
+      if (this.takePartials(position)) return;
+      this.manageStop(position);
+
+      const price = position.currentPrice;
+      const long = position.direction === "long";
+      if (long ? price <= position.stopLoss : price >= position.stopLoss) {
+        this.settle(position, position.stopType === "initial" ? "stopLoss" : position.stopType, tick);
+      } else if (long ? price >= position.takeProfit : price <= position.takeProfit) {
+        this.settle(position, "takeProfit", tick);
+      }
+    });
+
+    this.enforceMargin();
+    this.publish();
+  }
+
+  // Liquidate the position losing most, at its last marked price, while the
+  // margin level is at or below the stop-out level, and announce a margin call when the level
+  // first falls to the margin call level
+  static enforceMargin() {
+    let status = RiskManagementService.getMarginStatus(this.getOpenPositions(), this.getAccount().equity);
+
+    while (status.stopOut) {
+      const worst = _.minBy(this.getOpenPositions(), "unrealizedPnL");
+      addEvent(worst, "stopOut", { marginLevel: status.marginLevel });
+      this.settle(worst, "stopOut", null);
+      status = RiskManagementService.getMarginStatus(this.getOpenPositions(), this.getAccount().equity);
+    }
+
+    if (status.marginCall && !marginCall) {
+      emitter.emit("marginCall", this.getAccount());
+    }
+    marginCall = status.marginCall;
+  }
+
+  // Close at the current quote; returns null if the position is not open
+  static closePosition(id, reason = "manual") {
+    const position = openPositions.get(id);
+    if (!position) {
+      return null;
+    }
+
+    const closed = this.settle(position, reason, getQuote(position.pair));
+    this.publish();
+
+    return closed;
+  }
+
+  // Close what is left of a position at the quote's exit price; without a
+  // quote it closes at the price it was last marked at
+  static settle(position, reason, quote) {
+    const exit = quote ? exitPrice(position, quote) : position.currentPrice;
+    const pnl = profitAt(position, exit);
+    const total = position.realizedPnL + pnl;
+
+    addEvent(position, "closed", { reason, price: exit, units: position.units, pnl: round(pnl) });
+
+    const closed = {
+      ...position,
+      status: "closed",
+      currentPrice: exit,
+      unrealizedPnL: 0,
+      unrealizedPips: 0,
+      exit,
+      closedAt: new Date(),
+      closeReason: reason,
+      realizedPnL: round(total),
+      pips: round(pipsOf(position, exit), 1),
+      rMultiple: position.riskAmount > 0 ? round(total / position.riskAmount) : 0,
+    };
+
+    openPositions.delete(position.id);
+    realizedPnL += pnl;
+    closedPositions = [closed, ...closedPositions].slice(0, CLOSED_HISTORY_LIMIT);
+
+    emitter.emit("positionClosed", closed);
+
+    return closed;
+  }
+
+  // Forget all positions, orders and realized profit
+  static reset() {
+    openPositions.clear();
+    pendingOrders.clear();
+    closedPositions = [];
+    orderHistory = [];
+    realizedPnL = 0;
+    marginCall = false;
+    this.publish();
+  }
+}
+
+module.exports = PaperTradingService;
@@ -0,0 +1,321 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PaperTradingService = require("./paperTradingService");
+const MarketStateService = require("./marketStateService");
+const RiskManagementService = require("./riskManagementService");
+const SettingsService = require("./settingsService");
+const InstrumentService = require("./instrumentService");
+
+const quote = (bid, ask, pair = "EUR/USD") => ({
+  pair,
+  bid,
+  ask,
+  price: (bid + ask) / 2,
+  spread: parseFloat(((ask - bid) / InstrumentService.getPipSize(pair)).toFixed(1)),
+  timestamp: new Date(),
+});
+
+// Market data for a pair that is not watched by default
+const withPair = (pair, fn) => {
+  MarketStateService.addPair(InstrumentService.getInstrument(pair));
+  try {
+    fn();
+  } finally {
+    MarketStateService.removePair(pair);
+  }
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+let nextId = 0;
+const opportunity = (levels = {}) => ({
+  id: `opportunity-${++nextId}`,
+  pair: "EUR/USD",
+  setup: "Liquidity Reversal",
+  strategy: { id: "liquidity-reversal", version: "1.0.0", preset: null },
+  entry: 1.1,
+  stopLoss: 1.098,
+  takeProfit: 1.103,
+  ...levels,
+});
+
+test.beforeEach(() => {
+  PaperTradingService.reset();
+  MarketStateService.applyTick(quote(1.0999, 1.1001));
+});
+
+test("longs fill at the ask, sized from the account risk", () => {
+  const position = PaperTradingService.openPosition(opportunity());
+  const { units } = RiskManagementService.calculatePositionSize(10000, 1, 1.1001, 1.098);
+
+  assert.strictEqual(position.direction, "long");
+  assert.strictEqual(position.entry, 1.1001);
+  // $100 over 21 pips, rounded down to the 0.01 lot step
+  assert.strictEqual(units, 47000);
+  assert.strictEqual(position.units, units);
+  assert.strictEqual(position.spreadCost, parseFloat((0.0002 * position.units).toFixed(2)));
+  // Marked at the bid, so a new position starts down by the spread
+  assert.strictEqual(position.unrealizedPnL, -position.spreadCost);
+});
+
+test("a tick through the stop closes the position at the tick price", () => {
+  const position = PaperTradingService.openPosition(opportunity());
+
+  PaperTradingService.handleTick(quote(1.1005, 1.1007));
+  assert.strictEqual(PaperTradingService.getOpenPositions().length, 1);
+  assert.ok(PaperTradingService.getAccount().unrealizedPnL > 0);
+
+  PaperTradingService.handleTick(quote(1.0979, 1.0981));
+  const [closed] = PaperTradingService.getClosedPositions();
+
+  assert.strictEqual(PaperTradingService.getOpenPositions().length, 0);
+  assert.strictEqual(closed.id, position.id);
+  assert.strictEqual(closed.closeReason, "stopLoss");
+  assert.strictEqual(closed.exit, 1.0979);
+  assert.ok(closed.rMultiple < -1, "slipped past the stop");
+  assert.strictEqual(PaperTradingService.getAccount().realizedPnL, closed.realizedPnL);
+});
+
+test("shorts take profit on the ask", () => {
+  PaperTradingService.openPosition(opportunity({ stopLoss: 1.102, takeProfit: 1.097 }));
+
+  PaperTradingService.handleTick(quote(1.0968, 1.097));
+  const [closed] = PaperTradingService.getClosedPositions();
+
+  assert.strictEqual(closed.direction, "short");
+  assert.strictEqual(closed.entry, 1.0999);
+  assert.strictEqual(closed.closeReason, "takeProfit");
+  assert.strictEqual(closed.exit, 1.097);
+  assert.ok(closed.realizedPnL > 0);
+});
+
+test("positions close manually and open once per opportunity", () => {
+  const source = opportunity();
+  const position = PaperTradingService.openPosition(source);
+
+  assert.throws(() => PaperTradingService.openPosition(source), /already been opened/);
+  assert.strictEqual(PaperTradingService.closePosition(position.id).closeReason, "manual");
+  assert.strictEqual(PaperTradingService.closePosition(position.id), null);
+});
+
+test("stale opportunities are rejected", () => {
+  assert.throws(
+    () => PaperTradingService.openPosition(opportunity({ stopLoss: 1.1002 })),
+    /beyond the stop loss/
+  );
+});
+
+test("limit orders fill when the price comes back to them", () => {
+  const order = PaperTradingService.placeOrder(opportunity(), { type: "limit", price: 1.0995 });
+
+  assert.throws(
+    () => PaperTradingService.placeOrder(opportunity(), { type: "limit", price: 1.1005 }),
+    /buy limit must be below/
+  );
+
+  PaperTradingService.handleTick(quote(1.0996, 1.0998));
+  assert.strictEqual(PaperTradingService.getOpenPositions().length, 0);
+
+  PaperTradingService.handleTick(quote(1.0993, 1.0995));
+  const [position] = PaperTradingService.getOpenPositions();
+
+  assert.strictEqual(PaperTradingService.getOrder(order.id).status, "filled");
+  assert.strictEqual(position.orderId, order.id);
+  assert.strictEqual(position.entry, 1.0995);
+  assert.deepStrictEqual(
+    position.events.map((event) => event.type),
+    ["orderPlaced", "opened"]
+  );
+});
+
+test("stop orders trigger on a breakout and pending orders expire", () => {
+  PaperTradingService.placeOrder(opportunity(), { type: "stop", price: 1.1003 });
+  const expiring = PaperTradingService.placeOrder(opportunity(), {
+    type: "limit",
+    price: 1.099,
+    expiresAt: new Date(Date.now() + 60000),
+  });
+
+  PaperTradingService.handleTick(quote(1.1002, 1.1004));
+  assert.strictEqual(PaperTradingService.getOpenPositions()[0].entry, 1.1004);
+
+  PaperTradingService.expireOrders(new Date(Date.now() + 120000));
+  assert.strictEqual(PaperTradingService.getOrder(expiring.id).status, "expired");
+  assert.strictEqual(PaperTradingService.getPendingOrders().length, 0);
+});
+
+test("stops move to breakeven and trail, and closes report the rule", () => {
+  const position = PaperTradingService.openPosition(opportunity(), {
+    breakevenAtR: 1,
+    trailingStop: { type: "pips", distance: 15 },
+  });
+
+  // 1R is 21 pips from the 1.1001 entry
+  PaperTradingService.handleTick(quote(1.1022, 1.1024));
+  assert.strictEqual(position.stopLoss, 1.1007);
+  assert.deepStrictEqual(
+    position.events.map((event) => event.type),
+    ["opened", "breakeven", "trailingStop"]
+  );
+
+  // Trailing stops never move back
+  PaperTradingService.handleTick(quote(1.1012, 1.1014));
+  assert.strictEqual(position.stopLoss, 1.1007);
+
+  PaperTradingService.handleTick(quote(1.1006, 1.1008));
+  const [closed] = PaperTradingService.getClosedPositions();
+  assert.strictEqual(closed.closeReason, "trailingStop");
+  assert.ok(closed.realizedPnL > 0);
+});
+
+test("partial take profits scale out of the initial size", () => {
+  const position = PaperTradingService.openPosition(opportunity(), {
+    partialTakeProfits: [{ atR: 1, percent: 50 }],
+  });
+  const initialUnits = position.units;
+
+  PaperTradingService.handleTick(quote(1.1022, 1.1024));
+  assert.strictEqual(position.units, initialUnits - Math.round(initialUnits / 2));
+  assert.ok(position.realizedPnL > 0);
+
+  PaperTradingService.handleTick(quote(1.1031, 1.1033));
+  const [closed] = PaperTradingService.getClosedPositions();
+  const partial = closed.events.find((event) => event.type === "partialClose");
+  const final = closed.events.find((event) => event.type === "closed");
+
+  assert.strictEqual(closed.closeReason, "takeProfit");
+  assert.strictEqual(closed.realizedPnL, parseFloat((partial.pnl + final.pnl).toFixed(2)));
+  assert.throws(
+    () =>
+      PaperTradingService.openPosition(opportunity(), {
+        partialTakeProfits: [
+          { atR: 1, percent: 60 },
+          { atR: 2, percent: 60 },
+        ],
+      }),
+    /more than 100%/
+  );
+});
+
+test("pending orders hold back trades while the risk gate counts them", () => {
+  SettingsService.updateSettings({ maxTrades: 1 });
+  try {
+    PaperTradingService.placeOrder(opportunity(), { type: "limit", price: 1.0995 });
+
+    assert.throws(
+      () => PaperTradingService.openPosition(opportunity()),
+      /Blocked by risk: pending orders/
+    );
+  } finally {
+    SettingsService.updateSettings({ maxTrades: 3 });
+  }
+});
+
+test("positions hold margin and entries beyond the free margin are rejected", () => {
+  const position = PaperTradingService.openPosition(opportunity());
+
+  // 47,000 EUR at 1.0999 with 30:1 leverage
+  assert.strictEqual(position.margin, parseFloat(((47000 * 1.0999) / 30).toFixed(2)));
+  const account = PaperTradingService.getAccount();
+  assert.strictEqual(account.usedMargin, position.margin);
+  assert.strictEqual(account.freeMargin, parseFloat((account.equity - position.margin).toFixed(2)));
+
+  SettingsService.updateSettings({ margin: { leverage: 1 } });
+  try {
+    assert.throws(() => PaperTradingService.openPosition(opportunity()), /Insufficient margin/);
+    assert.throws(
+      () => PaperTradingService.placeOrder(opportunity(), { type: "limit", price: 1.0995 }),
+      /Insufficient margin/
+    );
+  } finally {
+    SettingsService.updateSettings({ margin: { leverage: 30 } });
+  }
+});
+
+test("a margin call is announced and positions are liquidated at the stop-out level", () => {
+  const marginCalls = [];
+  const onMarginCall = (account) => marginCalls.push(account);
+  PaperTradingService.on("marginCall", onMarginCall);
+  SettingsService.updateSettings({ margin: { leverage: 6, marginCallLevel: 120 } });
+
+  try {
+    PaperTradingService.openPosition(opportunity());
+    PaperTradingService.handleTick(quote(1.1, 1.1002));
+    const { marginLevel } = PaperTradingService.getAccount();
+    assert.strictEqual(marginCalls.length, 1);
+    assert.ok(marginLevel > 100 && marginLevel <= 120);
+
+    // A few pips lower the margin level drops through the stop-out level,
+    // well before the stop loss
+    SettingsService.updateSettings({ margin: { stopOutLevel: marginLevel - 0.2 } });
+    PaperTradingService.handleTick(quote(1.099, 1.0992));
+    const [closed] = PaperTradingService.getClosedPositions();
+
+    assert.strictEqual(PaperTradingService.getOpenPositions().length, 0);
+    assert.strictEqual(closed.closeReason, "stopOut");
+    assert.strictEqual(closed.exit, 1.099);
+    assert.strictEqual(PaperTradingService.getAccount().marginLevel, null);
+  } finally {
+    PaperTradingService.off("marginCall", onMarginCall);
+    SettingsService.updateSettings({
+      margin: { leverage: 30, marginCallLevel: 100, stopOutLevel: 50 },
+    });
+  }
+});
+
+test("a trade stacking correlated risk on the same pair is blocked", () => {
+  PaperTradingService.openPosition(opportunity());
+  PaperTradingService.openPosition(opportunity());
+
+  // Three times the risk per trade on one pair exceeds the 2% allowed
+  assert.throws(() => PaperTradingService.openPosition(opportunity()), /Blocked by correlation/);
+  assert.strictEqual(PaperTradingService.suggestPositionSize(opportunity()).correlation.allowed, false);
+  assert.strictEqual(
+    PaperTradingService.suggestPositionSize(opportunity({ stopLoss: 1.102, takeProfit: 1.097 }))
+      .correlation.flagged,
+    false
+  );
+});
+
+test("profit and risk on a yen pair are converted to the account currency", () => {
+  withPair("USD/JPY", () => {
+    MarketStateService.applyTick(quote(150.19, 150.21, "USD/JPY"));
+    const position = PaperTradingService.openPosition(
+      opportunity({ pair: "USD/JPY", entry: 150.2, stopLoss: 150, takeProfit: 150.6 })
+    );
+
+    // $100 over 21 pips of 0.01 JPY, at 150.21 JPY per USD
+    assert.strictEqual(position.units, 71000);
+    assert.strictEqual(position.riskAmount, round((0.21 * 71000) / 150.21));
+    assert.strictEqual(position.spreadCost, round((0.02 * 71000) / 150.21));
+
+    PaperTradingService.handleTick(quote(149.99, 150.01, "USD/JPY"));
+    const [closed] = PaperTradingService.getClosedPositions();
+
+    assert.strictEqual(closed.closeReason, "stopLoss");
+    assert.strictEqual(closed.realizedPnL, round((-0.22 * 71000) / 149.99));
+    assert.ok(closed.rMultiple < -1 && closed.rMultiple > -1.1, "about 1R lost");
+    assert.strictEqual(PaperTradingService.getAccount().balance, round(10000 + closed.realizedPnL));
+  });
+});
+
+test("profit and risk on a cross are converted through the quote currency", () => {
+  withPair("EUR/GBP", () => {
+    MarketStateService.applyTick(quote(1.2699, 1.2701, "GBP/USD"));
+    MarketStateService.applyTick(quote(0.8579, 0.8581, "EUR/GBP"));
+    const position = PaperTradingService.openPosition(
+      opportunity({ pair: "EUR/GBP", entry: 0.858, stopLoss: 0.856, takeProfit: 0.862 })
+    );
+
+    // $100 over 21 pips worth 1.27 USD per GBP
+    assert.strictEqual(position.units, 37000);
+    assert.strictEqual(position.riskAmount, round(0.0021 * 37000 * 1.27));
+
+    PaperTradingService.handleTick(quote(0.862, 0.8622, "EUR/GBP"));
+    const [closed] = PaperTradingService.getClosedPositions();
+
+    assert.strictEqual(closed.closeReason, "takeProfit");
+    assert.strictEqual(closed.realizedPnL, round(0.0039 * 37000 * 1.27));
+    assert.strictEqual(closed.rMultiple, round(closed.realizedPnL / closed.riskAmount));
+  });
+});
@@ -0,0 +1,57 @@
+const path = require("path");
+const JsonFile = require("../utils/jsonFile");
+const { DATA_DIR } = require("../utils/paths");
+
+const file = new JsonFile(path.join(DATA_DIR, "presets.json"), []);
+
+// name -> preset
+const presets = new Map();
+
+// Named strategy parameter sets, e.g. saved from an optimization run.
+// Presets are kept in memory and written to DATA_DIR/presets.json.
+class PresetService {
+  static async load() {
+    const stored = await file.read();
+    presets.clear();
+    stored.forEach((preset) => presets.set(preset.name, preset));
+    return this.listPresets();
+  }
+
+  static listPresets() {
+    return Array.from(presets.values());
+  }
+
+  static getPreset(name) {
+    return presets.get(name) || null;
+  }
+
+  // Saving under an existing name replaces that preset
+  static async savePreset({ name, params, description = "", source = null }) {
+    const now = new Date();
+    const existing = presets.get(name);
+    const preset = {
+      name,
+      description,
+      params,
+      source,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+
+    presets.set(name, preset);
+    await file.write(this.listPresets());
+
+    return preset;
+  }
+
+  static async deletePreset(name) {
+    if (!presets.delete(name)) {
+      return false;
+    }
+
+    await file.write(this.listPresets());
+    return true;
+  }
+}
+
+module.exports = PresetService;
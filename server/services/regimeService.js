@@ -0,0 +1,164 @@
+const EventEmitter = require("events");
+const CandleService = require("./candleService");
+const IndicatorService = require("./indicatorService");
+const SettingsService = require("./settingsService");
+
+// Regime changes kept per pair
+const HISTORY_LIMIT = 200;
+
+const MINUTE = 60 * 1000;
+
+// pair -> { classifier, history }
+const pairs = new Map();
+
+const emitter = new EventEmitter();
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// Share of the ATR history at or below the current ATR, in percent
+const percentileOf = (value, history) => {
+  if (history.length === 0) return null;
+  return round((history.filter((past) => past <= value).length / history.length) * 100, 1);
+};
+
+// The regime the metrics point to. The current regime is kept until its
+// exit thresholds are crossed; entering another needs its enter thresholds.
+// Trends take precedence over volatility, anything else is ranging.
+const classify = ({ adx, slope, atrPercentile }, current, params) => {
+  const trending =
+    current === "trending"
+      ? adx >= params.adxExit && Math.abs(slope) >= params.slopeExit
+      : adx >= params.adxEnter && Math.abs(slope) >= params.slopeEnter;
+  if (trending) return "trending";
+
+  const volatile =
+    atrPercentile !== null &&
+    (current === "volatile"
+      ? atrPercentile >= params.atrPercentileExit
+      : atrPercentile >= params.atrPercentileEnter);
+  if (volatile) return "volatile";
+
+  return "ranging";
+};
+
+// Market regime per pair (trending, ranging or volatile) from trend
+// strength (ADX), the VWAP slope in ATRs per candle and the ATR's
+// percentile against recent candles. Thresholds have hysteresis and a
+// regime is held for a minimum dwell time, so it does not flicker between
+// updates. Regime changes are kept per pair and announced with
+// "regimeChange".
+class RegimeService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static off(event, listener) {
+    emitter.off(event, listener);
+  }
+
+  // Classifier metrics from indicator values and the ATR of earlier candles
+  static measure({ atr, adx, vwapSlope }, atrHistory = []) {
+    return {
+      adx: round(adx),
+      slope: atr > 0 ? round(vwapSlope / atr, 3) : 0,
+      atrPercentile: percentileOf(atr, atrHistory),
+    };
+  }
+
+  // A stateful classifier; update(metrics, time) returns the regime and
+  // whether it changed. getParams supplies the thresholds, by default the
+  // regime settings. The backtester runs one per pair.
+  static createClassifier(getParams = () => SettingsService.getSettings().regime) {
+    let regime = null;
+    let since = null;
+
+    return {
+      update(metrics, time = new Date()) {
+        const params = getParams();
+        const now = new Date(time);
+        const next = classify(metrics, regime, params);
+        const dwelled = since && now - since >= params.minDwellMinutes * MINUTE;
+
+        if (next === regime || (regime && !dwelled)) {
+          return { regime, since, changed: false };
+        }
+
+        const previous = regime;
+        regime = next;
+        since = now;
+        return { regime, since, previous, changed: true };
+      },
+
+      getRegime() {
+        return regime;
+      },
+    };
+  }
+
+  // ATR of the last closed strategy timeframe candles, oldest first
+  static getAtrHistory(pair) {
+    const { timeframe, atrPeriod } = SettingsService.getSettings().strategyParams;
+    const { atrLookback } = SettingsService.getSettings().regime;
+    const candles = CandleService.getCandles(pair, timeframe, atrLookback + atrPeriod + 1, {
+      includeCurrent: false,
+    });
+
+    return IndicatorService.calculateATR(candles, atrPeriod).map((point) => point.value);
+  }
+
+  // Classify a live pair from its market data. Changes are recorded in the
+  // pair's history and emitted.
+  static update(pair, data, time = new Date()) {
+    if (!pairs.has(pair)) {
+      pairs.set(pair, { classifier: this.createClassifier(), history: [] });
+    }
+
+    const state = pairs.get(pair);
+    const metrics = this.measure(data, this.getAtrHistory(pair));
+    const result = state.classifier.update(metrics, time);
+
+    if (result.changed) {
+      const last = state.history[state.history.length - 1];
+      if (last) {
+        last.to = result.since;
+      }
+
+      state.history.push({ regime: result.regime, from: result.since, to: null, metrics });
+      if (state.history.length > HISTORY_LIMIT) {
+        state.history.shift();
+      }
+
+      emitter.emit("regimeChange", {
+        pair,
+        from: result.previous || null,
+        to: result.regime,
+        at: result.since,
+        metrics,
+      });
+    }
+
+    return { regime: result.regime, since: result.since, metrics };
+  }
+
+  static getRegime(pair) {
+    const state = pairs.get(pair);
+    return state ? state.classifier.getRegime() : null;
+  }
+
+  // Regime periods of the pair, oldest first; the current one has no end
+  static getHistory(pair) {
+    const state = pairs.get(pair);
+    return state ? state.history : [];
+  }
+
+  // Forget a pair, e.g. once it is no longer watched
+  static remove(pair) {
+    pairs.delete(pair);
+  }
+
+  static reset() {
+    pairs.clear();
+  }
+}
+
+module.exports = RegimeService;
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "regime-"));
+
+const RegimeService = require("./regimeService");
+
+const MINUTE = 60 * 1000;
+
+const params = {
+  adxEnter: 25,
+  adxExit: 20,
+  slopeEnter: 0.1,
+  slopeExit: 0.05,
+  atrPercentileEnter: 80,
+  atrPercentileExit: 60,
+  minDwellMinutes: 5,
+};
+
+// Feeds metrics a minute apart and returns the regime after each
+const run = (classifier, readings, start = 0) =>
+  readings.map(
+    ([adx, slope, atrPercentile = 50], i) =>
+      classifier.update({ adx, slope, atrPercentile }, new Date((start + i) * MINUTE)).regime
+  );
+
+test("the slope is measured in ATRs and the ATR against its history", () => {
+  const metrics = RegimeService.measure(
+    { atr: 0.001, adx: 27.456, vwapSlope: -0.00015 },
+    [0.0005, 0.0008, 0.001, 0.0012]
+  );
+
+  assert.deepStrictEqual(metrics, { adx: 27.46, slope: -0.15, atrPercentile: 75 });
+  assert.strictEqual(RegimeService.measure({ atr: 0.001, adx: 20, vwapSlope: 0 }).atrPercentile, null);
+});
+
+test("thresholds have hysteresis", () => {
+  const classifier = RegimeService.createClassifier(() => ({ ...params, minDwellMinutes: 0 }));
+
+  assert.deepStrictEqual(
+    run(classifier, [
+      [22, 0.2],
+      // Enters at ADX 25 and holds down to 20
+      [26, 0.2],
+      [21, 0.06],
+      [19, 0.06],
+      // Volatile from the 80th percentile until below the 60th
+      [15, 0, 85],
+      [15, 0, 65],
+      [15, 0, 55],
+    ]),
+    ["ranging", "trending", "trending", "ranging", "volatile", "volatile", "ranging"]
+  );
+});
+
+test("a regime is held for the minimum dwell time", () => {
+  const classifier = RegimeService.createClassifier(() => params);
+
+  const regimes = run(classifier, [
+    [30, 0.2],
+    [10, 0],
+    [10, 0],
+    [10, 0],
+    [10, 0],
+    [10, 0],
+  ]);
+
+  // Ranging from the first minute is only adopted five minutes in
+  assert.deepStrictEqual(regimes, ["trending", "trending", "trending", "trending", "trending", "ranging"]);
+});
+
+test("live pairs keep a regime history and announce changes", () => {
+  const changes = [];
+  const onChange = (change) => changes.push(change);
+  RegimeService.on("regimeChange", onChange);
+
+  try {
+    const data = (adx, vwapSlope) => ({ atr: 0.001, adx, vwapSlope });
+    RegimeService.update("EUR/USD", data(30, 0.0002), new Date(0));
+    RegimeService.update("EUR/USD", data(10, 0), new Date(MINUTE));
+    RegimeService.update("EUR/USD", data(10, 0), new Date(10 * MINUTE));
+
+    assert.deepStrictEqual(
+      changes.map((change) => [change.from, change.to]),
+      [
+        [null, "trending"],
+        ["trending", "ranging"],
+      ]
+    );
+    assert.strictEqual(RegimeService.getRegime("EUR/USD"), "ranging");
+
+    const history = RegimeService.getHistory("EUR/USD");
+    assert.strictEqual(history.length, 2);
+    assert.deepStrictEqual(history[0].to, new Date(10 * MINUTE));
+    assert.strictEqual(history[1].to, null);
+  } finally {
+    RegimeService.off("regimeChange", onChange);
+    RegimeService.reset();
+  }
+});
@@ -1,3 +1,242 @@
+const SettingsService = require('./settingsService');
+const JournalService = require('./journalService');
+const MarketStateService = require('./marketStateService');
+const InstrumentService = require('./instrumentService');
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+// Drops floating point noise, e.g. 0.30000000000000004 lots
+const roundFloat = (value) => parseFloat(value.toPrecision(12));
+
+// Units in a standard, mini and micro lot of the pair
+const unitsPerLot = (pair) => {
+  const standard = InstrumentService.getContractSize(pair);
+  return { standard, mini: standard / 10, micro: standard / 100 };
+};
+
+const currenciesOf = (pair) => {
+  const [base, quote] = pair.split('/');
+  return { base, quote };
+};
+
+// Mid prices of the pairs with live market data
+const liveRates = () => {
+  const rates = {};
+  Object.entries(MarketStateService.getMarketData()).forEach(([pair, data]) => {
+    rates[pair] = data.price;
+  });
+  return rates;
+};
+
+// Known rates with the pair's own rate set to price, when given
+const ratesWith = (pair, price, rates) => {
+  const knownRates = { ...(rates || liveRates()) };
+  if (price) {
+    knownRates[pair] = price;
+  }
+  return knownRates;
+};
+
+const sideOf = (position) => (position.direction === 'long' ? 1 : -1);
+
+// Closed journal trades with a known result, oldest first
+const closedTrades = () =>
+  JournalService.listEntries({ status: 'closed' })
+    .filter((entry) => typeof entry.realizedPnL === 'number' && entry.closedAt)
+    .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+
+const tradeStatistics = (trades) => {
+  const wins = trades.filter((trade) => trade.realizedPnL > 0);
+  const losses = trades.filter((trade) => trade.realizedPnL < 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.realizedPnL, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.realizedPnL, 0));
+  const withR = trades.filter((trade) => typeof trade.rMultiple === 'number');
+
+  let streak = 0;
+  let maxConsecutiveLosses = 0;
+  trades.forEach((trade) => {
+    streak = trade.realizedPnL < 0 ? streak + 1 : 0;
+    maxConsecutiveLosses = Math.max(maxConsecutiveLosses, streak);
+  });
+
+  return {
+    totalTrades: trades.length,
+    winRate: trades.length > 0 ? round((wins.length / trades.length) * 100, 1) : 0,
+    avgRiskReward:
+      withR.length > 0 ? round(withR.reduce((sum, trade) => sum + trade.rMultiple, 0) / withR.length) : 0,
+    // No losses yet means no meaningful ratio
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+    consecutiveLosses: streak,
+    maxConsecutiveLosses
+  };
+};
+
+// Peak-to-trough fall of the closed-trade balance, in percent (negative)
+const drawdownOf = (trades, startingBalance) => {
+  let balance = startingBalance;
+  let peak = startingBalance;
+  let maxDrawdown = 0;
+
+  trades.forEach((trade) => {
+    balance += trade.realizedPnL;
+    peak = Math.max(peak, balance);
+    maxDrawdown = Math.min(maxDrawdown, (balance - peak) / peak);
+  });
+
+  return {
+    maxDrawdown: round(maxDrawdown * 100),
+    currentDrawdown: round(((balance - peak) / peak) * 100)
+  };
+};
+
+// Loss if the position stopped out now, in the account currency at the
+// stop; moved stops can lock in profit
+const openRiskOf = (position) => {
+  const loss = Math.max(0, (position.entry - position.stopLoss) * sideOf(position) * position.units);
+  const { quote } = currenciesOf(position.pair);
+  const { accountCurrency } = SettingsService.getSettings();
+  return (
+    loss *
+    RiskManagementService.getConversionRate(quote, accountCurrency, ratesWith(position.pair, position.stopLoss))
+  );
+};
+
+// How much two trades move together: the correlation of their pairs'
+// returns, turned around when they are traded in opposite directions.
+// Null while the pairs' correlation is unknown.
+const correlationOf = (a, b) => {
+  const correlation = MarketStateService.getCorrelation(a.pair, b.pair);
+  return correlation === null ? null : correlation * sideOf(a) * sideOf(b);
+};
+
+// Every two open positions that move together at or above the limit
+const correlatedPairsOf = (positions, limit) => {
+  const pairs = [];
+  positions.forEach((a, index) => {
+    positions.slice(index + 1).forEach((b) => {
+      const correlation = correlationOf(a, b);
+      if (correlation !== null && correlation >= limit) {
+        pairs.push({
+          positions: [a.id, b.id],
+          pairs: [`${a.pair} ${a.direction}`, `${b.pair} ${b.direction}`],
+          correlation: round(correlation)
+        });
+      }
+    });
+  });
+  return pairs;
+};
+
+// Positions that are long or short the same currency add up to one bigger
+// bet on it
+const correlationRiskOf = (positions) => {
+  if (positions.length < 2) {
+    return 'low';
+  }
+
+  const exposure = {};
+  positions.forEach((position) => {
+    const [base, quote] = position.pair.split('/');
+    exposure[base] = [...(exposure[base] || []), sideOf(position)];
+    exposure[quote] = [...(exposure[quote] || []), -sideOf(position)];
+  });
+
+  const stacked = Object.values(exposure).some(
+    (sides) => sides.filter((side) => side > 0).length > 1 || sides.filter((side) => side < 0).length > 1
+  );
+  return stacked ? 'high' : 'medium';
+};
+
+// Risk multiplier from losing streaks. Replaying the trades in order, every
+// `losses` losses in a row cut risk by one step (up to maxSteps) and every
+// `recoveryWins` wins in a row restore one.
+const lossStreakScaling = (trades, rule) => {
+  let steps = 0;
+  let losses = 0;
+  let wins = 0;
+
+  trades.forEach((trade) => {
+    if (trade.realizedPnL < 0) {
+      losses += 1;
+      wins = 0;
+      if (losses % rule.losses === 0) {
+        steps = Math.min(rule.maxSteps, steps + 1);
+      }
+    } else if (trade.realizedPnL > 0) {
+      wins += 1;
+      losses = 0;
+      if (steps > 0 && wins >= rule.recoveryWins) {
+        steps -= 1;
+        wins = 0;
+      }
+    }
+  });
+
+  return { steps, losses, wins, multiplier: Math.pow(rule.multiplier, steps) };
+};
+
+// Deepest drawdown tier the account is in; recovering above a tier's
+// drawdown restores its risk
+const drawdownTierOf = (tiers, currentDrawdown) =>
+  [...tiers]
+    .sort((a, b) => b.drawdown - a.drawdown)
+    .find((tier) => -currentDrawdown >= tier.drawdown) || null;
+
+// Loss so far in the trading day against the daily loss limit. Realized
+// P&L includes partial closes of open positions, and the open positions'
+// floating P&L counts too. The limit is a share of the balance the day
+// started with.
+const dailyRisk = ({ open, account }, settings, now) => {
+  const daily = JournalService.getDailySummary(now);
+  const realizedPnL =
+    daily.realizedPnL + open.reduce((sum, position) => sum + position.realizedPnL, 0);
+  const dailyPnL = open.reduce((sum, position) => sum + position.unrealizedPnL, realizedPnL);
+  const startingBalance = account.balance - realizedPnL;
+  const dailyLossLimit = startingBalance * (settings.dailyLossLimit / 100);
+
+  return {
+    daily,
+    dailyPnL,
+    startingBalance,
+    dailyLossLimit,
+    riskUtilization: dailyLossLimit > 0 ? (Math.max(0, -dailyPnL) / dailyLossLimit) * 100 : 0
+  };
+};
+
+const riskAlerts = (health, margin, correlatedPairs, settings, daily, now) => {
+  const alerts = [];
+  const alert = (type, message) => alerts.push({ type, message, timestamp: now });
+
+  if (margin.marginCall) {
+    alert(
+      'error',
+      `Margin call: margin level ${margin.marginLevel}% (stop-out at ${settings.margin.stopOutLevel}%)`
+    );
+  }
+  if (health.riskUtilization >= 100) {
+    alert('error', 'Daily loss limit reached');
+  } else if (health.riskUtilization >= 50) {
+    alert('warning', `${health.riskUtilization}% of the daily loss limit used`);
+  }
+  correlatedPairs.forEach((correlated) => {
+    alert(
+      'warning',
+      `${correlated.pairs.join(' and ')} move together (correlation ${correlated.correlation})`
+    );
+  });
+  if (health.consecutiveLosses >= 3) {
+    alert('warning', `${health.consecutiveLosses} losing trades in a row`);
+  }
+  if (daily.trades >= settings.maxTrades) {
+    alert('warning', `Maximum of ${settings.maxTrades} trades for the trading day reached`);
+  }
+  if (alerts.length === 0) {
+    alert('info', 'Risk utilization is within normal parameters');
+  }
+
+  return alerts;
+};
+
 class RiskManagementService {
   static validateSettings(settings) {
     const validation = {
@@ -40,28 +279,101 @@ class RiskManagementService {
       validation.errors.push('Maximum trades per day must be between 1 and 20');
     }
 
+    if (settings.correlation) {
+      const correlation = { ...SettingsService.getSettings().correlation, ...settings.correlation };
+      if (!correlation.windows.includes(correlation.window)) {
+        validation.isValid = false;
+        validation.errors.push('The primary correlation window must be one of the windows');
+      }
+    }
+
+    // Regimes are left at weaker readings than they are entered at
+    if (settings.regime) {
+      const regime = { ...SettingsService.getSettings().regime, ...settings.regime };
+      const inverted = [
+        ['adxExit', 'adxEnter'],
+        ['slopeExit', 'slopeEnter'],
+        ['atrPercentileExit', 'atrPercentileEnter']
+      ].filter(([exit, enter]) => regime[exit] > regime[enter]);
+      if (inverted.length > 0) {
+        validation.isValid = false;
+        validation.errors.push(`Regime exit thresholds cannot exceed their enter thresholds: ${inverted.map(([exit]) => exit).join(', ')}`);
+      }
+    }
+
+    // Positions are liquidated after the margin call, never before it
+    if (settings.margin) {
+      const margin = { ...SettingsService.getSettings().margin, ...settings.margin };
+      if (margin.stopOutLevel >= margin.marginCallLevel) {
+        validation.isValid = false;
+        validation.errors.push('Stop-out level must be below the margin call level');
+      }
+    }
+
     return validation;
   }
 
-  static calculatePositionSize(accountBalance, riskPerTrade, entryPrice, stopLoss, pair = 'EUR/USD') {
+  // Size a trade so that a stop-out loses riskPerTrade percent of the
+  // balance, in account currency. Units are rounded down to the broker's
+  // lot step so the risk is never exceeded, and capped by the lot limits.
+  // Options (defaults from the settings and live prices):
+  //   accountCurrency  e.g. 'USD'
+  //   rates            { 'EUR/USD': 1.0855, ... } for currency conversion
+  //   lotSizing        { step, min, max } in standard lots
+  static calculatePositionSize(accountBalance, riskPerTrade, entryPrice, stopLoss, pair = 'EUR/USD', options = {}) {
     try {
-      // Calculate risk amount in account currency
-      const riskAmount = accountBalance * (riskPerTrade / 100);
-      
-      // Calculate pip value (simplified for major pairs)
-      const pipValue = this.getPipValue(pair, accountBalance);
-      
-      // Calculate stop distance in pips
-      const stopDistance = Math.abs(entryPrice - stopLoss) * 10000;
-      
-      // Calculate position size
-      const positionSize = riskAmount / (stopDistance * pipValue);
-      
+      const settings = SettingsService.getSettings();
+      const { accountCurrency = settings.accountCurrency, lotSizing = settings.lotSizing } = options;
+
+      const targetRisk = accountBalance * (riskPerTrade / 100);
+      const pipSize = this.getPipSize(pair);
+      const stopDistance = Math.abs(entryPrice - stopLoss) / pipSize;
+      const pipValuePerUnit = this.getPipValue(pair, {
+        accountCurrency,
+        price: entryPrice,
+        rates: options.rates
+      });
+      if (!(stopDistance > 0)) {
+        throw new Error('Stop loss must differ from the entry price');
+      }
+
+      const lot = unitsPerLot(pair);
+      const exactUnits = targetRisk / (stopDistance * pipValuePerUnit);
+      const stepUnits = lotSizing.step * lot.standard;
+      const steps = Math.floor(roundFloat(exactUnits / stepUnits));
+      const warnings = [];
+
+      let units = steps * stepUnits;
+      if (units < lotSizing.min * lot.standard) {
+        units = 0;
+        warnings.push(`Risk allows less than the minimum of ${lotSizing.min} lots`);
+      } else if (units > lotSizing.max * lot.standard) {
+        units = lotSizing.max * lot.standard;
+        warnings.push(`Capped at the maximum of ${lotSizing.max} lots`);
+      }
+      units = Math.round(units);
+
+      const riskAmount = units * stopDistance * pipValuePerUnit;
+
       return {
-        positionSize: Math.round(positionSize * 100) / 100, // Round to 2 decimal places
-        riskAmount,
-        stopDistance,
-        pipValue
+        pair,
+        accountCurrency,
+        units,
+        lots: {
+          standard: roundFloat(units / lot.standard),
+          mini: roundFloat(units / lot.mini),
+          micro: roundFloat(units / lot.micro)
+        },
+        // Account currency per pip for the whole position
+        positionSize: round(units * pipValuePerUnit),
+        targetRiskAmount: round(targetRisk),
+        riskAmount: round(riskAmount),
+        riskPercent: accountBalance > 0 ? round((riskAmount / accountBalance) * 100, 3) : 0,
+        stopDistance: round(stopDistance, 1),
+        pipSize,
+        // Account currency per pip for one standard lot
+        pipValue: round(pipValuePerUnit * lot.standard, 4),
+        warnings
       };
     } catch (error) {
       console.error('Error calculating position size:', error);
@@ -69,55 +381,337 @@ class RiskManagementService {
     }
   }
 
-  static getPipValue(pair, accountBalance = 10000) {
-    // Simplified pip value calculation for USD account
-    const pipValues = {
-      'EUR/USD': 1,
-      'GBP/USD': 1,
-      'USD/JPY': 0.01,
-      'USD/CHF': 1
+  // Price change of one pip, from the instrument registry
+  static getPipSize(pair) {
+    return InstrumentService.getPipSize(pair);
+  }
+
+  // Value of one pip on one unit of the pair, in the account currency. A
+  // pip is worth pipSize in the quote currency, converted at the live rates
+  // (or options.rates); options.price overrides the pair's own rate.
+  static getPipValue(pair, { accountCurrency = SettingsService.getSettings().accountCurrency, price, rates } = {}) {
+    const { quote } = currenciesOf(pair);
+    return this.getPipSize(pair) * this.getConversionRate(quote, accountCurrency, ratesWith(pair, price, rates));
+  }
+
+  // Value of units of the pair's base currency in the account currency,
+  // with the same options as getPipValue
+  static getNotionalValue(pair, units, { accountCurrency = SettingsService.getSettings().accountCurrency, price, rates } = {}) {
+    const { base } = currenciesOf(pair);
+    return units * this.getConversionRate(base, accountCurrency, ratesWith(pair, price, rates));
+  }
+
+  // Margin a pair requires in percent of notional: the account leverage's
+  // share, or the pair's own requirement where that is higher
+  static getMarginRequirement(pair) {
+    const { margin } = SettingsService.getSettings();
+    return Math.max(100 / margin.leverage, margin.requirements[pair] || 0);
+  }
+
+  // Margin tied up by units of the pair, in the account currency
+  static calculateMargin(pair, units, options = {}) {
+    return this.getNotionalValue(pair, units, options) * (this.getMarginRequirement(pair) / 100);
+  }
+
+  // Used and free margin and margin level (equity / used margin, in
+  // percent; null without open positions) of an account with the given
+  // equity, from the margin held by its open positions
+  static getMarginStatus(open, equity) {
+    const { leverage, marginCallLevel, stopOutLevel } = SettingsService.getSettings().margin;
+    const usedMargin = open.reduce((sum, position) => sum + (position.margin || 0), 0);
+    const marginLevel = usedMargin > 0 ? round((equity / usedMargin) * 100) : null;
+
+    return {
+      leverage,
+      usedMargin: round(usedMargin),
+      freeMargin: round(equity - usedMargin),
+      marginLevel,
+      marginCall: marginLevel !== null && marginLevel <= marginCallLevel,
+      stopOut: marginLevel !== null && marginLevel <= stopOutLevel
     };
-    
-    return pipValues[pair] || 1;
   }
 
-  static getCurrentRiskAnalysis() {
-    // Mock current risk analysis - in production this would be calculated from real data
+  // Units of `to` per unit of `from`, directly, inverted or through USD
+  static getConversionRate(from, to, rates = liveRates()) {
+    if (from === to) {
+      return 1;
+    }
+
+    const direct = (base, quote) => {
+      if (rates[`${base}/${quote}`]) return rates[`${base}/${quote}`];
+      if (rates[`${quote}/${base}`]) return 1 / rates[`${quote}/${base}`];
+      return null;
+    };
+
+    const rate = direct(from, to);
+    if (rate) {
+      return rate;
+    }
+
+    const viaUsd = direct(from, 'USD') && direct('USD', to);
+    if (viaUsd) {
+      return direct(from, 'USD') * direct('USD', to);
+    }
+
+    throw new Error(`No conversion rate from ${from} to ${to}`);
+  }
+
+  // Net exposure per currency of positions ({ pair, direction, units and
+  // currentPrice or entry }), in the currency itself and in the account
+  // currency (null without a conversion rate). Legs count the positions
+  // on each side: long EUR/USD plus long GBP/USD is net short USD x2.
+  // Largest exposure first.
+  static getCurrencyExposure(positions) {
+    const { accountCurrency } = SettingsService.getSettings();
+    const rates = liveRates();
+    const exposure = {};
+    const add = (currency, amount, leg) => {
+      const current = exposure[currency] || { amount: 0, legs: 0 };
+      exposure[currency] = { amount: current.amount + amount, legs: current.legs + leg };
+    };
+
+    positions.forEach((position) => {
+      const price = position.currentPrice || position.entry;
+      const side = sideOf(position);
+      const { base, quote } = currenciesOf(position.pair);
+      rates[position.pair] = price;
+      add(base, side * position.units, side);
+      add(quote, -side * position.units * price, -side);
+    });
+
+    const toAccount = (currency, amount) => {
+      try {
+        return round(amount * this.getConversionRate(currency, accountCurrency, rates));
+      } catch (error) {
+        return null;
+      }
+    };
+
+    return Object.entries(exposure)
+      .map(([currency, { amount, legs }]) => ({
+        currency,
+        direction: amount >= 0 ? 'long' : 'short',
+        amount: round(amount),
+        value: toAccount(currency, amount),
+        legs
+      }))
+      .sort((a, b) => Math.abs(b.value || 0) - Math.abs(a.value || 0));
+  }
+
+  // Whether a proposed trade ({ pair, direction, units, entry, riskAmount })
+  // stacks correlated risk above the exposure limits. Open positions moving
+  // with it at or above correlationLimit add their open risk, weighted by
+  // correlation, to its risk. With the limit exceeded the trade is flagged,
+  // and not allowed when the exposure action is "block".
+  static getCorrelationCheck(positions, proposal) {
+    const { exposure } = SettingsService.getSettings();
+    const { open, account } = positions;
+
+    const correlated = open
+      .map((position) => ({ position, correlation: correlationOf(position, proposal) }))
+      .filter(({ correlation }) => correlation !== null && correlation >= exposure.correlationLimit)
+      .map(({ position, correlation }) => ({
+        positionId: position.id,
+        pair: position.pair,
+        direction: position.direction,
+        correlation: round(correlation),
+        openRisk: round(openRiskOf(position))
+      }));
+
+    const correlatedRisk = correlated.reduce(
+      (sum, position) => sum + position.correlation * position.openRisk,
+      proposal.riskAmount
+    );
+    const maxCorrelatedRisk = account.balance * (exposure.maxCorrelatedRisk / 100);
+    const flagged = correlated.length > 0 && correlatedRisk > maxCorrelatedRisk;
+
     return {
-      accountHealth: {
-        status: 'healthy', // healthy, warning, critical
-        dailyPnL: -45.50,
-        dailyPnLPercent: -0.46,
-        maxDrawdown: -2.1,
-        consecutiveLosses: 1,
-        riskUtilization: 35.2 // Percentage of daily risk limit used
-      },
+      allowed: !flagged || exposure.action !== 'block',
+      flagged,
+      action: exposure.action,
+      reason: flagged
+        ? `Correlated risk of $${correlatedRisk.toFixed(2)} with ` +
+          `${correlated.map((position) => `${position.pair} ${position.direction}`).join(', ')} ` +
+          `exceeds $${maxCorrelatedRisk.toFixed(2)}`
+        : null,
+      correlationLimit: exposure.correlationLimit,
+      correlated,
+      correlatedRisk: round(correlatedRisk),
+      maxCorrelatedRisk: round(maxCorrelatedRisk),
+      exposure: this.getCurrencyExposure([...open, proposal])
+    };
+  }
+
+  // Risk per trade after the riskScaling rules: risk is cut after losing
+  // streaks and drawdowns and stepped back up on recovery. Each reduction
+  // comes with the reason for it.
+  static getRiskScaling() {
+    const settings = SettingsService.getSettings();
+    const { riskScaling } = settings;
+    const baseRiskPerTrade = settings.riskPerTrade;
+    const unscaled = {
+      enabled: false,
+      baseRiskPerTrade,
+      riskPerTrade: baseRiskPerTrade,
+      multiplier: 1,
+      reductions: []
+    };
+    if (!riskScaling || !riskScaling.enabled) {
+      return unscaled;
+    }
+
+    const trades = closedTrades();
+    const reductions = [];
+
+    const streak = lossStreakScaling(trades, riskScaling.lossStreak);
+    if (streak.steps > 0) {
+      const winsToRecover = riskScaling.lossStreak.recoveryWins - streak.wins;
+      reductions.push({
+        rule: 'lossStreak',
+        multiplier: round(streak.multiplier, 4),
+        reason:
+          `Risk x${round(streak.multiplier, 4)} after ` +
+          `${streak.steps === 1 ? 'a losing streak' : `${streak.steps} losing streaks`} of ` +
+          `${riskScaling.lossStreak.losses}; ${winsToRecover} more win${winsToRecover === 1 ? '' : 's'} ` +
+          'in a row steps it back up'
+      });
+    }
+
+    const { currentDrawdown } = drawdownOf(trades, settings.balance);
+    const tier = drawdownTierOf(riskScaling.drawdownTiers, currentDrawdown);
+    if (tier) {
+      reductions.push({
+        rule: 'drawdown',
+        multiplier: tier.multiplier,
+        reason: `Risk x${tier.multiplier} while drawdown (${Math.abs(currentDrawdown)}%) exceeds ${tier.drawdown}%`
+      });
+    }
+
+    const combined = reductions.reduce((product, reduction) => product * reduction.multiplier, 1);
+    const multiplier = Math.max(riskScaling.minMultiplier, combined);
+    if (multiplier > combined) {
+      reductions.push({
+        rule: 'floor',
+        multiplier: round(multiplier / combined, 4),
+        reason: `Risk is never scaled below x${riskScaling.minMultiplier}`
+      });
+    }
+
+    return {
+      ...unscaled,
+      enabled: true,
+      riskPerTrade: round(baseRiskPerTrade * multiplier, 4),
+      multiplier: round(multiplier, 4),
+      reductions
+    };
+  }
+
+  // Circuit breaker for new trades: blocked once the day's realized plus
+  // open loss reaches the daily loss limit or maxTrades trades were opened,
+  // until the trading day rolls over
+  static getRiskGate(positions, now = new Date()) {
+    const settings = SettingsService.getSettings();
+    const { daily, dailyPnL, dailyLossLimit } = dailyRisk(positions, settings, now);
+
+    let code = null;
+    let reason = null;
+    if (dailyPnL <= -dailyLossLimit) {
+      code = 'dailyLossLimit';
+      reason = `Daily loss limit of $${dailyLossLimit.toFixed(2)} reached`;
+    } else if (daily.trades >= settings.maxTrades) {
+      code = 'maxTrades';
+      reason = `Maximum of ${settings.maxTrades} trades for the trading day reached`;
+    }
+
+    return {
+      blocked: code !== null,
+      code,
+      reason,
+      tradesRemaining: Math.max(0, settings.maxTrades - daily.trades),
+      tradingDayStart: daily.since,
+      resetsAt: daily.until,
+      resetsInMs: Math.max(0, daily.until - now)
+    };
+  }
+
+  // Risk state of the account from the paper positions snapshot
+  // ({ open, account }) and the closed trades in the journal
+  static getCurrentRiskAnalysis(positions, now = new Date()) {
+    const settings = SettingsService.getSettings();
+    const { open, account } = positions;
+    const { daily, dailyPnL, startingBalance, dailyLossLimit, riskUtilization } = dailyRisk(
+      positions,
+      settings,
+      now
+    );
+    const trades = closedTrades();
+
+    const stats = tradeStatistics(trades);
+    const drawdown = drawdownOf(trades, settings.balance);
+    const scaling = this.getRiskScaling();
+
+    const totalExposure = open.reduce(
+      (sum, position) =>
+        sum + this.getNotionalValue(position.pair, position.units, { price: position.currentPrice }),
+      0
+    );
+    const margin = this.getMarginStatus(open, account.equity);
+    const openRisk = open.reduce((sum, position) => sum + openRiskOf(position), 0);
+    const correlatedPairs = correlatedPairsOf(open, settings.exposure.correlationLimit);
+
+    let status = 'healthy';
+    if (riskUtilization >= 100 || margin.marginCall) {
+      status = 'critical';
+    } else if (riskUtilization >= 50 || stats.consecutiveLosses >= 3) {
+      status = 'warning';
+    }
+
+    const health = {
+      status,
+      dailyPnL: round(dailyPnL),
+      dailyPnLPercent: round((dailyPnL / startingBalance) * 100),
+      maxDrawdown: drawdown.maxDrawdown,
+      currentDrawdown: drawdown.currentDrawdown,
+      consecutiveLosses: stats.consecutiveLosses,
+      riskUtilization: round(riskUtilization, 1)
+    };
+
+    return {
+      accountHealth: health,
       positionRisk: {
-        openPositions: 0,
-        totalExposure: 0,
-        correlationRisk: 'low', // low, medium, high
-        leverageRatio: 1.0
+        openPositions: open.length,
+        totalExposure: round(totalExposure),
+        openRisk: round(openRisk),
+        openRiskPercent: round((openRisk / account.balance) * 100),
+        correlationRisk: correlationRiskOf(open),
+        correlatedPairs,
+        currencyExposure: this.getCurrencyExposure(open),
+        leverageRatio: account.equity > 0 ? round(totalExposure / account.equity) : 0,
+        leverage: margin.leverage,
+        usedMargin: margin.usedMargin,
+        freeMargin: margin.freeMargin,
+        marginLevel: margin.marginLevel
       },
       tradeHistory: {
-        totalTrades: 3,
-        winRate: 66.7,
-        avgRiskReward: 1.8,
-        profitFactor: 1.4,
-        maxConsecutiveLosses: 2
+        totalTrades: stats.totalTrades,
+        tradesToday: daily.trades,
+        winRate: stats.winRate,
+        avgRiskReward: stats.avgRiskReward,
+        profitFactor: stats.profitFactor,
+        maxConsecutiveLosses: stats.maxConsecutiveLosses
       },
       riskLimits: {
-        dailyLossLimit: 250, // In account currency
-        maxTradesRemaining: 2,
-        riskPerTrade: 100,
-        correlationLimit: 0.85
+        dailyLossLimit: round(dailyLossLimit),
+        dailyLossRemaining: round(Math.max(0, dailyLossLimit + Math.min(0, dailyPnL))),
+        maxTradesRemaining: Math.max(0, settings.maxTrades - daily.trades),
+        riskPerTrade: round(account.balance * (scaling.riskPerTrade / 100)),
+        correlationLimit: settings.exposure.correlationLimit,
+        maxCorrelatedRisk: round(account.balance * (settings.exposure.maxCorrelatedRisk / 100))
       },
-      alerts: [
-        {
-          type: 'info',
-          message: 'Risk utilization is within normal parameters',
-          timestamp: new Date()
-        }
-      ]
+      riskScaling: scaling,
+      gate: this.getRiskGate(positions, now),
+      alerts: riskAlerts(health, margin, correlatedPairs, settings, daily, now),
+      timestamp: now
     };
   }
 }
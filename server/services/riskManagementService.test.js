@@ -0,0 +1,369 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "risk-"));
+
+const RiskManagementService = require("./riskManagementService");
+const JournalService = require("./journalService");
+const SettingsService = require("./settingsService");
+const MarketStateService = require("./marketStateService");
+
+const noPositions = {
+  open: [],
+  account: { balance: 10000, equity: 10000 },
+};
+
+const trade = (realizedPnL, minutesAgo, rMultiple = realizedPnL / 100) =>
+  JournalService.createEntry({
+    pair: "EUR/USD",
+    direction: "long",
+    entry: 1.1,
+    realizedPnL,
+    rMultiple,
+    openedAt: new Date(Date.now() - (minutesAgo + 5) * 60000),
+    closedAt: new Date(Date.now() - minutesAgo * 60000),
+  });
+
+test.beforeEach(() => {
+  JournalService.reset();
+});
+
+test("trade statistics come from the closed journal trades", async () => {
+  await trade(200, 40);
+  await trade(-100, 30);
+  await trade(-100, 20);
+  await trade(150, 10);
+
+  const { tradeHistory, accountHealth } = RiskManagementService.getCurrentRiskAnalysis(noPositions);
+
+  assert.strictEqual(tradeHistory.totalTrades, 4);
+  assert.strictEqual(tradeHistory.winRate, 50);
+  assert.strictEqual(tradeHistory.profitFactor, 1.75);
+  assert.strictEqual(tradeHistory.maxConsecutiveLosses, 2);
+  assert.strictEqual(accountHealth.consecutiveLosses, 0);
+  // 10,200 down to 10,000
+  assert.strictEqual(accountHealth.maxDrawdown, -1.96);
+  assert.strictEqual(accountHealth.currentDrawdown, -0.49);
+});
+
+test("daily loss counts floating P&L against the limit", async () => {
+  await trade(-150, 10);
+
+  const analysis = RiskManagementService.getCurrentRiskAnalysis({
+    open: [
+      {
+        pair: "GBP/USD",
+        direction: "short",
+        units: 10000,
+        entry: 1.27,
+        stopLoss: 1.272,
+        currentPrice: 1.2705,
+        realizedPnL: 0,
+        unrealizedPnL: -50,
+      },
+    ],
+    account: { balance: 9850, equity: 9800 },
+  });
+
+  assert.strictEqual(analysis.accountHealth.dailyPnL, -200);
+  // 2.5% of the 10,000 the day started with
+  assert.strictEqual(analysis.riskLimits.dailyLossLimit, 250);
+  assert.strictEqual(analysis.accountHealth.riskUtilization, 80);
+  assert.strictEqual(analysis.accountHealth.status, "warning");
+  assert.strictEqual(analysis.gate.blocked, false);
+  assert.strictEqual(analysis.positionRisk.openRisk, 20);
+  assert.strictEqual(analysis.riskLimits.maxTradesRemaining, 2);
+});
+
+test("open risk is reported in the account currency", () => {
+  const { positionRisk } = RiskManagementService.getCurrentRiskAnalysis({
+    ...noPositions,
+    open: [
+      {
+        pair: "USD/JPY",
+        direction: "long",
+        units: 71000,
+        entry: 150.2,
+        stopLoss: 150,
+        currentPrice: 150.2,
+        realizedPnL: 0,
+        unrealizedPnL: 0,
+      },
+    ],
+  });
+
+  // 14,200 JPY at the 150 stop
+  assert.strictEqual(positionRisk.openRisk, 94.67);
+  assert.strictEqual(positionRisk.openRiskPercent, 0.95);
+});
+
+test("positions stacked on one currency are a high correlation risk", () => {
+  const position = (pair, direction) => ({
+    pair,
+    direction,
+    units: 10000,
+    entry: 1.2,
+    stopLoss: direction === "long" ? 1.19 : 1.21,
+    currentPrice: 1.2,
+    realizedPnL: 0,
+    unrealizedPnL: 0,
+  });
+  const riskOf = (open) =>
+    RiskManagementService.getCurrentRiskAnalysis({ ...noPositions, open }).positionRisk
+      .correlationRisk;
+
+  assert.strictEqual(riskOf([position("EUR/USD", "long")]), "low");
+  assert.strictEqual(riskOf([position("EUR/USD", "long"), position("GBP/USD", "short")]), "medium");
+  assert.strictEqual(riskOf([position("EUR/USD", "long"), position("GBP/USD", "long")]), "high");
+});
+
+test("the gate closes at the daily loss limit until the trading day rolls over", async () => {
+  await trade(-260, 10);
+
+  const gate = RiskManagementService.getRiskGate({
+    open: [],
+    account: { balance: 9740, equity: 9740 },
+  });
+
+  assert.strictEqual(gate.blocked, true);
+  assert.strictEqual(gate.code, "dailyLossLimit");
+  assert.ok(gate.resetsAt > new Date());
+
+  const tomorrow = RiskManagementService.getRiskGate(
+    { open: [], account: { balance: 9740, equity: 9740 } },
+    new Date(gate.resetsAt.getTime() + 1000)
+  );
+  assert.strictEqual(tomorrow.blocked, false);
+});
+
+test("the gate closes once maxTrades trades were opened", async () => {
+  SettingsService.updateSettings({ maxTrades: 2 });
+  await trade(10, 30);
+  await trade(10, 20);
+
+  const gate = RiskManagementService.getRiskGate(noPositions);
+  SettingsService.updateSettings({ maxTrades: 3 });
+
+  assert.strictEqual(gate.code, "maxTrades");
+  assert.strictEqual(gate.tradesRemaining, 0);
+});
+
+test("risk is halved after losing streaks and stepped back up by wins", async () => {
+  await trade(-100, 50);
+  await trade(-100, 40);
+
+  let scaling = RiskManagementService.getRiskScaling();
+  assert.strictEqual(scaling.riskPerTrade, 0.5);
+  assert.deepStrictEqual(
+    scaling.reductions.map((reduction) => reduction.rule),
+    ["lossStreak"]
+  );
+
+  await trade(50, 30);
+  assert.strictEqual(RiskManagementService.getRiskScaling().riskPerTrade, 0.5);
+
+  await trade(50, 20);
+  scaling = RiskManagementService.getRiskScaling();
+  assert.strictEqual(scaling.riskPerTrade, 1);
+  assert.deepStrictEqual(scaling.reductions, []);
+});
+
+test("drawdown tiers cut risk further, down to the floor", async () => {
+  await trade(-300, 60);
+  await trade(-300, 50);
+  await trade(-200, 40);
+  await trade(-300, 30);
+
+  // Two losing streaks of 2 (x0.25) and an 11% drawdown (x0.25), floored
+  const scaling = RiskManagementService.getRiskScaling();
+  assert.strictEqual(scaling.multiplier, 0.25);
+  assert.deepStrictEqual(
+    scaling.reductions.map((reduction) => reduction.rule),
+    ["lossStreak", "drawdown", "floor"]
+  );
+
+  SettingsService.updateSettings({ riskScaling: { enabled: false } });
+  assert.strictEqual(RiskManagementService.getRiskScaling().riskPerTrade, 1);
+  SettingsService.updateSettings({ riskScaling: { enabled: true } });
+});
+
+test("JPY pairs use a 0.01 pip converted into the account currency", () => {
+  const size = RiskManagementService.calculatePositionSize(10000, 1, 150.0, 149.5, "USD/JPY", {
+    accountCurrency: "USD",
+    rates: {},
+  });
+
+  assert.strictEqual(size.pipSize, 0.01);
+  assert.strictEqual(size.stopDistance, 50);
+  // 1,000 JPY per pip per standard lot at 150
+  assert.strictEqual(size.pipValue, 6.6667);
+  assert.strictEqual(size.lots.standard, 0.3);
+  assert.strictEqual(size.units, 30000);
+  assert.ok(size.riskAmount <= 100);
+});
+
+test("gold sizes in 100 ounce lots with a 0.1 pip", () => {
+  const size = RiskManagementService.calculatePositionSize(10000, 1, 2350, 2340, "XAU/USD", {
+    accountCurrency: "USD",
+    rates: {},
+  });
+
+  assert.strictEqual(size.stopDistance, 100);
+  // $10 per pip per 100 ounces
+  assert.strictEqual(size.pipValue, 10);
+  assert.deepStrictEqual(size.lots, { standard: 0.1, mini: 1, micro: 10 });
+  assert.strictEqual(size.units, 10);
+});
+
+test("cross rates convert pip values for other account currencies", () => {
+  const rates = { "EUR/USD": 1.1, "GBP/USD": 1.25 };
+
+  assert.strictEqual(RiskManagementService.getConversionRate("USD", "EUR", rates), 1 / 1.1);
+  assert.strictEqual(RiskManagementService.getConversionRate("GBP", "EUR", rates), 1.25 / 1.1);
+  assert.throws(() => RiskManagementService.getConversionRate("CHF", "EUR", rates), /No conversion/);
+
+  const size = RiskManagementService.calculatePositionSize(10000, 1, 1.25, 1.248, "GBP/USD", {
+    accountCurrency: "EUR",
+    rates,
+  });
+  assert.strictEqual(size.accountCurrency, "EUR");
+  assert.deepStrictEqual(size.lots, { standard: 0.55, mini: 5.5, micro: 55 });
+});
+
+test("lot limits round down, reject tiny sizes and cap large ones", () => {
+  const lotSizing = { step: 0.1, min: 0.1, max: 1 };
+  const size = (balance, stopLoss) =>
+    RiskManagementService.calculatePositionSize(balance, 1, 1.1, stopLoss, "EUR/USD", {
+      accountCurrency: "USD",
+      lotSizing,
+    });
+
+  // 0.67 lots rounds down to 0.6
+  assert.strictEqual(size(10000, 1.0985).units, 60000);
+  assert.strictEqual(size(100, 1.098).units, 0);
+  assert.match(size(100, 1.098).warnings[0], /minimum/);
+  assert.strictEqual(size(1000000, 1.098).units, 100000);
+  assert.match(size(1000000, 1.098).warnings[0], /maximum/);
+});
+
+test("margin follows leverage unless the pair requires more", () => {
+  const rates = { "EUR/USD": 1.1, "GBP/USD": 1.25 };
+
+  // 100,000 EUR is 110,000 USD of notional, 1/30 of it at 30:1
+  assert.strictEqual(
+    Math.round(RiskManagementService.calculateMargin("EUR/USD", 100000, { accountCurrency: "USD", rates })),
+    3667
+  );
+
+  SettingsService.updateSettings({ margin: { requirements: { "GBP/USD": 5 } } });
+  assert.strictEqual(
+    RiskManagementService.calculateMargin("GBP/USD", 100000, { accountCurrency: "USD", rates }),
+    6250
+  );
+  SettingsService.updateSettings({ margin: { requirements: { "GBP/USD": null } } });
+
+  const status = RiskManagementService.getMarginStatus([{ margin: 2000 }, { margin: 1000 }], 2400);
+  assert.strictEqual(status.freeMargin, -600);
+  assert.strictEqual(status.marginLevel, 80);
+  assert.strictEqual(status.marginCall, true);
+  assert.strictEqual(status.stopOut, false);
+});
+
+const openPosition = (id, pair, direction, entry, stopLoss) => ({
+  id,
+  pair,
+  direction,
+  units: 50000,
+  entry,
+  stopLoss,
+  currentPrice: entry,
+  realizedPnL: 0,
+  unrealizedPnL: 0,
+});
+
+test("net currency exposure adds up the legs of every position", () => {
+  const exposure = RiskManagementService.getCurrencyExposure([
+    openPosition("a", "EUR/USD", "long", 1.1, 1.098),
+    openPosition("b", "GBP/USD", "long", 1.25, 1.248),
+  ]);
+  const usd = exposure.find((currency) => currency.currency === "USD");
+
+  assert.deepStrictEqual(usd, {
+    currency: "USD",
+    direction: "short",
+    amount: -117500,
+    value: -117500,
+    legs: -2,
+  });
+  assert.strictEqual(exposure[0], usd);
+  assert.strictEqual(exposure.find((currency) => currency.currency === "EUR").value, 55000);
+});
+
+test("trades stacking correlated risk are blocked, or flagged when only warning", () => {
+  const positions = {
+    open: [openPosition("a", "EUR/USD", "long", 1.1, 1.098)],
+    account: { balance: 10000, equity: 10000 },
+  };
+  const proposal = (direction) => ({
+    pair: "GBP/USD",
+    direction,
+    units: 50000,
+    entry: 1.25,
+    riskAmount: 100,
+  });
+
+  MarketStateService.setCorrelations({ "EUR/USD": { "GBP/USD": 0.82 } });
+
+  // 0.82 is below the default limit of 0.85
+  assert.strictEqual(RiskManagementService.getCorrelationCheck(positions, proposal("long")).flagged, false);
+
+  SettingsService.updateSettings({ exposure: { correlationLimit: 0.8, maxCorrelatedRisk: 1.5 } });
+  try {
+    const check = RiskManagementService.getCorrelationCheck(positions, proposal("long"));
+    // 100 + 0.82 x 100 open risk
+    assert.strictEqual(check.correlatedRisk, 182);
+    assert.strictEqual(check.allowed, false);
+    assert.deepStrictEqual(
+      check.correlated.map((position) => position.positionId),
+      ["a"]
+    );
+
+    // Trading the other way hedges rather than stacks
+    assert.strictEqual(RiskManagementService.getCorrelationCheck(positions, proposal("short")).flagged, false);
+
+    SettingsService.updateSettings({ exposure: { action: "warn" } });
+    const warning = RiskManagementService.getCorrelationCheck(positions, proposal("long"));
+    assert.strictEqual(warning.flagged, true);
+    assert.strictEqual(warning.allowed, true);
+  } finally {
+    MarketStateService.setCorrelations({});
+    SettingsService.updateSettings({
+      exposure: { correlationLimit: 0.85, maxCorrelatedRisk: 2, action: "block" },
+    });
+  }
+});
+
+test("open risk on a yen pair counts in the account currency", () => {
+  // Long USD/JPY from 150.2 with a 150 stop: 14,200 JPY, about $95
+  const positions = {
+    open: [{ ...openPosition("a", "USD/JPY", "long", 150.2, 150), units: 71000 }],
+    account: { balance: 10000, equity: 10000 },
+  };
+  const proposal = { pair: "EUR/USD", direction: "short", units: 47000, entry: 1.1, riskAmount: 100 };
+
+  MarketStateService.setCorrelations({ "EUR/USD": { "USD/JPY": -0.9 } });
+  try {
+    const check = RiskManagementService.getCorrelationCheck(positions, proposal);
+
+    assert.strictEqual(check.correlated[0].openRisk, 94.67);
+    // 100 + 0.9 x 94.67, under the $200 allowed
+    assert.strictEqual(check.correlatedRisk, 185.2);
+    assert.strictEqual(check.allowed, true);
+    assert.strictEqual(check.flagged, false);
+  } finally {
+    MarketStateService.setCorrelations({});
+  }
+});
@@ -0,0 +1,143 @@
+const EventEmitter = require("events");
+const _ = require("lodash");
+
+const DEFAULT_SETTINGS = {
+  balance: 10000,
+  riskPerTrade: 1,
+  dailyLossLimit: 2.5,
+  maxTrades: 3,
+  // Currency the balance and P&L are held in
+  accountCurrency: "USD",
+  // Broker lot constraints, in standard lots (one contract of the pair)
+  lotSizing: {
+    step: 0.01,
+    min: 0.01,
+    max: 50,
+  },
+  // Leveraged account: each position ties up margin, a percentage of its
+  // notional value (100 / leverage, or more where a pair requires it, e.g.
+  // { "GBP/JPY": 5 }). Margin level is equity / used margin in percent.
+  margin: {
+    leverage: 30,
+    requirements: {},
+    // Warn at this margin level and liquidate positions at the stop-out level
+    marginCallLevel: 100,
+    stopOutLevel: 50,
+  },
+  strategyParams: {
+    minOpportunityScore: 70,
+    timeframe: "15m",
+    atrPeriod: 14,
+    rsiPeriod: 14,
+    newsBuffer: 30,
+  },
+  dataProvider: {
+    provider: "simulated",
+    options: {},
+  },
+  // Per-pair strategy switches, e.g. { "EUR/USD": { "trend-continuation": false } }.
+  // Strategies without an entry are enabled.
+  strategies: {},
+  // Name of the strategy preset used live, or null for the defaults
+  strategyPreset: null,
+  // Cut risk per trade after losing streaks and drawdowns, restoring it on
+  // recovery (see RiskManagementService.getRiskScaling)
+  riskScaling: {
+    enabled: true,
+    // Every 2 losses in a row halve risk, at most twice; 2 wins in a row
+    // undo one halving
+    lossStreak: { losses: 2, multiplier: 0.5, maxSteps: 2, recoveryWins: 2 },
+    // Drawdown from the balance peak, in percent
+    drawdownTiers: [
+      { drawdown: 5, multiplier: 0.5 },
+      { drawdown: 10, multiplier: 0.25 },
+    ],
+    minMultiplier: 0.25,
+  },
+  // Open positions whose returns move with a new trade's at or above
+  // correlationLimit (the same pair the same way counts fully) stack onto
+  // its risk. Their combined risk, weighted by correlation, may not exceed
+  // maxCorrelatedRisk percent of the balance: "block" rejects such trades,
+  // "warn" only flags them.
+  exposure: {
+    correlationLimit: 0.85,
+    maxCorrelatedRisk: 2,
+    action: "block",
+  },
+  // Rolling correlations of the pairs' log returns over several windows of
+  // closed candles; the primary window feeds the exposure checks
+  correlation: {
+    timeframe: "1h",
+    windows: [20, 50, 100],
+    window: 50,
+  },
+  // Spreads are compared with the pair's usual spread at that hour of day,
+  // learned from live ticks once an hour has minSamples of them (until then
+  // the instrument's typical spread). A spread anomalyRatio times the usual
+  // one and anomalyZScore standard deviations above it is abnormal.
+  spread: {
+    minSamples: 100,
+    anomalyRatio: 2,
+    anomalyZScore: 3,
+  },
+  // Regime classifier thresholds. A regime is entered at its enter
+  // thresholds and left only once the exit ones are crossed back, after at
+  // least minDwellMinutes. Slope is the VWAP slope in ATRs per candle; the
+  // ATR percentile ranks the ATR against the last atrLookback candles.
+  regime: {
+    adxEnter: 25,
+    adxExit: 20,
+    slopeEnter: 0.1,
+    slopeExit: 0.05,
+    atrPercentileEnter: 80,
+    atrPercentileExit: 60,
+    atrLookback: 100,
+    minDwellMinutes: 5,
+  },
+  // When the daily loss and trade limits reset
+  tradingDay: {
+    rolloverTime: "17:00",
+    timeZone: "America/New_York",
+  },
+};
+
+// In production, settings would be persisted to a database
+let settings = _.cloneDeep(DEFAULT_SETTINGS);
+
+const emitter = new EventEmitter();
+
+class SettingsService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static getSettings() {
+    return settings;
+  }
+
+  // Deep-merge updates into the current settings. Arrays and provider
+  // options are replaced rather than merged so switching providers starts
+  // clean.
+  static updateSettings(updates) {
+    const previous = settings;
+    const next = _.mergeWith(
+      _.cloneDeep(settings),
+      _.omit(updates, "dataProvider"),
+      (current, update) => (Array.isArray(update) ? update : undefined)
+    );
+
+    if (updates.dataProvider) {
+      next.dataProvider = {
+        provider: updates.dataProvider.provider,
+        options: updates.dataProvider.options || {},
+      };
+    }
+
+    settings = next;
+    emitter.emit("change", settings, previous);
+
+    return settings;
+  }
+}
+
+module.exports = SettingsService;
@@ -0,0 +1,225 @@
+const EventEmitter = require("events");
+const path = require("path");
+const JsonFile = require("../utils/jsonFile");
+const { DATA_DIR } = require("../utils/paths");
+const InstrumentService = require("./instrumentService");
+const SettingsService = require("./settingsService");
+
+const file = new JsonFile(path.join(DATA_DIR, "spreads.json"), { profiles: {} });
+
+// Ticks an hour's statistics are weighted over at most, so profiles keep
+// following slow changes in a broker's pricing
+const MAX_WEIGHT = 10000;
+
+// One-minute spread buckets kept per pair (a day)
+const HISTORY_LIMIT = 1440;
+
+const MINUTE = 60 * 1000;
+
+// pair -> 24 hourly { count, mean, variance, max }, by UTC hour
+let profiles = {};
+
+// pair -> one-minute buckets, oldest first
+const history = new Map();
+
+// pair -> { spread, timestamp, anomaly } of the latest tick
+const latest = new Map();
+
+const emitter = new EventEmitter();
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+const emptyProfile = () =>
+  Array.from({ length: 24 }, () => ({ count: 0, mean: 0, variance: 0, max: 0 }));
+
+const hourOf = (time) => new Date(time).getUTCHours();
+
+// Fold a spread into an hour's running mean and variance (Welford's
+// update, becoming an exponentially weighted one past MAX_WEIGHT ticks)
+const learn = (stats, spread) => {
+  const weight = Math.min(stats.count + 1, MAX_WEIGHT);
+  const delta = spread - stats.mean;
+
+  stats.mean += delta / weight;
+  stats.variance = ((weight - 1) / weight) * (stats.variance + (delta * delta) / weight);
+  stats.max = Math.max(stats.max, spread);
+  stats.count += 1;
+};
+
+// Add a tick to its minute bucket
+const recordHistory = (pair, spread, timestamp, baseline, anomaly) => {
+  const buckets = history.get(pair) || [];
+  const minute = Math.floor(new Date(timestamp).getTime() / MINUTE) * MINUTE;
+  let bucket = buckets[buckets.length - 1];
+
+  if (!bucket || bucket.timestamp.getTime() !== minute) {
+    bucket = { timestamp: new Date(minute), total: 0, ticks: 0, max: 0, baseline, anomaly: false };
+    buckets.push(bucket);
+    if (buckets.length > HISTORY_LIMIT) {
+      buckets.shift();
+    }
+  }
+
+  bucket.total += spread;
+  bucket.ticks += 1;
+  bucket.max = Math.max(bucket.max, spread);
+  bucket.baseline = baseline;
+  bucket.anomaly = bucket.anomaly || anomaly;
+  history.set(pair, buckets);
+};
+
+// Spread statistics per pair and hour of day, learned from the live ticks.
+// Spreads are judged against the usual spread for the hour, and spreads
+// widening abnormally are announced with "anomaly" and, once they are back
+// to normal, "normalized". Profiles are written to DATA_DIR/spreads.json.
+class SpreadService {
+  static on(event, listener) {
+    emitter.on(event, listener);
+  }
+
+  static off(event, listener) {
+    emitter.off(event, listener);
+  }
+
+  static async load() {
+    const stored = await file.read();
+    profiles = stored.profiles;
+  }
+
+  static async save() {
+    await file.write({ profiles });
+  }
+
+  // Usual spread of the pair at the hour of the given time. Learned once the
+  // hour has enough ticks, otherwise the instrument's typical spread.
+  static getBaseline(pair, time = new Date()) {
+    const hour = hourOf(time);
+    const stats = profiles[pair] && profiles[pair][hour];
+
+    if (stats && stats.count >= SettingsService.getSettings().spread.minSamples) {
+      return {
+        hour,
+        mean: round(stats.mean),
+        stdDev: round(Math.sqrt(stats.variance)),
+        samples: stats.count,
+        source: "learned",
+      };
+    }
+
+    return { ...this.getTypicalBaseline(pair, time), samples: stats ? stats.count : 0 };
+  }
+
+  // The instrument's typical spread as a baseline, whatever has been
+  // learned, for assessments that must not depend on live data
+  static getTypicalBaseline(pair, time = new Date()) {
+    return {
+      hour: hourOf(time),
+      mean: InstrumentService.requireInstrument(pair).typicalSpread,
+      stdDev: null,
+      samples: 0,
+      source: "typical",
+    };
+  }
+
+  // Whether a spread is abnormally wide against a baseline. Without learned
+  // deviations only the ratio applies.
+  static isAbnormal(spread, baseline) {
+    const { anomalyRatio, anomalyZScore } = SettingsService.getSettings().spread;
+    if (!(spread >= baseline.mean * anomalyRatio)) {
+      return false;
+    }
+    return !baseline.stdDev || (spread - baseline.mean) / baseline.stdDev >= anomalyZScore;
+  }
+
+  // Learn from a provider tick and track anomalies. Once the hour has a
+  // learned baseline, spreads during an anomaly are kept out of the
+  // profile; an anomaly ends once the spread is back below half way to the
+  // anomaly threshold.
+  static recordTick({ pair, spread, timestamp }) {
+    if (!Number.isFinite(spread) || !InstrumentService.getInstrument(pair)) {
+      return null;
+    }
+
+    const baseline = this.getBaseline(pair, timestamp);
+    const previous = latest.get(pair);
+    let anomaly = previous ? previous.anomaly : null;
+
+    if (this.isAbnormal(spread, baseline)) {
+      if (!anomaly) {
+        anomaly = { pair, startedAt: new Date(timestamp), baseline: baseline.mean, peak: spread };
+        emitter.emit("anomaly", { ...anomaly, spread, ratio: round(spread / baseline.mean) });
+      }
+      anomaly.peak = Math.max(anomaly.peak, spread);
+    } else {
+      const { anomalyRatio } = SettingsService.getSettings().spread;
+      if (anomaly && spread <= baseline.mean * (1 + (anomalyRatio - 1) / 2)) {
+        emitter.emit("normalized", { ...anomaly, spread, endedAt: new Date(timestamp) });
+        anomaly = null;
+      }
+    }
+
+    // Until the hour has a learned baseline every spread is learned, so a
+    // pair quoting well above its typical spread still gets a profile
+    if (!anomaly || baseline.source !== "learned") {
+      if (!profiles[pair]) {
+        profiles[pair] = emptyProfile();
+      }
+      learn(profiles[pair][baseline.hour], spread);
+    }
+
+    latest.set(pair, { spread, timestamp: new Date(timestamp), anomaly });
+    recordHistory(pair, spread, timestamp, baseline.mean, Boolean(anomaly));
+
+    return anomaly;
+  }
+
+  // Latest spread of the pair against the current hour's baseline
+  static getStatus(pair, now = new Date()) {
+    const current = latest.get(pair);
+    const baseline = this.getBaseline(pair, now);
+
+    return {
+      pair,
+      spread: current ? current.spread : null,
+      ratio: current ? round(current.spread / baseline.mean) : null,
+      baseline,
+      anomaly: current ? current.anomaly : null,
+      lastUpdate: current ? current.timestamp : null,
+    };
+  }
+
+  // Usual spread for every hour of the day, with the sessions open then
+  static getProfile(pair) {
+    const profile = profiles[pair] || emptyProfile();
+
+    return profile.map((stats, hour) => ({
+      hour,
+      samples: stats.count,
+      mean: stats.count > 0 ? round(stats.mean) : null,
+      stdDev: stats.count > 0 ? round(Math.sqrt(stats.variance)) : null,
+      max: stats.count > 0 ? stats.max : null,
+      sessions: InstrumentService.getOpenSessions(pair, Date.UTC(2000, 0, 1, hour)),
+    }));
+  }
+
+  // Average and widest spread per minute, oldest first, with the baseline
+  // they were judged against
+  static getHistory(pair, limit = 240) {
+    return (history.get(pair) || []).slice(-limit).map((bucket) => ({
+      timestamp: bucket.timestamp,
+      spread: round(bucket.total / bucket.ticks),
+      max: bucket.max,
+      baseline: bucket.baseline,
+      anomaly: bucket.anomaly,
+    }));
+  }
+
+  // Forget everything learned, in memory only
+  static reset() {
+    profiles = {};
+    history.clear();
+    latest.clear();
+  }
+}
+
+module.exports = SpreadService;
@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "spreads-"));
+
+const SpreadService = require("./spreadService");
+const SettingsService = require("./settingsService");
+
+// Ticks a second apart from the given UTC hour of 2 January 2024
+const ticks = (pair, spreads, hour = 8, offset = 0) =>
+  spreads.map((spread, i) =>
+    SpreadService.recordTick({
+      pair,
+      spread,
+      timestamp: new Date(Date.UTC(2024, 0, 2, hour) + (offset + i) * 1000),
+    })
+  );
+
+const around = (mean, count) => Array.from({ length: count }, (_, i) => mean + (i % 2 ? 0.1 : -0.1));
+
+test.beforeEach(() => {
+  SpreadService.reset();
+  SettingsService.updateSettings({ spread: { minSamples: 20 } });
+});
+
+test("baselines are learned per hour, falling back to the typical spread", () => {
+  ticks("EUR/USD", around(0.6, 20), 8);
+  ticks("EUR/USD", around(1.5, 20), 22);
+
+  const london = SpreadService.getBaseline("EUR/USD", Date.UTC(2024, 0, 3, 8, 30));
+  assert.strictEqual(london.source, "learned");
+  assert.strictEqual(london.mean, 0.6);
+  assert.strictEqual(london.stdDev, 0.1);
+  assert.strictEqual(SpreadService.getBaseline("EUR/USD", Date.UTC(2024, 0, 3, 22)).mean, 1.5);
+
+  // No ticks at 3am yet
+  const quiet = SpreadService.getBaseline("EUR/USD", Date.UTC(2024, 0, 3, 3));
+  assert.strictEqual(quiet.source, "typical");
+  assert.strictEqual(quiet.mean, 1.2);
+
+  const profile = SpreadService.getProfile("EUR/USD");
+  assert.strictEqual(profile[8].samples, 20);
+  assert.deepStrictEqual(profile[8].sessions, ["london"]);
+  assert.strictEqual(profile[3].mean, null);
+});
+
+test("abnormal widening is announced once and kept out of the profile", () => {
+  const events = [];
+  const onAnomaly = (event) => events.push(["anomaly", event]);
+  const onNormalized = (event) => events.push(["normalized", event]);
+  SpreadService.on("anomaly", onAnomaly);
+  SpreadService.on("normalized", onNormalized);
+
+  try {
+    ticks("EUR/USD", around(1, 20));
+    // 1.6 is not twice the usual spread, 2.5 and 3 are
+    ticks("EUR/USD", [1.6, 2.5, 3, 2.8], 8, 20);
+    // Still above half way to the threshold, then back to normal
+    ticks("EUR/USD", [1.6, 1.2], 8, 24);
+
+    assert.deepStrictEqual(
+      events.map(([type]) => type),
+      ["anomaly", "normalized"]
+    );
+    assert.strictEqual(events[0][1].spread, 2.5);
+    // Against the usual spread with the 1.6 learned
+    assert.strictEqual(events[0][1].ratio, 2.43);
+    assert.strictEqual(events[1][1].peak, 3);
+
+    // The 20 ticks, 1.6 and 1.2 were learned; the widening was not
+    assert.strictEqual(SpreadService.getProfile("EUR/USD")[8].samples, 22);
+    assert.strictEqual(SpreadService.getStatus("EUR/USD", Date.UTC(2024, 0, 2, 8)).anomaly, null);
+  } finally {
+    SpreadService.off("anomaly", onAnomaly);
+    SpreadService.off("normalized", onNormalized);
+  }
+});
+
+test("pairs quoting far above their typical spread still learn it", () => {
+  const events = [];
+  const onEvent = (event) => events.push(event);
+  SpreadService.on("anomaly", onEvent);
+  SpreadService.on("normalized", onEvent);
+
+  try {
+    // Over twice the typical 1.2 pips of EUR/USD from the first tick
+    ticks("EUR/USD", around(2.6, 25));
+
+    const baseline = SpreadService.getBaseline("EUR/USD", Date.UTC(2024, 0, 2, 8));
+    assert.strictEqual(baseline.source, "learned");
+    assert.strictEqual(baseline.samples, 25);
+    assert.strictEqual(baseline.mean, 2.6);
+    // Judged against the typical spread at first, then the learned one
+    assert.deepStrictEqual(
+      events.map((event) => Boolean(event.endedAt)),
+      [false, true]
+    );
+    assert.strictEqual(SpreadService.getStatus("EUR/USD", Date.UTC(2024, 0, 2, 8)).anomaly, null);
+  } finally {
+    SpreadService.off("anomaly", onEvent);
+    SpreadService.off("normalized", onEvent);
+  }
+});
+
+test("history averages the spread per minute", () => {
+  ticks("GBP/USD", [1.6, 2, 1.8]);
+  ticks("GBP/USD", [1.7], 8, 60);
+
+  const history = SpreadService.getHistory("GBP/USD");
+  assert.strictEqual(history.length, 2);
+  assert.strictEqual(history[0].spread, 1.8);
+  assert.strictEqual(history[0].max, 2);
+  assert.strictEqual(history[0].baseline, 1.8);
+  assert.strictEqual(history[1].spread, 1.7);
+});
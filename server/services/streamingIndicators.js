@@ -0,0 +1,268 @@
+// Incremental indicator calculators. Each one keeps a constant amount of
+// state and mirrors the arithmetic of its IndicatorService batch function,
+// so feeding candles one by one yields exactly the same values.
+//
+// update(candle)  - commit a closed candle, returns the new point or null
+//                   while warming up
+// preview(candle) - the point the forming candle would produce, without
+//                   changing any state
+// current         - the last committed point
+
+class StreamingIndicator {
+  constructor() {
+    this.state = this.initialState();
+    this.current = null;
+  }
+
+  update(candle) {
+    const { state, point } = this.step(this.state, candle);
+    this.state = state;
+    if (point) {
+      this.current = point;
+    }
+    return point;
+  }
+
+  preview(candle) {
+    return this.step(this.state, candle).point;
+  }
+
+  // Returns { state, point } without mutating the given state
+  step(state, candle) {
+    throw new Error("step() must be implemented by the indicator");
+  }
+}
+
+const trueRange = (candle, previousClose) =>
+  Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - previousClose),
+    Math.abs(candle.low - previousClose)
+  );
+
+class EMACalculator extends StreamingIndicator {
+  constructor(period = 20) {
+    super();
+    this.period = period;
+    this.multiplier = 2 / (period + 1);
+  }
+
+  initialState() {
+    return { count: 0, sum: 0, ema: null };
+  }
+
+  step(state, candle) {
+    const count = state.count + 1;
+
+    if (count < this.period) {
+      return { state: { ...state, count, sum: state.sum + candle.close }, point: null };
+    }
+
+    const ema =
+      count === this.period
+        ? (state.sum + candle.close) / this.period
+        : (candle.close - state.ema) * this.multiplier + state.ema;
+
+    return {
+      state: { count, sum: 0, ema },
+      point: { timestamp: candle.timestamp, value: ema },
+    };
+  }
+}
+
+class RSICalculator extends StreamingIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { count: 0, previousClose: null, avgGain: 0, avgLoss: 0 };
+  }
+
+  step(state, candle) {
+    if (state.previousClose === null) {
+      return { state: { ...state, previousClose: candle.close }, point: null };
+    }
+
+    const change = candle.close - state.previousClose;
+    const count = state.count + 1;
+    let { avgGain, avgLoss } = state;
+    let point = null;
+
+    if (count <= this.period) {
+      if (change > 0) {
+        avgGain += change;
+      } else {
+        avgLoss += Math.abs(change);
+      }
+      if (count === this.period) {
+        avgGain /= this.period;
+        avgLoss /= this.period;
+      }
+    } else {
+      const period = this.period;
+      if (change > 0) {
+        avgGain = (avgGain * (period - 1) + change) / period;
+        avgLoss = (avgLoss * (period - 1)) / period;
+      } else {
+        avgGain = (avgGain * (period - 1)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.abs(change)) / period;
+      }
+
+      const rs = avgGain / avgLoss;
+      point = { timestamp: candle.timestamp, value: 100 - 100 / (1 + rs) };
+    }
+
+    return {
+      state: { count, previousClose: candle.close, avgGain, avgLoss },
+      point,
+    };
+  }
+}
+
+class ATRCalculator extends StreamingIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return { count: 0, previousClose: null, sum: 0, atr: null };
+  }
+
+  step(state, candle) {
+    if (state.previousClose === null) {
+      return { state: { ...state, previousClose: candle.close }, point: null };
+    }
+
+    const tr = trueRange(candle, state.previousClose);
+    const count = state.count + 1;
+
+    if (count < this.period) {
+      return {
+        state: { ...state, count, previousClose: candle.close, sum: state.sum + tr },
+        point: null,
+      };
+    }
+
+    const atr =
+      count === this.period
+        ? (state.sum + tr) / this.period
+        : (state.atr * (this.period - 1) + tr) / this.period;
+
+    return {
+      state: { count, previousClose: candle.close, sum: 0, atr },
+      point: { timestamp: candle.timestamp, value: atr },
+    };
+  }
+}
+
+class ADXCalculator extends StreamingIndicator {
+  constructor(period = 14) {
+    super();
+    this.period = period;
+  }
+
+  initialState() {
+    return {
+      count: 0,
+      previous: null,
+      dmPlus: 0,
+      dmMinus: 0,
+      tr: 0,
+      dxSum: 0,
+      adx: null,
+    };
+  }
+
+  step(state, candle) {
+    if (state.previous === null) {
+      return { state: { ...state, previous: candle }, point: null };
+    }
+
+    const { period } = this;
+    const previous = state.previous;
+    const highDiff = candle.high - previous.high;
+    const lowDiff = previous.low - candle.low;
+    const dmPlus = highDiff > lowDiff && highDiff > 0 ? highDiff : 0;
+    const dmMinus = lowDiff > highDiff && lowDiff > 0 ? lowDiff : 0;
+    const tr = trueRange(candle, previous.close);
+
+    const count = state.count + 1;
+    const next = { ...state, count, previous: candle };
+
+    // Wilder smoothing starts from the sum of the first period
+    if (count <= period) {
+      next.dmPlus = state.dmPlus + dmPlus;
+      next.dmMinus = state.dmMinus + dmMinus;
+      next.tr = state.tr + tr;
+    } else {
+      next.dmPlus = state.dmPlus - state.dmPlus / period + dmPlus;
+      next.dmMinus = state.dmMinus - state.dmMinus / period + dmMinus;
+      next.tr = state.tr - state.tr / period + tr;
+    }
+
+    if (count < period) {
+      return { state: next, point: null };
+    }
+
+    const diPlus = next.tr > 0 ? (next.dmPlus / next.tr) * 100 : 0;
+    const diMinus = next.tr > 0 ? (next.dmMinus / next.tr) * 100 : 0;
+    const diSum = diPlus + diMinus;
+    const dx = diSum > 0 ? (Math.abs(diPlus - diMinus) / diSum) * 100 : 0;
+
+    // ADX starts as the average of the first period DX values
+    const dxCount = count - period + 1;
+    if (dxCount < period) {
+      next.dxSum = state.dxSum + dx;
+      return { state: next, point: null };
+    }
+
+    next.adx =
+      state.adx === null
+        ? (state.dxSum + dx) / period
+        : (state.adx * (period - 1) + dx) / period;
+
+    return {
+      state: next,
+      point: {
+        timestamp: candle.timestamp,
+        value: next.adx,
+        plusDI: diPlus,
+        minusDI: diMinus,
+      },
+    };
+  }
+}
+
+class VWAPCalculator extends StreamingIndicator {
+  initialState() {
+    return { totalVolume: 0, totalVolumePrice: 0, vwap: null };
+  }
+
+  step(state, candle) {
+    const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+    const totalVolumePrice = state.totalVolumePrice + typicalPrice * candle.volume;
+    const totalVolume = state.totalVolume + candle.volume;
+    const vwap = totalVolumePrice / totalVolume;
+
+    return {
+      state: { totalVolume, totalVolumePrice, vwap },
+      point: {
+        timestamp: candle.timestamp,
+        value: vwap,
+        slope: state.vwap !== null ? vwap - state.vwap : 0,
+      },
+    };
+  }
+}
+
+module.exports = {
+  StreamingIndicator,
+  EMACalculator,
+  RSICalculator,
+  ATRCalculator,
+  ADXCalculator,
+  VWAPCalculator,
+};
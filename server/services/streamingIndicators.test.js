@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const IndicatorService = require("./indicatorService");
+const {
+  EMACalculator,
+  RSICalculator,
+  ATRCalculator,
+  ADXCalculator,
+  VWAPCalculator,
+} = require("./streamingIndicators");
+
+// Deterministic pseudo-random walk so failures are reproducible
+const generateCandles = (count) => {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const candles = [];
+  let close = 1.1;
+  for (let i = 0; i < count; i++) {
+    const open = close;
+    close = open + (random() - 0.5) * 0.002;
+    candles.push({
+      timestamp: new Date(i * 60000),
+      open,
+      high: Math.max(open, close) + random() * 0.0005,
+      low: Math.min(open, close) - random() * 0.0005,
+      close,
+      volume: Math.floor(random() * 1000) + 1,
+    });
+  }
+  return candles;
+};
+
+const candles = generateCandles(300);
+
+const stream = (calculator) =>
+  candles.map((candle) => calculator.update(candle)).filter(Boolean);
+
+const cases = [
+  ["EMA", () => new EMACalculator(20), () => IndicatorService.calculateEMA(candles, 20)],
+  ["RSI", () => new RSICalculator(14), () => IndicatorService.calculateRSI(candles, 14)],
+  ["ATR", () => new ATRCalculator(14), () => IndicatorService.calculateATR(candles, 14)],
+  ["ADX", () => new ADXCalculator(14), () => IndicatorService.calculateADX(candles, 14)],
+  ["VWAP", () => new VWAPCalculator(), () => IndicatorService.calculateVWAP(candles)],
+];
+
+cases.forEach(([name, createCalculator, batch]) => {
+  test(`${name} calculator matches the batch function exactly`, () => {
+    assert.deepStrictEqual(stream(createCalculator()), batch());
+  });
+
+  test(`${name} preview does not change calculator state`, () => {
+    const calculator = createCalculator();
+    candles.slice(0, 100).forEach((candle) => calculator.update(candle));
+
+    const state = JSON.stringify(calculator.state);
+    const previewed = calculator.preview(candles[100]);
+
+    assert.strictEqual(JSON.stringify(calculator.state), state);
+    assert.deepStrictEqual(calculator.update(candles[100]), previewed);
+  });
+});
+
+test("calculators emit nothing until warmed up", () => {
+  const calculator = new ADXCalculator(14);
+  const points = candles.slice(0, 28).map((candle) => calculator.update(candle));
+
+  assert.deepStrictEqual(points.slice(0, 27), new Array(27).fill(null));
+  assert.notStrictEqual(points[27], null);
+  assert.strictEqual(calculator.current, points[27]);
+});
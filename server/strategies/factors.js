@@ -0,0 +1,65 @@
+// Scoring building blocks shared by strategies. Each factor returns the
+// points it contributes and a short explanation.
+
+const BASE_SCORE = 50;
+
+// Maximum points market structure can add
+const MAX_STRUCTURE_POINTS = 20;
+
+// Combine factors into a score breakdown clamped to 0-100
+const buildBreakdown = (factors) => {
+  const points = Object.values(factors).reduce(
+    (sum, factor) => sum + factor.points,
+    BASE_SCORE
+  );
+
+  return {
+    base: BASE_SCORE,
+    factors,
+    total: Math.max(0, Math.min(100, points)),
+  };
+};
+
+// ADX scoring (trend strength)
+const scoreAdx = (data) => {
+  const adx = data.adx.toFixed(1);
+
+  if (data.adx > 30) {
+    return { points: 12, detail: `ADX ${adx} shows a strong trend` };
+  }
+  if (data.adx > 25) {
+    return { points: 8, detail: `ADX ${adx} shows a trend` };
+  }
+  if (data.adx < 20) {
+    // Good for reversal strategies
+    return { points: 5, detail: `ADX ${adx} favours reversals` };
+  }
+  return { points: 0, detail: `ADX ${adx} indecisive` };
+};
+
+// Spread against the pair's usual spread at this hour of day
+// (SpreadService.getBaseline)
+const scoreSpread = (data, baseline) => {
+  const normalSpread = baseline.mean;
+  const usual = `usual ${normalSpread}`;
+
+  if (data.spread <= normalSpread) {
+    return { points: 10, detail: `Spread ${data.spread} pips is normal (${usual})` };
+  }
+  if (data.spread <= normalSpread * 1.2) {
+    return { points: 5, detail: `Spread ${data.spread} pips slightly wide (${usual})` };
+  }
+  // Penalize high spreads
+  return { points: -10, detail: `Spread ${data.spread} pips too wide (${usual})` };
+};
+
+const notScored = (detail) => ({ points: 0, detail });
+
+module.exports = {
+  BASE_SCORE,
+  MAX_STRUCTURE_POINTS,
+  buildBreakdown,
+  scoreAdx,
+  scoreSpread,
+  notScored,
+};
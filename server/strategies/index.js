@@ -0,0 +1,54 @@
+const SettingsService = require("../services/settingsService");
+const trendContinuation = require("./trendContinuation");
+const liquidityReversal = require("./liquidityReversal");
+
+// Every strategy implements these, see trendContinuation.js for an example
+const REQUIRED_FIELDS = [
+  "id",
+  "name",
+  "version",
+  "defaultParams",
+  "isEligible",
+  "score",
+  "calculateLevels",
+  "generateAnalysis",
+];
+
+// Strategy id -> strategy, in registration order
+const strategies = new Map();
+
+const registerStrategy = (strategy) => {
+  const missing = REQUIRED_FIELDS.filter((field) => !strategy[field]);
+  if (missing.length > 0) {
+    throw new Error(`Strategy is missing: ${missing.join(", ")}`);
+  }
+
+  strategies.set(strategy.id, strategy);
+  return strategy;
+};
+
+const getStrategy = (id) => strategies.get(id) || null;
+
+const listStrategies = () => Array.from(strategies.values());
+
+// Strategies are enabled unless settings.strategies[pair][id] is false
+const isStrategyEnabled = (id, pair, settings = SettingsService.getSettings()) => {
+  const pairSettings = (settings.strategies || {})[pair] || {};
+  return pairSettings[id] !== false;
+};
+
+const getEnabledStrategies = (pair, settings = SettingsService.getSettings()) =>
+  listStrategies().filter((strategy) =>
+    isStrategyEnabled(strategy.id, pair, settings)
+  );
+
+registerStrategy(trendContinuation);
+registerStrategy(liquidityReversal);
+
+module.exports = {
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  isStrategyEnabled,
+  getEnabledStrategies,
+};
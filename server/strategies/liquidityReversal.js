@@ -0,0 +1,107 @@
+const {
+  MAX_STRUCTURE_POINTS,
+  buildBreakdown,
+  notScored,
+  scoreAdx,
+  scoreSpread,
+} = require("./factors");
+const InstrumentService = require("../services/instrumentService");
+
+// Fades a stop run once price is rejected back inside the swept level
+module.exports = {
+  id: "liquidity-reversal",
+  name: "Liquidity Reversal",
+  version: "1.0.0",
+  description:
+    "Trades against a liquidity sweep of a swing high or low in ranging or volatile markets",
+  // ATR multiples for the stop and target, and the RSI extremes that
+  // signal exhaustion
+  defaultParams: {
+    stopAtr: 1.0,
+    targetAtr: 1.5,
+    rsiOversold: 30,
+    rsiOverbought: 70,
+  },
+
+  // Only fires after a real sweep outside trending regimes
+  isEligible({ data, structure }) {
+    return data.regime !== "trending" && Boolean(structure.recentSweep);
+  },
+
+  score({ pair, data, structure, params, spreadBaseline }) {
+    const { digits } = InstrumentService.requireInstrument(pair);
+    const { rsiOversold, rsiOverbought } = params;
+    const rsi = data.rsi.toFixed(1);
+
+    // Look for extreme RSI, with partial credit within 5 of an extreme
+    let rsiFactor = { points: 0, detail: `RSI ${rsi} neutral` };
+    if (data.rsi > rsiOverbought || data.rsi < rsiOversold) {
+      rsiFactor = { points: 15, detail: `RSI ${rsi} at an extreme` };
+    } else if (data.rsi > rsiOverbought - 5 || data.rsi < rsiOversold + 5) {
+      rsiFactor = { points: 8, detail: `RSI ${rsi} approaching an extreme` };
+    }
+
+    let structureFactor = notScored("No liquidity event");
+    if (structure.recentSweep) {
+      structureFactor = {
+        points: MAX_STRUCTURE_POINTS,
+        detail: `Liquidity swept at ${structure.recentSweep.level.toFixed(digits)}`,
+      };
+    } else if (structure.equalHighs.length > 0 || structure.equalLows.length > 0) {
+      structureFactor = {
+        points: MAX_STRUCTURE_POINTS * 0.4,
+        detail: "Liquidity resting at equal highs/lows",
+      };
+    }
+
+    return buildBreakdown({
+      vwapSlope: notScored("VWAP slope not scored outside trends"),
+      rsi: rsiFactor,
+      adx: scoreAdx(data),
+      spread: scoreSpread(data, spreadBaseline),
+      structure: structureFactor,
+    });
+  },
+
+  calculateLevels({ data, structure, params }) {
+    const entry = data.price;
+    const stopMultiplier = params.stopAtr;
+    const profitMultiplier = params.targetAtr;
+
+    if (structure.recentSweep.direction === "bearish") {
+      // Bearish reversal after buy-side liquidity was swept
+      return {
+        direction: "short",
+        entry,
+        stopLoss: entry + data.atr * stopMultiplier,
+        takeProfit: entry - data.atr * profitMultiplier,
+      };
+    }
+
+    // Bullish reversal after sell-side liquidity was swept
+    return {
+      direction: "long",
+      entry,
+      stopLoss: entry - data.atr * stopMultiplier,
+      takeProfit: entry + data.atr * profitMultiplier,
+    };
+  },
+
+  generateAnalysis({ pair, data, structure, params }, confidence) {
+    const { digits } = InstrumentService.requireInstrument(pair);
+    const sweep = structure.recentSweep;
+    const rsiCondition =
+      data.rsi > params.rsiOverbought
+        ? "overbought"
+        : data.rsi < params.rsiOversold
+        ? "oversold"
+        : "neutral";
+
+    return (
+      `${this.name} setup detected in ${data.regime} market conditions. ` +
+      `${sweep.direction === "bullish" ? "Sell-side" : "Buy-side"} liquidity at ${sweep.level.toFixed(digits)} was swept and rejected. ` +
+      `RSI shows ${rsiCondition} conditions suggesting potential reversal. ` +
+      `Entry at current market price with ${confidence} confidence based on technical confluence and risk management criteria.`
+    );
+  },
+};
@@ -0,0 +1,106 @@
+const {
+  MAX_STRUCTURE_POINTS,
+  buildBreakdown,
+  scoreAdx,
+  scoreSpread,
+} = require("./factors");
+const InstrumentService = require("../services/instrumentService");
+
+const trendDirection = (data) => (data.vwapSlope > 0 ? "bullish" : "bearish");
+
+// Joins an established trend once market structure confirms it
+module.exports = {
+  id: "trend-continuation",
+  name: "Trend Continuation",
+  version: "1.0.0",
+  description:
+    "Trades with a trending market after a break of structure in the VWAP direction",
+  // ATR multiples for the stop and target, and the RSI band a healthy
+  // trend trades in
+  defaultParams: {
+    stopAtr: 1.5,
+    targetAtr: 2.0,
+    rsiBandLow: 45,
+    rsiBandHigh: 65,
+  },
+
+  // Needs a trending regime and a confirmed structure in the VWAP direction
+  isEligible({ data, structure }) {
+    return (
+      data.regime === "trending" &&
+      structure.confirmedTrend === trendDirection(data)
+    );
+  },
+
+  score({ pair, data, params, spreadBaseline }) {
+    const { rsiBandLow, rsiBandHigh } = params;
+    const band = `${rsiBandLow}-${rsiBandHigh}`;
+    // In the pair's own pips per candle
+    const slope = Math.abs(data.vwapSlope) / InstrumentService.getPipSize(pair);
+    const rsi = data.rsi.toFixed(1);
+    const direction = trendDirection(data);
+
+    let vwapSlope = { points: 0, detail: "VWAP slope too flat for a trend" };
+    if (slope > 3) {
+      vwapSlope = { points: 25, detail: "Strong VWAP slope confirms trend" };
+    } else if (slope > 1) {
+      vwapSlope = { points: 15, detail: "VWAP slope confirms trend" };
+    }
+
+    // Look for RSI inside the trend band, with partial credit within 5
+    let rsiFactor = { points: 0, detail: `RSI ${rsi} outside trend band` };
+    if (data.rsi >= rsiBandLow && data.rsi <= rsiBandHigh) {
+      rsiFactor = { points: 12, detail: `RSI ${rsi} in ${band} trend band` };
+    } else if (data.rsi >= rsiBandLow - 5 && data.rsi <= rsiBandHigh + 5) {
+      rsiFactor = { points: 6, detail: `RSI ${rsi} near ${band} trend band` };
+    }
+
+    // Eligibility already requires the break of structure
+    const structureFactor = {
+      points: MAX_STRUCTURE_POINTS,
+      detail: `Break of structure confirms ${direction} trend`,
+    };
+
+    return buildBreakdown({
+      vwapSlope,
+      rsi: rsiFactor,
+      adx: scoreAdx(data),
+      spread: scoreSpread(data, spreadBaseline),
+      structure: structureFactor,
+    });
+  },
+
+  calculateLevels({ data, structure, params }) {
+    const entry = data.price;
+    const stopMultiplier = params.stopAtr;
+    const profitMultiplier = params.targetAtr;
+
+    if (structure.confirmedTrend === "bullish") {
+      return {
+        direction: "long",
+        entry,
+        stopLoss: entry - data.atr * stopMultiplier,
+        takeProfit: entry + data.atr * profitMultiplier,
+      };
+    }
+
+    return {
+      direction: "short",
+      entry,
+      stopLoss: entry + data.atr * stopMultiplier,
+      takeProfit: entry - data.atr * profitMultiplier,
+    };
+  },
+
+  generateAnalysis({ pair, data, structure }, confidence) {
+    const direction = trendDirection(data);
+    const { digits } = InstrumentService.requireInstrument(pair);
+
+    return (
+      `${this.name} setup detected in ${data.regime} market conditions. ` +
+      `Structure broke ${direction} through ${structure.lastBreak.level.toFixed(digits)}. ` +
+      `VWAP slope indicates ${direction} momentum with ADX at ${data.adx.toFixed(1)} confirming trend strength. ` +
+      `Entry at current market price with ${confidence} confidence based on technical confluence and risk management criteria.`
+    );
+  },
+};
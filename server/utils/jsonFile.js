@@ -0,0 +1,40 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+// A JSON document on disk. Writes go to a temporary file that is renamed
+// into place, and are chained so the last save always wins.
+class JsonFile {
+  constructor(file, defaultValue) {
+    this.file = file;
+    this.defaultValue = defaultValue;
+    this.pending = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return this.defaultValue;
+      }
+      throw error;
+    }
+  }
+
+  write(value) {
+    const content = JSON.stringify(value, null, 2);
+    const temporary = `${this.file}.tmp`;
+
+    this.pending = this.pending
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(temporary, content);
+        await fs.rename(temporary, this.file);
+      });
+
+    return this.pending;
+  }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,8 @@
+const path = require("path");
+
+// Root directory for everything the server persists to disk
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+module.exports = {
+  DATA_DIR,
+};
@@ -0,0 +1,39 @@
+const path = require("path");
+
+// Parsers for the CSV (header row required) and NDJSON files used for
+// replay ticks and imported candles
+
+const parseCsv = (content) => {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) return [];
+
+  const headers = lines[0].split(",").map((header) => header.trim().toLowerCase());
+
+  return lines.slice(1).map((line) => {
+    const values = line.split(",").map((value) => value.trim());
+    return headers.reduce((row, header, index) => {
+      row[header] = values[index];
+      return row;
+    }, {});
+  });
+};
+
+const parseNdjson = (content) =>
+  content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line));
+
+// Format from an explicit option, else from the file extension
+const parseRecords = (content, file, format) => {
+  const resolvedFormat =
+    format || (path.extname(file).toLowerCase() === ".csv" ? "csv" : "ndjson");
+
+  return resolvedFormat === "csv" ? parseCsv(content) : parseNdjson(content);
+};
+
+module.exports = {
+  parseCsv,
+  parseNdjson,
+  parseRecords,
+};
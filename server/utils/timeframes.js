@@ -0,0 +1,33 @@
+// Candle timeframes supported across the application, in milliseconds
+const TIMEFRAMES = {
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "4h": 4 * 60 * 60 * 1000,
+  "1D": 24 * 60 * 60 * 1000,
+};
+
+const isValidTimeframe = (timeframe) =>
+  Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe);
+
+const getTimeframeMs = (timeframe) => {
+  if (!isValidTimeframe(timeframe)) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+  return TIMEFRAMES[timeframe];
+};
+
+// Start of the candle (UTC) that contains the given time
+const alignTimestamp = (time, timeframe) => {
+  const ms = getTimeframeMs(timeframe);
+  const value = time instanceof Date ? time.getTime() : time;
+  return value - (value % ms);
+};
+
+module.exports = {
+  TIMEFRAMES,
+  isValidTimeframe,
+  getTimeframeMs,
+  alignTimestamp,
+};
@@ -0,0 +1,81 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// FX convention: the trading day rolls over at 17:00 New York time
+const DEFAULT_TRADING_DAY = {
+  rolloverTime: "17:00",
+  timeZone: "America/New_York",
+};
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+// Wall clock time of an instant in the time zone, expressed as if it were UTC
+const wallClock = (time, timeZone) => {
+  const parts = {};
+  formatterFor(timeZone)
+    .formatToParts(new Date(time))
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// The instant at which the time zone's clocks show the given wall time.
+// The second pass settles wall times next to a daylight saving change.
+const fromWallClock = (wall, timeZone) => {
+  let time = wall - (wallClock(wall, timeZone) - wall);
+  time = wall - (wallClock(time, timeZone) - time);
+  return time;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Start and end of the trading day containing now, for a rollover time
+// ("HH:MM") in an IANA time zone
+const getTradingDay = (now = new Date(), options = {}) => {
+  const { rolloverTime, timeZone } = { ...DEFAULT_TRADING_DAY, ...options };
+  const [hours, minutes] = rolloverTime.split(":").map(Number);
+
+  const wallNow = wallClock(now, timeZone);
+  const midnight = Math.floor(wallNow / DAY_MS) * DAY_MS;
+  let rollover = midnight + (hours * 60 + minutes) * 60 * 1000;
+  if (rollover > wallNow) {
+    rollover -= DAY_MS;
+  }
+
+  return {
+    start: new Date(fromWallClock(rollover, timeZone)),
+    end: new Date(fromWallClock(rollover + DAY_MS, timeZone)),
+  };
+};
+
+module.exports = {
+  DEFAULT_TRADING_DAY,
+  getTradingDay,
+  isValidTimeZone,
+};
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getTradingDay, isValidTimeZone } = require("./tradingDay");
+
+test("the trading day rolls over at 17:00 New York time", () => {
+  const before = getTradingDay(new Date("2026-10-19T20:59:00Z"));
+  const after = getTradingDay(new Date("2026-10-19T21:00:00Z"));
+
+  assert.strictEqual(before.end.toISOString(), "2026-10-19T21:00:00.000Z");
+  assert.strictEqual(after.start.toISOString(), "2026-10-19T21:00:00.000Z");
+  assert.strictEqual(after.end.toISOString(), "2026-10-20T21:00:00.000Z");
+});
+
+test("the rollover follows daylight saving time", () => {
+  // Clocks went back on 1 November 2026, so 17:00 is 22:00 UTC afterwards
+  const day = getTradingDay(new Date("2026-11-01T12:00:00Z"));
+
+  assert.strictEqual(day.start.toISOString(), "2026-10-31T21:00:00.000Z");
+  assert.strictEqual(day.end.toISOString(), "2026-11-01T22:00:00.000Z");
+});
+
+test("other rollover times and zones", () => {
+  const day = getTradingDay(new Date("2026-10-19T10:00:00Z"), {
+    rolloverTime: "00:00",
+    timeZone: "UTC",
+  });
+
+  assert.strictEqual(day.start.toISOString(), "2026-10-19T00:00:00.000Z");
+  assert.strictEqual(isValidTimeZone("Europe/London"), true);
+  assert.strictEqual(isValidTimeZone("Mars/Olympus"), false);
+});